@@ -0,0 +1,253 @@
+#!/usr/bin/env node
+/**
+ * Headless batch generation: one SVG per seed, using the same engine and stamp pipeline as the browser tool.
+ *
+ * Usage: node scripts/batch-generate.js <options.json> --seeds <from>-<to> [--out <dir>]
+ */
+import { readFile, readdir, mkdir, writeFile } from 'node:fs/promises'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { parseArgs } from 'node:util'
+import { PNG } from 'pngjs'
+import { generateArtGrid, renderArtGridSvg, scaleArtGrid, getEditorSize, createDensityMap, LAYOUTS, OVERLAP_MODES, SYMMETRY_MODES } from '../src/lib/art-grid-engine.js'
+import { DEFAULT_STAMP_TRACING, normalizeStampBinarization, resolveStampBinarization, findStampBounds, cropBitmap, createStampPaths, buildStampPool, MAX_STAMP_COLOR_REGIONS } from '../src/lib/stamp-bitmap.js'
+import { STAMP_MANIFEST_FILE, normalizeStampManifest, chooseStampResolution, scaleTracingForResolution } from '../src/lib/stamp-manifest.js'
+
+const REPO_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..')
+const DEFAULT_STAMPS_DIR = path.join(REPO_ROOT, 'public', 'stamps')
+const STAMP_FILE_REGEX = /^Asset (\d+)@2x\.png$/
+const DEFAULT_COLORS = ['#00ff00', '#ff0000', '#00ffff', '#ff00ff', '#ffff00', '#ffffff', '#0000ff']
+const MAX_SEED = 4294967295
+
+const USAGE = `Usage: node scripts/batch-generate.js <options.json> --seeds <from>-<to> [--out <dir>]
+
+options.json uses the same keys as the tool's Settings panel:
+  width, height, shapeCount, spread, layout, layoutJitter, radialArms, densityMap (PNG path), overlap, minGap,
+  symmetry, symmetryFolds, shapeTypeWeights, minSize, maxSize, minTextureScale, maxTextureScale,
+  randomRotation, colors (hex strings or { color, weight, layers, stampsOnly, avoidAdjacent, maxUses }),
+  colorPalette + paletteRules (as saved by the tool), background, stamps (manifest ids or asset numbers), stampsDir,
+  stampTracing ({ tolerance, smoothing } in source pixels), stampBinarization ({ mode, threshold, otsu, gridFilter,
+  blackMax, whiteMin, alphaCutoff }), stampBinarizationOverrides ({ [manifest id]: stampBinarization }),
+  stampColorRegions (1-${MAX_STAMP_COLOR_REGIONS}), stampRegionColors ('original' or 'palette') and stampRegionColorOverrides
+  ({ [manifest id]: { [region]: 'original' or palette slot } })`
+
+class UsageError extends Error {}
+
+function readNumber(value, fallback, min, max) {
+  const n = Number(value)
+  if (value == null || !Number.isFinite(n)) return fallback
+  return Math.max(min, Math.min(max, n))
+}
+
+function parseSeedRange(raw) {
+  const match = /^(\d+)(?:-(\d+))?$/.exec(String(raw ?? '').trim())
+  if (!match) throw new UsageError(`--seeds must look like 100-199 or 42, got "${raw ?? ''}"`)
+  const from = Number(match[1])
+  const to = match[2] != null ? Number(match[2]) : from
+  if (from < 1 || to > MAX_SEED || to < from) throw new UsageError(`--seeds must be an ascending range between 1 and ${MAX_SEED}`)
+  return { from, to }
+}
+
+/** Settings with the same bounds and defaults the tool applies to its inputs. */
+function normalizeSettings(raw) {
+  const palette = Array.isArray(raw.colorPalette) && raw.colorPalette.length > 0
+    ? raw.colorPalette.map((color, i) => ({ ...raw.paletteRules?.[i], color }))
+    : DEFAULT_COLORS
+  const colors = Array.isArray(raw.colors) && raw.colors.length > 0 ? raw.colors : palette
+  return {
+    width: Math.round(readNumber(raw.width, 1200, 100, 4000)),
+    height: Math.round(readNumber(raw.height, 2400, 100, 4000)),
+    shapeCount: Math.round(readNumber(raw.shapeCount, 80, 20, 300)),
+    spread: readNumber(raw.spread, 1, 0.5, 2.5),
+    layout: LAYOUTS.includes(raw.layout) ? raw.layout : 'scatter',
+    layoutJitter: readNumber(raw.layoutJitter, 0.3, 0, 1),
+    radialArms: Math.round(readNumber(raw.radialArms, 8, 2, 24)),
+    overlap: OVERLAP_MODES.includes(raw.overlap) ? raw.overlap : 'allow',
+    minGap: Math.round(readNumber(raw.minGap, 0, 0, 100)),
+    symmetry: SYMMETRY_MODES.includes(raw.symmetry) ? raw.symmetry : 'none',
+    symmetryFolds: Math.round(readNumber(raw.symmetryFolds, 6, 2, 24)),
+    shapeTypeWeights: raw.shapeTypeWeights && typeof raw.shapeTypeWeights === 'object' ? raw.shapeTypeWeights : undefined,
+    densityMapPath: typeof raw.densityMap === 'string' ? path.resolve(REPO_ROOT, raw.densityMap) : null,
+    minSize: Math.round(readNumber(raw.minSize, 8, 2, 100)),
+    maxSize: Math.round(readNumber(raw.maxSize, 120, 10, 300)),
+    minTextureScale: readNumber(raw.minTextureScale, 0.5, 0.1, 5),
+    maxTextureScale: readNumber(raw.maxTextureScale, 2, 0.1, 5),
+    randomRotation: raw.randomRotation !== false,
+    colors,
+    background: { color: '#000000', textureType: 'solid', pattern: 'dots', textureScale: 1, ...raw.background },
+    stamps: Array.isArray(raw.stamps) ? raw.stamps.map((stamp) => (/^\d+$/.test(String(stamp)) ? `asset-${stamp}` : String(stamp))) : null,
+    stampsDir: raw.stampsDir ? path.resolve(REPO_ROOT, raw.stampsDir) : DEFAULT_STAMPS_DIR,
+    stampTracing: {
+      tolerance: readNumber(raw.stampTracing?.tolerance, DEFAULT_STAMP_TRACING.tolerance, 0, 3),
+      smoothing: readNumber(raw.stampTracing?.smoothing, DEFAULT_STAMP_TRACING.smoothing, 0, 4),
+    },
+    stampBinarization: normalizeStampBinarization(raw.stampBinarization),
+    stampBinarizationOverrides: Object.fromEntries(
+      Object.entries(raw.stampBinarizationOverrides ?? {}).map(([id, value]) => [id, normalizeStampBinarization(value)])
+    ),
+    stampColorRegions: Math.round(readNumber(raw.stampColorRegions, 1, 1, MAX_STAMP_COLOR_REGIONS)),
+    stampRegionColors: raw.stampRegionColors === 'palette' ? 'palette' : 'original',
+    stampRegionColorOverrides: raw.stampRegionColorOverrides && typeof raw.stampRegionColorOverrides === 'object' ? raw.stampRegionColorOverrides : {},
+  }
+}
+
+/** Stamp PNG cropped to its shape pixels (whole when it has none), with Otsu resolved on the full image like the tool. */
+async function readStampBitmap(filePath, binarization) {
+  const png = PNG.sync.read(await readFile(filePath))
+  const resolved = resolveStampBinarization(png, binarization)
+  const bounds = findStampBounds(png, false, resolved)
+  return { bitmap: bounds ? cropBitmap(png, bounds) : png, binarization: resolved }
+}
+
+/** Palette slots for a stamp's colour layers, chosen like the tool's Color regions controls. */
+function withRegionSlots(paths, stampId, { stampRegionColors, stampRegionColorOverrides }) {
+  if (!paths?.stampLayers) return paths
+  const overrides = (stampId && stampRegionColorOverrides[stampId]) || {}
+  return {
+    ...paths,
+    stampLayers: paths.stampLayers.map((layer, region) => {
+      const override = overrides[region]
+      const paletteSlot = override === 'original' ? null : Number.isInteger(override) ? override : stampRegionColors === 'palette' ? region : null
+      return paletteSlot == null ? layer : { ...layer, paletteSlot }
+    }),
+  }
+}
+
+/** @returns {Promise<ReturnType<typeof normalizeStampManifest> | null>} null when stampsDir has no manifest */
+async function readStampManifest(stampsDir) {
+  let text
+  try {
+    text = await readFile(path.join(stampsDir, STAMP_MANIFEST_FILE), 'utf8')
+  } catch {
+    return null
+  }
+  try {
+    return normalizeStampManifest(JSON.parse(text))
+  } catch (error) {
+    throw new Error(`Invalid stamp manifest in ${stampsDir}: ${error.message}`)
+  }
+}
+
+/**
+ * Stamp pool in manifest order, like the browser's stamp grid. Output is SVG, so each stamp is traced from its
+ * sharpest asset. Without a manifest, uses the `Asset <n>@2x.png` files in asset-number order.
+ */
+async function loadStampPool(settings) {
+  const { stampsDir, stamps: onlyIds, stampTracing, stampBinarization, stampBinarizationOverrides, stampColorRegions } = settings
+  const manifest = await readStampManifest(stampsDir)
+  if (!manifest) {
+    const files = (await readdir(stampsDir))
+      .map((name) => ({ name, match: STAMP_FILE_REGEX.exec(name) }))
+      .filter(({ match }) => match && (!onlyIds || onlyIds.includes(`asset-${match[1]}`)))
+      .sort((a, b) => Number(a.match[1]) - Number(b.match[1]))
+    const pool = []
+    for (const { name } of files) {
+      const { bitmap, binarization } = await readStampBitmap(path.join(stampsDir, name), stampBinarization)
+      pool.push(...buildStampPool([bitmap], stampTracing, binarization, stampColorRegions).map((paths) => withRegionSlots(paths, null, settings)))
+    }
+    return pool
+  }
+  const pool = []
+  for (const stamp of manifest.stamps) {
+    if (onlyIds && !onlyIds.includes(stamp.id)) continue
+    const resolution = chooseStampResolution(stamp, { type: 'vector' })
+    let stampBitmap
+    try {
+      stampBitmap = await readStampBitmap(path.join(stampsDir, stamp.files[resolution]), stampBinarizationOverrides[stamp.id] ?? stampBinarization)
+    } catch (error) {
+      console.warn(`Skipping stamp ${stamp.id}: ${error.message}`)
+      continue
+    }
+    const { bitmap, binarization } = stampBitmap
+    const tracing = scaleTracingForResolution(stampTracing, resolution)
+    for (const invert of [false, true]) {
+      const paths = withRegionSlots(createStampPaths(bitmap, invert, tracing, binarization, stampColorRegions), stamp.id, settings)
+      if (paths) pool.push({ ...paths, stampId: stamp.id, stampResolution: resolution, ...(invert && { stampInverted: true }) })
+    }
+  }
+  return pool
+}
+
+/** Mirrors generate() in art-grid-tool.js: generate in editor space, then export at the source size. */
+function renderSeed(seed, settings, stampPool, densityMap) {
+  const { w: editorW, h: editorH } = getEditorSize(settings.width, settings.height)
+  const scaleToEditor = Math.min(editorW / settings.width, editorH / settings.height)
+  const grid = generateArtGrid({
+    seed,
+    width: editorW,
+    height: editorH,
+    shapeCount: settings.shapeCount,
+    spread: settings.spread,
+    layout: settings.layout,
+    layoutJitter: settings.layoutJitter,
+    radialArms: settings.radialArms,
+    densityMap,
+    overlap: settings.overlap,
+    minGap: settings.minGap * scaleToEditor,
+    symmetry: settings.symmetry,
+    symmetryFolds: settings.symmetryFolds,
+    shapeTypeWeights: settings.shapeTypeWeights,
+    minSize: Math.max(2, Math.round(settings.minSize * scaleToEditor)),
+    maxSize: Math.max(4, Math.round(settings.maxSize * scaleToEditor)),
+    minTextureScale: settings.minTextureScale,
+    maxTextureScale: settings.maxTextureScale,
+    randomRotation: settings.randomRotation,
+    colors: settings.colors,
+    stamps: stampPool,
+  })
+  grid.background = { ...settings.background }
+  return renderArtGridSvg(scaleArtGrid(grid, settings.width, settings.height), { fullResolutionStamps: true })
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      seeds: { type: 'string' },
+      out: { type: 'string', default: 'batch-output' },
+      help: { type: 'boolean', short: 'h' },
+    },
+  })
+  if (values.help) {
+    console.log(USAGE)
+    return
+  }
+  if (positionals.length !== 1) throw new UsageError('Expected exactly one options file')
+  const { from, to } = parseSeedRange(values.seeds)
+  const optionsPath = path.resolve(positionals[0])
+  let rawOptions
+  try {
+    rawOptions = JSON.parse(await readFile(optionsPath, 'utf8'))
+  } catch (error) {
+    throw new Error(`Could not read options file ${optionsPath}: ${error.message}`)
+  }
+  const settings = normalizeSettings(rawOptions ?? {})
+
+  console.log(`Loading stamps from ${settings.stampsDir}…`)
+  const stampPool = await loadStampPool(settings)
+  if (!stampPool.length) throw new Error(`No stamps found in ${settings.stampsDir}`)
+
+  let densityMap = null
+  if (settings.densityMapPath) {
+    try {
+      densityMap = createDensityMap(PNG.sync.read(await readFile(settings.densityMapPath)))
+    } catch (error) {
+      throw new Error(`Could not read density map ${settings.densityMapPath}: ${error.message}`)
+    }
+  }
+
+  const outDir = path.resolve(values.out)
+  await mkdir(outDir, { recursive: true })
+  const total = to - from + 1
+  for (let seed = from; seed <= to; seed++) {
+    const fileName = `dope-throne-grid-${seed}-${settings.width}x${settings.height}.svg`
+    await writeFile(path.join(outDir, fileName), renderSeed(seed, settings, stampPool, densityMap))
+    console.log(`[${seed - from + 1}/${total}] ${fileName}`)
+  }
+  console.log(`Wrote ${total} SVG${total === 1 ? '' : 's'} to ${outDir}`)
+}
+
+main().catch((error) => {
+  console.error(error instanceof UsageError ? `${error.message}\n\n${USAGE}` : `Batch generation failed: ${error.message}`)
+  process.exitCode = 1
+})
@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+/**
+ * Sync public/stamps/manifest.json with the stamp files on disk: new `<name>@2x.png` / `<name>@4x.png` files get an
+ * Uncategorized entry, entries whose files are all gone are dropped, and names, tags and categories are kept.
+ *
+ * Usage: node scripts/build-stamp-manifest.js [stampsDir]
+ */
+import { readFile, readdir, writeFile } from 'node:fs/promises'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { STAMP_MANIFEST_FILE, STAMP_RESOLUTIONS, UNCATEGORIZED_STAMPS, normalizeStampManifest } from '../src/lib/stamp-manifest.js'
+
+const REPO_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..')
+const STAMP_FILE_REGEX = /^(.+)@(\d+x)\.png$/
+
+/** Manifest id for a file base name: `Asset 12` becomes `asset-12`. */
+function toStampId(baseName) {
+  return baseName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')
+}
+
+/** Natural order, so Asset 2 sorts before Asset 10. */
+const compareNames = (a, b) => a.localeCompare(b, undefined, { numeric: true })
+
+async function main() {
+  const stampsDir = path.resolve(REPO_ROOT, process.argv[2] ?? 'public/stamps')
+  const manifestPath = path.join(stampsDir, STAMP_MANIFEST_FILE)
+
+  const filesById = new Map()
+  for (const name of (await readdir(stampsDir)).sort(compareNames)) {
+    const match = STAMP_FILE_REGEX.exec(name)
+    if (!match || !STAMP_RESOLUTIONS.includes(match[2])) continue
+    const id = toStampId(match[1])
+    if (!filesById.has(id)) filesById.set(id, { baseName: match[1], files: {} })
+    filesById.get(id).files[match[2]] = name
+  }
+
+  let existing = { categories: [], stamps: [] }
+  try {
+    existing = normalizeStampManifest(JSON.parse(await readFile(manifestPath, 'utf8')))
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw new Error(`Could not read ${manifestPath}: ${error.message}`)
+  }
+
+  const stamps = []
+  let dropped = 0
+  for (const stamp of existing.stamps) {
+    const found = filesById.get(stamp.id)
+    if (!found) {
+      dropped++
+      continue
+    }
+    filesById.delete(stamp.id)
+    stamps.push({
+      ...stamp,
+      files: found.files,
+      preferredResolution: found.files[stamp.preferredResolution] ? stamp.preferredResolution : Object.keys(found.files)[0],
+    })
+  }
+  for (const [id, { baseName, files }] of filesById) {
+    stamps.push({ id, name: baseName, category: UNCATEGORIZED_STAMPS, tags: [], files, preferredResolution: Object.keys(files)[0] })
+  }
+
+  const manifest = normalizeStampManifest({ version: 1, categories: existing.categories, stamps })
+  await writeFile(manifestPath, JSON.stringify({ version: 1, ...manifest }, null, 2) + '\n')
+  console.log(`Wrote ${manifestPath}: ${manifest.stamps.length} stamps (${filesById.size} added, ${dropped} removed).`)
+}
+
+main().catch((error) => {
+  console.error(error.message)
+  process.exit(1)
+})
@@ -0,0 +1,377 @@
+/**
+ * Art grid documents: the versioned JSON format of `.artgrid.json` files, saved projects and the plan metadata
+ * embedded in exported SVGs. The engine writes the current version (createArtGridDocument); this module reads any
+ * version, upgrading older documents step by step and validating the result with messages that name the bad field.
+ *
+ * Current format (version 3), all lengths in source pixels:
+ *
+ *   {
+ *     format: 'artgrid',
+ *     version: 3,
+ *     meta: { width, height, seed? },
+ *     background: { color, textureType: 'solid' | 'pattern' | 'stamp', pattern?, textureScale?, stampPath?, stampWidth?, stampHeight? },
+ *     shapes: [{ id, type, x, y, size, color, pattern?, rotation?, layer?, textureScale?, flipX?, sides?, points?,
+ *                innerRadius?, sweep?, thickness?, aspect?, symmetryGroup?, symmetryTransform?, group?,
+ *                stampPath?, stampWidth?, stampHeight?, stampPathResolution?, stampId?, stampResolution?,
+ *                stampInverted?, stampLayers?, stampPathEditor?, stampWidthEditor?, stampHeightEditor? }],
+ *     groups?: [{ id, parent?, transform: { x, y, rotation, scale } }],
+ *     palette?: { colors: string[], rules: object[] },
+ *     view?: { minX, minY, width, height },
+ *     customStamps?: object[]
+ *   }
+ *
+ * A shape's `group` and a group's `parent` name a group in `groups` (see shape-groups.js).
+ *
+ * Older versions:
+ *   0 - plan metadata in SVGs exported before documents were versioned: { seed, width, height, background, shapes }
+ *   1 - project documents: { grid, viewState, source: { width, height, seed }, palette, background, customStamps },
+ *       with the grid and view in editor units
+ *   2 - the current format without groups
+ */
+
+import {
+  ART_GRID_DOCUMENT_FORMAT,
+  ART_GRID_DOCUMENT_VERSION,
+  PATTERNS,
+  PRIMITIVE_PARAMS,
+  SHAPE_TYPES,
+  scaleArtGrid,
+} from './art-grid-engine.js';
+
+export const ART_GRID_FILE_EXTENSION = '.artgrid.json';
+export const ART_GRID_FILE_TYPE = 'application/json';
+
+const BACKGROUND_TEXTURE_TYPES = ['solid', 'pattern', 'stamp'];
+const SHAPE_PATTERNS = ['solid', ...PATTERNS];
+const DEFAULT_BACKGROUND = { color: '#000000', textureType: 'solid' };
+
+const isObject = (value) => value != null && typeof value === 'object' && !Array.isArray(value);
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/** Short rendering of an offending value for error messages. */
+function describeValue(value) {
+  if (value === undefined) return 'nothing';
+  const text = JSON.stringify(value);
+  if (text === undefined) return String(value);
+  return text.length > 40 ? `${text.slice(0, 37)}...` : text;
+}
+
+function invalid(where, field, expected, value) {
+  return new Error(`${where}: "${field}" must be ${expected}, got ${describeValue(value)}`);
+}
+
+/** Version of a parsed document, including the unversioned layouts that came before the format field. */
+function detectVersion(raw) {
+  if (!isObject(raw)) throw new Error('Not an art grid document: expected a JSON object');
+  if (raw.format !== undefined) {
+    if (raw.format !== ART_GRID_DOCUMENT_FORMAT) throw invalid('Document', 'format', `"${ART_GRID_DOCUMENT_FORMAT}"`, raw.format);
+    if (!Number.isInteger(raw.version) || raw.version < 0) throw invalid('Document', 'version', 'a whole number', raw.version);
+    if (raw.version > ART_GRID_DOCUMENT_VERSION) {
+      throw new Error(`This document was saved by a newer version of the tool (format version ${raw.version}); this one reads up to version ${ART_GRID_DOCUMENT_VERSION}`);
+    }
+    return raw.version;
+  }
+  if (isObject(raw.grid)) return 1;
+  if (Array.isArray(raw.shapes)) return 0;
+  throw new Error('Not an art grid document: it has neither a format field nor a shape list');
+}
+
+/** migrations[n] upgrades a version n document to version n + 1. */
+const MIGRATIONS = [
+  // 0 → 1: the SVG metadata becomes a project document whose grid is already at the source size.
+  (doc) => {
+    for (const field of ['width', 'height']) {
+      if (!(isFiniteNumber(doc[field]) && doc[field] > 0)) throw invalid('Metadata', field, 'a positive number', doc[field]);
+    }
+    const source = { width: doc.width, height: doc.height, seed: doc.seed };
+    const grid = { meta: { ...source }, shapes: doc.shapes, background: doc.background };
+    return { grid, viewState: null, source, background: doc.background };
+  },
+  // 1 → 2: the grid and view are scaled from editor units to the source size, and the editor state is flattened.
+  (doc) => {
+    const { grid, source } = doc;
+    if (!isObject(grid.meta) || !(grid.meta.width > 0) || !(grid.meta.height > 0)) {
+      throw invalid('Grid', 'meta', 'an object with a positive width and height', grid.meta);
+    }
+    if (!Array.isArray(grid.shapes)) throw invalid('Grid', 'shapes', 'an array', grid.shapes);
+    grid.shapes.forEach((shape, i) => {
+      if (!isObject(shape)) throw new Error(`Shape ${i + 1} is not an object`);
+    });
+    const width = source?.width > 0 ? source.width : grid.meta.width;
+    const height = source?.height > 0 ? source.height : grid.meta.height;
+    const seed = source?.seed ?? grid.meta.seed;
+    const background = isObject(grid.background) ? grid.background : doc.background;
+    const scaled = scaleArtGrid({ ...grid, ...(isObject(background) && { background }) }, width, height);
+    const scaleX = width / grid.meta.width;
+    const scaleY = height / grid.meta.height;
+    const view = doc.viewState;
+    return {
+      format: ART_GRID_DOCUMENT_FORMAT,
+      version: 2,
+      meta: { width, height, ...(seed != null && { seed }) },
+      background: scaled.background,
+      shapes: scaled.shapes,
+      ...(doc.palette != null && { palette: doc.palette }),
+      ...(isObject(view) && {
+        view: { minX: view.minX * scaleX, minY: view.minY * scaleY, width: view.width * scaleX, height: view.height * scaleY },
+      }),
+      ...(doc.customStamps != null && { customStamps: doc.customStamps }),
+    };
+  },
+  // 2 → 3: groups were added; a version 2 document has none.
+  (doc) => ({ ...doc, version: 3 }),
+];
+
+/**
+ * Upgrade a parsed document of any version to the current one without validating it.
+ * @returns {{ document: object, migratedFrom: number | null }} migratedFrom is the original version when it was older
+ */
+export function migrateArtGridDocument(raw) {
+  const version = detectVersion(raw);
+  let doc = structuredClone(raw);
+  for (let v = version; v < ART_GRID_DOCUMENT_VERSION; v++) doc = MIGRATIONS[v](doc);
+  return { document: doc, migratedFrom: version < ART_GRID_DOCUMENT_VERSION ? version : null };
+}
+
+function validateBackground(background) {
+  if (!isObject(background)) throw invalid('Document', 'background', 'an object', background);
+  const where = 'Background';
+  if (background.color !== undefined && typeof background.color !== 'string') throw invalid(where, 'color', 'a color string', background.color);
+  if (background.textureType !== undefined && !BACKGROUND_TEXTURE_TYPES.includes(background.textureType)) {
+    throw invalid(where, 'textureType', `one of ${BACKGROUND_TEXTURE_TYPES.join(', ')}`, background.textureType);
+  }
+  if (background.textureScale !== undefined && !(isFiniteNumber(background.textureScale) && background.textureScale > 0)) {
+    throw invalid(where, 'textureScale', 'a positive number', background.textureScale);
+  }
+  if (background.textureType === 'pattern' && !PATTERNS.includes(background.pattern)) {
+    throw invalid(where, 'pattern', `one of ${PATTERNS.join(', ')}`, background.pattern);
+  }
+  // A stamp texture without a stamp yet draws as the plain color.
+  if (background.textureType === 'stamp' && background.stampPath !== undefined) {
+    if (typeof background.stampPath !== 'string') throw invalid(where, 'stampPath', 'SVG path data', background.stampPath);
+    for (const field of ['stampWidth', 'stampHeight']) {
+      if (!(isFiniteNumber(background[field]) && background[field] > 0)) throw invalid(where, field, 'a positive number', background[field]);
+    }
+  }
+}
+
+function validateShape(shape, index) {
+  const where = `Shape ${index + 1}${isObject(shape) && typeof shape.id === 'string' ? ` (${shape.id})` : ''}`;
+  if (!isObject(shape)) throw new Error(`${where} is not an object`);
+  if (shape.id !== undefined && (typeof shape.id !== 'string' || !shape.id)) throw invalid(where, 'id', 'a non-empty string', shape.id);
+  if (!SHAPE_TYPES.includes(shape.type)) throw invalid(where, 'type', `one of ${SHAPE_TYPES.join(', ')}`, shape.type);
+  for (const field of ['x', 'y']) {
+    if (!isFiniteNumber(shape[field])) throw invalid(where, field, 'a number', shape[field]);
+  }
+  if (!(isFiniteNumber(shape.size) && shape.size > 0)) throw invalid(where, 'size', 'a positive number', shape.size);
+  if (typeof shape.color !== 'string' || !shape.color) throw invalid(where, 'color', 'a color string', shape.color);
+  if (shape.pattern !== undefined && !SHAPE_PATTERNS.includes(shape.pattern)) {
+    throw invalid(where, 'pattern', `one of ${SHAPE_PATTERNS.join(', ')}`, shape.pattern);
+  }
+  if (shape.rotation !== undefined && !isFiniteNumber(shape.rotation)) throw invalid(where, 'rotation', 'a number of degrees', shape.rotation);
+  if (shape.layer !== undefined && !isFiniteNumber(shape.layer) && !(typeof shape.layer === 'string' && shape.layer)) {
+    throw invalid(where, 'layer', 'a number or a layer name', shape.layer);
+  }
+  if (shape.textureScale !== undefined && !(isFiniteNumber(shape.textureScale) && shape.textureScale > 0)) {
+    throw invalid(where, 'textureScale', 'a positive number', shape.textureScale);
+  }
+  for (const field of PRIMITIVE_PARAMS) {
+    if (shape[field] !== undefined && !isFiniteNumber(shape[field])) throw invalid(where, field, 'a number', shape[field]);
+  }
+  if (shape.symmetryGroup !== undefined) {
+    if (typeof shape.symmetryGroup !== 'string') throw invalid(where, 'symmetryGroup', 'a string', shape.symmetryGroup);
+    const transform = shape.symmetryTransform;
+    if (!isObject(transform) || !isFiniteNumber(transform.centerX) || !isFiniteNumber(transform.centerY) || !isFiniteNumber(transform.angle)) {
+      throw invalid(where, 'symmetryTransform', 'an object with centerX, centerY and angle', transform);
+    }
+  }
+  if (shape.type !== 'stamp') return;
+  if (typeof shape.stampPath !== 'string' || !shape.stampPath) throw invalid(where, 'stampPath', 'SVG path data', shape.stampPath);
+  for (const field of ['stampWidth', 'stampHeight']) {
+    if (!(isFiniteNumber(shape[field]) && shape[field] > 0)) throw invalid(where, field, 'a positive number', shape[field]);
+  }
+  if (shape.stampPathEditor !== undefined) {
+    if (typeof shape.stampPathEditor !== 'string') throw invalid(where, 'stampPathEditor', 'SVG path data', shape.stampPathEditor);
+    for (const field of ['stampWidthEditor', 'stampHeightEditor']) {
+      if (!(isFiniteNumber(shape[field]) && shape[field] > 0)) throw invalid(where, field, 'a positive number', shape[field]);
+    }
+  }
+  if (shape.stampLayers !== undefined) {
+    if (!Array.isArray(shape.stampLayers)) throw invalid(where, 'stampLayers', 'an array', shape.stampLayers);
+    shape.stampLayers.forEach((layer, i) => {
+      const layerWhere = `${where} stamp color layer ${i + 1}`;
+      if (!isObject(layer)) throw new Error(`${layerWhere} is not an object`);
+      if (typeof layer.color !== 'string') throw invalid(layerWhere, 'color', 'a color string', layer.color);
+      if (i > 0 && typeof layer.stampPath !== 'string') throw invalid(layerWhere, 'stampPath', 'SVG path data', layer.stampPath);
+    });
+  }
+}
+
+function validateGroups(groups, shapes) {
+  if (!Array.isArray(groups)) throw invalid('Document', 'groups', 'an array', groups);
+  const ids = new Set();
+  groups.forEach((group, i) => {
+    const where = `Group ${i + 1}${isObject(group) && typeof group.id === 'string' && group.id ? ` (${group.id})` : ''}`;
+    if (!isObject(group)) throw new Error(`${where} is not an object`);
+    if (typeof group.id !== 'string' || !group.id) throw invalid(where, 'id', 'a non-empty string', group.id);
+    if (ids.has(group.id)) throw new Error(`${where}: the id "${group.id}" is used by an earlier group`);
+    ids.add(group.id);
+    const transform = group.transform;
+    if (!isObject(transform) || !['x', 'y', 'rotation'].every((f) => isFiniteNumber(transform[f])) || !(isFiniteNumber(transform.scale) && transform.scale > 0)) {
+      throw invalid(where, 'transform', 'an object with x, y, rotation and a positive scale', transform);
+    }
+  });
+  const parents = new Map(groups.map((group) => [group.id, group.parent]));
+  groups.forEach((group, i) => {
+    if (group.parent === undefined) return;
+    const where = `Group ${i + 1} (${group.id})`;
+    if (!parents.has(group.parent)) throw invalid(where, 'parent', 'the id of a group in the document', group.parent);
+    const seen = new Set([group.id]);
+    for (let id = group.parent; id !== undefined; id = parents.get(id)) {
+      if (seen.has(id)) throw new Error(`${where}: "parent" makes the group its own ancestor`);
+      seen.add(id);
+    }
+  });
+  shapes.forEach((shape, i) => {
+    if (shape.group !== undefined && !parents.has(shape.group)) {
+      throw invalid(`Shape ${i + 1}${typeof shape.id === 'string' ? ` (${shape.id})` : ''}`, 'group', 'the id of a group in the document', shape.group);
+    }
+  });
+}
+
+function validatePalette(palette) {
+  if (!isObject(palette)) throw invalid('Document', 'palette', 'an object', palette);
+  if (!Array.isArray(palette.colors)) throw invalid('Palette', 'colors', 'an array of color strings', palette.colors);
+  palette.colors.forEach((color, i) => {
+    if (typeof color !== 'string') throw invalid('Palette', `colors[${i}]`, 'a color string', color);
+  });
+  if (palette.rules !== undefined && !(Array.isArray(palette.rules) && palette.rules.every(isObject))) {
+    throw invalid('Palette', 'rules', 'an array of objects', palette.rules);
+  }
+}
+
+/**
+ * Check a current-version document, throwing on the first problem with the field it is in.
+ * @throws {Error}
+ */
+export function validateArtGridDocument(doc) {
+  if (!isObject(doc.meta)) throw invalid('Document', 'meta', 'an object', doc.meta);
+  for (const field of ['width', 'height']) {
+    if (!(isFiniteNumber(doc.meta[field]) && doc.meta[field] > 0)) throw invalid('Meta', field, 'a positive number', doc.meta[field]);
+  }
+  if (doc.meta.seed != null && !isFiniteNumber(doc.meta.seed)) throw invalid('Meta', 'seed', 'a number', doc.meta.seed);
+  if (doc.background !== undefined) validateBackground(doc.background);
+  if (!Array.isArray(doc.shapes)) throw invalid('Document', 'shapes', 'an array', doc.shapes);
+  doc.shapes.forEach(validateShape);
+  validateGroups(doc.groups ?? [], doc.shapes);
+  if (doc.palette !== undefined) validatePalette(doc.palette);
+  if (doc.view !== undefined && doc.view !== null) {
+    const view = doc.view;
+    if (!isObject(view) || !['minX', 'minY'].every((f) => isFiniteNumber(view[f])) || !['width', 'height'].every((f) => view[f] > 0)) {
+      throw invalid('Document', 'view', 'an object with minX, minY and a positive width and height', view);
+    }
+  }
+  if (doc.customStamps !== undefined && !(Array.isArray(doc.customStamps) && doc.customStamps.every((record) => isObject(record) && typeof record.id === 'string'))) {
+    throw invalid('Document', 'customStamps', 'an array of stamp records with ids', doc.customStamps);
+  }
+}
+
+/** Fill in optional shape fields; repeated ids (possible in older random ids) get a suffix so selection stays unambiguous. */
+function normalizeShapes(shapes) {
+  const seen = new Set();
+  return shapes.map((shape, index) => {
+    const baseId = shape.id ?? `shape-${index + 1}`;
+    let id = baseId;
+    for (let n = 2; seen.has(id); n++) id = `${baseId}-${n}`;
+    seen.add(id);
+    return {
+      ...shape,
+      id,
+      pattern: shape.pattern ?? 'solid',
+      rotation: shape.rotation ?? 0,
+      layer: shape.layer ?? 1,
+      textureScale: shape.textureScale ?? 1,
+    };
+  });
+}
+
+/**
+ * Read a document of any version: migrate, validate and fill in defaults.
+ * @param {string | object} input - JSON text or an already parsed document
+ * @returns {{
+ *   grid: { meta: { width: number, height: number, seed?: number, shapeCount: number }, shapes: object[], background: object, groups: object[] },
+ *   palette: { colors: string[], rules: object[] } | null,
+ *   view: { minX: number, minY: number, width: number, height: number } | null,
+ *   customStamps: object[],
+ *   migratedFrom: number | null
+ * }} grid and view in source pixels
+ * @throws {Error} naming the field that is invalid
+ */
+export function parseArtGridDocument(input) {
+  let raw = input;
+  if (typeof input === 'string') {
+    try {
+      raw = JSON.parse(input);
+    } catch (error) {
+      throw new Error(`The document is not valid JSON: ${error.message}`);
+    }
+  }
+  const { document: doc, migratedFrom } = migrateArtGridDocument(raw);
+  validateArtGridDocument(doc);
+  const shapes = normalizeShapes(doc.shapes);
+  return {
+    grid: {
+      meta: {
+        width: doc.meta.width,
+        height: doc.meta.height,
+        ...(isFiniteNumber(doc.meta.seed) && { seed: doc.meta.seed }),
+        shapeCount: shapes.length,
+      },
+      shapes,
+      background: { ...DEFAULT_BACKGROUND, ...doc.background },
+      groups: doc.groups ?? [],
+    },
+    palette: doc.palette ? { colors: doc.palette.colors, rules: doc.palette.rules ?? [] } : null,
+    view: doc.view ?? null,
+    customStamps: doc.customStamps ?? [],
+    migratedFrom,
+  };
+}
+
+/** Serialize a current-version document for a `.artgrid.json` file. */
+export function stringifyArtGridDocument(doc) {
+  return `${JSON.stringify(doc, null, 2)}\n`;
+}
+
+function decodePlanMetadata(encoded) {
+  return JSON.parse(decodeURIComponent(atob(encoded.trim())));
+}
+
+function readSvgRootNumber(svgTag, attribute) {
+  const match = svgTag.match(new RegExp(`\\s${attribute}="([0-9.]+)`));
+  return match ? Number(match[1]) : NaN;
+}
+
+/**
+ * Read the document embedded in an SVG written by renderArtGridSvg, of any version.
+ * Works on the raw text so it does not need a DOM.
+ * @param {string} svgText
+ * @returns {ReturnType<typeof parseArtGridDocument>}
+ */
+export function parseArtGridSvg(svgText) {
+  const metadataMatch = String(svgText).match(/<metadata id="occult-floorplan-meta">([^<]*)<\/metadata>/);
+  if (!metadataMatch) throw new Error('This SVG has no art grid metadata; only files exported from this tool can be opened');
+  let metadata;
+  try {
+    metadata = decodePlanMetadata(metadataMatch[1]);
+  } catch (_) {
+    throw new Error('The art grid metadata in this SVG is corrupted');
+  }
+  // The oldest exports left the size to the <svg> element.
+  if (isObject(metadata) && metadata.format === undefined) {
+    const svgTag = String(svgText).match(/<svg\b[^>]*>/)?.[0] ?? '';
+    if (!isFiniteNumber(metadata.width)) metadata.width = readSvgRootNumber(svgTag, 'width');
+    if (!isFiniteNumber(metadata.height)) metadata.height = readSvgRootNumber(svgTag, 'height');
+  }
+  return parseArtGridDocument(metadata);
+}
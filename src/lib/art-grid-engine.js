@@ -2,6 +2,8 @@
  * Art Grid generator - creates geometric art compositions
  */
 
+import { buildGroupTree, toLocalPose, toLocalTransform, formatGroupTransform } from './shape-groups.js';
+
 const DEFAULT_OPTIONS = {
   width: 1200,
   height: 2400,
@@ -13,10 +15,42 @@ const DEFAULT_OPTIONS = {
   maxTextureScale: 2,
   randomRotation: true,
   spread: 1,
+  layout: 'scatter',
+  overlap: 'allow',
+  minGap: 0,
+  symmetry: 'none',
+  symmetryFolds: 6,
   patterns: ['solid', 'hatch', 'cross-hatch', 'dots', 'checkerboard', 'stripes'],
   colors: ['#00ff00', '#ff0000', '#00ffff', '#ff00ff', '#ffff00', '#ffffff', '#0000ff'],
 };
 
+/** Outline primitives drawn from a path; each reads its own parameters from the shape with these fallbacks. */
+export const PRIMITIVE_TYPES = ['triangle', 'polygon', 'star', 'ring', 'arc', 'line', 'diamond'];
+const PRIMITIVE_DEFAULTS = {
+  sides: 6,
+  points: 5,
+  innerRadius: 0.5,
+  sweep: 180,
+  thickness: 0.2,
+  aspect: 0.6,
+};
+
+/** Editor canvas is rendered at most this many units on the smaller axis to reduce memory. */
+const EDITOR_MAX_DIM = 64;
+
+/**
+ * Size of the editor space grids are generated in; exports scale back up to the source size.
+ * @param {number} sourceWidth
+ * @param {number} sourceHeight
+ * @returns {{ w: number, h: number }}
+ */
+export function getEditorSize(sourceWidth, sourceHeight) {
+  const clampedWidth = Math.max(1, Math.min(4000, sourceWidth));
+  const clampedHeight = Math.max(1, Math.min(4000, sourceHeight));
+  const scale = Math.min(EDITOR_MAX_DIM / clampedWidth, EDITOR_MAX_DIM / clampedHeight);
+  return { w: Math.max(1, Math.round(clampedWidth * scale)), h: Math.max(1, Math.round(clampedHeight * scale)) };
+}
+
 function createRng(seed) {
   let state = (Number(seed) >>> 0) || 1;
   return () => {
@@ -35,19 +69,312 @@ function randomChoice(rng, values) {
   return values[randomInt(rng, 0, values.length - 1)];
 }
 
-function generateShape(rng, options, bounds) {
+/** Square placement region around the canvas center; spread above 1 lets shapes run past the border. */
+function getLayoutRegion(options, bounds) {
+  const spread = Math.max(0.1, Number(options.spread) || 1);
+  const halfSide = Math.min(bounds.width, bounds.height) / 2;
+  return { centerX: bounds.width / 2, centerY: bounds.height / 2, extent: halfSide * spread };
+}
+
+export const LAYOUTS = ['scatter', 'grid', 'radial', 'spiral', 'poisson', 'density'];
+
+// Layouts draw positions from their own stream so every other shape attribute matches the scatter layout for a seed.
+const LAYOUT_SEED_SALT = 0x9e3779b9;
+const GOLDEN_ANGLE = Math.PI * (3 - Math.sqrt(5));
+const POISSON_CANDIDATES = 12;
+const DENSITY_MAX_ATTEMPTS = 40;
+const DEFAULT_LAYOUT_JITTER = 0.3;
+const DEFAULT_RADIAL_ARMS = 8;
+
+function jitterOffset(rng, jitter, cellSize) {
+  return (rng() - 0.5) * jitter * cellSize;
+}
+
+function gridLayout(rng, region, count, options) {
+  const jitter = options.layoutJitter;
+  const cols = Math.max(1, Math.ceil(Math.sqrt(count)));
+  const rows = Math.max(1, Math.ceil(count / cols));
+  const cell = (2 * region.extent) / Math.max(cols, rows);
+  const left = region.centerX - (cols * cell) / 2;
+  const top = region.centerY - (rows * cell) / 2;
+  const positions = [];
+  for (let i = 0; i < count; i++) {
+    const col = i % cols;
+    const row = Math.floor(i / cols);
+    positions.push({
+      x: left + (col + 0.5) * cell + jitterOffset(rng, jitter, cell),
+      y: top + (row + 0.5) * cell + jitterOffset(rng, jitter, cell),
+    });
+  }
+  return positions;
+}
+
+/** Concentric rings with one point per radial arm; alternate rings are offset half an arm. */
+function radialLayout(rng, region, count, options) {
+  const arms = Math.max(1, Math.round(options.radialArms ?? DEFAULT_RADIAL_ARMS));
+  const rings = Math.max(1, Math.ceil(count / arms));
+  const ringGap = region.extent / rings;
+  const armAngle = (Math.PI * 2) / arms;
+  const positions = [];
+  for (let i = 0; i < count; i++) {
+    const ring = Math.floor(i / arms) + 1;
+    const angle = (i % arms) * armAngle + (ring % 2 === 0 ? armAngle / 2 : 0) + jitterOffset(rng, options.layoutJitter, armAngle);
+    const radius = ring * ringGap + jitterOffset(rng, options.layoutJitter, ringGap);
+    positions.push({ x: region.centerX + Math.cos(angle) * radius, y: region.centerY + Math.sin(angle) * radius });
+  }
+  return positions;
+}
+
+/** Golden-angle (sunflower) spiral: even coverage of the disc without visible rings. */
+function spiralLayout(rng, region, count) {
+  const positions = [];
+  for (let i = 0; i < count; i++) {
+    const radius = region.extent * Math.sqrt((i + 0.5) / count);
+    const angle = i * GOLDEN_ANGLE;
+    positions.push({ x: region.centerX + Math.cos(angle) * radius, y: region.centerY + Math.sin(angle) * radius });
+  }
+  return positions;
+}
+
+function randomPointInRegion(rng, region) {
+  return {
+    x: region.centerX + (2 * rng() - 1) * region.extent,
+    y: region.centerY + (2 * rng() - 1) * region.extent,
+  };
+}
+
+/** Blue-noise placement via Mitchell's best candidate: keep the candidate farthest from every placed point. */
+function poissonLayout(rng, region, count) {
+  const positions = [];
+  for (let i = 0; i < count; i++) {
+    let best = null;
+    let bestDistance = -1;
+    for (let c = 0; c < POISSON_CANDIDATES; c++) {
+      const candidate = randomPointInRegion(rng, region);
+      let nearest = Infinity;
+      for (const placed of positions) {
+        nearest = Math.min(nearest, (placed.x - candidate.x) ** 2 + (placed.y - candidate.y) ** 2);
+      }
+      if (nearest > bestDistance) {
+        best = candidate;
+        bestDistance = nearest;
+      }
+    }
+    positions.push(best);
+  }
+  return positions;
+}
+
+/** Ink-style density: darker map pixels attract more shapes. The map is stretched over the canvas. */
+function densityLayout(rng, region, count, options, bounds) {
+  const map = options.densityMap;
+  const hasMap = map && map.width > 0 && map.height > 0 && map.data?.length >= map.width * map.height;
+  const weightAt = (x, y) => {
+    if (!hasMap) return 1;
+    const mx = Math.floor((x / bounds.width) * map.width);
+    const my = Math.floor((y / bounds.height) * map.height);
+    if (mx < 0 || my < 0 || mx >= map.width || my >= map.height) return 0;
+    return 1 - map.data[my * map.width + mx] / 255;
+  };
+  const positions = [];
+  for (let i = 0; i < count; i++) {
+    let point = randomPointInRegion(rng, region);
+    for (let attempt = 0; attempt < DENSITY_MAX_ATTEMPTS && rng() > weightAt(point.x, point.y); attempt++) {
+      point = randomPointInRegion(rng, region);
+    }
+    positions.push(point);
+  }
+  return positions;
+}
+
+const LAYOUT_GENERATORS = {
+  grid: gridLayout,
+  radial: radialLayout,
+  spiral: spiralLayout,
+  poisson: poissonLayout,
+  density: densityLayout,
+};
+
+/** Precomputed shape centers for non-random layouts; null means scatter (positions drawn per shape). */
+function createLayoutPositions(options, bounds, count) {
+  const generator = LAYOUT_GENERATORS[options.layout];
+  if (!generator) return null;
+  const rng = createRng((Number(options.seed) ^ LAYOUT_SEED_SALT) >>> 0);
+  const layoutOptions = {
+    ...options,
+    layoutJitter: Math.max(0, Math.min(1, Number(options.layoutJitter ?? DEFAULT_LAYOUT_JITTER) || 0)),
+  };
+  return generator(rng, getLayoutRegion(options, bounds), count, layoutOptions, bounds);
+}
+
+/**
+ * Downsample an image (ImageData-like) to a luminance grid for the density layout.
+ * @param {{ data: Uint8ClampedArray|Uint8Array, width: number, height: number }} bitmap
+ * @param {number} [maxDim]
+ * @returns {{ width: number, height: number, data: number[] }} 0 = black (dense) .. 255 = white (empty); transparent counts as white
+ */
+export function createDensityMap(bitmap, maxDim = 64) {
+  const scale = Math.min(1, maxDim / Math.max(bitmap.width, bitmap.height));
+  const width = Math.max(1, Math.round(bitmap.width * scale));
+  const height = Math.max(1, Math.round(bitmap.height * scale));
+  const data = [];
+  for (let y = 0; y < height; y++) {
+    const y0 = Math.floor((y * bitmap.height) / height);
+    const y1 = Math.max(y0 + 1, Math.floor(((y + 1) * bitmap.height) / height));
+    for (let x = 0; x < width; x++) {
+      const x0 = Math.floor((x * bitmap.width) / width);
+      const x1 = Math.max(x0 + 1, Math.floor(((x + 1) * bitmap.width) / width));
+      let sum = 0;
+      for (let sy = y0; sy < y1; sy++) {
+        for (let sx = x0; sx < x1; sx++) {
+          const i = (sy * bitmap.width + sx) * 4;
+          const alpha = bitmap.data[i + 3] / 255;
+          const luminance = 0.2126 * bitmap.data[i] + 0.7152 * bitmap.data[i + 1] + 0.0722 * bitmap.data[i + 2];
+          sum += luminance * alpha + 255 * (1 - alpha);
+        }
+      }
+      data.push(Math.round(sum / ((x1 - x0) * (y1 - y0))));
+    }
+  }
+  return { width, height, data };
+}
+
+export const GENERATED_SHAPE_TYPES = ['rect', 'circle', ...PRIMITIVE_TYPES];
+
+/**
+ * Pick a non-stamp shape type. Without weights this keeps the original rect/circle pick so existing seeds reproduce.
+ * @param {() => number} rng
+ * @param {Object<string, number>} [weights] - relative weight per GENERATED_SHAPE_TYPES entry; missing = 0
+ */
+function pickShapeType(rng, weights) {
+  const entries = weights
+    ? GENERATED_SHAPE_TYPES.map((type) => [type, Math.max(0, Number(weights[type]) || 0)]).filter(([, weight]) => weight > 0)
+    : [];
+  if (entries.length === 0) return randomChoice(rng, ['rect', 'circle', 'rect', 'circle']);
+  const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+  let remaining = rng() * total;
+  for (const [type, weight] of entries) {
+    remaining -= weight;
+    if (remaining < 0) return type;
+  }
+  return entries[entries.length - 1][0];
+}
+
+/** Random parameters for primitives; rect and circle draw nothing so their seeds are unaffected. */
+function generatePrimitiveParams(rng, type) {
+  switch (type) {
+    case 'polygon':
+      return { sides: randomInt(rng, 5, 8) };
+    case 'star':
+      return { points: randomInt(rng, 4, 8), innerRadius: 0.35 + rng() * 0.25 };
+    case 'ring':
+      return { innerRadius: 0.5 + rng() * 0.3 };
+    case 'arc':
+      return { innerRadius: 0.5 + rng() * 0.3, sweep: randomInt(rng, 90, 270) };
+    case 'line':
+      return { thickness: 0.08 + rng() * 0.17 };
+    case 'diamond':
+      return { aspect: 0.45 + rng() * 0.35 };
+    default:
+      return {};
+  }
+}
+
+/**
+ * Palette entry with generation rules; plain hex strings are entries with default rules.
+ * @typedef {Object} PaletteEntry
+ * @property {string} color
+ * @property {number} [weight] - relative frequency, default 1; 0 disables the color
+ * @property {{ min: number, max: number }} [layers] - only use on shapes in this layer range
+ * @property {boolean} [stampsOnly] - only use on stamp shapes
+ * @property {boolean} [avoidAdjacent] - never touch another shape of the same color
+ * @property {number} [maxUses] - accent cap; 0 or missing = unlimited
+ */
+function normalizePaletteEntry(entry) {
+  const raw = typeof entry === 'string' ? { color: entry } : (entry ?? {});
+  const weight = Number(raw.weight);
+  const min = Number(raw.layers?.min);
+  const max = Number(raw.layers?.max);
+  const maxUses = Math.round(Number(raw.maxUses));
+  return {
+    color: raw.color,
+    weight: Number.isFinite(weight) ? Math.max(0, weight) : 1,
+    layers: Number.isFinite(min) && Number.isFinite(max) ? { min: Math.min(min, max), max: Math.max(min, max) } : null,
+    stampsOnly: raw.stampsOnly === true,
+    avoidAdjacent: raw.avoidAdjacent === true,
+    maxUses: maxUses > 0 ? maxUses : 0,
+  };
+}
+
+/**
+ * Layers of a multi-colour stamp with their palette slots resolved: a layer mapped to a slot takes that palette
+ * colour (wrapping around short palettes), the others keep their original colour.
+ * @param {{ color: string, paletteSlot?: number }[]} layers
+ * @param {(string|PaletteEntry)[]} colors
+ */
+export function resolveStampLayerColors(layers, colors) {
+  const palette = (Array.isArray(colors) ? colors : []).map(normalizePaletteEntry).filter((entry) => typeof entry.color === 'string');
+  return layers.map((layer) => (layer.paletteSlot != null && palette.length
+    ? { ...layer, color: palette[layer.paletteSlot % palette.length].color }
+    : layer));
+}
+
+function weightedPick(roll, entries) {
+  const total = entries.reduce((sum, entry) => sum + entry.weight, 0);
+  if (!(total > 0)) return entries[Math.min(entries.length - 1, Math.floor(roll * entries.length))];
+  let remaining = roll * total;
+  for (const entry of entries) {
+    remaining -= entry.weight;
+    if (remaining < 0) return entry;
+  }
+  return entries[entries.length - 1];
+}
+
+/**
+ * Color chooser honoring palette weights and rules. Each call resolves one shape's color from a roll drawn where
+ * the old uniform pick was, so palettes without weights or rules give the same colors as before.
+ * Rules relax in order (adjacency, then use caps, then layer/stamp limits) only when nothing else is left.
+ * Symmetry copies count towards maxUses through useMultiplier; a copy group starts only when all of it fits under the cap.
+ */
+function createPalettePicker(colors, useMultiplier = 1) {
+  const palette = (Array.isArray(colors) ? colors : []).map(normalizePaletteEntry).filter((entry) => typeof entry.color === 'string');
+  const uses = new Map();
+  const placed = [];
+  return (roll, shape) => {
+    if (palette.length === 0) return '#ffffff';
+    const layer = Number(shape.layer) || 1;
+    const fitsShape = palette.filter((entry) => entry.weight > 0
+      && (!entry.layers || (layer >= entry.layers.min && layer <= entry.layers.max))
+      && (!entry.stampsOnly || shape.type === 'stamp'));
+    const underCap = fitsShape.filter((entry) => !entry.maxUses || (uses.get(entry) ?? 0) + useMultiplier <= entry.maxUses);
+    const apart = underCap.filter((entry) => !entry.avoidAdjacent || !placed.some((other) => other.color === entry.color
+      && (other.x - shape.x) ** 2 + (other.y - shape.y) ** 2 < ((other.size + shape.size) / 2) ** 2));
+    const uncapped = palette.filter((entry) => !entry.maxUses);
+    const candidates = [apart, underCap, uncapped, palette].find((list) => list.length > 0);
+    const entry = weightedPick(roll, candidates);
+    uses.set(entry, (uses.get(entry) ?? 0) + useMultiplier);
+    placed.push({ x: shape.x, y: shape.y, size: shape.size, color: entry.color });
+    return entry.color;
+  };
+}
+
+/**
+ * @param {Object} [hooks]
+ * @param {(point: { x: number, y: number }) => { x: number, y: number }} [hooks.placePoint] - adjusts a scattered position
+ * @param {(roll: number, shape: Object) => string} [hooks.pickColor] - resolves the color once layer and type are known
+ */
+function generateShape(rng, options, bounds, position = null, hooks = {}) {
   const stamps = options.stamps;
   const useStamps = Array.isArray(stamps) && stamps.length > 0;
 
   const size = randomInt(rng, options.minSize, options.maxSize);
-  const spread = Math.max(0.1, Number(options.spread) || 1);
-  const centerX = bounds.width / 2;
-  const centerY = bounds.height / 2;
-  const halfSide = Math.min(bounds.width, bounds.height) / 2;
-  const extent = halfSide * spread;
-  const x = centerX + (2 * rng() - 1) * extent;
-  const y = centerY + (2 * rng() - 1) * extent;
-  const color = randomChoice(rng, options.colors);
+  const { centerX, centerY, extent } = getLayoutRegion(options, bounds);
+  const scatterX = centerX + (2 * rng() - 1) * extent;
+  const scatterY = centerY + (2 * rng() - 1) * extent;
+  const drawn = position ?? { x: scatterX, y: scatterY };
+  const { x, y } = hooks.placePoint ? hooks.placePoint(drawn) : drawn;
+  const colorRoll = rng();
+  const pickColor = hooks.pickColor ?? createPalettePicker(options.colors);
   const pattern = randomChoice(rng, options.patterns);
   const rotation = options.randomRotation !== false ? rng() * 360 : 0;
   const layer = randomInt(rng, 1, 5);
@@ -63,7 +390,7 @@ function generateShape(rng, options, bounds) {
       x,
       y,
       size,
-      color,
+      color: null,
       pattern: 'solid',
       rotation,
       layer,
@@ -79,22 +406,260 @@ function generateShape(rng, options, bounds) {
       shape.stampWidthEditor = stamp.stampWidthEditor;
       shape.stampHeightEditor = stamp.stampHeightEditor;
     }
+    // Manifest stamps remember their asset so exports can re-trace them at a higher resolution.
+    if (stamp.stampId != null) {
+      shape.stampId = stamp.stampId;
+      shape.stampResolution = stamp.stampResolution;
+      if (stamp.stampInverted) shape.stampInverted = true;
+    }
+    if (stamp.stampLayers) shape.stampLayers = resolveStampLayerColors(stamp.stampLayers, options.colors);
+    shape.color = pickColor(colorRoll, shape);
     return shape;
   }
 
-  const shapeType = randomChoice(rng, ['rect', 'circle', 'rect', 'circle']);
-  return {
+  const shapeType = pickShapeType(rng, options.shapeTypeWeights);
+  const shape = {
     type: shapeType,
     x,
     y,
     size,
-    color,
+    color: null,
     pattern,
     rotation,
     layer,
     textureScale,
     id,
+    ...generatePrimitiveParams(rng, shapeType),
   };
+  shape.color = pickColor(colorRoll, shape);
+  return shape;
+}
+
+export const OVERLAP_MODES = ['allow', 'avoid', 'pack'];
+
+// Retry positions come from their own stream so shapes keep the colors and rotations of the overlapping result.
+const PLACEMENT_SEED_SALT = 0x85ebca6b;
+const PLACEMENT_ATTEMPTS = 30;
+const PACK_GROW_STEPS = 10;
+
+const CIRCULAR_FOOTPRINT_TYPES = ['circle', 'ring', 'arc', 'polygon', 'star', 'triangle'];
+
+/**
+ * Collision footprint of a shape: circles stay circles; rects and stamps become boxes rotated with the shape.
+ * Stamps use the stamp's own aspect ratio rather than the square size box.
+ */
+function getShapeFootprint(shape) {
+  const half = shape.size / 2;
+  if (CIRCULAR_FOOTPRINT_TYPES.includes(shape.type)) return { kind: 'circle', x: shape.x, y: shape.y, radius: half };
+  let halfWidth = half;
+  let halfHeight = half;
+  if (shape.type === 'line') halfHeight = half * primitiveParam(shape, 'thickness');
+  if (shape.type === 'diamond') halfWidth = half * primitiveParam(shape, 'aspect');
+  if (shape.type === 'stamp' && shape.stampWidth > 0 && shape.stampHeight > 0) {
+    const longest = Math.max(shape.stampWidth, shape.stampHeight);
+    halfWidth = (half * shape.stampWidth) / longest;
+    halfHeight = (half * shape.stampHeight) / longest;
+  }
+  const angle = ((shape.rotation ?? 0) * Math.PI) / 180;
+  return { kind: 'box', x: shape.x, y: shape.y, halfWidth, halfHeight, cos: Math.cos(angle), sin: Math.sin(angle) };
+}
+
+function boxAxes(box) {
+  return [{ x: box.cos, y: box.sin }, { x: -box.sin, y: box.cos }];
+}
+
+/** Half the length of the box projected onto a unit axis. */
+function boxProjectedRadius(box, axis) {
+  return box.halfWidth * Math.abs(axis.x * box.cos + axis.y * box.sin) + box.halfHeight * Math.abs(-axis.x * box.sin + axis.y * box.cos);
+}
+
+function circleBoxClearance(circle, box) {
+  const dx = circle.x - box.x;
+  const dy = circle.y - box.y;
+  const localX = dx * box.cos + dy * box.sin;
+  const localY = -dx * box.sin + dy * box.cos;
+  const outsideX = Math.max(0, Math.abs(localX) - box.halfWidth);
+  const outsideY = Math.max(0, Math.abs(localY) - box.halfHeight);
+  return Math.hypot(outsideX, outsideY) - circle.radius;
+}
+
+/** True when two footprints are at least `gap` apart (separating-axis test for box pairs). */
+function footprintsClear(a, b, gap) {
+  if (a.kind === 'circle' && b.kind === 'circle') {
+    return Math.hypot(a.x - b.x, a.y - b.y) - a.radius - b.radius >= gap;
+  }
+  if (a.kind === 'circle') return circleBoxClearance(a, b) >= gap;
+  if (b.kind === 'circle') return circleBoxClearance(b, a) >= gap;
+  for (const axis of [...boxAxes(a), ...boxAxes(b)]) {
+    const distance = Math.abs((b.x - a.x) * axis.x + (b.y - a.y) * axis.y);
+    if (distance - boxProjectedRadius(a, axis) - boxProjectedRadius(b, axis) >= gap) return true;
+  }
+  return false;
+}
+
+function fitsAmong(shape, placed, gap) {
+  const footprint = getShapeFootprint(shape);
+  return placed.every((other) => footprintsClear(footprint, other, gap));
+}
+
+/**
+ * Place shapes one by one so none overlaps an earlier one.
+ * 'avoid' retries positions near the intended one (widening each attempt) while easing the size toward minSize,
+ * and drops shapes that still do not fit. 'pack' starts every shape at minSize and grows it as far as space allows.
+ */
+function placeWithoutOverlap(shapes, options, bounds) {
+  const rng = createRng((Number(options.seed) ^ PLACEMENT_SEED_SALT) >>> 0);
+  const gap = Math.max(0, Number(options.minGap) || 0);
+  const pack = options.overlap === 'pack';
+  const { extent } = getLayoutRegion(options, bounds);
+  const placed = [];
+  const footprints = [];
+  for (const shape of shapes) {
+    const targetSize = shape.size;
+    const startSize = pack ? options.minSize : targetSize;
+    let fitted = null;
+    for (let attempt = 0; attempt < PLACEMENT_ATTEMPTS && !fitted; attempt++) {
+      const reach = (attempt / PLACEMENT_ATTEMPTS) * extent;
+      const angle = rng() * Math.PI * 2;
+      const distance = attempt === 0 ? 0 : rng() * reach;
+      const ease = pack ? 0 : attempt / PLACEMENT_ATTEMPTS;
+      const candidate = {
+        ...shape,
+        x: shape.x + Math.cos(angle) * distance,
+        y: shape.y + Math.sin(angle) * distance,
+        size: startSize + (options.minSize - startSize) * ease,
+      };
+      if (candidate.size > 0 && fitsAmong(candidate, footprints, gap)) {
+        fitted = candidate;
+      }
+    }
+    if (!fitted) continue;
+    if (pack) {
+      let low = fitted.size;
+      let high = options.maxSize;
+      for (let step = 0; step < PACK_GROW_STEPS && high - low > 0.01; step++) {
+        const mid = (low + high) / 2;
+        if (fitsAmong({ ...fitted, size: mid }, footprints, gap)) low = mid;
+        else high = mid;
+      }
+      fitted.size = low;
+    }
+    placed.push(fitted);
+    footprints.push(getShapeFootprint(fitted));
+  }
+  return placed;
+}
+
+export const SYMMETRY_MODES = ['none', 'vertical', 'horizontal', 'quad', 'rotational'];
+
+/**
+ * Copy transforms for a symmetry mode, identity first. A transform mirrors across the vertical axis through the
+ * center when `reflect` is set, then rotates `angle` degrees about the center; a horizontal mirror is a vertical
+ * mirror turned 180°.
+ */
+function getSymmetryTransforms(options) {
+  switch (options.symmetry) {
+    case 'vertical':
+      return [{ reflect: false, angle: 0 }, { reflect: true, angle: 0 }];
+    case 'horizontal':
+      return [{ reflect: false, angle: 0 }, { reflect: true, angle: 180 }];
+    case 'quad':
+      return [{ reflect: false, angle: 0 }, { reflect: true, angle: 0 }, { reflect: true, angle: 180 }, { reflect: false, angle: 180 }];
+    case 'rotational': {
+      const folds = Math.max(2, Math.min(24, Math.round(Number(options.symmetryFolds) || 6)));
+      return Array.from({ length: folds }, (_, i) => ({ reflect: false, angle: (360 / folds) * i }));
+    }
+    default:
+      return [{ reflect: false, angle: 0 }];
+  }
+}
+
+/** Map a point into the region the symmetry copies are generated from (left half, top half, or first wedge). */
+function foldIntoFundamentalRegion(point, options, center) {
+  let x = point.x;
+  let y = point.y;
+  if (options.symmetry === 'vertical' || options.symmetry === 'quad') x = Math.min(x, 2 * center.x - x);
+  if (options.symmetry === 'horizontal' || options.symmetry === 'quad') y = Math.min(y, 2 * center.y - y);
+  if (options.symmetry === 'rotational') {
+    const wedge = (Math.PI * 2) / getSymmetryTransforms(options).length;
+    const radius = Math.hypot(x - center.x, y - center.y);
+    const angle = Math.atan2(y - center.y, x - center.x);
+    const folded = ((angle % wedge) + wedge) % wedge;
+    x = center.x + Math.cos(folded) * radius;
+    y = center.y + Math.sin(folded) * radius;
+  }
+  return { x, y };
+}
+
+function isInFundamentalRegion(point, options, center) {
+  const folded = foldIntoFundamentalRegion(point, options, center);
+  return Math.abs(folded.x - point.x) < 1e-9 && Math.abs(folded.y - point.y) < 1e-9;
+}
+
+function normalizeRotation(degrees) {
+  return ((degrees % 360) + 360) % 360;
+}
+
+/** Position, rotation and mirroring of `shape` after a symmetry transform about its center point. */
+function applySymmetryTransform(shape, transform) {
+  const { centerX, centerY } = shape.symmetryTransform;
+  const rad = (transform.angle * Math.PI) / 180;
+  const dx = (transform.reflect ? -1 : 1) * (shape.x - centerX);
+  const dy = shape.y - centerY;
+  return {
+    x: centerX + dx * Math.cos(rad) - dy * Math.sin(rad),
+    y: centerY + dx * Math.sin(rad) + dy * Math.cos(rad),
+    rotation: normalizeRotation((transform.reflect ? -shape.rotation : shape.rotation) + transform.angle),
+    flipX: Boolean(shape.flipX) !== transform.reflect,
+  };
+}
+
+/** Inverse transform: mirrored transforms are their own inverse, plain rotations turn back. */
+function invertSymmetryTransform(transform) {
+  return transform.reflect ? transform : { reflect: false, angle: -transform.angle };
+}
+
+/**
+ * Emit every symmetry copy of each fundamental shape. Copies share a `symmetryGroup` id and remember their
+ * transform from the fundamental shape so the editor can keep them in sync (see syncSymmetryCopies).
+ */
+function expandSymmetryCopies(shapes, transforms, center) {
+  const result = [];
+  for (const shape of shapes) {
+    const group = `sym-${shape.id}`;
+    transforms.forEach((transform, index) => {
+      const source = { ...shape, symmetryTransform: { reflect: false, angle: 0, centerX: center.x, centerY: center.y } };
+      result.push({
+        ...shape,
+        ...applySymmetryTransform(source, transform),
+        id: index === 0 ? shape.id : `${shape.id}-s${index}`,
+        symmetryGroup: group,
+        symmetryTransform: { ...transform, centerX: center.x, centerY: center.y },
+      });
+    });
+  }
+  return result;
+}
+
+/**
+ * After `changed` was moved, rotated or scaled in the editor, update the other shapes of its symmetry group to match.
+ * Mutates the copies in place and returns them; shapes without a symmetry group are left alone.
+ * @param {Object[]} shapes
+ * @param {Object} changed
+ * @returns {Object[]}
+ */
+export function syncSymmetryCopies(shapes, changed) {
+  if (!changed?.symmetryGroup || !changed.symmetryTransform) return [];
+  const source = {
+    ...changed,
+    ...applySymmetryTransform(changed, invertSymmetryTransform(changed.symmetryTransform)),
+  };
+  source.symmetryTransform = { ...changed.symmetryTransform, reflect: false, angle: 0 };
+  const copies = shapes.filter((shape) => shape !== changed && shape.symmetryGroup === changed.symmetryGroup && shape.symmetryTransform);
+  copies.forEach((copy) => {
+    Object.assign(copy, applySymmetryTransform(source, copy.symmetryTransform), { size: changed.size });
+  });
+  return copies;
 }
 
 export function generateArtGrid(userOptions = {}) {
@@ -106,25 +671,87 @@ export function generateArtGrid(userOptions = {}) {
     height: options.height,
   };
   
-  const shapes = [];
-  for (let i = 0; i < options.shapeCount; i++) {
-    shapes.push(generateShape(rng, options, bounds));
-  }
-  
   // Add some additional decorative elements (using the same size range as main shapes)
   const decorativeCount = Math.floor(options.shapeCount * 0.3);
-  for (let i = 0; i < decorativeCount; i++) {
-    shapes.push(generateShape(rng, options, bounds));
+  const totalCount = options.shapeCount + decorativeCount;
+  const center = { x: bounds.width / 2, y: bounds.height / 2 };
+  const symmetryTransforms = getSymmetryTransforms(options);
+  const symmetric = symmetryTransforms.length > 1;
+
+  // With symmetry only the fundamental region is generated: layouts keep their points inside it,
+  // scattered shapes are folded into it.
+  let positions = createLayoutPositions(options, bounds, totalCount);
+  if (positions && symmetric) positions = positions.filter((point) => isInFundamentalRegion(point, options, center));
+  const generatedCount = positions ? positions.length : Math.ceil(totalCount / symmetryTransforms.length);
+
+  const hooks = {
+    placePoint: symmetric && !positions ? (point) => foldIntoFundamentalRegion(point, options, center) : null,
+    pickColor: createPalettePicker(options.colors, symmetryTransforms.length),
+  };
+  const shapes = [];
+  for (let i = 0; i < generatedCount; i++) {
+    shapes.push(generateShape(rng, options, bounds, positions?.[i], hooks));
   }
+  // Overlap checks only see the fundamental shapes; copies along a mirror axis may still touch.
+  const placedShapes = options.overlap === 'avoid' || options.overlap === 'pack'
+    ? placeWithoutOverlap(shapes, options, bounds)
+    : shapes;
+  const finalShapes = symmetric ? expandSymmetryCopies(placedShapes, symmetryTransforms, center) : placedShapes;
   
   return {
     meta: {
       width: options.width,
       height: options.height,
       seed: options.seed,
-      shapeCount: shapes.length,
+      shapeCount: finalShapes.length,
     },
-    shapes,
+    shapes: finalShapes,
+  };
+}
+
+/**
+ * Return a copy of the grid resized from its own units to targetWidth x targetHeight.
+ * Positions scale per axis; sizes and texture scales use the smaller factor so shapes keep their proportions.
+ * @param {Object} grid - { meta: { width, height }, shapes, background, groups? }; group transforms scale like shapes
+ * @param {number} targetWidth
+ * @param {number} targetHeight
+ * @returns {Object}
+ */
+export function scaleArtGrid(grid, targetWidth, targetHeight) {
+  const scaleX = targetWidth / grid.meta.width;
+  const scaleY = targetHeight / grid.meta.height;
+  const sizeScale = Math.min(scaleX, scaleY);
+  const background = grid.background
+    ? { ...grid.background, textureScale: (grid.background.textureScale ?? 1) * sizeScale }
+    : undefined;
+  return {
+    ...grid,
+    meta: { ...grid.meta, width: targetWidth, height: targetHeight },
+    shapes: grid.shapes.map((shape) => ({
+      ...shape,
+      x: shape.x * scaleX,
+      y: shape.y * scaleY,
+      size: shape.size * sizeScale,
+      ...(shape.symmetryTransform && {
+        symmetryTransform: {
+          ...shape.symmetryTransform,
+          centerX: shape.symmetryTransform.centerX * scaleX,
+          centerY: shape.symmetryTransform.centerY * scaleY,
+        },
+      }),
+    })),
+    ...(background && { background }),
+    ...(grid.groups && {
+      groups: grid.groups.map((group) => ({
+        ...group,
+        transform: {
+          ...group.transform,
+          x: group.transform.x * scaleX,
+          y: group.transform.y * scaleY,
+          scale: group.transform.scale * sizeScale,
+        },
+      })),
+    }),
   };
 }
 
@@ -132,6 +759,86 @@ function encodePlanMetadata(metadata) {
   return btoa(encodeURIComponent(JSON.stringify(metadata)));
 }
 
+/** Every shape type a document may contain. */
+export const SHAPE_TYPES = ['rect', 'circle', 'stamp', ...PRIMITIVE_TYPES];
+/** Optional numeric parameters of the primitive shapes. */
+export const PRIMITIVE_PARAMS = Object.keys(PRIMITIVE_DEFAULTS);
+
+/** Name and version written into every document; art-grid-document.js reads and migrates older ones. */
+export const ART_GRID_DOCUMENT_FORMAT = 'artgrid';
+export const ART_GRID_DOCUMENT_VERSION = 3;
+
+function isFiniteNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+/** The persisted fields of a shape; runtime-only fields are left out. */
+export function serializeArtGridShape(shape) {
+  return {
+    id: shape.id,
+    type: shape.type,
+    x: shape.x,
+    y: shape.y,
+    size: shape.size,
+    color: shape.color,
+    pattern: shape.pattern,
+    rotation: shape.rotation,
+    layer: shape.layer ?? 1,
+    textureScale: shape.textureScale ?? 1,
+    ...(shape.flipX && { flipX: true }),
+    ...Object.fromEntries(PRIMITIVE_PARAMS.filter((key) => shape[key] != null).map((key) => [key, shape[key]])),
+    ...(shape.symmetryGroup && {
+      symmetryGroup: shape.symmetryGroup,
+      symmetryTransform: shape.symmetryTransform,
+    }),
+    ...(shape.group != null && { group: shape.group }),
+    ...(shape.type === 'stamp' && {
+      stampPath: shape.stampPath,
+      stampWidth: shape.stampWidth,
+      stampHeight: shape.stampHeight,
+      stampPathResolution: shape.stampPathResolution,
+      ...(shape.stampId != null && {
+        stampId: shape.stampId,
+        stampResolution: shape.stampResolution,
+        ...(shape.stampInverted && { stampInverted: true }),
+      }),
+      ...(shape.stampLayers && { stampLayers: shape.stampLayers }),
+      ...(shape.stampPathEditor != null && {
+        stampPathEditor: shape.stampPathEditor,
+        stampWidthEditor: shape.stampWidthEditor,
+        stampHeightEditor: shape.stampHeightEditor,
+      }),
+    }),
+  };
+}
+
+/** The persisted fields of a shape group (see shape-groups.js). */
+export function serializeArtGridGroup(group) {
+  const { x, y, rotation, scale } = group.transform;
+  return { id: group.id, ...(group.parent != null && { parent: group.parent }), transform: { x, y, rotation, scale } };
+}
+
+/**
+ * The grid as a document of the current version, in the grid's own units. This is what SVG exports embed.
+ * @param {Object} grid - { meta: { width, height, seed }, shapes, background, groups? }
+ * @returns {{ format: string, version: number, meta: { width: number, height: number, seed?: number }, background: object, shapes: object[], groups?: object[] }}
+ */
+export function createArtGridDocument(grid) {
+  const seed = Number(grid.meta.seed);
+  return {
+    format: ART_GRID_DOCUMENT_FORMAT,
+    version: ART_GRID_DOCUMENT_VERSION,
+    meta: {
+      width: grid.meta.width,
+      height: grid.meta.height,
+      ...(isFiniteNumber(seed) && { seed }),
+    },
+    background: grid.background ?? { color: '#000000', textureType: 'solid' },
+    shapes: grid.shapes.map(serializeArtGridShape),
+    ...(grid.groups?.length && { groups: grid.groups.map(serializeArtGridGroup) }),
+  };
+}
+
 export const PATTERNS = ['hatch', 'cross-hatch', 'dots', 'checkerboard', 'stripes'];
 
 function createBackgroundPatternDef(background, id) {
@@ -221,20 +928,128 @@ function compareLayerIds(layerA, layerB) {
   return String(a).localeCompare(String(b));
 }
 
-function renderShape(shape, index) {
+function primitiveParam(shape, key) {
+  const value = Number(shape[key]);
+  return Number.isFinite(value) ? value : PRIMITIVE_DEFAULTS[key];
+}
+
+/** Regular polygon vertices with the first one pointing up, alternating between two radii for stars. */
+function radialPolygon(count, outerRadius, innerRadius = outerRadius) {
+  const vertices = count * (innerRadius === outerRadius ? 1 : 2);
+  const points = [];
+  for (let i = 0; i < vertices; i++) {
+    const radius = i % 2 === 1 && innerRadius !== outerRadius ? innerRadius : outerRadius;
+    const angle = -Math.PI / 2 + (i * Math.PI * 2) / vertices;
+    points.push({ x: Math.cos(angle) * radius, y: Math.sin(angle) * radius });
+  }
+  return points;
+}
+
+/**
+ * Vertices of the polygon-based primitives in shape-local coordinates (centered, unrotated).
+ * @returns {{ x: number, y: number }[] | null} null for primitives with curved edges (ring, arc)
+ */
+function getPrimitivePolygon(shape) {
+  const radius = shape.size / 2;
+  switch (shape.type) {
+    case 'triangle':
+      return radialPolygon(3, radius);
+    case 'polygon':
+      return radialPolygon(Math.max(3, Math.round(primitiveParam(shape, 'sides'))), radius);
+    case 'star':
+      return radialPolygon(Math.max(3, Math.round(primitiveParam(shape, 'points'))), radius, radius * primitiveParam(shape, 'innerRadius'));
+    case 'diamond': {
+      const halfWidth = radius * primitiveParam(shape, 'aspect');
+      return [{ x: 0, y: -radius }, { x: halfWidth, y: 0 }, { x: 0, y: radius }, { x: -halfWidth, y: 0 }];
+    }
+    case 'line': {
+      const halfHeight = radius * primitiveParam(shape, 'thickness');
+      return [{ x: -radius, y: -halfHeight }, { x: radius, y: -halfHeight }, { x: radius, y: halfHeight }, { x: -radius, y: halfHeight }];
+    }
+    default:
+      return null;
+  }
+}
+
+function formatPathNumber(n) {
+  return String(Math.round(n * 1000) / 1000);
+}
+
+function polarPoint(radius, angle) {
+  return `${formatPathNumber(Math.cos(angle) * radius)},${formatPathNumber(Math.sin(angle) * radius)}`;
+}
+
+/** Arc band: `sweep` degrees centered on the top, between innerRadius and the outer edge. */
+function getArcAngles(shape) {
+  const sweep = (Math.max(1, Math.min(359, primitiveParam(shape, 'sweep'))) * Math.PI) / 180;
+  return { start: -Math.PI / 2 - sweep / 2, end: -Math.PI / 2 + sweep / 2, sweep };
+}
+
+/**
+ * SVG path data for a primitive in shape-local coordinates; shared by the SVG and canvas renderers.
+ * Rings rely on the evenodd fill rule for their hole.
+ * @returns {string}
+ */
+export function getPrimitivePath(shape) {
+  const polygon = getPrimitivePolygon(shape);
+  if (polygon) {
+    return `M${polygon.map((p) => `${formatPathNumber(p.x)},${formatPathNumber(p.y)}`).join('L')}Z`;
+  }
+  const outer = shape.size / 2;
+  const inner = outer * Math.max(0, Math.min(0.95, primitiveParam(shape, 'innerRadius')));
+  if (shape.type === 'ring') {
+    const o = formatPathNumber(outer);
+    const i = formatPathNumber(inner);
+    return `M${o},0A${o},${o} 0 1 1 ${-o},0A${o},${o} 0 1 1 ${o},0ZM${i},0A${i},${i} 0 1 0 ${-i},0A${i},${i} 0 1 0 ${i},0Z`;
+  }
+  if (shape.type === 'arc') {
+    const { start, end, sweep } = getArcAngles(shape);
+    const large = sweep > Math.PI ? 1 : 0;
+    const o = formatPathNumber(outer);
+    const i = formatPathNumber(inner);
+    return `M${polarPoint(outer, start)}A${o},${o} 0 ${large} 1 ${polarPoint(outer, end)}L${polarPoint(inner, end)}A${i},${i} 0 ${large} 0 ${polarPoint(inner, start)}Z`;
+  }
+  return '';
+}
+
+function isPointInPolygon(points, x, y) {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const a = points[i];
+    const b = points[j];
+    if ((a.y > y) !== (b.y > y) && x < ((b.x - a.x) * (y - a.y)) / (b.y - a.y) + a.x) inside = !inside;
+  }
+  return inside;
+}
+
+/** Hit test for primitives in shape-local coordinates, matching getPrimitivePath. */
+function isPointInPrimitive(shape, localX, localY) {
+  const polygon = getPrimitivePolygon(shape);
+  if (polygon) return isPointInPolygon(polygon, localX, localY);
+  const outer = shape.size / 2;
+  const inner = outer * Math.max(0, Math.min(0.95, primitiveParam(shape, 'innerRadius')));
+  const distance = Math.hypot(localX, localY);
+  if (distance > outer || distance < inner) return false;
+  if (shape.type === 'ring') return true;
+  const { start, sweep } = getArcAngles(shape);
+  const offset = (((Math.atan2(localY, localX) - start) % (Math.PI * 2)) + Math.PI * 2) % (Math.PI * 2);
+  return offset <= sweep;
+}
+
+function renderShape(shape, index, useSourceStampPath = false) {
   const patternId = `pattern-${index}`;
   const fill = shape.pattern === 'solid' ? shape.color : `url(#${patternId})`;
   const stroke = shape.pattern === 'solid' ? '#000000' : shape.color;
   const strokeWidth = shape.pattern === 'solid' ? 0.5 : 0.25;
   
-  const transform = `translate(${shape.x}, ${shape.y}) rotate(${shape.rotation})`;
+  const transform = `translate(${shape.x}, ${shape.y}) rotate(${shape.rotation})${shape.flipX ? ' scale(-1, 1)' : ''}`;
   const layer = shape.layer || 1;
   const halfSize = shape.size / 2;
   const hitArea = `<rect class="art-shape-hit-area" x="${-halfSize}" y="${-halfSize}" width="${shape.size}" height="${shape.size}" fill="white" fill-opacity="0.001" pointer-events="all" />`;
 
   // Handle stamp shapes (with optional texture pattern). Use the lightweight editor path when present.
   if (shape.type === 'stamp' && shape.stampPath) {
-    const useEditorPath = shape.stampPathEditor != null && shape.stampWidthEditor != null && shape.stampHeightEditor != null
+    const useEditorPath = !useSourceStampPath && shape.stampPathEditor != null && shape.stampWidthEditor != null && shape.stampHeightEditor != null
     const pathD = useEditorPath ? shape.stampPathEditor : shape.stampPath
     const w = useEditorPath ? shape.stampWidthEditor : shape.stampWidth
     const h = useEditorPath ? shape.stampHeightEditor : shape.stampHeight
@@ -250,13 +1065,30 @@ function renderShape(shape, index) {
     const strokeAttrs = stampPattern === 'solid'
       ? 'stroke="none"'
       : `stroke="${stampStroke}" stroke-width="${stampStrokeWidth}" vector-effect="non-scaling-stroke"`
+    const pathTransform = `translate(${-centerX * scale}, ${-centerY * scale}) scale(${scale})`
+    const shapeRendering = (d) => (/[QC]/.test(d) ? 'geometricPrecision' : 'crispEdges')
+    // Multi-colour stamps draw each colour layer in its own fill; textures do not apply to them.
+    const body = shape.stampLayers?.length
+      ? `<g transform="${pathTransform}">${shape.stampLayers.map((stampLayer) => {
+        const d = stampLayer.stampPath == null ? pathD : (useEditorPath ? stampLayer.stampPathEditor : stampLayer.stampPath)
+        return d ? `<path d="${d}" fill="${stampLayer.color}" stroke="none" shape-rendering="${shapeRendering(d)}" />` : ''
+      }).join('')}</g>`
+      : `<path d="${pathD}" fill="${stampFill}" ${strokeAttrs} shape-rendering="${shapeRendering(pathD)}" transform="${pathTransform}" />`
     return `
 <g class="art-shape" data-id="${shape.id}" data-layer="${layer}" data-plan-x="${shape.x}" data-plan-y="${shape.y}" transform="${transform}">
   ${hitArea}
-  <path d="${pathD}" fill="${stampFill}" ${strokeAttrs} shape-rendering="crispEdges" transform="translate(${-centerX * scale}, ${-centerY * scale}) scale(${scale})" />
+  ${body}
 </g>`;
   }
   
+  if (PRIMITIVE_TYPES.includes(shape.type)) {
+    return `
+<g class="art-shape" data-id="${shape.id}" data-layer="${layer}" data-plan-x="${shape.x}" data-plan-y="${shape.y}" transform="${transform}">
+  ${hitArea}
+  <path d="${getPrimitivePath(shape)}" fill="${fill}" fill-rule="evenodd" stroke="${stroke}" stroke-width="${strokeWidth}" vector-effect="non-scaling-stroke" />
+</g>`;
+  }
+
   if (shape.type === 'circle') {
     return `
 <g class="art-shape" data-id="${shape.id}" data-layer="${layer}" data-plan-x="${shape.x}" data-plan-y="${shape.y}" transform="${transform}">
@@ -272,7 +1104,14 @@ function renderShape(shape, index) {
   }
 }
 
+/**
+ * Render the art grid as a standalone SVG document with the plan metadata embedded.
+ * @param {Object} grid - { meta: { width, height, seed }, shapes, background }
+ * @param {{ fullResolutionStamps?: boolean }} [options] - fullResolutionStamps draws stamps with their source path instead of the lightweight editor path
+ * @returns {string}
+ */
 export function renderArtGridSvg(grid, options = {}) {
+  const useSourceStampPaths = options.fullResolutionStamps === true;
   const width = grid.meta.width;
   const height = grid.meta.height;
   const background = grid.background ?? { color: '#000000', textureType: 'solid' };
@@ -292,37 +1131,25 @@ export function renderArtGridSvg(grid, options = {}) {
     bgFill = 'url(#bg-stamp)';
   }
 
-  const shapes = shapesDrawOrderSorted
-    .map((shape, index) => renderShape(shape, index))
+  // Groups become nested <g> elements holding their transform, with the shapes inside placed relative to it. A group
+  // whose shapes are split by other layers gets one <g> per run, so the export keeps the canvas draw order.
+  const drawIndex = new Map(shapesDrawOrderSorted.map((shape, index) => [shape, index]));
+  const renderNodes = (nodes, frame) => nodes
+    .map((node) => {
+      if (node.shape) {
+        const shape = frame ? { ...node.shape, ...toLocalPose(node.shape, frame) } : node.shape;
+        return renderShape(shape, drawIndex.get(node.shape), useSourceStampPaths);
+      }
+      const { group } = node;
+      const transform = frame ? toLocalTransform(group.transform, frame) : group.transform;
+      return `
+<g class="art-group" data-group-id="${group.id}" transform="${formatGroupTransform(transform)}">${renderNodes(node.children, group.transform)}
+</g>`;
+    })
     .join('');
+  const shapes = renderNodes(buildGroupTree(shapesDrawOrderSorted, grid.groups, { runs: true }), null);
   
-  const metadata = encodePlanMetadata({
-    seed: Number(grid.meta.seed),
-    background,
-    shapes: grid.shapes.map((shape) => ({
-      id: shape.id,
-      type: shape.type,
-      x: shape.x,
-      y: shape.y,
-      size: shape.size,
-      color: shape.color,
-      pattern: shape.pattern,
-      rotation: shape.rotation,
-      layer: shape.layer || 1,
-      textureScale: shape.textureScale ?? 1,
-      ...(shape.type === 'stamp' && {
-        stampPath: shape.stampPath,
-        stampWidth: shape.stampWidth,
-        stampHeight: shape.stampHeight,
-        stampPathResolution: shape.stampPathResolution,
-        ...(shape.stampPathEditor != null && {
-          stampPathEditor: shape.stampPathEditor,
-          stampWidthEditor: shape.stampWidthEditor,
-          stampHeightEditor: shape.stampHeightEditor,
-        }),
-      }),
-    })),
-  });
+  const metadata = encodePlanMetadata(createArtGridDocument({ ...grid, background }));
   
   return `<?xml version="1.0" encoding="UTF-8" standalone="no"?>
 <svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" shape-rendering="geometricPrecision" text-rendering="geometricPrecision" image-rendering="optimizeQuality" color-interpolation-filters="sRGB" data-base-viewbox="0 0 ${width} ${height}" role="img" aria-label="Generated dope throne grid">
@@ -524,7 +1351,7 @@ function drawBackground(ctx, grid, width, height, pixelScale = 1) {
   }
 }
 
-function drawShape(ctx, shape, patternCacheGetter) {
+function drawShape(ctx, shape, patternCacheGetter, useSourceStampPath = false) {
   const layer = shape.layer || 1;
   const halfSize = shape.size / 2;
   const strokeWidth = shape.pattern === 'solid' ? 0.5 : 0.25;
@@ -533,6 +1360,7 @@ function drawShape(ctx, shape, patternCacheGetter) {
   ctx.save();
   ctx.translate(shape.x, shape.y);
   ctx.rotate((shape.rotation * Math.PI) / 180);
+  if (shape.flipX) ctx.scale(-1, 1);
 
   let fillStyle = shape.color;
   if (shape.pattern !== 'solid') {
@@ -549,8 +1377,12 @@ function drawShape(ctx, shape, patternCacheGetter) {
     ctx.arc(0, 0, shape.size / 2, 0, Math.PI * 2);
     ctx.fill();
     ctx.stroke();
+  } else if (PRIMITIVE_TYPES.includes(shape.type)) {
+    const path = new Path2D(getPrimitivePath(shape));
+    ctx.fill(path, 'evenodd');
+    ctx.stroke(path);
   } else if (shape.type === 'stamp' && shape.stampPath) {
-    const useEditor = shape.stampPathEditor != null && shape.stampWidthEditor != null && shape.stampHeightEditor != null;
+    const useEditor = !useSourceStampPath && shape.stampPathEditor != null && shape.stampWidthEditor != null && shape.stampHeightEditor != null;
     const pathD = useEditor ? shape.stampPathEditor : shape.stampPath;
     const w = useEditor ? shape.stampWidthEditor : shape.stampWidth;
     const h = useEditor ? shape.stampHeightEditor : shape.stampHeight;
@@ -567,8 +1399,17 @@ function drawShape(ctx, shape, patternCacheGetter) {
         ctx.save();
         ctx.translate(-centerX * scale, -centerY * scale);
         ctx.scale(scale, scale);
-        ctx.fill(path);
-        if (shape.pattern !== 'solid') {
+        if (shape.stampLayers?.length) {
+          for (const stampLayer of shape.stampLayers) {
+            const d = stampLayer.stampPath == null ? pathD : (useEditor ? stampLayer.stampPathEditor : stampLayer.stampPath);
+            if (!d) continue;
+            ctx.fillStyle = stampLayer.color;
+            ctx.fill(d === pathD ? path : new Path2D(d));
+          }
+        } else {
+          ctx.fill(path);
+        }
+        if (shape.pattern !== 'solid' && !shape.stampLayers?.length) {
           ctx.lineWidth = 0.25 / scale;
           ctx.stroke(path);
         }
@@ -599,8 +1440,9 @@ function shapesDrawOrder(shapes) {
  * @param {{ minX: number, minY: number, width: number, height: number }} viewTransform - viewport in scene coordinates (same semantics as SVG viewBox)
  * @param {number} canvasWidth - canvas element width in pixels
  * @param {number} canvasHeight - canvas element height in pixels
+ * @param {{ fullResolutionStamps?: boolean, transparentBackground?: boolean }} [options] - export settings; the editor uses the defaults
  */
-export function renderArtGridCanvas(grid, ctx, viewTransform, canvasWidth, canvasHeight) {
+export function renderArtGridCanvas(grid, ctx, viewTransform, canvasWidth, canvasHeight, options = {}) {
   const { minX, minY, width, height } = viewTransform;
   const scaleX = canvasWidth / width;
   const scaleY = canvasHeight / height;
@@ -615,12 +1457,13 @@ export function renderArtGridCanvas(grid, ctx, viewTransform, canvasWidth, canva
   ctx.clip();
 
   const pixelScale = Math.max(1, Math.min(scaleX, scaleY));
-  drawBackground(ctx, grid, gw, gh, pixelScale);
+  if (!options.transparentBackground) drawBackground(ctx, grid, gw, gh, pixelScale);
 
+  const useSourceStampPaths = options.fullResolutionStamps === true;
   const getPattern = (patternType, color, textureScale) => getCachedPattern(ctx, patternType, color, textureScale);
   const ordered = shapesDrawOrder(grid.shapes);
   for (const shape of ordered) {
-    drawShape(ctx, shape, getPattern);
+    drawShape(ctx, shape, getPattern, useSourceStampPaths);
   }
 
   ctx.restore();
@@ -633,7 +1476,8 @@ function sceneToShapeLocal(shape, sceneX, sceneY) {
   const sin = Math.sin(-rad);
   const dx = sceneX - shape.x;
   const dy = sceneY - shape.y;
-  return { x: dx * cos - dy * sin, y: dx * sin + dy * cos };
+  const localX = dx * cos - dy * sin;
+  return { x: shape.flipX ? -localX : localX, y: dx * sin + dy * cos };
 }
 
 /**
@@ -650,6 +1494,9 @@ export function isPointInShape(shape, sceneX, sceneY) {
   if (shape.type === 'circle') {
     return localX * localX + localY * localY <= half * half;
   }
+  if (PRIMITIVE_TYPES.includes(shape.type)) {
+    return isPointInPrimitive(shape, localX, localY);
+  }
   if (shape.type === 'rect' || (!shape.type && true)) {
     return Math.abs(localX) <= half && Math.abs(localY) <= half;
   }
@@ -1,4 +1,13 @@
-import { generateArtGrid, renderArtGridCanvas, isPointInShape, shapesHitTestOrder, PATTERNS } from './art-grid-engine.js'
+import { generateArtGrid, renderArtGridCanvas, renderArtGridSvg, createArtGridDocument, ART_GRID_DOCUMENT_FORMAT, ART_GRID_DOCUMENT_VERSION, scaleArtGrid, getEditorSize, createDensityMap, isPointInShape, shapesHitTestOrder, PATTERNS, LAYOUTS, OVERLAP_MODES, SYMMETRY_MODES, GENERATED_SHAPE_TYPES, syncSymmetryCopies, resolveStampLayerColors } from './art-grid-engine.js'
+import { ART_GRID_FILE_EXTENSION, ART_GRID_FILE_TYPE, parseArtGridDocument, parseArtGridSvg, stringifyArtGridDocument } from './art-grid-document.js'
+import { encodeShareToken, decodeShareToken, readShareToken, createShareUrl, diffArtGridShapes, applyArtGridShapesDiff } from './share-link.js'
+import { STAMP_PATH_RESOLUTION_SOURCE, DEFAULT_STAMP_TRACING, DEFAULT_STAMP_BINARIZATION, STAMP_BINARIZATION_MODES, normalizeStampBinarization, resolveStampBinarization, classifyStampPixels, findStampBounds, binarizeStampBitmap, maskStampBitmap, COLOR_STAMP_BINARIZATION, MAX_STAMP_COLOR_REGIONS, quantizeStampColors, bitmapToSvgPath, createStampPaths, buildStampPool } from './stamp-bitmap.js'
+import { importSvgStamp } from './svg-stamp.js'
+import { ALIGN_EDGES, getShapeBox, getShapesBounds, alignShapes, distributeShapes, matchSize, matchRotation, arrangeInGrid, arrangeInCircle } from './shape-arrange.js'
+import { collectSnapTargets, snapBox, snapSize } from './shape-snap.js'
+import { createGroupId, indexGroups, getGroupChain, getGroupShapeIds, getSelectableGroup, buildGroupTree, pruneGroups, transformGroupFrame } from './shape-groups.js'
+import { STAMP_MANIFEST_FILE, normalizeStampManifest, chooseStampResolution, getStampResolutionScale, scaleTracingForResolution } from './stamp-manifest.js'
+import { isProjectStorageAvailable, createProjectId, listProjects, loadProject, saveProject, renameProject, duplicateProject, deleteProject, saveProjectRecovery, loadProjectRecovery, clearProjectRecovery } from './project-store.js'
 import Tesseract from 'tesseract.js'
 
 const HEX_IN_IMAGE_REGEX = /#?([0-9a-fA-F]{6})\b/g
@@ -26,28 +35,169 @@ async function extractHexCodesFromImage(blob) {
   return out
 }
 
-function encodeSvgMetadata(metadata) {
-  return btoa(encodeURIComponent(JSON.stringify(metadata)))
-}
-
 const MAX_SEED = 4294967295
 const SETTINGS_KEY = 'artGrid.settings'
+/** Id of the project that was open last, reopened on the next visit. */
+const CURRENT_PROJECT_KEY = 'artGrid.currentProject'
+/** Longest share link that still carries hand edits; longer edit diffs are left out and the link only regenerates. */
+const MAX_SHARE_URL_LENGTH = 16000
 const DEFAULT_COLORS = ['#00ff00', '#ff0000', '#00ffff', '#ff00ff', '#ffff00', '#ffffff', '#0000ff']
+const DEFAULT_PALETTE_RULES = { weight: 1, layers: null, stampsOnly: false, avoidAdjacent: false, maxUses: 0 }
+const PALETTE_LAYER_RANGES = [[1, 2], [1, 3], [2, 4], [3, 5], [4, 5], [1, 1], [2, 2], [3, 3], [4, 4], [5, 5]]
 const MAX_PALETTE_COLORS_FROM_IMAGE = 32
+const CUSTOM_STAMPS_KEY = 'artGrid.customStamps'
+const IMPORTED_STAMPS_CATEGORY = 'Imported'
+/** Imported PNG/JPEG stamps are scaled down to this longest side, in line with the built-in @2x assets. */
+const STAMP_IMPORT_MAX_DIM = 512
+const STAMP_IMPORT_PREVIEW_DIM = 96
+const STAMP_BINARIZATION_PREVIEW_COUNT = 6
+/** Uploaded artwork is rarely pure black on a grid, so imports start from a plain mid-grey threshold. */
+const STAMP_IMPORT_DEFAULT_BINARIZATION = { ...DEFAULT_STAMP_BINARIZATION, gridFilter: false }
+
+/** Largest side of one raster render pass; keeps each tile well inside browser canvas limits. */
+const RASTER_TILE_MAX_DIM = 4096
+/** Raster exports above this many pixels are downloaded as separate tile images instead of one canvas. */
+const MAX_RASTER_CANVAS_AREA = 8192 * 8192
+const RASTER_FORMATS = {
+  png: { mime: 'image/png', extension: 'png', label: 'PNG', supportsAlpha: true, lossy: false },
+  jpeg: { mime: 'image/jpeg', extension: 'jpg', label: 'JPEG', supportsAlpha: false, lossy: true },
+  webp: { mime: 'image/webp', extension: 'webp', label: 'WebP', supportsAlpha: true, lossy: true },
+}
+
+/**
+ * Split an output image into tiles no larger than maxTileDim on either side.
+ * @returns {{ row: number, col: number, x: number, y: number, w: number, h: number }[]}
+ */
+function planRasterTiles(outputW, outputH, maxTileDim) {
+  const tiles = []
+  const cols = Math.ceil(outputW / maxTileDim)
+  const rows = Math.ceil(outputH / maxTileDim)
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      const x = col * maxTileDim
+      const y = row * maxTileDim
+      tiles.push({ row, col, x, y, w: Math.min(maxTileDim, outputW - x), h: Math.min(maxTileDim, outputH - y) })
+    }
+  }
+  return tiles
+}
+
+/** @returns {Promise<Blob>} Rejects when the browser cannot encode the canvas or silently falls back to another format. */
+function canvasToBlob(canvas, mime, quality) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (!blob) reject(new Error('The browser could not encode the image; try a smaller scale'))
+      else if (blob.type !== mime) reject(new Error(`This browser cannot encode ${mime}`))
+      else resolve(blob)
+    }, mime, quality)
+  })
+}
+
+const nextTick = () => new Promise((resolve) => setTimeout(resolve, 0))
+
+/** Editors mounted so far; later ones number their element ids so several can share a page. */
+let mountedToolCount = 0
+/**
+ * The editor that owns page-wide state: project storage, the saved settings and share links in the URL hash.
+ * Editors mounted while another one owns it work without them, so two editors never write over each other.
+ */
+let pageStateOwner = null
+
+/** How close (in screen pixels) a dragged shape has to come to a snap target before it snaps. */
+const SNAP_THRESHOLD_PX = 8
+
+/** How far (in source pixels) a duplicate, or a paste over its originals, lands from the shapes it copies. */
+const COPY_OFFSET_PX = 20
+/**
+ * The last shapes copied on this page, as clipboard text. Paste falls back to it when the browser will not let the
+ * page read the system clipboard; copies in other tabs need the system clipboard.
+ */
+let shapeClipboard = null
 
-/** Editor canvas is rendered at most this many units on the smaller axis to reduce memory. */
-const EDITOR_MAX_DIM = 64
+/** Events a controller emits; on() rejects other names so a typo does not fail silently. */
+const CONTROLLER_EVENTS = ['change', 'selection', 'generate', 'error']
+
+/**
+ * Handler registry for the controller's events. A handler that throws does not stop the others: its error is
+ * emitted as an 'error' event with action 'handler', and one thrown by an 'error' handler is rethrown
+ * asynchronously, as an uncaught error of the page.
+ */
+function createControllerEvents() {
+  const handlers = new Map(CONTROLLER_EVENTS.map((event) => [event, new Set()]))
+  const off = (event, handler) => {
+    handlers.get(event)?.delete(handler)
+  }
+  const emit = (event, detail) => {
+    for (const handler of [...handlers.get(event)]) {
+      try {
+        handler(detail)
+      } catch (error) {
+        if (event === 'error') {
+          queueMicrotask(() => {
+            throw error
+          })
+        } else {
+          emit('error', { action: 'handler', event, error })
+        }
+      }
+    }
+  }
+  return {
+    on(event, handler) {
+      if (!handlers.has(event)) throw new Error(`Unknown event "${event}"; expected one of ${CONTROLLER_EVENTS.join(', ')}`)
+      if (typeof handler !== 'function') throw new Error(`The "${event}" handler must be a function`)
+      handlers.get(event).add(handler)
+      return () => off(event, handler)
+    },
+    off,
+    emit,
+    clear() {
+      handlers.forEach((set) => set.clear())
+    },
+  }
+}
 
 /**
- * @param {number} sourceWidth
- * @param {number} sourceHeight
- * @returns {{ w: number, h: number }}
+ * Modal shell built from the design-system modal classes; closes on Escape and on backdrop click.
+ * @param {string} titleId
+ * @param {string} titleText
+ * @param {() => void} [onOpen] - runs each time the dialog opens
+ * @returns {{ root: HTMLElement, body: HTMLElement, actions: HTMLElement, isOpen: () => boolean, setOpen: (open: boolean) => void }}
  */
-function getEditorSize(sourceWidth, sourceHeight) {
-  const clampedWidth = Math.max(1, Math.min(4000, sourceWidth))
-  const clampedHeight = Math.max(1, Math.min(4000, sourceHeight))
-  const scale = Math.min(EDITOR_MAX_DIM / clampedWidth, EDITOR_MAX_DIM / clampedHeight)
-  return { w: Math.max(1, Math.round(clampedWidth * scale)), h: Math.max(1, Math.round(clampedHeight * scale)) }
+function createToolDialog(titleId, titleText, onOpen) {
+  const root = document.createElement('div')
+  root.className = 'modal ag-modal hidden'
+  root.setAttribute('role', 'dialog')
+  root.setAttribute('aria-modal', 'true')
+  root.setAttribute('aria-labelledby', titleId)
+  root.innerHTML = `<div class="modal-backdrop"></div><div class="modal-content"><div class="modal-header"><h2 class="modal-title" id="${titleId}"></h2></div><div class="modal-body"></div><div class="modal-actions"></div></div>`
+  root.querySelector('.modal-title').textContent = titleText
+  // Focus goes back to where it was on close, so the editor's shortcuts keep working.
+  let returnFocus = null
+  const dialog = {
+    root,
+    body: root.querySelector('.modal-body'),
+    actions: root.querySelector('.modal-actions'),
+    isOpen: () => !root.classList.contains('hidden'),
+    setOpen: (open) => {
+      if (open && !dialog.isOpen()) returnFocus = document.activeElement
+      root.classList.toggle('hidden', !open)
+      if (open && onOpen) onOpen()
+      if (!open && returnFocus) {
+        if (returnFocus.isConnected) returnFocus.focus({ preventScroll: true })
+        returnFocus = null
+      }
+    },
+  }
+  root.querySelector('.modal-backdrop').addEventListener('click', () => dialog.setOpen(false))
+  root.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      e.stopPropagation()
+      dialog.setOpen(false)
+    }
+  })
+  document.body.appendChild(root)
+  return dialog
 }
 
 /**
@@ -216,6 +366,114 @@ function createRangeField(labelText, id, value, min, max, step = 1) {
   return { row, input }
 }
 
+const BINARIZATION_MODE_LABELS = { average: 'Dark pixels (average brightness)', luma: 'Dark pixels (perceived luma)', alpha: 'Opaque pixels (alpha)' }
+const STAMP_REGION_COLOR_LABELS = { original: 'Original colors', palette: 'Palette colors, in region order' }
+
+function createCheckboxField(labelText, id, checked) {
+  const row = document.createElement('label')
+  row.className = 'floor-plan-control'
+  row.style.display = 'flex'
+  row.style.alignItems = 'center'
+  row.style.gap = '8px'
+  const input = document.createElement('input')
+  input.type = 'checkbox'
+  input.id = id
+  input.checked = checked
+  row.append(input, document.createTextNode(labelText))
+  return { row, input }
+}
+
+/**
+ * Controls for a StampBinarization (see stamp-bitmap.js). Rows that do not apply to the chosen mode are hidden.
+ * @returns {{ root: HTMLElement, read: () => object, write: (value: object) => void, onInput: (callback: () => void) => void }}
+ */
+function createBinarizationControls(idPrefix, initial) {
+  const root = document.createElement('div')
+  root.className = 'ag-binarization'
+  const modeRow = document.createElement('label')
+  modeRow.className = 'floor-plan-control'
+  modeRow.setAttribute('for', `${idPrefix}-mode`)
+  modeRow.textContent = 'Shape from'
+  const modeSelect = document.createElement('select')
+  modeSelect.id = `${idPrefix}-mode`
+  STAMP_BINARIZATION_MODES.forEach((mode) => {
+    const opt = document.createElement('option')
+    opt.value = mode
+    opt.textContent = BINARIZATION_MODE_LABELS[mode]
+    modeSelect.appendChild(opt)
+  })
+  modeRow.appendChild(modeSelect)
+  const gridFilter = createCheckboxField('Drop grey grid pixels', `${idPrefix}-grid`, initial.gridFilter)
+  gridFilter.row.title = 'Only near-black pixels become the shape and near-white ones the inverted shape; greys in between are ignored'
+  const blackMaxRow = createRangeField('Shape darker than', `${idPrefix}-black`, initial.blackMax, 0, 255)
+  const whiteMinRow = createRangeField('Inverted shape lighter than', `${idPrefix}-white`, initial.whiteMin, 0, 255)
+  const thresholdRow = createRangeField('Threshold', `${idPrefix}-threshold`, initial.threshold, 0, 255)
+  const otsu = createCheckboxField('Auto threshold (Otsu)', `${idPrefix}-otsu`, initial.otsu)
+  otsu.row.title = 'Pick the threshold per stamp from its histogram'
+  const alphaRow = createRangeField('Ignore pixels with opacity below', `${idPrefix}-alpha`, initial.alphaCutoff, 0, 255)
+  root.append(modeRow, gridFilter.row, blackMaxRow.row, whiteMinRow.row, thresholdRow.row, otsu.row, alphaRow.row)
+
+  const read = () => normalizeStampBinarization({
+    mode: modeSelect.value,
+    threshold: thresholdRow.input.value,
+    otsu: otsu.input.checked,
+    gridFilter: gridFilter.input.checked,
+    blackMax: blackMaxRow.input.value,
+    whiteMin: whiteMinRow.input.value,
+    alphaCutoff: alphaRow.input.value,
+  })
+  const updateVisibility = () => {
+    const { mode, gridFilter: band, otsu: auto } = read()
+    const brightness = mode !== 'alpha'
+    gridFilter.row.style.display = brightness ? 'flex' : 'none'
+    blackMaxRow.row.style.display = brightness && band ? '' : 'none'
+    whiteMinRow.row.style.display = brightness && band ? '' : 'none'
+    thresholdRow.row.style.display = brightness && band ? 'none' : ''
+    otsu.row.style.display = brightness && band ? 'none' : 'flex'
+    thresholdRow.input.disabled = auto
+    alphaRow.row.style.display = brightness ? '' : 'none'
+  }
+  const write = (value) => {
+    const b = normalizeStampBinarization(value)
+    modeSelect.value = b.mode
+    gridFilter.input.checked = b.gridFilter
+    otsu.input.checked = b.otsu
+    ;[[blackMaxRow, b.blackMax], [whiteMinRow, b.whiteMin], [thresholdRow, b.threshold], [alphaRow, b.alphaCutoff]].forEach(([field, level]) => {
+      field.input.value = String(level)
+      field.row.querySelector('strong').textContent = String(level)
+    })
+    updateVisibility()
+  }
+  const inputs = [modeSelect, gridFilter.input, otsu.input, blackMaxRow.input, whiteMinRow.input, thresholdRow.input, alphaRow.input]
+  inputs.forEach((input) => input.addEventListener('input', updateVisibility))
+  write(initial)
+  return {
+    root,
+    read,
+    write,
+    onInput: (callback) => inputs.forEach((input) => input.addEventListener('input', callback)),
+  }
+}
+
+/**
+ * Draw a binarization preview of a bitmap: shape pixels white, inverted-shape pixels dim grey, dropped pixels clear.
+ * @param {HTMLCanvasElement} canvas - resized to the bitmap
+ */
+function drawBinarizationPreview(canvas, bitmap, binarization) {
+  canvas.width = bitmap.width
+  canvas.height = bitmap.height
+  const ctx = canvas.getContext('2d')
+  if (!ctx) return
+  const classes = classifyStampPixels(bitmap, binarization)
+  const image = ctx.createImageData(bitmap.width, bitmap.height)
+  for (let p = 0; p < classes.length; p++) {
+    if (classes[p] === 0) continue
+    image.data.fill(classes[p] === 1 ? 255 : 96, p * 4, p * 4 + 3)
+    image.data[p * 4 + 3] = 255
+  }
+  ctx.putImageData(image, 0, 0)
+}
+
 function readPositiveInt(input, fallback) {
   const n = Number(input.value)
   if (!Number.isFinite(n)) return fallback
@@ -273,23 +531,67 @@ function readBaseViewBox(svgElement) {
   return parseViewBoxFromRaw(raw) ?? parseViewBox(svgElement)
 }
 
-export function mountArtGridTool(containerElement) {
-  const previewContainer = containerElement?.previewContainer
-  const controlsContainer = containerElement?.controlsContainer
-  const entitiesContainer = containerElement?.entitiesContainer
-  if (!previewContainer || !controlsContainer || !entitiesContainer) return
-  if (previewContainer.dataset.mounted === 'true') return
+/**
+ * @typedef {{ meta: { width: number, height: number, seed?: number, shapeCount: number }, shapes: object[], background: object }} ArtGridSourceGrid
+ * @typedef {{
+ *   ready: Promise<void>,
+ *   getGrid: () => ArtGridSourceGrid | null,
+ *   setGrid: (grid: object) => void,
+ *   generate: (options?: object) => Promise<ArtGridSourceGrid>,
+ *   getSelection: () => string[],
+ *   select: (ids: string | string[]) => string[],
+ *   addShape: (shape: object) => string,
+ *   updateShape: (id: string, changes: object) => void,
+ *   removeShape: (id: string) => void,
+ *   undo: () => boolean,
+ *   redo: () => boolean,
+ *   exportSvg: () => Promise<string>,
+ *   exportImage: (options?: { format?: 'png' | 'jpeg' | 'webp', scale?: number, quality?: number, transparent?: boolean }) => Promise<Blob>,
+ *   exportDocument: () => object,
+ *   on: (event: 'change' | 'selection' | 'generate' | 'error', handler: (detail: object) => void) => () => void,
+ *   off: (event: string, handler: Function) => void,
+ *   destroy: () => void
+ * }} ArtGridController
+ */
+
+/**
+ * Mount the editor. Only the preview container is required; without a controls or entities container the
+ * settings and shape panels are not shown, but the controller still drives everything they would.
+ * Grids, shapes and documents passed to and from the controller are in source pixels (the Width/Height size).
+ * @param {HTMLElement | { previewContainer: HTMLElement, controlsContainer?: HTMLElement, entitiesContainer?: HTMLElement }} target
+ * @returns {ArtGridController | null} null when there is no preview container or it already holds a tool
+ */
+export function mountArtGridTool(target) {
+  const containers = target instanceof HTMLElement ? { previewContainer: target } : target
+  const previewContainer = containers?.previewContainer
+  const controlsContainer = containers?.controlsContainer ?? null
+  const entitiesContainer = containers?.entitiesContainer ?? null
+  if (!previewContainer) return null
+  if (previewContainer.dataset.mounted === 'true') return null
   previewContainer.dataset.mounted = 'true'
 
+  const instanceNumber = ++mountedToolCount
+  /** Element id for this editor; the first one keeps the plain ids. */
+  const domId = (name) => (instanceNumber === 1 ? name : `${name}-${instanceNumber}`)
+  const ownsPageState = pageStateOwner == null
+  if (ownsPageState) pageStateOwner = previewContainer
+  /** Aborted by destroy(); every listener outside the editor's own elements is registered with it. */
+  const lifecycle = new AbortController()
+  let destroyed = false
+  const events = createControllerEvents()
   const saved = loadSettings()
-  /** @type {{ meta: { width: number, height: number, seed: number, shapeCount: number }, shapes: object[], background?: object } | null} */
+  /** @type {{ meta: { width: number, height: number, seed: number, shapeCount: number }, shapes: object[], background?: object, groups?: object[] } | null} */
   let currentGrid = null
   /** @type {{ minX: number, minY: number, width: number, height: number } | null} */
   let viewState = null
   let selectedShapeIds = new Set()
   let selectedLayer = null
+  /** Group whose children clicks select one by one (see getSelectableGroup); null at the top level. */
+  let enteredGroupId = null
   let dragState = null
   let hoveredShapeId = null
+  /** Smart guides of the drag in progress (see snapBox), drawn on the overlay. */
+  let snapGuides = []
   /* Use a smaller undo limit on narrow viewports to avoid memory pressure and tab crashes on mobile */
   const MAX_UNDO =
     typeof window !== 'undefined' && window.innerWidth <= 768 ? 12 : 50
@@ -298,11 +600,24 @@ export function mountArtGridTool(containerElement) {
   let stateBeforeDrag = null
   let isGenerating = false
   let stampMode = false
+  /** In marquee mode a drag on empty canvas selects the shapes it touches instead of panning. */
+  let marqueeMode = false
   let stampShape = null
   let stampInvert = false // false = black is shape, true = white is shape
+  /** Open project ({ id, name, createdAt }); null until the first save of a new composition creates one. */
+  let currentProject = null
+  /** False while the startup project loads, so nothing is saved over it before then. */
+  let projectsReady = false
+  let projectAutosave = saved?.projectAutosave !== false
+  let projectSaveTimer = 0
+  let changeEventTimer = 0
+  /** Selection ids last reported to 'selection' listeners, as JSON. */
+  let lastEmittedSelection = '[]'
   let colorPalette = Array.isArray(saved?.colorPalette) && saved.colorPalette.length > 0
     ? [...saved.colorPalette]
     : []
+  // Generation weight and rules per palette entry, index-aligned with colorPalette.
+  const paletteRules = colorPalette.map((_, i) => ({ ...DEFAULT_PALETTE_RULES, ...saved?.paletteRules?.[i] }))
   let background = {
     color: saved?.background?.color ?? '#000000',
     textureType: saved?.background?.textureType ?? 'solid',
@@ -352,12 +667,23 @@ export function mountArtGridTool(containerElement) {
   previewContent.appendChild(canvasWrapper)
   preview.appendChild(previewContent)
   previewContainer.appendChild(preview)
+  // Shortcuts only apply while focus is inside the editor, so a click on the canvas focuses it.
+  preview.tabIndex = 0
+  preview.addEventListener('pointerdown', () => {
+    if (!preview.contains(document.activeElement)) preview.focus({ preventScroll: true })
+  })
 
   function getBaseViewBox() {
     if (!currentGrid) return null
     return { minX: 0, minY: 0, width: currentGrid.meta.width, height: currentGrid.meta.height }
   }
 
+  /** The canvas as a box, for aligning and snapping to it. */
+  function getCanvasBox() {
+    const base = getBaseViewBox()
+    return base ? { minX: base.minX, minY: base.minY, maxX: base.minX + base.width, maxY: base.minY + base.height } : null
+  }
+
   function getCurrentViewTransform() {
     const base = getBaseViewBox()
     if (viewState) return viewState
@@ -365,6 +691,12 @@ export function mountArtGridTool(containerElement) {
     return { minX: 0, minY: 0, width: 400, height: 400 }
   }
 
+  /** Editor units per source pixel for the open grid; lengths the panels take in px are converted with it. */
+  function getEditorScale() {
+    if (!currentGrid) return 1
+    return currentGrid.meta.width / readPositiveInt(width.input, 1200)
+  }
+
   /** Convert client coordinates to scene coordinates using the overlay canvas (same size as main). */
   function toSceneCoords(clientX, clientY) {
     const el = overlayCanvas
@@ -395,24 +727,174 @@ export function mountArtGridTool(containerElement) {
     return Math.min(base.width, base.height) / refSize
   }
 
+  /** Scene rectangle of a marquee drag, from where it started to the pointer. */
+  function getMarqueeBox(marquee) {
+    return {
+      minX: Math.min(marquee.startX, marquee.x),
+      minY: Math.min(marquee.startY, marquee.y),
+      maxX: Math.max(marquee.startX, marquee.x),
+      maxY: Math.max(marquee.startY, marquee.y),
+    }
+  }
+
+  /** Box around the selected shapes when there are several; a single shape keeps its own gizmos. */
+  function getSelectionBounds() {
+    if (!currentGrid || selectedShapeIds.size < 2) return null
+    return getShapesBounds(currentGrid.shapes.filter((shape) => selectedShapeIds.has(shape.id)))
+  }
+
+  /** Ids of the shapes a click on `shape` selects: its group at the level being edited, or the shape alone. */
+  function getSelectionUnit(shape) {
+    const groupsById = indexGroups(currentGrid.groups)
+    const groupId = getSelectableGroup(groupsById, shape, enteredGroupId)
+    return groupId ? getGroupShapeIds(currentGrid.shapes, groupsById, groupId) : [shape.id]
+  }
+
+  /** Edit the children of a group; `shape`, when given, selects what a click on it would inside the group. */
+  function enterGroup(groupId, shape = null) {
+    enteredGroupId = groupId
+    selectedShapeIds.clear()
+    if (shape) getSelectionUnit(shape).forEach((id) => selectedShapeIds.add(id))
+    selectedLayer = null
+    updateSelection()
+    status.textContent = 'Editing a group: clicks select its shapes one by one. Press Escape to leave it.'
+  }
+
+  /** Go back up from the group being edited to its parent, selecting the group. @returns {boolean} false at the top level */
+  function exitGroup() {
+    if (enteredGroupId == null) return false
+    const groupsById = indexGroups(currentGrid.groups)
+    const groupId = enteredGroupId
+    enteredGroupId = groupsById.get(groupId)?.parent ?? null
+    selectedShapeIds.clear()
+    getGroupShapeIds(currentGrid.shapes, groupsById, groupId).forEach((id) => selectedShapeIds.add(id))
+    selectedLayer = null
+    updateSelection()
+    status.textContent = enteredGroupId == null ? 'Left the group.' : 'Back in the parent group.'
+    return true
+  }
+
+  /** Groups of the current grid all of whose shapes are among `shapes`. */
+  function getWholeGroups(shapes) {
+    const ids = new Set(shapes.map((shape) => shape.id))
+    const groupsById = indexGroups(currentGrid.groups)
+    return currentGrid.groups.filter((group) => getGroupShapeIds(currentGrid.shapes, groupsById, group.id).every((id) => ids.has(id)))
+  }
+
+  /**
+   * Frames of the groups a transform of the selection carries along, with where they started; see moveGroupFrames.
+   * @returns {{ group: object, start: object }[]}
+   */
+  function getGroupFrameStarts() {
+    return getWholeGroups(currentGrid.shapes.filter((shape) => selectedShapeIds.has(shape.id))).map((group) => ({ group, start: { ...group.transform } }))
+  }
+
+  /** Apply the edit the selected shapes went through (see transformGroupFrame) to the frames of their groups. */
+  function moveGroupFrames(frames, edit) {
+    frames.forEach(({ group, start }) => {
+      group.transform = transformGroupFrame(start, edit)
+    })
+  }
+
+  /**
+   * Scale factor that grows the selection's bounds by `step` pixels (shrinks for a negative step), held back so every
+   * shape stays between the 2px and 500px the per-shape keys allow.
+   */
+  function getUnitScaleStep(step) {
+    const selected = currentGrid.shapes.filter((shape) => selectedShapeIds.has(shape.id))
+    const bounds = getShapesBounds(selected)
+    const boxSize = Math.max(1e-6, bounds.maxX - bounds.minX, bounds.maxY - bounds.minY)
+    const sizes = selected.map((shape) => shape.size)
+    const factor = (boxSize + step) / boxSize
+    return Math.min(500 / Math.max(...sizes), Math.max(2 / Math.min(...sizes), factor))
+  }
+
+  /**
+   * Rotate by `rotation` degrees and scale by `scale` the selection as one unit around the center of its bounds, as
+   * the group gizmo's drags do, and carry the group `frames` along; see getGroupFrameStarts.
+   */
+  function transformSelectionAsUnit(frames, { rotation = 0, scale = 1 }) {
+    const bounds = getShapesBounds(currentGrid.shapes.filter((shape) => selectedShapeIds.has(shape.id)))
+    const centerX = (bounds.minX + bounds.maxX) / 2
+    const centerY = (bounds.minY + bounds.maxY) / 2
+    const cos = Math.cos((rotation * Math.PI) / 180) * scale
+    const sin = Math.sin((rotation * Math.PI) / 180) * scale
+    getTransformTargets().forEach((shape) => {
+      const dx = shape.x - centerX
+      const dy = shape.y - centerY
+      shape.x = centerX + dx * cos - dy * sin
+      shape.y = centerY + dx * sin + dy * cos
+      shape.rotation = ((((shape.rotation ?? 0) + rotation) % 360) + 360) % 360
+      shape.size *= scale
+      syncSymmetryCopies(currentGrid.shapes, shape)
+    })
+    moveGroupFrames(frames, { centerX, centerY, rotation, scale })
+  }
+
+  /**
+   * Selected shapes a move, rotate or scale applies to: one per symmetry group, since syncSymmetryCopies moves the
+   * other copies. The shape under the pointer (leadId) leads its group, so it follows the pointer.
+   */
+  function getTransformTargets(leadId = null) {
+    const lead = leadId != null ? currentGrid.shapes.find((s) => s.id === leadId) : null
+    const groups = new Set(lead?.symmetryGroup ? [lead.symmetryGroup] : [])
+    return currentGrid.shapes.filter((shape) => {
+      if (shape === lead) return true
+      if (!selectedShapeIds.has(shape.id)) return false
+      if (!shape.symmetryGroup) return true
+      if (groups.has(shape.symmetryGroup)) return false
+      groups.add(shape.symmetryGroup)
+      return true
+    })
+  }
+
+  /**
+   * What a drag of the `moving` shapes can snap to under the snapping settings, or null with snapping off. The rest
+   * of the selection and the symmetry copies of moving shapes move along, so they are not targets.
+   */
+  function getSnapContext(moving) {
+    const settings = getSnapSettings()
+    if (!settings.enabled || !currentGrid) return null
+    const movingIds = new Set(moving.map((shape) => shape.id))
+    const movingGroups = new Set(moving.map((shape) => shape.symmetryGroup).filter(Boolean))
+    const still = settings.shapes
+      ? currentGrid.shapes.filter((shape) => !movingIds.has(shape.id) && !selectedShapeIds.has(shape.id) && !movingGroups.has(shape.symmetryGroup))
+      : []
+    return {
+      targets: collectSnapTargets(still, settings.canvas ? getCanvasBox() : null),
+      gridSize: settings.grid ? settings.gridSize * getEditorScale() : 0,
+      sizes: settings.sizes ? still.map((shape) => shape.size) : null,
+    }
+  }
+
   function hitTestGizmos(sceneX, sceneY) {
     if (!currentGrid || selectedShapeIds.size === 0) return null
     const scale = getScaleFromGrid()
-    const padding = Math.max(0.5, 1.5 * scale)
     const gizmoRadius = Math.max(1, 2 * scale)
-    for (const id of selectedShapeIds) {
-      const shape = currentGrid.shapes.find((s) => s.id === id)
-      if (!shape) continue
-      const outlineX = shape.x - shape.size / 2 - padding
-      const outlineY = shape.y - shape.size / 2 - padding
-      const outlineWidth = shape.size + padding * 2
-      const outlineHeight = shape.size + padding * 2
+    const hitBox = (box, padding) => {
+      const outlineX = box.minX - padding
+      const outlineY = box.minY - padding
+      const outlineWidth = box.maxX - box.minX + padding * 2
+      const outlineHeight = box.maxY - box.minY + padding * 2
       const rotateX = outlineX + outlineWidth
       const rotateY = outlineY
-      if (Math.hypot(sceneX - rotateX, sceneY - rotateY) <= gizmoRadius * 2) return { kind: 'rotate', id }
+      if (Math.hypot(sceneX - rotateX, sceneY - rotateY) <= gizmoRadius * 2) return 'rotate'
       const scaleGizmoX = outlineX + outlineWidth
       const scaleGizmoY = outlineY + outlineHeight
-      if (Math.abs(sceneX - scaleGizmoX) <= gizmoRadius * 2 && Math.abs(sceneY - scaleGizmoY) <= gizmoRadius * 2) return { kind: 'scale', id }
+      if (Math.abs(sceneX - scaleGizmoX) <= gizmoRadius * 2 && Math.abs(sceneY - scaleGizmoY) <= gizmoRadius * 2) return 'scale'
+      return null
+    }
+    const groupBounds = getSelectionBounds()
+    if (groupBounds) {
+      const kind = hitBox(groupBounds, Math.max(1, 4 * scale))
+      return kind ? { kind, group: true } : null
+    }
+    const padding = Math.max(0.5, 1.5 * scale)
+    for (const id of selectedShapeIds) {
+      const shape = currentGrid.shapes.find((s) => s.id === id)
+      if (!shape) continue
+      const kind = hitBox(getShapeBox(shape), padding)
+      if (kind) return { kind, id }
     }
     return null
   }
@@ -457,7 +939,55 @@ export function mountArtGridTool(containerElement) {
       ctx.setLineDash([dashLen, gapLen])
       ctx.strokeRect(strokeWidth / 2, strokeWidth / 2, base.width - strokeWidth, base.height - strokeWidth)
       ctx.setLineDash([])
+      const snap = getSnapSettings()
+      const gridStep = snap.gridSize * getEditorScale()
+      // The snapping grid, unless its cells would be too small on screen to tell apart.
+      if (snap.enabled && snap.grid && gridStep * scaleX >= 6) {
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.14)'
+        ctx.lineWidth = strokeWidth / 2
+        ctx.beginPath()
+        for (let gx = gridStep; gx < base.width; gx += gridStep) {
+          ctx.moveTo(gx, 0)
+          ctx.lineTo(gx, base.height)
+        }
+        for (let gy = gridStep; gy < base.height; gy += gridStep) {
+          ctx.moveTo(0, gy)
+          ctx.lineTo(base.width, gy)
+        }
+        ctx.stroke()
+      }
+    }
+    const drawGizmos = (x, y, w, h) => {
+      ctx.fillStyle = '#00ffff'
+      ctx.strokeStyle = '#ffffff'
+      ctx.lineWidth = outlineStrokeWidth
+      ctx.beginPath()
+      ctx.arc(x + w, y, gizmoRadius, 0, Math.PI * 2)
+      ctx.fill()
+      ctx.stroke()
+      ctx.fillStyle = '#ffff00'
+      ctx.fillRect(x + w - gizmoRadius, y + h - gizmoRadius, gizmoRadius * 2, gizmoRadius * 2)
+      ctx.strokeStyle = '#ffffff'
+      ctx.strokeRect(x + w - gizmoRadius, y + h - gizmoRadius, gizmoRadius * 2, gizmoRadius * 2)
+    }
+    if (enteredGroupId != null) {
+      // The group being edited, outlined while its children are selected one by one.
+      const enteredBounds = getShapesBounds(currentGrid.shapes.filter((shape) => getGroupChain(indexGroups(currentGrid.groups), shape.group).includes(enteredGroupId)))
+      if (enteredBounds) {
+        const enteredPadding = Math.max(1.5, 6 * scale)
+        ctx.strokeStyle = '#ff9f1a'
+        ctx.lineWidth = outlineStrokeWidth
+        ctx.setLineDash([outlineDashLen * 2, outlineDashLen])
+        ctx.strokeRect(
+          enteredBounds.minX - enteredPadding,
+          enteredBounds.minY - enteredPadding,
+          enteredBounds.maxX - enteredBounds.minX + enteredPadding * 2,
+          enteredBounds.maxY - enteredBounds.minY + enteredPadding * 2,
+        )
+        ctx.setLineDash([])
+      }
     }
+    const groupBounds = getSelectionBounds()
     selectedShapeIds.forEach((id) => {
       const shape = currentGrid.shapes.find((s) => s.id === id)
       if (!shape) return
@@ -470,27 +1000,56 @@ export function mountArtGridTool(containerElement) {
       ctx.setLineDash([outlineDashLen, outlineDashLen])
       ctx.strokeRect(x, y, w, h)
       ctx.setLineDash([])
-      ctx.fillStyle = '#00ffff'
-      ctx.strokeStyle = '#ffffff'
+      if (!groupBounds) drawGizmos(x, y, w, h)
+    })
+    if (groupBounds) {
+      // Several shapes: one box rotates and scales them all around its center.
+      const groupPadding = Math.max(1, 4 * scale)
+      const x = groupBounds.minX - groupPadding
+      const y = groupBounds.minY - groupPadding
+      const w = groupBounds.maxX - groupBounds.minX + groupPadding * 2
+      const h = groupBounds.maxY - groupBounds.minY + groupPadding * 2
+      ctx.strokeStyle = '#00ffff'
+      ctx.lineWidth = outlineStrokeWidth
+      ctx.strokeRect(x, y, w, h)
+      drawGizmos(x, y, w, h)
+    }
+    if (dragState?.kind === 'marquee') {
+      const box = getMarqueeBox(dragState)
+      ctx.fillStyle = 'rgba(0, 255, 255, 0.12)'
+      ctx.fillRect(box.minX, box.minY, box.maxX - box.minX, box.maxY - box.minY)
+      ctx.strokeStyle = '#00ffff'
+      ctx.lineWidth = outlineStrokeWidth
+      ctx.setLineDash([outlineDashLen, outlineDashLen])
+      ctx.strokeRect(box.minX, box.minY, box.maxX - box.minX, box.maxY - box.minY)
+      ctx.setLineDash([])
+    }
+    if (snapGuides.length) {
+      ctx.strokeStyle = '#ff3df2'
       ctx.lineWidth = outlineStrokeWidth
       ctx.beginPath()
-      ctx.arc(x + w, y, gizmoRadius, 0, Math.PI * 2)
-      ctx.fill()
+      snapGuides.forEach((guide) => {
+        if (guide.axis === 'x') {
+          ctx.moveTo(guide.value, guide.from)
+          ctx.lineTo(guide.value, guide.to)
+        } else {
+          ctx.moveTo(guide.from, guide.value)
+          ctx.lineTo(guide.to, guide.value)
+        }
+      })
       ctx.stroke()
-      ctx.fillStyle = '#ffff00'
-      ctx.fillRect(x + w - gizmoRadius, y + h - gizmoRadius, gizmoRadius * 2, gizmoRadius * 2)
-      ctx.strokeStyle = '#ffffff'
-      ctx.strokeRect(x + w - gizmoRadius, y + h - gizmoRadius, gizmoRadius * 2, gizmoRadius * 2)
-    })
+    }
     if (hoveredShapeId && !selectedShapeIds.has(hoveredShapeId)) {
       const shape = currentGrid.shapes.find((s) => s.id === hoveredShapeId)
       if (shape) {
+        // A grouped shape outlines its whole group, which is what a click selects.
+        const unit = new Set(getSelectionUnit(shape))
+        const box = getShapesBounds(currentGrid.shapes.filter((s) => unit.has(s.id)))
         const padding = Math.max(1, 2 * scale)
         const strokeWidth = Math.max(0.25, 0.8 * scale)
-        const half = shape.size / 2
         ctx.strokeStyle = 'rgba(255, 105, 180, 0.9)'
         ctx.lineWidth = strokeWidth
-        ctx.strokeRect(shape.x - half - padding, shape.y - half - padding, shape.size + padding * 2, shape.size + padding * 2)
+        ctx.strokeRect(box.minX - padding, box.minY - padding, box.maxX - box.minX + padding * 2, box.maxY - box.minY + padding * 2)
       }
     }
     ctx.restore()
@@ -499,6 +1058,7 @@ export function mountArtGridTool(containerElement) {
   function redraw() {
     drawMainCanvas()
     drawOverlayCanvas()
+    scheduleProjectSave()
   }
 
   function sizeCanvases() {
@@ -541,8 +1101,21 @@ export function mountArtGridTool(containerElement) {
   const resizeObserver = typeof ResizeObserver !== 'undefined' ? new ResizeObserver(() => sizeCanvases()) : null
   if (resizeObserver) resizeObserver.observe(canvasWrapper)
 
+  /**
+   * Emit one 'change' for the edits of the current task. Every edit pushes an undo state first, so pushUndoState,
+   * undo/redo and grid replacement are the places that call this.
+   */
+  function scheduleChangeEvent() {
+    if (changeEventTimer || destroyed) return
+    changeEventTimer = setTimeout(() => {
+      changeEventTimer = 0
+      events.emit('change', { shapeCount: currentGrid?.shapes.length ?? 0 })
+    }, 0)
+  }
+
   /** Set the current grid (source of truth) and redraw. */
   function setGrid(grid) {
+    scheduleChangeEvent()
     currentGrid = grid
     if (currentGrid) {
       if (!viewState) {
@@ -557,6 +1130,9 @@ export function mountArtGridTool(containerElement) {
 
   const getColorsForGeneration = () =>
     colorPalette.length > 0 ? colorPalette : DEFAULT_COLORS
+  /** Palette entries with their weights and rules for generateArtGrid. */
+  const getPaletteForGeneration = () =>
+    colorPalette.length > 0 ? colorPalette.map((color, i) => ({ color, ...paletteRules[i] })) : DEFAULT_COLORS
   
   // Click outside canvas: disable stamp mode and clear shape selection
   let setStampMode = null
@@ -648,24 +1224,130 @@ export function mountArtGridTool(containerElement) {
   generateNewBtn.title = 'Generate a new dope throne grid'
   generateNewBtn.setAttribute('aria-label', 'Generate')
   controls.appendChild(generateNewBtn)
+
+  const exportRow = document.createElement('div')
+  exportRow.className = 'ag-export-row'
+  const exportSvgBtn = document.createElement('button')
+  exportSvgBtn.type = 'button'
+  exportSvgBtn.className = 'button'
+  exportSvgBtn.textContent = 'Export SVG'
+  exportSvgBtn.title = 'Download the grid as an SVG at the source canvas size (E)'
+  exportSvgBtn.setAttribute('aria-label', 'Export SVG')
+  const saveDocumentBtn = document.createElement('button')
+  saveDocumentBtn.type = 'button'
+  saveDocumentBtn.className = 'button'
+  saveDocumentBtn.textContent = 'Save file'
+  saveDocumentBtn.title = `Download the composition, palette and view as an ${ART_GRID_FILE_EXTENSION} document`
+  saveDocumentBtn.setAttribute('aria-label', 'Save file')
+  const copyLinkBtn = document.createElement('button')
+  copyLinkBtn.type = 'button'
+  copyLinkBtn.className = 'button'
+  copyLinkBtn.textContent = 'Copy link'
+  copyLinkBtn.title = 'Copy a link that restores these settings, palette, background and stamps and regenerates this grid, hand edits included when they fit'
+  copyLinkBtn.setAttribute('aria-label', 'Copy link')
+  const openFileBtn = document.createElement('button')
+  openFileBtn.type = 'button'
+  openFileBtn.className = 'button'
+  openFileBtn.textContent = 'Open file'
+  openFileBtn.title = `Open an ${ART_GRID_FILE_EXTENSION} document or an SVG exported from this tool to keep editing it`
+  openFileBtn.setAttribute('aria-label', 'Open file')
+  const openFileInput = document.createElement('input')
+  openFileInput.type = 'file'
+  openFileInput.accept = '.json,application/json,.svg,image/svg+xml'
+  openFileInput.style.display = 'none'
+  const exportImageBtn = document.createElement('button')
+  exportImageBtn.type = 'button'
+  exportImageBtn.className = 'button'
+  exportImageBtn.textContent = 'Export image'
+  exportImageBtn.title = 'Download the grid as PNG, JPEG or WebP at any scale'
+  exportImageBtn.setAttribute('aria-label', 'Export image')
+  exportRow.append(exportSvgBtn, exportImageBtn, saveDocumentBtn, openFileBtn, openFileInput, copyLinkBtn)
+  controls.appendChild(exportRow)
+
+  // Raster export dialog
+  const savedRaster = saved?.rasterExport ?? {}
+  const rasterDialog = createToolDialog(domId('ag-raster-title'), 'Export image', () => {
+    updateRasterDialogUI()
+    rasterConfirmBtn.focus()
+  })
+  const rasterFormatRow = document.createElement('label')
+  rasterFormatRow.className = 'floor-plan-control'
+  rasterFormatRow.setAttribute('for', domId('ag-raster-format'))
+  rasterFormatRow.textContent = 'Format'
+  const rasterFormatSelect = document.createElement('select')
+  rasterFormatSelect.id = domId('ag-raster-format')
+  Object.entries(RASTER_FORMATS).forEach(([key, format]) => {
+    const opt = document.createElement('option')
+    opt.value = key
+    opt.textContent = format.label
+    rasterFormatSelect.appendChild(opt)
+  })
+  rasterFormatSelect.value = RASTER_FORMATS[savedRaster.format] ? savedRaster.format : 'png'
+  rasterFormatRow.appendChild(rasterFormatSelect)
+  const rasterScaleRow = createRangeField('Scale (× source size)', domId('ag-raster-scale'), savedRaster.scale ?? 1, 0.25, 8, 0.25)
+  const rasterSizeReadout = document.createElement('p')
+  rasterSizeReadout.className = 'modal-instructions'
+  const rasterQualityRow = createRangeField('Quality', domId('ag-raster-quality'), savedRaster.quality ?? 0.92, 0.5, 1, 0.01)
+  const rasterTransparentLabel = document.createElement('label')
+  rasterTransparentLabel.className = 'floor-plan-control'
+  rasterTransparentLabel.style.display = 'flex'
+  rasterTransparentLabel.style.alignItems = 'center'
+  rasterTransparentLabel.style.gap = '8px'
+  const rasterTransparentCheckbox = document.createElement('input')
+  rasterTransparentCheckbox.type = 'checkbox'
+  rasterTransparentCheckbox.id = domId('ag-raster-transparent')
+  rasterTransparentCheckbox.checked = savedRaster.transparent === true
+  rasterTransparentLabel.append(rasterTransparentCheckbox, document.createTextNode('Transparent background'))
+  const rasterCancelBtn = document.createElement('button')
+  rasterCancelBtn.type = 'button'
+  rasterCancelBtn.className = 'button'
+  rasterCancelBtn.textContent = 'Cancel'
+  const rasterConfirmBtn = document.createElement('button')
+  rasterConfirmBtn.type = 'button'
+  rasterConfirmBtn.className = 'button'
+  rasterConfirmBtn.textContent = 'Export'
+  rasterDialog.body.append(rasterFormatRow, rasterScaleRow.row, rasterSizeReadout, rasterQualityRow.row, rasterTransparentLabel)
+  rasterDialog.actions.append(rasterCancelBtn, rasterConfirmBtn)
+
+  const getRasterSettings = () => ({
+    format: RASTER_FORMATS[rasterFormatSelect.value] ? rasterFormatSelect.value : 'png',
+    scale: clamp(parseFloat(rasterScaleRow.input.value) || 1, 0.25, 8),
+    quality: clamp(parseFloat(rasterQualityRow.input.value) || 0.92, 0.5, 1),
+    transparent: rasterTransparentCheckbox.checked,
+  })
+  /** Keep the dialog honest about the chosen format: no alpha for JPEG, no quality for PNG, and the resulting pixel size. */
+  const updateRasterDialogUI = () => {
+    const settings = getRasterSettings()
+    const format = RASTER_FORMATS[settings.format]
+    rasterTransparentCheckbox.disabled = !format.supportsAlpha
+    rasterTransparentLabel.style.opacity = format.supportsAlpha ? '1' : '0.5'
+    rasterQualityRow.row.style.display = format.lossy ? 'block' : 'none'
+    const outputW = Math.max(1, Math.round(readPositiveInt(width.input, 1200) * settings.scale))
+    const outputH = Math.max(1, Math.round(readPositiveInt(height.input, 2400) * settings.scale))
+    const split = outputW * outputH > MAX_RASTER_CANVAS_AREA
+    rasterSizeReadout.textContent = `Output: ${outputW} × ${outputH} px` + (split ? ' (too large for one canvas; downloads as separate tiles)' : '')
+  }
+  rasterFormatSelect.addEventListener('change', updateRasterDialogUI)
+  rasterScaleRow.input.addEventListener('input', updateRasterDialogUI)
+  rasterCancelBtn.addEventListener('click', () => rasterDialog.setOpen(false))
   
   const settingsContent = document.createElement('div')
   settingsContent.className = 'panel-content'
   
-  const seed = createNumberField('Seed', 'ag-seed', saved?.seed ?? randomSeed(), 1, MAX_SEED)
+  const seed = createNumberField('Seed', domId('ag-seed'), saved?.seed ?? randomSeed(), 1, MAX_SEED)
   seed.row.style.display = 'none'
-  const width = createNumberField('Canvas Width (px)', 'ag-width', saved?.width ?? 1200, 100, 4000)
-  const height = createNumberField('Canvas Height (px)', 'ag-height', saved?.height ?? 2400, 100, 4000)
+  const width = createNumberField('Canvas Width (px)', domId('ag-width'), saved?.width ?? 1200, 100, 4000)
+  const height = createNumberField('Canvas Height (px)', domId('ag-height'), saved?.height ?? 2400, 100, 4000)
   const canvasSizeRow = document.createElement('div')
   canvasSizeRow.className = 'canvas-size-row'
   canvasSizeRow.append(width.row, height.row)
   width.input.addEventListener('change', () => sizeCanvases())
   height.input.addEventListener('change', () => sizeCanvases())
-  const shapeCount = createRangeField('Shape density', 'ag-shapes', saved?.shapeCount ?? 80, 20, 300)
-  const minSize = createRangeField('Min shape size', 'ag-min-size', saved?.minSize ?? 8, 2, 100)
-  const maxSize = createRangeField('Max shape size', 'ag-max-size', saved?.maxSize ?? 120, 10, 300)
-  const minTextureScale = createRangeField('Min texture scale', 'ag-min-texture', saved?.minTextureScale ?? 0.5, 0.1, 5, 0.1)
-  const maxTextureScale = createRangeField('Max texture scale', 'ag-max-texture', saved?.maxTextureScale ?? 2, 0.1, 5, 0.1)
+  const shapeCount = createRangeField('Shape density', domId('ag-shapes'), saved?.shapeCount ?? 80, 20, 300)
+  const minSize = createRangeField('Min shape size', domId('ag-min-size'), saved?.minSize ?? 8, 2, 100)
+  const maxSize = createRangeField('Max shape size', domId('ag-max-size'), saved?.maxSize ?? 120, 10, 300)
+  const minTextureScale = createRangeField('Min texture scale', domId('ag-min-texture'), saved?.minTextureScale ?? 0.5, 0.1, 5, 0.1)
+  const maxTextureScale = createRangeField('Max texture scale', domId('ag-max-texture'), saved?.maxTextureScale ?? 2, 0.1, 5, 0.1)
   const randomRotationLabel = document.createElement('label')
   randomRotationLabel.className = 'floor-plan-control'
   randomRotationLabel.style.display = 'flex'
@@ -674,10 +1356,10 @@ export function mountArtGridTool(containerElement) {
   randomRotationLabel.style.cursor = 'pointer'
   const randomRotationCheckbox = document.createElement('input')
   randomRotationCheckbox.type = 'checkbox'
-  randomRotationCheckbox.id = 'ag-random-rotation'
+  randomRotationCheckbox.id = domId('ag-random-rotation')
   randomRotationCheckbox.checked = saved?.randomRotation !== false
   randomRotationLabel.append(randomRotationCheckbox, document.createTextNode('Random rotation'))
-  randomRotationLabel.setAttribute('for', 'ag-random-rotation')
+  randomRotationLabel.setAttribute('for', domId('ag-random-rotation'))
 
   const spreadDefault = 1
   const spreadMin = 0.5
@@ -685,16 +1367,202 @@ export function mountArtGridTool(containerElement) {
   const spreadStep = 0.1
   const savedSpread = saved?.spread
   const spreadValue = savedSpread != null && savedSpread >= spreadMin && savedSpread <= spreadMax ? savedSpread : spreadDefault
-  const spreadRow = createRangeField('Spread', 'ag-spread', spreadValue, spreadMin, spreadMax, spreadStep)
+  const spreadRow = createRangeField('Spread', domId('ag-spread'), spreadValue, spreadMin, spreadMax, spreadStep)
   spreadRow.input.title = 'How far from center shapes are placed; above 1 allows shapes to extend past the canvas and be cut off by the border'
   spreadRow.input.setAttribute('aria-label', 'Shape spread from center')
 
+  const LAYOUT_LABELS = {
+    scatter: 'Random scatter',
+    grid: 'Grid',
+    radial: 'Rings and arms',
+    spiral: 'Golden spiral',
+    poisson: 'Even spacing (Poisson)',
+    density: 'Density map',
+  }
+  const layoutRow = document.createElement('label')
+  layoutRow.className = 'floor-plan-control'
+  layoutRow.setAttribute('for', domId('ag-layout'))
+  layoutRow.textContent = 'Layout'
+  const layoutSelect = document.createElement('select')
+  layoutSelect.id = domId('ag-layout')
+  LAYOUTS.forEach((layout) => {
+    const opt = document.createElement('option')
+    opt.value = layout
+    opt.textContent = LAYOUT_LABELS[layout]
+    layoutSelect.appendChild(opt)
+  })
+  layoutSelect.value = LAYOUTS.includes(saved?.layout) ? saved.layout : 'scatter'
+  layoutSelect.title = 'How shape positions are chosen; every layout is deterministic per seed'
+  layoutRow.appendChild(layoutSelect)
+  const layoutJitterRow = createRangeField('Layout jitter', domId('ag-layout-jitter'), saved?.layoutJitter ?? 0.3, 0, 1, 0.05)
+  layoutJitterRow.input.title = 'How far shapes may drift from their grid cell or ring position'
+  const radialArmsRow = createRangeField('Radial arms', domId('ag-radial-arms'), saved?.radialArms ?? 8, 2, 24, 1)
+  let densityMap = saved?.densityMap?.data?.length ? saved.densityMap : null
+  const densityRow = document.createElement('div')
+  densityRow.className = 'floor-plan-control'
+  const densityLabel = document.createElement('div')
+  densityLabel.textContent = 'Density image (darker = more shapes)'
+  const densityPreview = document.createElement('canvas')
+  densityPreview.className = 'ag-density-preview'
+  const densityButtons = document.createElement('div')
+  densityButtons.className = 'ag-density-buttons'
+  const densityUploadBtn = document.createElement('button')
+  densityUploadBtn.type = 'button'
+  densityUploadBtn.className = 'button'
+  densityUploadBtn.textContent = 'Upload image'
+  const densityClearBtn = document.createElement('button')
+  densityClearBtn.type = 'button'
+  densityClearBtn.className = 'button'
+  densityClearBtn.textContent = 'Clear'
+  const densityInput = document.createElement('input')
+  densityInput.type = 'file'
+  densityInput.accept = 'image/*'
+  densityInput.hidden = true
+  densityButtons.append(densityUploadBtn, densityClearBtn)
+  densityRow.append(densityLabel, densityPreview, densityButtons, densityInput)
+  const drawDensityPreview = () => {
+    densityPreview.hidden = !densityMap
+    densityClearBtn.disabled = !densityMap
+    if (!densityMap) return
+    densityPreview.width = densityMap.width
+    densityPreview.height = densityMap.height
+    const ctx = densityPreview.getContext('2d')
+    const imageData = ctx.createImageData(densityMap.width, densityMap.height)
+    densityMap.data.forEach((value, i) => {
+      imageData.data.set([value, value, value, 255], i * 4)
+    })
+    ctx.putImageData(imageData, 0, 0)
+  }
+  const OVERLAP_LABELS = {
+    allow: 'Allow overlap',
+    avoid: 'Avoid overlap',
+    pack: 'Pack (grow to fill)',
+  }
+  const overlapRow = document.createElement('label')
+  overlapRow.className = 'floor-plan-control'
+  overlapRow.setAttribute('for', domId('ag-overlap'))
+  overlapRow.textContent = 'Overlap'
+  const overlapSelect = document.createElement('select')
+  overlapSelect.id = domId('ag-overlap')
+  OVERLAP_MODES.forEach((mode) => {
+    const opt = document.createElement('option')
+    opt.value = mode
+    opt.textContent = OVERLAP_LABELS[mode]
+    overlapSelect.appendChild(opt)
+  })
+  overlapSelect.value = OVERLAP_MODES.includes(saved?.overlap) ? saved.overlap : 'allow'
+  overlapSelect.title = 'Avoid moves or shrinks shapes that would overlap and drops ones that do not fit; Pack also grows shapes up to the max size'
+  overlapRow.appendChild(overlapSelect)
+  const minGapRow = createRangeField('Min gap (px)', domId('ag-min-gap'), saved?.minGap ?? 0, 0, 100, 1)
+  minGapRow.input.title = 'Minimum space between shapes when avoiding overlap or packing'
+  const updateOverlapUI = () => {
+    minGapRow.row.style.display = overlapSelect.value === 'allow' ? 'none' : ''
+  }
+  updateOverlapUI()
+  overlapSelect.addEventListener('change', updateOverlapUI)
+  const SYMMETRY_LABELS = {
+    none: 'None',
+    vertical: 'Mirror left / right',
+    horizontal: 'Mirror top / bottom',
+    quad: 'Quad mirror',
+    rotational: 'Rotational (kaleidoscope)',
+  }
+  const symmetryRow = document.createElement('label')
+  symmetryRow.className = 'floor-plan-control'
+  symmetryRow.setAttribute('for', domId('ag-symmetry'))
+  symmetryRow.textContent = 'Symmetry'
+  const symmetrySelect = document.createElement('select')
+  symmetrySelect.id = domId('ag-symmetry')
+  SYMMETRY_MODES.forEach((mode) => {
+    const opt = document.createElement('option')
+    opt.value = mode
+    opt.textContent = SYMMETRY_LABELS[mode]
+    symmetrySelect.appendChild(opt)
+  })
+  symmetrySelect.value = SYMMETRY_MODES.includes(saved?.symmetry) ? saved.symmetry : 'none'
+  symmetrySelect.title = 'Generate one region and mirror or rotate it; editing one copy updates the others'
+  symmetryRow.appendChild(symmetrySelect)
+  const symmetryFoldsRow = createRangeField('Rotational folds', domId('ag-symmetry-folds'), saved?.symmetryFolds ?? 6, 2, 24, 1)
+  const updateSymmetryUI = () => {
+    symmetryFoldsRow.row.style.display = symmetrySelect.value === 'rotational' ? '' : 'none'
+  }
+  updateSymmetryUI()
+  symmetrySelect.addEventListener('change', updateSymmetryUI)
+  // Relative weights for shape types when no stamps are selected; only rect and circle (1:1) reproduces older seeds.
+  const savedTypeWeights = saved?.shapeTypeWeights ?? {}
+  const shapeTypesSection = document.createElement('div')
+  shapeTypesSection.className = 'floor-plan-control'
+  const shapeTypesLabel = document.createElement('div')
+  shapeTypesLabel.textContent = 'Shape mix (without stamps)'
+  const shapeTypesGrid = document.createElement('div')
+  shapeTypesGrid.className = 'ag-shape-type-weights'
+  const shapeTypeInputs = {}
+  GENERATED_SHAPE_TYPES.forEach((type) => {
+    const fallback = type === 'rect' || type === 'circle' ? 1 : 0
+    const field = createNumberField(type.charAt(0).toUpperCase() + type.slice(1), domId(`ag-type-weight-${type}`), savedTypeWeights[type] ?? fallback, 0, 10)
+    field.input.title = `Relative weight for ${type} shapes; 0 disables them`
+    shapeTypeInputs[type] = field.input
+    shapeTypesGrid.appendChild(field.row)
+  })
+  shapeTypesSection.append(shapeTypesLabel, shapeTypesGrid)
+  const getShapeTypeWeights = () =>
+    Object.fromEntries(GENERATED_SHAPE_TYPES.map((type) => [type, readBoundedInt(shapeTypeInputs[type], 0, 0, 10)]))
+  /** Weights for generateArtGrid; undefined for the classic rect/circle mix so existing seeds keep their shapes. */
+  const getGenerationShapeTypeWeights = () => {
+    const weights = getShapeTypeWeights()
+    const classic = GENERATED_SHAPE_TYPES.every((type) => (type === 'rect' || type === 'circle' ? weights[type] === weights.rect : weights[type] === 0))
+    return classic ? undefined : weights
+  }
+  const updateLayoutUI = () => {
+    const layout = layoutSelect.value
+    layoutJitterRow.row.style.display = layout === 'grid' || layout === 'radial' ? '' : 'none'
+    radialArmsRow.row.style.display = layout === 'radial' ? '' : 'none'
+    densityRow.style.display = layout === 'density' ? '' : 'none'
+    drawDensityPreview()
+  }
+  updateLayoutUI()
+  layoutSelect.addEventListener('change', updateLayoutUI)
+  densityUploadBtn.addEventListener('click', () => densityInput.click())
+  densityClearBtn.addEventListener('click', () => {
+    densityMap = null
+    updateLayoutUI()
+    persistSettings(stats.textContent)
+  })
+  densityInput.addEventListener('change', async () => {
+    const file = densityInput.files?.[0]
+    densityInput.value = ''
+    if (!file) return
+    const url = URL.createObjectURL(file)
+    try {
+      const img = await new Promise((resolve, reject) => {
+        const i = new Image()
+        i.onload = () => resolve(i)
+        i.onerror = () => reject(new Error('Could not load image'))
+        i.src = url
+      })
+      const canvas = document.createElement('canvas')
+      canvas.width = img.naturalWidth
+      canvas.height = img.naturalHeight
+      canvas.getContext('2d').drawImage(img, 0, 0)
+      const bitmap = readCanvasBitmap(canvas)
+      if (!bitmap) throw new Error('Could not read image pixels')
+      densityMap = createDensityMap(bitmap)
+      updateLayoutUI()
+      persistSettings(stats.textContent)
+      showToast('Density image loaded; generate to apply it')
+    } catch (err) {
+      showToast(err?.message ?? 'Failed to load density image')
+    } finally {
+      URL.revokeObjectURL(url)
+    }
+  })
+
   const nudgeMin = 1
   const nudgeMax = 100
   const nudgeDefault = 10
   const savedNudge = saved?.nudgeAmount
   const nudgeValue = savedNudge != null && savedNudge >= nudgeMin && savedNudge <= nudgeMax ? savedNudge : nudgeDefault
-  const nudgeRow = createRangeField('Arrow nudge (px)', 'ag-nudge', nudgeValue, nudgeMin, nudgeMax, 1)
+  const nudgeRow = createRangeField('Arrow nudge (px)', domId('ag-nudge'), nudgeValue, nudgeMin, nudgeMax, 1)
   nudgeRow.input.title = 'Distance to move the selected shape when using arrow keys'
   nudgeRow.input.setAttribute('aria-label', 'Arrow key nudge distance in pixels')
 
@@ -703,10 +1571,55 @@ export function mountArtGridTool(containerElement) {
   const scaleStepDefault = 10
   const savedScaleStep = saved?.scaleStep
   const scaleStepValue = savedScaleStep != null && savedScaleStep >= scaleStepMin && savedScaleStep <= scaleStepMax ? savedScaleStep : scaleStepDefault
-  const scaleStepRow = createRangeField('Scale step (px)', 'ag-scale-step', scaleStepValue, scaleStepMin, scaleStepMax, 1)
+  const scaleStepRow = createRangeField('Scale step (px)', domId('ag-scale-step'), scaleStepValue, scaleStepMin, scaleStepMax, 1)
   scaleStepRow.input.title = 'Size change when using Cmd/Ctrl + Plus or Minus on selected shape(s)'
   scaleStepRow.input.setAttribute('aria-label', 'Scale step in pixels')
 
+  const savedSnapping = saved?.snapping ?? {}
+  const snapGridSizeMin = 10
+  const snapGridSizeMax = 400
+  const snapGridSizeDefault = 50
+  const snapEnabled = createCheckboxField('Snap while dragging (hold Alt to bypass)', domId('ag-snap'), savedSnapping.enabled !== false)
+  snapEnabled.input.title = 'Line dragged shapes up with the grid, the canvas and other shapes, and show guides where they line up'
+  const snapGrid = createCheckboxField('Snap to grid', domId('ag-snap-grid'), savedSnapping.grid === true)
+  snapGrid.input.title = 'Show a grid on the canvas and snap to its lines'
+  const snapGridSize = createRangeField(
+    'Grid size (px)',
+    domId('ag-snap-grid-size'),
+    Math.max(snapGridSizeMin, Math.min(snapGridSizeMax, Number(savedSnapping.gridSize) || snapGridSizeDefault)),
+    snapGridSizeMin,
+    snapGridSizeMax,
+    10
+  )
+  const snapCanvas = createCheckboxField('Snap to canvas center and edges', domId('ag-snap-canvas'), savedSnapping.canvas !== false)
+  const snapShapes = createCheckboxField('Snap to other shapes', domId('ag-snap-shapes'), savedSnapping.shapes !== false)
+  snapShapes.input.title = 'Snap to the edges and centers of shapes that are not being dragged'
+  const snapSizes = createCheckboxField('Snap sizes when scaling', domId('ag-snap-sizes'), savedSnapping.sizes !== false)
+  snapSizes.input.title = 'The scale handle snaps to the sizes of other shapes and, with the grid on, to whole grid cells'
+  function getSnapSettings() {
+    return {
+      enabled: snapEnabled.input.checked,
+      grid: snapGrid.input.checked,
+      gridSize: readBoundedInt(snapGridSize.input, snapGridSizeDefault, snapGridSizeMin, snapGridSizeMax),
+      canvas: snapCanvas.input.checked,
+      shapes: snapShapes.input.checked,
+      sizes: snapSizes.input.checked,
+    }
+  }
+  const updateSnapUI = () => {
+    const enabled = snapEnabled.input.checked
+    ;[snapGrid.row, snapCanvas.row, snapShapes.row, snapSizes.row].forEach((row) => { row.style.display = enabled ? '' : 'none' })
+    snapGridSize.row.style.display = enabled && snapGrid.input.checked ? '' : 'none'
+  }
+  updateSnapUI()
+  ;[snapEnabled, snapGrid, snapGridSize, snapCanvas, snapShapes, snapSizes].forEach((field) => {
+    field.input.addEventListener('change', () => {
+      updateSnapUI()
+      drawOverlayCanvas()
+      persistSettings(stats?.textContent ?? '')
+    })
+  })
+
   // Background layer controls (own tab)
   const bgSection = document.createElement('div')
   bgSection.className = 'floor-plan-control'
@@ -802,7 +1715,7 @@ export function mountArtGridTool(containerElement) {
   })
   bgPatternSelect.value = background.pattern
   bgPatternRow.append(bgRandomBtn, bgPatternSelect)
-  const bgTextureScaleRow = createRangeField('Texture scale', 'ag-bg-texture-scale', background.textureScale ?? 1, 0.2, 5, 0.1)
+  const bgTextureScaleRow = createRangeField('Texture scale', domId('ag-bg-texture-scale'), background.textureScale ?? 1, 0.2, 5, 0.1)
   bgTextureScaleRow.row.style.marginTop = '8px'
   bgTextureScaleRow.row.style.display = 'none'
   bgTextureScaleRow.input.addEventListener('input', () => {
@@ -833,6 +1746,15 @@ export function mountArtGridTool(containerElement) {
     bgStampRow.style.display = showStamp ? 'block' : 'none'
   }
   updateBgTypeUI()
+  /** Push the background state into its controls after it changes outside the panel (e.g. opening a file). */
+  const syncBackgroundControls = () => {
+    bgColorInput.value = background.color
+    bgHexInput.value = background.color
+    bgPatternSelect.value = background.pattern ?? 'dots'
+    bgTextureScaleRow.input.value = String(background.textureScale ?? 1)
+    bgTextureScaleRow.row.querySelector('strong').textContent = bgTextureScaleRow.input.value
+    updateBgTypeUI()
+  }
   bgColorInput.addEventListener('input', () => {
     background.color = bgColorInput.value
     bgHexInput.value = bgColorInput.value
@@ -883,7 +1805,11 @@ export function mountArtGridTool(containerElement) {
       showToast('Select a stamp first')
       return
     }
-    const svgPath = bitmapToSvgPath(stampShape.canvas, stampInvert)
+    let svgPath = stampShape.stampPath
+    if (!svgPath) {
+      const stampBitmap = readCanvasBitmap(stampShape.canvas)
+      svgPath = stampBitmap ? bitmapToSvgPath(stampBitmap, stampInvert, 1, DEFAULT_STAMP_TRACING, stampShape.binarization) : ''
+    }
     background.stampPath = svgPath
     background.stampWidth = stampShape.width
     background.stampHeight = stampShape.height
@@ -924,8 +1850,23 @@ export function mountArtGridTool(containerElement) {
     canvasSizeRow,
     shapeCount.row,
     spreadRow.row,
+    layoutRow,
+    layoutJitterRow.row,
+    radialArmsRow.row,
+    densityRow,
+    overlapRow,
+    minGapRow.row,
+    symmetryRow,
+    symmetryFoldsRow.row,
+    shapeTypesSection,
     nudgeRow.row,
     scaleStepRow.row,
+    snapEnabled.row,
+    snapGrid.row,
+    snapGridSize.row,
+    snapCanvas.row,
+    snapShapes.row,
+    snapSizes.row,
     minSize.row,
     maxSize.row,
     minTextureScale.row,
@@ -937,9 +1878,14 @@ export function mountArtGridTool(containerElement) {
   const stampContent = document.createElement('div')
   stampContent.className = 'panel-content'
   
-  // Scrollable grid of stamp thumbnails (filled by loadStampsFromFolder)
+  // Scrollable grid of stamp thumbnails by category (filled by loadStampLibrary from public/stamps/manifest.json)
   const stampGridContainer = document.createElement('div')
   stampGridContainer.className = 'stamp-grid'
+  const stampFilterInput = document.createElement('input')
+  stampFilterInput.type = 'search'
+  stampFilterInput.className = 'stamp-filter'
+  stampFilterInput.placeholder = 'Filter by name, tag or category'
+  stampFilterInput.setAttribute('aria-label', 'Filter stamps by name, tag or category')
   
   // Stamp controls
   const stampControls = document.createElement('div')
@@ -955,7 +1901,7 @@ export function mountArtGridTool(containerElement) {
   
   const stampScaleRow = createRangeField(
     'Stamp scale:',
-    'ag-stamp-scale',
+    domId('ag-stamp-scale'),
     saved?.stampScale ?? 0.25,
     0.05,
     2,
@@ -982,6 +1928,84 @@ export function mountArtGridTool(containerElement) {
   stampTextureSelect.value = saved?.stampPattern ?? 'solid'
   stampTextureRow.append(stampTextureLabel, stampTextureSelect)
 
+  const stampToleranceRow = createRangeField(
+    'Outline tolerance (px):',
+    domId('ag-stamp-tolerance'),
+    saved?.stampTracing?.tolerance ?? DEFAULT_STAMP_TRACING.tolerance,
+    0,
+    3,
+    0.25
+  )
+  stampToleranceRow.row.style.marginTop = '8px'
+  stampToleranceRow.input.title = 'How far traced stamp outlines may deviate from the pixels; 0 keeps every pixel step, higher values give simpler, smaller paths'
+  const stampSmoothingRow = createRangeField(
+    'Corner smoothing (px):',
+    domId('ag-stamp-smoothing'),
+    saved?.stampTracing?.smoothing ?? DEFAULT_STAMP_TRACING.smoothing,
+    0,
+    4,
+    0.5
+  )
+  stampSmoothingRow.input.title = 'Rounds traced outline corners with curves; 0 keeps sharp corners'
+  /** Outline tracing settings for stamps generated or placed from now on. */
+  const getStampTracing = () => ({
+    tolerance: parseFloat(stampToleranceRow.input.value) || 0,
+    smoothing: parseFloat(stampSmoothingRow.input.value) || 0,
+  })
+
+  // Binarization: which stamp pixels become the shape, for all built-in stamps or per selected stamp
+  let stampBinarization = normalizeStampBinarization(saved?.stampBinarization)
+  /** Settings for individual built-in stamps by manifest id; the rest use stampBinarization. */
+  const stampBinarizationOverrides = new Map(
+    Object.entries(saved?.stampBinarizationOverrides ?? {}).map(([id, value]) => [id, normalizeStampBinarization(value)])
+  )
+  const stampBinarizationSection = document.createElement('div')
+  stampBinarizationSection.className = 'floor-plan-control ag-stamp-binarization'
+  const stampBinarizationLabel = document.createElement('div')
+  stampBinarizationLabel.textContent = 'Binarization'
+  const stampBinarizationControls = createBinarizationControls(domId('ag-stamp-bin'), stampBinarization)
+  const stampBinarizationScope = createCheckboxField('Only for selected stamps', domId('ag-stamp-bin-scope'), false)
+  stampBinarizationScope.row.title = 'Give the selected built-in stamps their own settings instead of the shared ones'
+  const stampBinarizationPreview = document.createElement('div')
+  stampBinarizationPreview.className = 'ag-binarization-preview'
+  stampBinarizationPreview.title = 'White: shape · grey: inverted shape · clear: ignored'
+  const stampBinarizationResetBtn = document.createElement('button')
+  stampBinarizationResetBtn.type = 'button'
+  stampBinarizationResetBtn.className = 'button'
+  stampBinarizationResetBtn.textContent = 'Reset binarization'
+  stampBinarizationSection.append(stampBinarizationLabel, stampBinarizationControls.root, stampBinarizationScope.row, stampBinarizationPreview, stampBinarizationResetBtn)
+
+  // Color regions: colourful stamps split into layers drawn in their original colours or in palette colours
+  const stampColorSection = document.createElement('div')
+  stampColorSection.className = 'floor-plan-control ag-stamp-colors'
+  const stampColorRegionsRow = createNumberField(
+    'Color regions',
+    domId('ag-stamp-color-regions'),
+    Math.max(1, Math.min(MAX_STAMP_COLOR_REGIONS, Math.round(Number(saved?.stampColorRegions)) || 1)),
+    1,
+    MAX_STAMP_COLOR_REGIONS
+  )
+  stampColorRegionsRow.input.title = '1 draws stamps as one-colour silhouettes; more splits multi-colour stamps into up to that many colour layers'
+  const stampRegionColorsRow = document.createElement('label')
+  stampRegionColorsRow.className = 'floor-plan-control'
+  stampRegionColorsRow.setAttribute('for', domId('ag-stamp-region-colors'))
+  stampRegionColorsRow.textContent = 'Region colors'
+  const stampRegionColorsSelect = document.createElement('select')
+  stampRegionColorsSelect.id = domId('ag-stamp-region-colors')
+  Object.entries(STAMP_REGION_COLOR_LABELS).forEach(([value, text]) => {
+    const opt = document.createElement('option')
+    opt.value = value
+    opt.textContent = text
+    stampRegionColorsSelect.appendChild(opt)
+  })
+  stampRegionColorsSelect.value = STAMP_REGION_COLOR_LABELS[saved?.stampRegionColors] ? saved.stampRegionColors : 'original'
+  stampRegionColorsRow.appendChild(stampRegionColorsSelect)
+  /** Per-region colour choices for individual stamps, by stamp key: { [region]: 'original' | palette slot }. */
+  const stampRegionColorOverrides = new Map(Object.entries(saved?.stampRegionColorOverrides ?? {}))
+  const stampRegionList = document.createElement('div')
+  stampRegionList.className = 'ag-stamp-regions'
+  stampColorSection.append(stampColorRegionsRow.row, stampRegionColorsRow, stampRegionList)
+
   const selectedStampsStrip = document.createElement('div')
   selectedStampsStrip.className = 'selected-stamps-strip'
   selectedStampsStrip.style.display = 'flex'
@@ -1030,8 +2054,21 @@ export function mountArtGridTool(containerElement) {
     })
   }
 
-  stampControls.append(invertToggle, stampScaleRow.row, stampTextureRow, selectedStampsStrip)
-  stampContent.append(stampGridContainer, stampControls)
+  const stampImportInput = document.createElement('input')
+  stampImportInput.type = 'file'
+  stampImportInput.accept = 'image/png,image/jpeg,image/svg+xml,.svg'
+  stampImportInput.multiple = true
+  stampImportInput.style.display = 'none'
+  const stampImportBtn = document.createElement('button')
+  stampImportBtn.type = 'button'
+  stampImportBtn.className = 'button ag-stamp-import-button'
+  stampImportBtn.textContent = 'Import stamps…'
+  stampImportBtn.title = 'Add PNG, JPEG or SVG files to the stamp library (or drop them on the stamp grid)'
+  stampImportBtn.setAttribute('aria-label', 'Import custom stamps from PNG, JPEG or SVG files')
+  stampImportBtn.addEventListener('click', () => stampImportInput.click())
+
+  stampControls.append(stampImportBtn, stampImportInput, invertToggle, stampScaleRow.row, stampTextureRow, stampToleranceRow.row, stampSmoothingRow.row, stampBinarizationSection, stampColorSection, selectedStampsStrip)
+  stampContent.append(stampFilterInput, stampGridContainer, stampControls)
   
   const paletteContent = document.createElement('div')
   paletteContent.className = 'panel-content'
@@ -1081,6 +2118,8 @@ export function mountArtGridTool(containerElement) {
       }
       colorPalette.length = 0
       colorPalette.push(...colors)
+      paletteRules.length = 0
+      paletteRules.push(...colors.map(() => ({ ...DEFAULT_PALETTE_RULES })))
       renderPaletteList()
       persistSettings(stats?.textContent ?? '')
     } catch (err) {
@@ -1101,6 +2140,7 @@ export function mountArtGridTool(containerElement) {
     if (colorPalette.length === 0) return
     if (!window.confirm('Remove all colors from the palette? Generation will use default colors until you add or import new ones.')) return
     colorPalette.length = 0
+    paletteRules.length = 0
     renderPaletteList()
     persistSettings(stats?.textContent ?? '')
     showToast('Palette cleared')
@@ -1108,7 +2148,7 @@ export function mountArtGridTool(containerElement) {
   const paletteHint = document.createElement('p')
   paletteHint.className = 'floor-plan-status'
   paletteHint.style.margin = '8px 0 0'
-  paletteHint.textContent = 'Define colors used when generating shapes. Leave empty to use default colors.'
+  paletteHint.textContent = 'Define colors used when generating shapes. Leave empty to use default colors. The number sets how often a color is picked; ⚙ adds rules such as layer limits or an accent cap.'
   paletteContent.append(paletteListEl, paletteAddBtn, paletteImportBtn, paletteClearAllBtn, paletteImportInput, paletteHint)
 
   function renderPaletteList() {
@@ -1138,7 +2178,80 @@ export function mountArtGridTool(containerElement) {
       deleteBtn.setAttribute('aria-label', 'Delete color')
       deleteBtn.title = 'Delete color'
       deleteBtn.style.marginLeft = 'auto'
-      li.append(colorInput, hexInput, copyBtn, deleteBtn)
+      const rules = paletteRules[i]
+      const weightInput = document.createElement('input')
+      weightInput.type = 'number'
+      weightInput.min = '0'
+      weightInput.max = '20'
+      weightInput.step = '1'
+      weightInput.value = String(rules.weight)
+      weightInput.className = 'color-palette-weight'
+      weightInput.title = 'Relative weight when generating; 0 disables this color'
+      weightInput.setAttribute('aria-label', 'Color weight')
+      const rulesBtn = document.createElement('button')
+      rulesBtn.type = 'button'
+      rulesBtn.textContent = '⚙'
+      rulesBtn.title = 'Color rules'
+      rulesBtn.setAttribute('aria-label', 'Edit color rules')
+      rulesBtn.setAttribute('aria-expanded', 'false')
+      const hasRules = rules.layers || rules.stampsOnly || rules.avoidAdjacent || rules.maxUses > 0
+      rulesBtn.classList.toggle('is-active', Boolean(hasRules))
+      const rulesEl = document.createElement('div')
+      rulesEl.className = 'color-palette-rules'
+      rulesEl.hidden = true
+      const layersSelect = document.createElement('select')
+      layersSelect.setAttribute('aria-label', 'Layers this color may use')
+      ;[['', 'Any layer'], ...PALETTE_LAYER_RANGES.map(([min, max]) => [`${min}-${max}`, min === max ? `Layer ${min} only` : `Layers ${min}–${max}`])]
+        .forEach(([value, label]) => {
+          const opt = document.createElement('option')
+          opt.value = value
+          opt.textContent = label
+          layersSelect.appendChild(opt)
+        })
+      layersSelect.value = rules.layers ? `${rules.layers.min}-${rules.layers.max}` : ''
+      const createRuleCheckbox = (labelText, checked) => {
+        const label = document.createElement('label')
+        const input = document.createElement('input')
+        input.type = 'checkbox'
+        input.checked = checked
+        label.append(input, document.createTextNode(' ' + labelText))
+        return { label, input }
+      }
+      const stampsOnly = createRuleCheckbox('Stamps only', rules.stampsOnly)
+      const avoidAdjacent = createRuleCheckbox('Never next to the same color', rules.avoidAdjacent)
+      const maxUsesLabel = document.createElement('label')
+      maxUsesLabel.textContent = 'Accent: max uses (0 = no limit) '
+      const maxUsesInput = document.createElement('input')
+      maxUsesInput.type = 'number'
+      maxUsesInput.min = '0'
+      maxUsesInput.max = '999'
+      maxUsesInput.value = String(rules.maxUses)
+      maxUsesLabel.appendChild(maxUsesInput)
+      rulesEl.append(layersSelect, stampsOnly.label, avoidAdjacent.label, maxUsesLabel)
+      const applyRules = () => {
+        const [min, max] = layersSelect.value ? layersSelect.value.split('-').map(Number) : []
+        paletteRules[i] = {
+          weight: readBoundedInt(weightInput, 1, 0, 20),
+          layers: layersSelect.value ? { min, max } : null,
+          stampsOnly: stampsOnly.input.checked,
+          avoidAdjacent: avoidAdjacent.input.checked,
+          maxUses: readBoundedInt(maxUsesInput, 0, 0, 999),
+        }
+        const r = paletteRules[i]
+        rulesBtn.classList.toggle('is-active', Boolean(r.layers || r.stampsOnly || r.avoidAdjacent || r.maxUses > 0))
+        persistSettings(stats?.textContent ?? '')
+      }
+      ;[weightInput, layersSelect, stampsOnly.input, avoidAdjacent.input, maxUsesInput].forEach((control) => {
+        control.addEventListener('change', applyRules)
+        control.addEventListener('click', (e) => e.stopPropagation())
+      })
+      rulesEl.addEventListener('click', (e) => e.stopPropagation())
+      rulesBtn.addEventListener('click', (e) => {
+        e.stopPropagation()
+        rulesEl.hidden = !rulesEl.hidden
+        rulesBtn.setAttribute('aria-expanded', String(!rulesEl.hidden))
+      })
+      li.append(colorInput, hexInput, weightInput, copyBtn, rulesBtn, deleteBtn, rulesEl)
       li.style.cursor = 'pointer'
       const parseHex = (raw) => {
         const s = raw.trim().replace(/^#/, '')
@@ -1160,7 +2273,7 @@ export function mountArtGridTool(containerElement) {
         }
       }
       li.addEventListener('click', (e) => {
-        if (e.target === deleteBtn || e.target === copyBtn || e.target === hexInput) return
+        if (e.target === deleteBtn || e.target === copyBtn || e.target === hexInput || e.target === rulesBtn) return
         colorInput.click()
       })
       copyBtn.addEventListener('click', (e) => {
@@ -1191,6 +2304,7 @@ export function mountArtGridTool(containerElement) {
       deleteBtn.addEventListener('click', (e) => {
         e.stopPropagation()
         colorPalette.splice(i, 1)
+        paletteRules.splice(i, 1)
         renderPaletteList()
         persistSettings(stats?.textContent ?? '')
       })
@@ -1206,6 +2320,7 @@ export function mountArtGridTool(containerElement) {
   }
   paletteAddBtn.addEventListener('click', () => {
     colorPalette.push('#808080')
+    paletteRules.push({ ...DEFAULT_PALETTE_RULES })
     renderPaletteList()
     persistSettings(stats?.textContent ?? '')
   })
@@ -1254,7 +2369,7 @@ export function mountArtGridTool(containerElement) {
 
   const randomizeBtn = document.createElement('button')
   randomizeBtn.type = 'button'
-  randomizeBtn.id = 'ag-randomize-seed'
+  randomizeBtn.id = domId('ag-randomize-seed')
   randomizeBtn.className = 'mode-gizmo-btn'
   randomizeBtn.title = 'Generate a new dope throne grid'
   randomizeBtn.setAttribute('aria-label', 'Generate dope throne grid')
@@ -1266,13 +2381,14 @@ export function mountArtGridTool(containerElement) {
   const stats = document.createElement('p')
   stats.className = 'floor-plan-stats'
   stats.textContent = saved?.statsText ?? ''
-  controlsContainer.appendChild(controls)
+  if (controlsContainer) controlsContainer.appendChild(controls)
 
-  const app = document.getElementById('app')
+  // On the app page the status line and toolbar sit in #app; an embedded editor keeps them in its preview.
+  const chromeContainer = previewContainer.closest('#app') ?? preview
   const statusStatsWrap = document.createElement('div')
   statusStatsWrap.className = 'floor-plan-status-stats'
   statusStatsWrap.append(status, stats)
-  if (app) app.appendChild(statusStatsWrap)
+  chromeContainer.appendChild(statusStatsWrap)
 
   // Mode toolbar (selection, stamp, center, generate)
   const modeToolbar = document.createElement('div')
@@ -1289,21 +2405,44 @@ export function mountArtGridTool(containerElement) {
   stampIcon.title = 'Stamp – Place stamp shapes on the canvas'
   stampIcon.setAttribute('aria-label', 'Stamp mode')
   stampIcon.textContent = '📌'
+  const marqueeIcon = document.createElement('button')
+  marqueeIcon.type = 'button'
+  marqueeIcon.className = 'mode-gizmo-btn'
+  marqueeIcon.title = 'Marquee – Drag on empty canvas to select every shape the box touches; Shift adds, middle-drag pans (R)'
+  marqueeIcon.setAttribute('aria-label', 'Marquee selection mode')
+  marqueeIcon.textContent = '⬚'
   const centerCameraBtn = document.createElement('button')
   centerCameraBtn.type = 'button'
   centerCameraBtn.className = 'mode-gizmo-btn'
   centerCameraBtn.title = 'Center view – Reset camera to show full canvas'
   centerCameraBtn.setAttribute('aria-label', 'Center camera on canvas')
   centerCameraBtn.textContent = '📍'
-  modeToolbar.append(transformIcon, stampIcon, centerCameraBtn, randomizeBtn)
-  if (app) app.appendChild(modeToolbar)
+  const galleryBtn = document.createElement('button')
+  galleryBtn.type = 'button'
+  galleryBtn.className = 'mode-gizmo-btn mode-toolbar-text-btn'
+  galleryBtn.title = 'Seed gallery – Compare thumbnails of many seeds (G)'
+  galleryBtn.setAttribute('aria-label', 'Open seed gallery')
+  galleryBtn.textContent = 'Gallery'
+  const projectsBtn = document.createElement('button')
+  projectsBtn.type = 'button'
+  projectsBtn.className = 'mode-gizmo-btn mode-toolbar-text-btn'
+  projectsBtn.title = 'Projects – Open, duplicate, rename and delete saved projects (P)'
+  projectsBtn.setAttribute('aria-label', 'Open projects')
+  projectsBtn.textContent = 'Projects'
+  modeToolbar.append(transformIcon, marqueeIcon, stampIcon, centerCameraBtn, randomizeBtn, galleryBtn, projectsBtn)
+  chromeContainer.appendChild(modeToolbar)
 
   const updateModeUI = () => {
-    transformIcon.classList.toggle('is-active', !stampMode)
+    transformIcon.classList.toggle('is-active', !stampMode && !marqueeMode)
+    marqueeIcon.classList.toggle('is-active', marqueeMode)
     stampIcon.classList.toggle('is-active', stampMode)
   }
   setStampMode = (enabled) => {
     stampMode = enabled
+    if (stampMode && marqueeMode) {
+      marqueeMode = false
+      preview.classList.remove('marquee-mode')
+    }
     preview.classList.toggle('stamp-mode', stampMode)
     updateModeUI()
     if (stampMode && stampShape) {
@@ -1314,7 +2453,20 @@ export function mountArtGridTool(containerElement) {
       status.textContent = 'Stamp mode disabled.'
     }
   }
-  transformIcon.addEventListener('click', () => setStampMode(false))
+  const setMarqueeMode = (enabled) => {
+    marqueeMode = enabled
+    preview.classList.toggle('marquee-mode', marqueeMode)
+    if (marqueeMode && stampMode) setStampMode(false)
+    updateModeUI()
+    status.textContent = marqueeMode
+      ? 'Marquee mode active. Drag on empty canvas to select shapes.'
+      : 'Marquee mode disabled.'
+  }
+  transformIcon.addEventListener('click', () => {
+    if (marqueeMode) setMarqueeMode(false)
+    setStampMode(false)
+  })
+  marqueeIcon.addEventListener('click', () => setMarqueeMode(true))
   stampIcon.addEventListener('click', () => setStampMode(true))
 
   centerCameraBtn.addEventListener('click', () => {
@@ -1329,7 +2481,11 @@ export function mountArtGridTool(containerElement) {
   /** Indices into loadedStamps for multi-select (shift+click). Primary stamp = first in set for single placement. */
   let selectedStampIndices = new Set()
 
-  function cropImageToShapeBounds(img, useInvert = false) {
+  /**
+   * Crop an image to its stamp shape pixels. The returned binarization has Otsu resolved on the whole image,
+   * so tracing the crop later classifies pixels exactly as the crop did.
+   */
+  function cropImageToShapeBounds(img, useInvert = false, binarization = DEFAULT_STAMP_BINARIZATION) {
     const w = img.width
     const h = img.height
     const tempCanvas = document.createElement('canvas')
@@ -1340,46 +2496,28 @@ export function mountArtGridTool(containerElement) {
     tempCtx.imageSmoothingEnabled = false
     tempCtx.drawImage(img, 0, 0)
     const imageData = tempCtx.getImageData(0, 0, w, h)
-    const { data } = imageData
-    const isGridPixel = (r, g, b) => {
-      const brightness = (r + g + b) / 3
-      const isPureBlack = brightness < 50
-      const isPureWhite = brightness > 205
-      return !isPureBlack && !isPureWhite
-    }
-    let minX = w, minY = h, maxX = 0, maxY = 0
-    let hasPixels = false
-    for (let py = 0; py < h; py++) {
-      for (let px = 0; px < w; px++) {
-        const i = (py * w + px) * 4
-        if (data[i + 3] < 10) continue
-        const r = data[i], g = data[i + 1], b = data[i + 2]
-        if (isGridPixel(r, g, b)) continue
-        const brightness = (r + g + b) / 3
-        const isPureBlack = brightness < 50
-        const isPureWhite = brightness > 205
-        if (!isPureBlack && !isPureWhite) continue
-        const isShape = useInvert ? isPureWhite : isPureBlack
-        if (isShape) {
-          hasPixels = true
-          minX = Math.min(minX, px)
-          minY = Math.min(minY, py)
-          maxX = Math.max(maxX, px)
-          maxY = Math.max(maxY, py)
-        }
-      }
-    }
-    if (!hasPixels) return null
-    const cropWidth = maxX - minX + 1
-    const cropHeight = maxY - minY + 1
+    const resolved = resolveStampBinarization(imageData, binarization)
+    const bounds = findStampBounds(imageData, useInvert, resolved)
+    if (!bounds) return null
+    const cropWidth = bounds.width
+    const cropHeight = bounds.height
     const croppedCanvas = document.createElement('canvas')
     croppedCanvas.width = cropWidth
     croppedCanvas.height = cropHeight
     const croppedCtx = croppedCanvas.getContext('2d', { willReadFrequently: true })
     if (!croppedCtx) return null
     croppedCtx.imageSmoothingEnabled = false
-    croppedCtx.drawImage(tempCanvas, minX, minY, cropWidth, cropHeight, 0, 0, cropWidth, cropHeight)
-    return { canvas: croppedCanvas, width: cropWidth, height: cropHeight }
+    croppedCtx.drawImage(tempCanvas, bounds.x, bounds.y, cropWidth, cropHeight, 0, 0, cropWidth, cropHeight)
+    return { canvas: croppedCanvas, width: cropWidth, height: cropHeight, binarization: resolved }
+  }
+
+  /** Library crop of a stamp image; the whole image when no pixel is shape under these settings (only Invert traces it). */
+  function cropStampSource(img, binarization) {
+    const cropped = cropImageToShapeBounds(img, false, binarization)
+    if (cropped) return cropped
+    const canvas = scaleImageToCanvas(img, Infinity)
+    const bitmap = readCanvasBitmap(canvas)
+    return { canvas, width: canvas.width, height: canvas.height, binarization: bitmap ? resolveStampBinarization(bitmap, binarization) : binarization }
   }
 
   const STAMP_THUMB_BORDER_DEFAULT = '2px solid var(--tui-line-strong)'
@@ -1402,6 +2540,8 @@ export function mountArtGridTool(containerElement) {
     stampShape = selectedStampIndices.size ? loadedStamps[Math.min(...selectedStampIndices)] : null
     updateStampThumbOutlines()
     updateSelectedStampsStrip()
+    syncStampBinarizationControls()
+    renderStampRegionList()
     if (selectedStampIndices.size > 1) {
       status.textContent = `${selectedStampIndices.size} stamps selected. Click canvas to add a layer, or Generate to use only these.`
     } else if (stampShape) {
@@ -1412,73 +2552,631 @@ export function mountArtGridTool(containerElement) {
     if (selectedStampIndices.size && setStampMode) setStampMode(true)
   }
 
-  const loadStampsFromFolder = () => {
-    setLoadingOverlay(true, 'Loading stamps…')
-    loadedStamps = []
-    stampGridContainer.innerHTML = ''
-    const baseUrl = import.meta.env.BASE_URL + 'stamps/'
-    const total = 120
-    let settled = 0
-    const checkDone = () => {
-      settled++
-      if (settled < total) return
-      setLoadingOverlay(false)
-      status.textContent = loadedStamps.length ? 'Stamps loaded. Click one to select.' : 'No stamps found in /stamps/ folder.'
-      if (previewContent && !currentGrid && typeof generate === 'function' && loadedStamps.length) generate()
+  /** Grid button for loadedStamps[index]; imported stamps also get a control to remove them from the library. */
+  function createStampThumb(entry, index) {
+    const thumb = document.createElement('button')
+    thumb.type = 'button'
+    thumb.className = 'stamp-thumb'
+    thumb.dataset.stampIndex = String(index)
+    thumb.dataset.search = [entry.label, entry.category, ...(entry.tags ?? [])].join(' ').toLowerCase()
+    thumb.title = `${entry.label}${entry.tags?.length ? ` · ${entry.tags.join(', ')}` : ''} (shift+click to select multiple)`
+    thumb.setAttribute('aria-label', `Select ${entry.label}`)
+    thumb.style.cssText = 'width:100%;aspect-ratio:1;padding:0;border:' + STAMP_THUMB_BORDER_DEFAULT + ';cursor:pointer;background:#333;display:flex;align-items:center;justify-content:center;overflow:hidden;'
+    const thumbCanvas = document.createElement('canvas')
+    thumbCanvas.width = 32
+    thumbCanvas.height = 32
+    thumbCanvas.style.imageRendering = 'pixelated'
+    thumbCanvas.style.maxWidth = '100%'
+    thumbCanvas.style.maxHeight = '100%'
+    const tctx = thumbCanvas.getContext('2d')
+    if (tctx) {
+      tctx.imageSmoothingEnabled = false
+      const s = Math.min(32 / entry.width, 32 / entry.height)
+      const tw = entry.width * s
+      const th = entry.height * s
+      tctx.fillStyle = '#333'
+      tctx.fillRect(0, 0, 32, 32)
+      tctx.drawImage(entry.canvas, (32 - tw) / 2, (32 - th) / 2, tw, th)
     }
-    for (let n = 1; n <= total; n++) {
-      const img = new Image()
-      img.onload = () => {
-        const entry = cropImageToShapeBounds(img, false)
-        if (!entry) {
-          checkDone()
-          return
-        }
-        const index = loadedStamps.length
-        loadedStamps.push(entry)
-        const thumb = document.createElement('button')
-        thumb.type = 'button'
-        thumb.className = 'stamp-thumb'
-        thumb.dataset.stampIndex = String(index)
-        thumb.title = `Stamp ${n} (shift+click to select multiple)`
-        thumb.setAttribute('aria-label', `Select stamp ${n}`)
-        thumb.style.cssText = 'width:100%;aspect-ratio:1;padding:0;border:' + STAMP_THUMB_BORDER_DEFAULT + ';cursor:pointer;background:#333;display:flex;align-items:center;justify-content:center;overflow:hidden;'
-        const thumbCanvas = document.createElement('canvas')
-        thumbCanvas.width = 32
-        thumbCanvas.height = 32
-        thumbCanvas.style.imageRendering = 'pixelated'
-        thumbCanvas.style.maxWidth = '100%'
-        thumbCanvas.style.maxHeight = '100%'
-        const tctx = thumbCanvas.getContext('2d')
-        if (tctx) {
-          tctx.imageSmoothingEnabled = false
-          const s = Math.min(32 / entry.width, 32 / entry.height)
-          const tw = entry.width * s
-          const th = entry.height * s
-          tctx.fillStyle = '#333'
-          tctx.fillRect(0, 0, 32, 32)
-          tctx.drawImage(entry.canvas, (32 - tw) / 2, (32 - th) / 2, tw, th)
-        }
-        thumb.appendChild(thumbCanvas)
-        thumb.addEventListener('click', (e) => selectStampAndUpdatePreview(entry, e.shiftKey, index))
-        stampGridContainer.appendChild(thumb)
-        checkDone()
-      }
-      img.onerror = checkDone
-      img.src = baseUrl + 'Asset%20' + n + '@2x.png'
+    thumb.appendChild(thumbCanvas)
+    if (entry.customId) {
+      thumb.classList.add('is-custom')
+      const removeBtn = document.createElement('span')
+      removeBtn.className = 'stamp-thumb-remove'
+      removeBtn.setAttribute('role', 'button')
+      removeBtn.setAttribute('aria-label', `Remove ${entry.label} from the library`)
+      removeBtn.title = 'Remove imported stamp'
+      removeBtn.textContent = '×'
+      removeBtn.addEventListener('click', (e) => {
+        e.stopPropagation()
+        removeCustomStamp(entry.customId)
+      })
+      thumb.appendChild(removeBtn)
     }
+    thumb.addEventListener('click', (e) => selectStampAndUpdatePreview(entry, e.shiftKey, index))
+    return thumb
   }
 
-  invertCheckbox.addEventListener('change', () => {
-    stampInvert = invertCheckbox.checked
-  })
+  /** Thumbnails under a heading per category; loadedStamps is already grouped (manifest order, imports last). */
+  function renderStampGrid() {
+    stampGridContainer.innerHTML = ''
+    let category = null
+    loadedStamps.forEach((entry, index) => {
+      if (entry.category !== category) {
+        category = entry.category
+        const heading = document.createElement('div')
+        heading.className = 'stamp-grid-category'
+        heading.textContent = category
+        stampGridContainer.appendChild(heading)
+      }
+      stampGridContainer.appendChild(createStampThumb(entry, index))
+    })
+    updateStampThumbOutlines()
+    applyStampFilter()
+  }
+
+  /** Show only thumbnails whose name, category or tags contain every word of the filter, and their headings. */
+  function applyStampFilter() {
+    const words = stampFilterInput.value.toLowerCase().split(/\s+/).filter(Boolean)
+    let heading = null
+    let headingHasMatch = false
+    const closeHeading = () => {
+      if (heading) heading.hidden = !headingHasMatch
+    }
+    for (const child of stampGridContainer.children) {
+      if (child.classList.contains('stamp-grid-category')) {
+        closeHeading()
+        heading = child
+        headingHasMatch = false
+        continue
+      }
+      const match = words.every((word) => child.dataset.search.includes(word))
+      child.hidden = !match
+      if (match) headingHasMatch = true
+    }
+    closeHeading()
+  }
+  stampFilterInput.addEventListener('input', applyStampFilter)
+
+  const STAMPS_BASE_URL = import.meta.env.BASE_URL + 'stamps/'
+  /** Normalized public/stamps/manifest.json; null until loaded. */
+  let stampManifest = null
+  /** Stamp images by `${id}@${resolution}`, shared by the grid and exports. */
+  const manifestStampCache = new Map()
+
+  /** @returns {Promise<HTMLImageElement | null>} null when the file is missing */
+  function loadManifestStampImage(stamp, resolution) {
+    const key = `${stamp.id}@${resolution}`
+    if (!manifestStampCache.has(key)) {
+      const url = STAMPS_BASE_URL + encodeURIComponent(stamp.files[resolution])
+      manifestStampCache.set(key, loadImageFromUrl(url).catch(() => null))
+    }
+    return manifestStampCache.get(key)
+  }
+
+  const loadStampLibrary = async () => {
+    setLoadingOverlay(true, 'Loading stamps…')
+    loadedStamps = []
+    stampGridContainer.innerHTML = ''
+    let manifestError = null
+    try {
+      const response = await fetch(STAMPS_BASE_URL + STAMP_MANIFEST_FILE)
+      if (!response.ok) throw new Error(`HTTP ${response.status}`)
+      stampManifest = normalizeStampManifest(await response.json())
+    } catch (error) {
+      manifestError = error instanceof Error ? error.message : 'Unknown error'
+      stampManifest = { categories: [], stamps: [] }
+    }
+    const entries = await Promise.all(stampManifest.stamps.map(async (stamp) => {
+      const resolution = chooseStampResolution(stamp, { type: 'editor' })
+      const source = await loadManifestStampImage(stamp, resolution)
+      if (!source) return null
+      return {
+        ...cropStampSource(source, getStampIdBinarization(stamp.id)),
+        source,
+        label: stamp.name,
+        category: stamp.category,
+        tags: stamp.tags,
+        stampId: stamp.id,
+        resolution,
+        sizeScale: 1 / getStampResolutionScale(resolution),
+      }
+    }))
+    loadedStamps = entries.filter(Boolean)
+    const missing = entries.length - loadedStamps.length
+    // Imported stamps follow the built-in ones so built-in indices stay stable.
+    await appendCustomStamps(customStampRecords)
+    scheduleStampBinarizationPreview()
+    setLoadingOverlay(false)
+    if (manifestError) {
+      status.textContent = `Could not load the stamp manifest (${STAMP_MANIFEST_FILE}): ${manifestError}`
+    } else if (!loadedStamps.length) {
+      status.textContent = 'The stamp manifest lists no loadable stamps.'
+    } else {
+      status.textContent = 'Stamps loaded. Click one to select.' + (missing ? ` ${missing} stamp file${missing === 1 ? ' is' : 's are'} missing.` : '')
+    }
+    if (!currentGrid && !destroyed) await openStartupProject()
+  }
+
+  // Imported stamps: stored in localStorage as cleaned-up PNG data URLs (raster) or normalized path data (SVG)
+  function readCustomStampRecords() {
+    try {
+      const parsed = JSON.parse(window.localStorage.getItem(CUSTOM_STAMPS_KEY) ?? '[]')
+      return Array.isArray(parsed) ? parsed.filter((record) => record && typeof record.id === 'string') : []
+    } catch {
+      return []
+    }
+  }
+  let customStampRecords = readCustomStampRecords()
+
+  /** @returns {boolean} false when localStorage is full and nothing was saved */
+  function saveCustomStampRecords(records) {
+    try {
+      window.localStorage.setItem(CUSTOM_STAMPS_KEY, JSON.stringify(records))
+    } catch {
+      return false
+    }
+    customStampRecords = records
+    return true
+  }
+
+  const createCustomStampId = () => `stamp-${Date.now()}-${Math.floor(Math.random() * 1e6)}`
+
+  function loadImageFromUrl(url) {
+    return new Promise((resolve, reject) => {
+      const img = new Image()
+      img.onload = () => resolve(img)
+      img.onerror = () => reject(new Error('Could not load image'))
+      img.src = url
+    })
+  }
+
+  /** Black silhouette of a vector stamp, for thumbnails and the selected-stamps strip. */
+  function rasterizeStampPath(stampPath, stampWidth, stampHeight) {
+    const canvas = document.createElement('canvas')
+    canvas.width = Math.max(1, Math.ceil(stampWidth))
+    canvas.height = Math.max(1, Math.ceil(stampHeight))
+    const ctx = canvas.getContext('2d')
+    if (ctx) {
+      ctx.fillStyle = '#000'
+      ctx.fill(new Path2D(stampPath))
+    }
+    return canvas
+  }
+
+  /** loadedStamps entry for a stored record; null when a raster record no longer decodes. */
+  async function createCustomStampEntry(record) {
+    const base = { label: record.name || 'Imported stamp', category: IMPORTED_STAMPS_CATEGORY, customId: record.id }
+    if (record.kind === 'vector') {
+      const { stampPath, stampWidth, stampHeight } = record
+      if (typeof stampPath !== 'string' || !(stampWidth > 0) || !(stampHeight > 0)) return null
+      const canvas = rasterizeStampPath(stampPath, stampWidth, stampHeight)
+      return { ...base, canvas, width: stampWidth, height: stampHeight, stampPath, stampWidth, stampHeight, stampPathResolution: 1 }
+    }
+    const img = await loadImageFromUrl(record.dataUrl).catch(() => null)
+    const entry = img && cropImageToShapeBounds(img, false, record.colors ? COLOR_STAMP_BINARIZATION : DEFAULT_STAMP_BINARIZATION)
+    return entry ? { ...base, ...entry } : null
+  }
+
+  /** @returns {Promise<number>} how many records made it into the stamp grid */
+  async function appendCustomStamps(records) {
+    const entries = (await Promise.all(records.map(createCustomStampEntry))).filter(Boolean)
+    loadedStamps.push(...entries)
+    renderStampGrid()
+    return entries.length
+  }
+
+  async function addCustomStamps(records) {
+    if (!records.length) return
+    if (!saveCustomStampRecords([...customStampRecords, ...records])) {
+      showToast('Not enough browser storage for these stamps; remove some imported stamps and try again')
+      return
+    }
+    const added = await appendCustomStamps(records)
+    status.textContent = `Imported ${added} stamp${added === 1 ? '' : 's'}. Click one to select.`
+  }
+
+  function removeCustomStamp(id) {
+    saveCustomStampRecords(customStampRecords.filter((record) => record.id !== id))
+    loadedStamps = loadedStamps.filter((entry) => entry.customId !== id)
+    stampRegionColorOverrides.delete(id)
+    selectedStampIndices = new Set()
+    stampShape = null
+    renderStampGrid()
+    updateSelectedStampsStrip()
+    syncStampBinarizationControls()
+    renderStampRegionList()
+    status.textContent = 'Imported stamp removed. Shapes already placed keep their outline.'
+  }
+
+  const isSvgFile = (file) => file.type === 'image/svg+xml' || /\.svg$/i.test(file.name)
+  const isRasterStampFile = (file) => /^image\/(png|jpeg)$/.test(file.type) || /\.(png|jpe?g)$/i.test(file.name)
+  const stampNameFromFile = (file) => file.name.replace(/\.[^.]+$/, '') || 'Imported stamp'
+
+  /** SVGs are imported as vector paths straight away; PNG and JPEG files go through the threshold dialog. */
+  async function importStampFiles(files) {
+    const svgFiles = files.filter(isSvgFile)
+    const rasterFiles = files.filter((file) => !isSvgFile(file) && isRasterStampFile(file))
+    const skipped = files.length - svgFiles.length - rasterFiles.length
+    if (skipped) showToast(`Skipped ${skipped} file${skipped === 1 ? '' : 's'}: stamps must be PNG, JPEG or SVG`)
+    const records = []
+    const failures = []
+    for (const file of svgFiles) {
+      try {
+        const { stampPath, stampWidth, stampHeight } = importSvgStamp(await file.text())
+        records.push({ id: createCustomStampId(), kind: 'vector', name: stampNameFromFile(file), stampPath, stampWidth, stampHeight })
+      } catch (err) {
+        failures.push(`${file.name}: ${err.message}`)
+      }
+    }
+    if (failures.length) showToast(failures.join('; '))
+    await addCustomStamps(records)
+    if (rasterFiles.length) await openStampImportDialog(rasterFiles)
+  }
+
+  // Raster stamp import dialog: binarization with live previews of what becomes the stamp shape
+  const savedStampImport = saved?.stampImport ?? {}
+  const stampImportDialog = createToolDialog(domId('ag-stamp-import-title'), 'Import stamps', () => stampImportConfirmBtn.focus())
+  const stampImportIntro = document.createElement('p')
+  stampImportIntro.className = 'modal-instructions'
+  stampImportIntro.textContent = 'Filled areas in the previews become the stamp shape. Adjust the settings until they show clean silhouettes.'
+  // Earlier versions saved only { alphaCutoff, blackMax, whiteMin }, with blackMax as the single threshold.
+  const stampImportBinarization = createBinarizationControls(
+    domId('ag-stamp-import'),
+    normalizeStampBinarization(savedStampImport.mode ? savedStampImport : { ...STAMP_IMPORT_DEFAULT_BINARIZATION, alphaCutoff: savedStampImport.alphaCutoff, threshold: savedStampImport.blackMax })
+  )
+  const stampImportLightRow = createCheckboxField('Light areas are background', domId('ag-stamp-import-light-bg'), savedStampImport.lightIsBackground !== false)
+  stampImportLightRow.row.title = 'Drop the inverted shape (e.g. the white background of a JPEG) instead of keeping it for Invert'
+  const stampImportLightCheckbox = stampImportLightRow.input
+  const stampImportColorsRow = createCheckboxField('Keep colors', domId('ag-stamp-import-colors'), savedStampImport.keepColors === true)
+  stampImportColorsRow.row.title = 'Keep the original colors of the kept pixels, so Color regions can draw the stamp in several colors'
+  const stampImportColorsCheckbox = stampImportColorsRow.input
+  const stampImportPreviews = document.createElement('div')
+  stampImportPreviews.className = 'ag-stamp-import-previews'
+  const stampImportCancelBtn = document.createElement('button')
+  stampImportCancelBtn.type = 'button'
+  stampImportCancelBtn.className = 'button'
+  stampImportCancelBtn.textContent = 'Cancel'
+  const stampImportConfirmBtn = document.createElement('button')
+  stampImportConfirmBtn.type = 'button'
+  stampImportConfirmBtn.className = 'button'
+  stampImportConfirmBtn.textContent = 'Import'
+  stampImportDialog.body.append(stampImportIntro, stampImportBinarization.root, stampImportLightRow.row, stampImportColorsRow.row, stampImportPreviews)
+  stampImportDialog.actions.append(stampImportCancelBtn, stampImportConfirmBtn)
+
+  /** @type {{ name: string, source: HTMLCanvasElement, thumbSource: HTMLCanvasElement, preview: HTMLCanvasElement, item: HTMLElement }[]} */
+  let pendingStampImports = []
+
+  const getStampImportSettings = () => ({
+    ...stampImportBinarization.read(),
+    lightIsBackground: stampImportLightCheckbox.checked,
+    keepColors: stampImportColorsCheckbox.checked,
+  })
+
+  /** An import as it will be stored: black shape pixels, or the kept pixels in their own colors. */
+  function bakeStampImport(bitmap, { lightIsBackground, keepColors, ...binarization }) {
+    return keepColors ? maskStampBitmap(bitmap, binarization, lightIsBackground) : binarizeStampBitmap(bitmap, binarization, lightIsBackground)
+  }
+
+  /** Copy of an image scaled down (never up) so its longest side is at most maxDim. */
+  function scaleImageToCanvas(img, maxDim) {
+    const scale = Math.min(1, maxDim / Math.max(img.naturalWidth, img.naturalHeight))
+    const canvas = document.createElement('canvas')
+    canvas.width = Math.max(1, Math.round(img.naturalWidth * scale))
+    canvas.height = Math.max(1, Math.round(img.naturalHeight * scale))
+    canvas.getContext('2d')?.drawImage(img, 0, 0, canvas.width, canvas.height)
+    return canvas
+  }
+
+  function renderStampImportPreviews() {
+    const settings = getStampImportSettings()
+    const bakedBinarization = settings.keepColors ? COLOR_STAMP_BINARIZATION : DEFAULT_STAMP_BINARIZATION
+    pendingStampImports.forEach(({ thumbSource, preview, item }) => {
+      const bitmap = readCanvasBitmap(thumbSource)
+      const ctx = preview.getContext('2d')
+      if (!bitmap || !ctx) return
+      const baked = bakeStampImport(bitmap, settings)
+      ctx.putImageData(new ImageData(baked.data, baked.width, baked.height), 0, 0)
+      item.classList.toggle('is-empty', !findStampBounds(baked, false, bakedBinarization))
+    })
+  }
+
+  let stampImportPreviewFrame = 0
+  const scheduleStampImportPreviews = () => {
+    if (stampImportPreviewFrame) return
+    stampImportPreviewFrame = requestAnimationFrame(() => {
+      stampImportPreviewFrame = 0
+      renderStampImportPreviews()
+    })
+  }
+  stampImportBinarization.onInput(scheduleStampImportPreviews)
+  stampImportLightCheckbox.addEventListener('change', scheduleStampImportPreviews)
+  stampImportColorsCheckbox.addEventListener('change', scheduleStampImportPreviews)
+
+  async function openStampImportDialog(files) {
+    const images = await Promise.all(files.map(async (file) => {
+      const url = URL.createObjectURL(file)
+      try {
+        const img = await loadImageFromUrl(url)
+        return { name: stampNameFromFile(file), source: scaleImageToCanvas(img, STAMP_IMPORT_MAX_DIM), thumbSource: scaleImageToCanvas(img, STAMP_IMPORT_PREVIEW_DIM) }
+      } catch {
+        return null
+      } finally {
+        URL.revokeObjectURL(url)
+      }
+    }))
+    stampImportPreviews.innerHTML = ''
+    pendingStampImports = images.filter(Boolean).map((image) => {
+      const item = document.createElement('figure')
+      item.className = 'ag-stamp-import-preview'
+      const preview = document.createElement('canvas')
+      preview.width = image.thumbSource.width
+      preview.height = image.thumbSource.height
+      const caption = document.createElement('figcaption')
+      caption.textContent = image.name
+      item.append(preview, caption)
+      stampImportPreviews.appendChild(item)
+      return { ...image, preview, item }
+    })
+    if (!pendingStampImports.length) {
+      showToast('Could not read the selected images')
+      return
+    }
+    renderStampImportPreviews()
+    stampImportDialog.setOpen(true)
+  }
+
+  stampImportCancelBtn.addEventListener('click', () => stampImportDialog.setOpen(false))
+  stampImportConfirmBtn.addEventListener('click', async () => {
+    const settings = getStampImportSettings()
+    const records = []
+    let empty = 0
+    pendingStampImports.forEach(({ name, source }) => {
+      const bitmap = readCanvasBitmap(source)
+      const baked = bitmap && bakeStampImport(bitmap, settings)
+      // Stored already binarized, so imported stamps read back the same under the default (or colour) settings.
+      const entry = baked && cropImageToShapeBounds(bitmapToCanvas(baked), false, settings.keepColors ? COLOR_STAMP_BINARIZATION : DEFAULT_STAMP_BINARIZATION)
+      if (!entry) {
+        empty++
+        return
+      }
+      records.push({ id: createCustomStampId(), kind: 'raster', name, dataUrl: entry.canvas.toDataURL('image/png'), ...(settings.keepColors && { colors: true }) })
+    })
+    pendingStampImports = []
+    stampImportDialog.setOpen(false)
+    persistSettings(stats?.textContent ?? '')
+    if (empty) showToast(`${empty} image${empty === 1 ? ' has' : 's have'} no shape pixels with these settings and ${empty === 1 ? 'was' : 'were'} skipped`)
+    await addCustomStamps(records)
+  })
+
+  function getStampIdBinarization(stampId) {
+    return stampBinarizationOverrides.get(stampId) ?? stampBinarization
+  }
+
+  /** Selected built-in stamps; imported bitmaps are binarized once, when they are imported. */
+  const getSelectedBinarizableStamps = () =>
+    [...selectedStampIndices].sort((a, b) => a - b).map((i) => loadedStamps[i]).filter((entry) => entry?.source)
+
+  /** What a stamp would use if the control values were committed now. */
+  function getPendingBinarization(entry, edited) {
+    if (stampBinarizationScope.input.checked) {
+      return getSelectedBinarizableStamps().includes(entry) ? edited : getStampIdBinarization(entry.stampId)
+    }
+    return stampBinarizationOverrides.get(entry.stampId) ?? edited
+  }
+
+  /** Live preview for the selected stamps (or the first few) with the values currently in the controls. */
+  function renderStampBinarizationPreview() {
+    const selected = getSelectedBinarizableStamps()
+    const entries = (selected.length ? selected : loadedStamps.filter((entry) => entry.source)).slice(0, STAMP_BINARIZATION_PREVIEW_COUNT)
+    const edited = stampBinarizationControls.read()
+    stampBinarizationPreview.innerHTML = ''
+    entries.forEach((entry) => {
+      entry.sourceBitmap ??= readCanvasBitmap(scaleImageToCanvas(entry.source, Infinity))
+      if (!entry.sourceBitmap) return
+      const pending = getPendingBinarization(entry, edited)
+      const resolved = resolveStampBinarization(entry.sourceBitmap, pending)
+      const item = document.createElement('figure')
+      item.className = 'ag-binarization-preview-item'
+      const canvas = document.createElement('canvas')
+      drawBinarizationPreview(canvas, entry.sourceBitmap, resolved)
+      const caption = document.createElement('figcaption')
+      caption.textContent = pending.otsu ? `${entry.label} · ${resolved.threshold}` : entry.label
+      item.append(canvas, caption)
+      stampBinarizationPreview.appendChild(item)
+    })
+  }
+
+  let stampBinarizationPreviewFrame = 0
+  const scheduleStampBinarizationPreview = () => {
+    if (stampBinarizationPreviewFrame) return
+    stampBinarizationPreviewFrame = requestAnimationFrame(() => {
+      stampBinarizationPreviewFrame = 0
+      renderStampBinarizationPreview()
+    })
+  }
+
+  /** Show the primary selected stamp's own settings, or the shared ones. */
+  function syncStampBinarizationControls() {
+    const primary = getSelectedBinarizableStamps()[0]
+    const override = primary && stampBinarizationOverrides.get(primary.stampId)
+    stampBinarizationScope.input.checked = Boolean(override)
+    stampBinarizationControls.write(override ?? stampBinarization)
+    scheduleStampBinarizationPreview()
+  }
+
+  /** Re-crop stamps whose binarization changed; the next Generate or placement traces the new shapes. */
+  function recropStamps(entries) {
+    entries.forEach((entry) => Object.assign(entry, cropStampSource(entry.source, getStampIdBinarization(entry.stampId))))
+    renderStampGrid()
+    updateSelectedStampsStrip()
+    scheduleStampBinarizationPreview()
+    renderStampRegionList()
+  }
+
+  function commitStampBinarization() {
+    const edited = stampBinarizationControls.read()
+    let affected
+    if (stampBinarizationScope.input.checked) {
+      affected = getSelectedBinarizableStamps()
+      affected.forEach((entry) => stampBinarizationOverrides.set(entry.stampId, edited))
+    } else {
+      stampBinarization = edited
+      affected = loadedStamps.filter((entry) => entry.source && !stampBinarizationOverrides.has(entry.stampId))
+    }
+    recropStamps(affected)
+    persistSettings(stats?.textContent ?? '')
+  }
+
+  const getStampColorRegions = () => readBoundedInt(stampColorRegionsRow.input, 1, 1, MAX_STAMP_COLOR_REGIONS)
+  /** Key for per-stamp settings that survives reloads: manifest id or imported stamp id. */
+  const getStampKey = (entry) => entry.stampId ?? entry.customId ?? null
+
+  /** Palette slot for one colour region of a stamp, or null to keep its original colour. */
+  function getStampRegionSlot(entry, region) {
+    const override = stampRegionColorOverrides.get(getStampKey(entry))?.[region]
+    if (override === 'original') return null
+    if (Number.isInteger(override)) return override
+    return stampRegionColorsSelect.value === 'palette' ? region : null
+  }
+
+  /** Attach the palette slots chosen for this stamp to its traced colour layers. */
+  function withStampRegionSlots(paths, entry) {
+    if (!paths?.stampLayers) return paths
+    return {
+      ...paths,
+      stampLayers: paths.stampLayers.map((layer, region) => {
+        const paletteSlot = getStampRegionSlot(entry, region)
+        return paletteSlot == null ? layer : { ...layer, paletteSlot }
+      }),
+    }
+  }
+
+  /** Colour choice per region of the selected stamp, when it splits into several colour regions. */
+  function renderStampRegionList() {
+    stampRegionList.innerHTML = ''
+    const regions = getStampColorRegions()
+    const entry = selectedStampIndices.size === 1 ? stampShape : null
+    if (regions < 2 || !entry?.canvas || entry.stampPath) return
+    const bitmap = readCanvasBitmap(entry.canvas)
+    const { colors } = bitmap ? quantizeStampColors(bitmap, stampInvert, regions, entry.binarization) : { colors: [] }
+    if (colors.length < 2) {
+      const note = document.createElement('p')
+      note.className = 'ag-stamp-regions-note'
+      note.textContent = 'The selected stamp has a single color.'
+      stampRegionList.appendChild(note)
+      return
+    }
+    const key = getStampKey(entry)
+    const overrides = stampRegionColorOverrides.get(key) ?? {}
+    colors.forEach((color, region) => {
+      const row = document.createElement('label')
+      row.className = 'ag-stamp-region'
+      const swatch = document.createElement('span')
+      swatch.className = 'ag-stamp-region-swatch'
+      swatch.style.background = color
+      const select = document.createElement('select')
+      select.setAttribute('aria-label', `Color for region ${region + 1}`)
+      const override = overrides[region]
+      const slotCount = Math.max(getColorsForGeneration().length, Number.isInteger(override) ? override + 1 : 0)
+      const options = [
+        ['', 'Default'],
+        ['original', `Original ${color}`],
+        ...Array.from({ length: slotCount }, (_, slot) => [String(slot), `Palette color ${slot + 1}`]),
+      ]
+      options.forEach(([value, text]) => {
+        const opt = document.createElement('option')
+        opt.value = value
+        opt.textContent = text
+        select.appendChild(opt)
+      })
+      select.value = override != null ? String(override) : ''
+      select.addEventListener('change', () => {
+        const next = { ...stampRegionColorOverrides.get(key) }
+        if (select.value === '') delete next[region]
+        else next[region] = select.value === 'original' ? 'original' : Number(select.value)
+        if (Object.keys(next).length) stampRegionColorOverrides.set(key, next)
+        else stampRegionColorOverrides.delete(key)
+        persistSettings(stats?.textContent ?? '')
+      })
+      row.append(swatch, select)
+      stampRegionList.appendChild(row)
+    })
+  }
+
+  stampColorRegionsRow.input.addEventListener('change', () => {
+    stampColorRegionsRow.input.value = String(getStampColorRegions())
+    renderStampRegionList()
+    persistSettings(stats?.textContent ?? '')
+  })
+  stampRegionColorsSelect.addEventListener('change', () => persistSettings(stats?.textContent ?? ''))
+
+  stampBinarizationControls.onInput(scheduleStampBinarizationPreview)
+  stampBinarizationControls.root.addEventListener('change', commitStampBinarization)
+  stampBinarizationScope.input.addEventListener('change', () => {
+    const selected = getSelectedBinarizableStamps()
+    if (!selected.length) {
+      stampBinarizationScope.input.checked = false
+      showToast('Select one or more built-in stamps first')
+      return
+    }
+    if (stampBinarizationScope.input.checked) {
+      const current = getStampIdBinarization(selected[0].stampId)
+      selected.forEach((entry) => stampBinarizationOverrides.set(entry.stampId, stampBinarizationOverrides.get(entry.stampId) ?? current))
+      stampBinarizationControls.write(stampBinarizationOverrides.get(selected[0].stampId))
+    } else {
+      selected.forEach((entry) => stampBinarizationOverrides.delete(entry.stampId))
+      stampBinarizationControls.write(stampBinarization)
+    }
+    recropStamps(selected)
+    persistSettings(stats?.textContent ?? '')
+  })
+  stampBinarizationResetBtn.addEventListener('click', () => {
+    stampBinarizationControls.write(DEFAULT_STAMP_BINARIZATION)
+    commitStampBinarization()
+  })
+
+  stampImportInput.addEventListener('change', () => {
+    const files = [...(stampImportInput.files ?? [])]
+    stampImportInput.value = ''
+    if (files.length) importStampFiles(files)
+  })
+  const hasDraggedFiles = (e) => Array.from(e.dataTransfer?.types ?? []).includes('Files')
+  stampContent.addEventListener('dragover', (e) => {
+    if (!hasDraggedFiles(e)) return
+    e.preventDefault()
+    e.dataTransfer.dropEffect = 'copy'
+    stampGridContainer.classList.add('is-drop-target')
+  })
+  stampContent.addEventListener('dragleave', (e) => {
+    if (!stampContent.contains(e.relatedTarget)) stampGridContainer.classList.remove('is-drop-target')
+  })
+  stampContent.addEventListener('drop', (e) => {
+    if (!hasDraggedFiles(e)) return
+    e.preventDefault()
+    stampGridContainer.classList.remove('is-drop-target')
+    importStampFiles([...e.dataTransfer.files])
+  })
+
+  invertCheckbox.addEventListener('change', () => {
+    stampInvert = invertCheckbox.checked
+    renderStampRegionList()
+  })
 
   const entityActions = document.createElement('div')
   entityActions.className = 'floor-plan-actions'
   const deleteEntityBtn = document.createElement('button')
   deleteEntityBtn.type = 'button'
   deleteEntityBtn.textContent = 'Delete selected'
-  entityActions.append(deleteEntityBtn)
+  const groupBtn = document.createElement('button')
+  groupBtn.type = 'button'
+  groupBtn.textContent = 'Group'
+  groupBtn.title = 'Group the selected shapes (Cmd/Ctrl+G)'
+  const ungroupBtn = document.createElement('button')
+  ungroupBtn.type = 'button'
+  ungroupBtn.textContent = 'Ungroup'
+  ungroupBtn.title = 'Ungroup the selected groups (Cmd/Ctrl+Shift+G)'
+  entityActions.append(deleteEntityBtn, groupBtn, ungroupBtn)
   const entitiesList = document.createElement('ul')
   entitiesList.className = 'floor-plan-entity-list'
 
@@ -1495,6 +3193,105 @@ export function mountArtGridTool(containerElement) {
   shapesPanelHeader.addEventListener('click', () => shapesPanelFull.classList.toggle('collapsed'))
   shapesPanelFull.append(shapesPanelHeader, shapesPanelContent)
 
+  // Arrange panel: align, distribute, match and lay out the selected shapes
+  const alignToRow = document.createElement('label')
+  alignToRow.className = 'floor-plan-control'
+  alignToRow.setAttribute('for', domId('ag-align-to'))
+  alignToRow.textContent = 'Relative to'
+  const alignToSelect = document.createElement('select')
+  alignToSelect.id = domId('ag-align-to')
+  ;[['selection', 'Selection'], ['canvas', 'Canvas']].forEach(([value, label]) => {
+    const opt = document.createElement('option')
+    opt.value = value
+    opt.textContent = label
+    alignToSelect.appendChild(opt)
+  })
+  alignToSelect.title = 'Align and distribute within the selection\'s bounds or the whole canvas; a single shape always uses the canvas'
+  alignToRow.appendChild(alignToSelect)
+  const ALIGN_LABELS = { left: 'Left', center: 'Center', right: 'Right', top: 'Top', middle: 'Middle', bottom: 'Bottom' }
+  const createArrangeButton = (label, title) => {
+    const button = document.createElement('button')
+    button.type = 'button'
+    button.textContent = label
+    button.title = title
+    return button
+  }
+  const alignActions = document.createElement('div')
+  alignActions.className = 'floor-plan-actions'
+  const alignButtons = ALIGN_EDGES.map((edge) => {
+    const axis = ['left', 'center', 'right'].includes(edge) ? 'horizontally' : 'vertically'
+    const button = createArrangeButton(ALIGN_LABELS[edge], `Align ${edge} (${axis})`)
+    button.dataset.edge = edge
+    return button
+  })
+  alignActions.append(...alignButtons)
+  const distributeActions = document.createElement('div')
+  distributeActions.className = 'floor-plan-actions'
+  const distributeHBtn = createArrangeButton('Distribute ↔', 'Equal horizontal gaps between the selected shapes')
+  const distributeVBtn = createArrangeButton('Distribute ↕', 'Equal vertical gaps between the selected shapes')
+  const matchSizeBtn = createArrangeButton('Match size', 'Give every selected shape the size of the first one selected')
+  const matchRotationBtn = createArrangeButton('Match rotation', 'Give every selected shape the rotation of the first one selected')
+  distributeActions.append(distributeHBtn, distributeVBtn, matchSizeBtn, matchRotationBtn)
+  const arrangeSizeRow = document.createElement('div')
+  arrangeSizeRow.className = 'canvas-size-row'
+  const gridColumns = createNumberField('Grid columns', domId('ag-arrange-columns'), 0, 0, 64)
+  gridColumns.input.title = 'Columns for Arrange in grid; 0 makes the grid as square as possible'
+  const arrangeGap = createNumberField('Gap (px)', domId('ag-arrange-gap'), 8, 0, 500)
+  arrangeGap.input.title = 'Space between shapes in a grid'
+  arrangeSizeRow.append(gridColumns.row, arrangeGap.row)
+  const layoutActions = document.createElement('div')
+  layoutActions.className = 'floor-plan-actions'
+  const arrangeGridBtn = createArrangeButton('Arrange in grid', 'Lay the selected shapes out in a grid, in selection order')
+  const arrangeCircleBtn = createArrangeButton('Arrange in circle', 'Space the selected shapes evenly around a circle, clockwise from the top')
+  const stepRepeatBtn = createArrangeButton('Step and repeat…', 'Make a row of copies, each offset, rotated and scaled a step further (Cmd/Ctrl+Shift+D)')
+  layoutActions.append(arrangeGridBtn, arrangeCircleBtn, stepRepeatBtn)
+
+  const arrangePanelContent = document.createElement('div')
+  arrangePanelContent.className = 'panel-content'
+  arrangePanelContent.append(alignToRow, alignActions, distributeActions, arrangeSizeRow, layoutActions)
+
+  const arrangePanelFull = document.createElement('div')
+  arrangePanelFull.className = 'panel collapsed'
+  const arrangePanelHeader = document.createElement('button')
+  arrangePanelHeader.className = 'panel-header'
+  arrangePanelHeader.type = 'button'
+  arrangePanelHeader.innerHTML = '<span class="panel-chevron">▼</span>Arrange'
+  arrangePanelHeader.addEventListener('click', () => arrangePanelFull.classList.toggle('collapsed'))
+  arrangePanelFull.append(arrangePanelHeader, arrangePanelContent)
+
+  const savedStepRepeat = saved?.stepRepeat ?? {}
+  const stepRepeatDialog = createToolDialog(domId('ag-step-repeat-title'), 'Step and repeat', () => stepRepeatConfirmBtn.focus())
+  const stepRepeatIntro = document.createElement('p')
+  stepRepeatIntro.className = 'modal-instructions'
+  stepRepeatIntro.textContent = 'Each copy of the selection moves, turns and scales one step further than the one before.'
+  const stepRepeatCount = createNumberField('Copies', domId('ag-step-repeat-count'), savedStepRepeat.count ?? 5, 1, 100)
+  const stepRepeatOffsetRow = document.createElement('div')
+  stepRepeatOffsetRow.className = 'canvas-size-row'
+  const stepRepeatOffsetX = createNumberField('Offset X (px)', domId('ag-step-repeat-x'), savedStepRepeat.offsetX ?? 40, -4000, 4000)
+  const stepRepeatOffsetY = createNumberField('Offset Y (px)', domId('ag-step-repeat-y'), savedStepRepeat.offsetY ?? 0, -4000, 4000)
+  stepRepeatOffsetRow.append(stepRepeatOffsetX.row, stepRepeatOffsetY.row)
+  const stepRepeatRotation = createNumberField('Rotation step (°)', domId('ag-step-repeat-rotation'), savedStepRepeat.rotation ?? 0, -360, 360)
+  const stepRepeatScale = createNumberField('Scale step (%)', domId('ag-step-repeat-scale'), savedStepRepeat.scale ?? 100, 10, 400)
+  stepRepeatScale.input.title = '100% keeps the size; 90% makes each copy 10% smaller than the one before'
+  const stepRepeatCancelBtn = document.createElement('button')
+  stepRepeatCancelBtn.type = 'button'
+  stepRepeatCancelBtn.className = 'button'
+  stepRepeatCancelBtn.textContent = 'Cancel'
+  const stepRepeatConfirmBtn = document.createElement('button')
+  stepRepeatConfirmBtn.type = 'button'
+  stepRepeatConfirmBtn.className = 'button'
+  stepRepeatConfirmBtn.textContent = 'Repeat'
+  stepRepeatDialog.body.append(stepRepeatIntro, stepRepeatCount.row, stepRepeatOffsetRow, stepRepeatRotation.row, stepRepeatScale.row)
+  stepRepeatDialog.actions.append(stepRepeatCancelBtn, stepRepeatConfirmBtn)
+  const getStepRepeatSettings = () => ({
+    count: readBoundedInt(stepRepeatCount.input, 5, 1, 100),
+    offsetX: readBoundedInt(stepRepeatOffsetX.input, 40, -4000, 4000),
+    offsetY: readBoundedInt(stepRepeatOffsetY.input, 0, -4000, 4000),
+    rotation: readBoundedInt(stepRepeatRotation.input, 0, -360, 360),
+    scale: readBoundedInt(stepRepeatScale.input, 100, 10, 400),
+  })
+  stepRepeatCancelBtn.addEventListener('click', () => stepRepeatDialog.setOpen(false))
+
   const layersList = document.createElement('ul')
   layersList.className = 'floor-plan-entity-list'
 
@@ -1511,94 +3308,69 @@ export function mountArtGridTool(containerElement) {
   layersPanelHeader.addEventListener('click', () => layersPanelFull.classList.toggle('collapsed'))
   layersPanelFull.append(layersPanelHeader, layersPanelContent)
 
-  entitiesContainer.append(shapesPanelFull, layersPanelFull)
+  if (entitiesContainer) entitiesContainer.append(shapesPanelFull, arrangePanelFull, layersPanelFull)
 
   const clamp = (value, min, max) => Math.max(min, Math.min(max, value))
 
+  const openToasts = new Set()
   function showToast(message) {
     const toast = document.createElement('div')
     toast.className = 'toast'
     toast.textContent = message
     toast.style.cssText = 'position:fixed;bottom:16px;left:50%;transform:translateX(-50%);padding:8px 16px;z-index:2000;'
     document.body.appendChild(toast)
-    setTimeout(() => toast.remove(), 2500)
+    openToasts.add(toast)
+    setTimeout(() => {
+      toast.remove()
+      openToasts.delete(toast)
+    }, 2500)
   }
   
-  // Resolution for source stamp paths: higher = smoother lines, larger SVG metadata. Editor uses a smaller path.
-  const STAMP_PATH_RESOLUTION_SOURCE = 4
-  // Max dimension for stamp path while editing; reduces path commands for faster render.
-  const EDITOR_STAMP_PATH_MAX = 64
-
   const READBACK_CONTEXT_OPTIONS = { willReadFrequently: true }
 
-  function bitmapToSvgPath(canvas, invert, pathResolution = 1) {
+  /** Pixels of a stamp canvas for the shared stamp-bitmap helpers; null when the canvas cannot be read. */
+  function readCanvasBitmap(canvas) {
     const ctx = canvas.getContext('2d', READBACK_CONTEXT_OPTIONS)
-    if (!ctx) return ''
-    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height)
-    const { data, width, height } = imageData
-    const u = 1 / pathResolution
-
-    let path = ''
-    for (let y = 0; y < height; y++) {
-      for (let x = 0; x < width; x++) {
-        const i = (y * width + x) * 4
-        const r = data[i]
-        const g = data[i + 1]
-        const b = data[i + 2]
-        const a = data[i + 3]
-        if (a < 10) continue
-        const brightness = (r + g + b) / 3
-        const isPureBlack = brightness < 50
-        const isPureWhite = brightness > 205
-        if (!isPureBlack && !isPureWhite) continue
-        const isShape = invert ? isPureWhite : isPureBlack
-        if (isShape) {
-          const x0 = x * u
-          const y0 = y * u
-          path += `M${x0},${y0}h${u}v${u}h${-u}z`
-        }
-      }
-    }
-    return path
+    if (!ctx) return null
+    return ctx.getImageData(0, 0, canvas.width, canvas.height)
+  }
+
+  function bitmapToCanvas(bitmap) {
+    const canvas = document.createElement('canvas')
+    canvas.width = bitmap.width
+    canvas.height = bitmap.height
+    canvas.getContext('2d', READBACK_CONTEXT_OPTIONS)?.putImageData(new ImageData(bitmap.data, bitmap.width, bitmap.height), 0, 0)
+    return canvas
   }
   
   const getStampScale = () => parseFloat(stampScaleRow.input.value) || 0.25
 
-  /** Build pool from a list of stamp entries (each as normal + inverted). */
+  /** Build pool from a list of stamp entries: bitmap stamps as normal + inverted, imported SVG stamps as drawn. */
   function buildStampPoolFromEntries(entries) {
-    const pool = []
-    for (const entry of entries) {
-      const croppedCanvas = entry.canvas
-      const cropWidth = entry.width
-      const cropHeight = entry.height
-      const stampPathNormal = bitmapToSvgPath(croppedCanvas, false, STAMP_PATH_RESOLUTION_SOURCE)
-      const stampPathInverted = bitmapToSvgPath(croppedCanvas, true, STAMP_PATH_RESOLUTION_SOURCE)
-      const editorPathMax = Math.max(1, EDITOR_STAMP_PATH_MAX)
-      const scaleEditor = Math.min(1, editorPathMax / Math.max(cropWidth, cropHeight))
-      const editorW = Math.max(1, Math.round(cropWidth * scaleEditor))
-      const editorH = Math.max(1, Math.round(cropHeight * scaleEditor))
-      let stampPathEditorNormal = null
-      let stampPathEditorInverted = null
-      if (editorW * editorH < cropWidth * cropHeight) {
-        const smallCanvas = document.createElement('canvas')
-        smallCanvas.width = editorW
-        smallCanvas.height = editorH
-        const smallCtx = smallCanvas.getContext('2d', READBACK_CONTEXT_OPTIONS)
-        if (smallCtx) {
-          smallCtx.imageSmoothingEnabled = false
-          smallCtx.drawImage(croppedCanvas, 0, 0, cropWidth, cropHeight, 0, 0, editorW, editorH)
-          stampPathEditorNormal = bitmapToSvgPath(smallCanvas, false, 1)
-          stampPathEditorInverted = bitmapToSvgPath(smallCanvas, true, 1)
-        }
+    const tracing = getStampTracing()
+    const colorRegions = getStampColorRegions()
+    return entries.flatMap((entry) => {
+      if (entry.stampPath) {
+        const { stampPath, stampWidth, stampHeight, stampPathResolution } = entry
+        return [{ stampPath, stampWidth, stampHeight, stampPathResolution }]
       }
-      const editorPathNormal = stampPathEditorNormal || stampPathNormal
-      const editorPathInverted = stampPathEditorInverted || stampPathInverted
-      const editorPathW = stampPathEditorNormal != null ? editorW : cropWidth
-      const editorPathH = stampPathEditorNormal != null ? editorH : cropHeight
-      if (stampPathNormal) pool.push({ stampPath: stampPathNormal, stampWidth: cropWidth, stampHeight: cropHeight, stampPathResolution: STAMP_PATH_RESOLUTION_SOURCE, stampPathEditor: editorPathNormal, stampWidthEditor: editorPathW, stampHeightEditor: editorPathH })
-      if (stampPathInverted) pool.push({ stampPath: stampPathInverted, stampWidth: cropWidth, stampHeight: cropHeight, stampPathResolution: STAMP_PATH_RESOLUTION_SOURCE, stampPathEditor: editorPathInverted, stampWidthEditor: editorPathW, stampHeightEditor: editorPathH })
-    }
-    return pool
+      const bitmap = readCanvasBitmap(entry.canvas)
+      if (!bitmap) return []
+      if (!entry.stampId) return buildStampPool([bitmap], tracing, entry.binarization, colorRegions).map((paths) => withStampRegionSlots(paths, entry))
+      const entryTracing = scaleTracingForResolution(tracing, entry.resolution)
+      return [false, true]
+        .map((invert) => {
+          const paths = withStampRegionSlots(createStampPaths(bitmap, invert, entryTracing, entry.binarization, colorRegions), entry)
+          return paths && { ...paths, ...getStampSource(entry, invert) }
+        })
+        .filter(Boolean)
+    })
+  }
+
+  /** Shape fields linking a manifest stamp to its asset, so exports can re-trace it at another resolution. */
+  function getStampSource(entry, invert) {
+    if (!entry.stampId) return {}
+    return { stampId: entry.stampId, stampResolution: entry.resolution, ...(invert && { stampInverted: true }) }
   }
 
   /** Returns stamp pool for random generation. If entriesOverride is provided, use only those stamps; otherwise all loaded. */
@@ -1613,38 +3385,17 @@ export function mountArtGridTool(containerElement) {
     const scale = getStampScale()
     const cw = stampData.width ?? stampData.stampWidth
     const ch = stampData.height ?? stampData.stampHeight
-    const rawSize = Math.max(cw, ch)
+    // Sizes are measured at the reference resolution, so @4x stamps are placed as large as @2x ones.
+    const rawSize = Math.max(cw, ch) * (stampData.sizeScale ?? 1)
     const pattern = stampTextureSelect.value || 'solid'
-    let stampPath = stampData.stampPath
-    let stampPathEditor = stampData.stampPathEditor
-    let stampWidthEditor = stampData.stampWidthEditor
-    let stampHeightEditor = stampData.stampHeightEditor
-    if (stampData.canvas) {
-      stampPath = bitmapToSvgPath(stampData.canvas, stampInvert, STAMP_PATH_RESOLUTION_SOURCE)
-      if (!stampPath) return null
-      const editorPathMax = Math.max(1, EDITOR_STAMP_PATH_MAX)
-      const scaleEditor = Math.min(1, editorPathMax / Math.max(cw, ch))
-      const editorW = Math.max(1, Math.round(cw * scaleEditor))
-      const editorH = Math.max(1, Math.round(ch * scaleEditor))
-      if (editorW * editorH < cw * ch) {
-        const smallCanvas = document.createElement('canvas')
-        smallCanvas.width = editorW
-        smallCanvas.height = editorH
-        const smallCtx = smallCanvas.getContext('2d', READBACK_CONTEXT_OPTIONS)
-        if (smallCtx) {
-          smallCtx.imageSmoothingEnabled = false
-          smallCtx.drawImage(stampData.canvas, 0, 0, cw, ch, 0, 0, editorW, editorH)
-          stampPathEditor = bitmapToSvgPath(smallCanvas, stampInvert, 1)
-          stampWidthEditor = editorW
-          stampHeightEditor = editorH
-        }
-      }
-      if (!stampPathEditor) {
-        stampPathEditor = stampPath
-        stampWidthEditor = cw
-        stampHeightEditor = ch
-      }
+    let paths = stampData
+    if (stampData.canvas && !stampData.stampPath) {
+      const bitmap = readCanvasBitmap(stampData.canvas)
+      const tracing = stampData.resolution ? scaleTracingForResolution(getStampTracing(), stampData.resolution) : getStampTracing()
+      paths = bitmap ? withStampRegionSlots(createStampPaths(bitmap, stampInvert, tracing, stampData.binarization, getStampColorRegions()), stampData) : null
+      if (!paths) return null
     }
+    const { stampPath, stampPathEditor, stampWidthEditor, stampHeightEditor } = paths
     return {
       type: 'stamp',
       x,
@@ -1658,8 +3409,51 @@ export function mountArtGridTool(containerElement) {
       stampPath,
       stampWidth: cw,
       stampHeight: ch,
-      stampPathResolution: stampData.stampPathResolution ?? STAMP_PATH_RESOLUTION_SOURCE,
+      stampPathResolution: paths.stampPathResolution ?? STAMP_PATH_RESOLUTION_SOURCE,
       ...(stampPathEditor != null && { stampPathEditor, stampWidthEditor, stampHeightEditor }),
+      ...(paths.stampLayers && { stampLayers: resolveStampLayerColors(paths.stampLayers, getPaletteForGeneration()) }),
+      ...getStampSource(stampData, stampInvert),
+    }
+  }
+
+  /** Stamp pool for generation: the shift-selected subset when several stamps are selected, otherwise every loaded stamp. */
+  function getSelectedStampPool() {
+    const entriesOverride = selectedStampIndices.size > 1
+      ? [...selectedStampIndices].sort((a, b) => a - b).map((i) => loadedStamps[i])
+      : null
+    return getStampPool(entriesOverride)
+  }
+
+  /** generateArtGrid options from the Settings and Colors panels, converted to editor space. */
+  function getGenerationOptions(seedValue, stampPool) {
+    const sourceW = readPositiveInt(width.input, 1200)
+    const sourceH = readPositiveInt(height.input, 2400)
+    const { w: editorW, h: editorH } = getEditorSize(sourceW, sourceH)
+    const scaleToEditor = Math.min(editorW / sourceW, editorH / sourceH)
+    const spreadRaw = parseFloat(spreadRow.input.value)
+    const spread = Number.isFinite(spreadRaw) ? Math.max(spreadMin, Math.min(spreadMax, spreadRaw)) : spreadDefault
+    return {
+      seed: seedValue,
+      width: editorW,
+      height: editorH,
+      shapeCount: readBoundedInt(shapeCount.input, 80, 20, 300),
+      spread,
+      layout: layoutSelect.value,
+      layoutJitter: parseFloat(layoutJitterRow.input.value) || 0,
+      radialArms: readBoundedInt(radialArmsRow.input, 8, 2, 24),
+      densityMap,
+      overlap: overlapSelect.value,
+      minGap: readBoundedInt(minGapRow.input, 0, 0, 100) * scaleToEditor,
+      symmetry: symmetrySelect.value,
+      symmetryFolds: readBoundedInt(symmetryFoldsRow.input, 6, 2, 24),
+      shapeTypeWeights: getGenerationShapeTypeWeights(),
+      minSize: Math.max(2, Math.round(readBoundedInt(minSize.input, 8, 2, 100) * scaleToEditor)),
+      maxSize: Math.max(4, Math.round(readBoundedInt(maxSize.input, 120, 10, 300) * scaleToEditor)),
+      minTextureScale: parseFloat(minTextureScale.input.value) || 0.5,
+      maxTextureScale: parseFloat(maxTextureScale.input.value) || 2,
+      randomRotation: randomRotationCheckbox.checked,
+      colors: getPaletteForGeneration(),
+      stamps: stampPool,
     }
   }
 
@@ -1667,30 +3461,125 @@ export function mountArtGridTool(containerElement) {
     randomizeBtn.disabled = generating
     generateNewBtn.disabled = generating
     deleteEntityBtn.disabled = generating
+    groupBtn.disabled = generating
+    ungroupBtn.disabled = generating
   }
 
-  function persistSettings(statsText) {
+  /** Everything that decides what Generate produces, with the keys persistSettings and share links use. */
+  function getGenerationSettings() {
     const spreadVal = parseFloat(spreadRow.input.value)
-    const spreadToSave = Number.isFinite(spreadVal) ? Math.max(spreadMin, Math.min(spreadMax, spreadVal)) : spreadDefault
+    return {
+      seed: readPositiveInt(seed.input, Date.now()),
+      width: readPositiveInt(width.input, 1200),
+      height: readPositiveInt(height.input, 2400),
+      shapeCount: readBoundedInt(shapeCount.input, 80, 20, 300),
+      spread: Number.isFinite(spreadVal) ? Math.max(spreadMin, Math.min(spreadMax, spreadVal)) : spreadDefault,
+      layout: layoutSelect.value,
+      layoutJitter: parseFloat(layoutJitterRow.input.value) || 0,
+      radialArms: readBoundedInt(radialArmsRow.input, 8, 2, 24),
+      densityMap,
+      overlap: overlapSelect.value,
+      minGap: readBoundedInt(minGapRow.input, 0, 0, 100),
+      symmetry: symmetrySelect.value,
+      symmetryFolds: readBoundedInt(symmetryFoldsRow.input, 6, 2, 24),
+      shapeTypeWeights: getShapeTypeWeights(),
+      minSize: readBoundedInt(minSize.input, 8, 2, 100),
+      maxSize: readBoundedInt(maxSize.input, 120, 10, 300),
+      minTextureScale: parseFloat(minTextureScale.input.value) || 0.5,
+      maxTextureScale: parseFloat(maxTextureScale.input.value) || 2,
+      randomRotation: randomRotationCheckbox.checked,
+      stampScale: getStampScale(),
+      stampTracing: getStampTracing(),
+      stampBinarization,
+      stampBinarizationOverrides: Object.fromEntries(stampBinarizationOverrides),
+      stampColorRegions: getStampColorRegions(),
+      stampRegionColors: stampRegionColorsSelect.value,
+      stampRegionColorOverrides: Object.fromEntries(stampRegionColorOverrides),
+      stampPattern: stampTextureSelect.value || 'solid',
+      colorPalette: [...colorPalette],
+      paletteRules: paletteRules.map((rules) => ({ ...rules })),
+      background: getBackground(),
+    }
+  }
+
+  /**
+   * Set the controls from a getGenerationSettings object, e.g. from a share link; missing or unknown values keep the
+   * current setting. Built-in stamps are re-cropped when it brings a binarization.
+   */
+  function applyGenerationSettings(settings) {
+    const setField = (input, value) => {
+      if (value == null || !Number.isFinite(Number(value))) return
+      input.value = String(value)
+      input.dispatchEvent(new Event('input'))
+    }
+    setField(seed.input, settings.seed)
+    setField(width.input, settings.width)
+    setField(height.input, settings.height)
+    setField(shapeCount.input, settings.shapeCount)
+    setField(spreadRow.input, settings.spread)
+    if (LAYOUTS.includes(settings.layout)) layoutSelect.value = settings.layout
+    setField(layoutJitterRow.input, settings.layoutJitter)
+    setField(radialArmsRow.input, settings.radialArms)
+    if ('densityMap' in settings) densityMap = settings.densityMap?.data?.length ? settings.densityMap : null
+    if (OVERLAP_MODES.includes(settings.overlap)) overlapSelect.value = settings.overlap
+    setField(minGapRow.input, settings.minGap)
+    if (SYMMETRY_MODES.includes(settings.symmetry)) symmetrySelect.value = settings.symmetry
+    setField(symmetryFoldsRow.input, settings.symmetryFolds)
+    GENERATED_SHAPE_TYPES.forEach((type) => setField(shapeTypeInputs[type], settings.shapeTypeWeights?.[type]))
+    setField(minSize.input, settings.minSize)
+    setField(maxSize.input, settings.maxSize)
+    setField(minTextureScale.input, settings.minTextureScale)
+    setField(maxTextureScale.input, settings.maxTextureScale)
+    if (typeof settings.randomRotation === 'boolean') randomRotationCheckbox.checked = settings.randomRotation
+    updateLayoutUI()
+    updateOverlapUI()
+    updateSymmetryUI()
+    setField(stampScaleRow.input, settings.stampScale)
+    setField(stampToleranceRow.input, settings.stampTracing?.tolerance)
+    setField(stampSmoothingRow.input, settings.stampTracing?.smoothing)
+    if (stampTextureOptions.includes(settings.stampPattern)) stampTextureSelect.value = settings.stampPattern
+    const binarizationChanged = 'stampBinarization' in settings || 'stampBinarizationOverrides' in settings
+    if ('stampBinarization' in settings) stampBinarization = normalizeStampBinarization(settings.stampBinarization)
+    if ('stampBinarizationOverrides' in settings) {
+      stampBinarizationOverrides.clear()
+      Object.entries(settings.stampBinarizationOverrides ?? {}).forEach(([id, value]) => stampBinarizationOverrides.set(id, normalizeStampBinarization(value)))
+    }
+    setField(stampColorRegionsRow.input, settings.stampColorRegions)
+    if (STAMP_REGION_COLOR_LABELS[settings.stampRegionColors]) stampRegionColorsSelect.value = settings.stampRegionColors
+    if ('stampRegionColorOverrides' in settings) {
+      stampRegionColorOverrides.clear()
+      Object.entries(settings.stampRegionColorOverrides ?? {}).forEach(([key, value]) => stampRegionColorOverrides.set(key, value))
+    }
+    if (Array.isArray(settings.colorPalette)) {
+      colorPalette = settings.colorPalette.filter((color) => typeof color === 'string')
+      paletteRules.splice(0, paletteRules.length, ...colorPalette.map((_, i) => ({ ...DEFAULT_PALETTE_RULES, ...settings.paletteRules?.[i] })))
+      renderPaletteList()
+    }
+    if (settings.background && typeof settings.background === 'object') {
+      background = { ...background, ...settings.background }
+      syncBackgroundControls()
+    }
+    if (binarizationChanged) recropStamps(loadedStamps.filter((entry) => entry.stampId))
+    syncStampBinarizationControls()
+  }
+
+  function persistSettings(statsText) {
+    scheduleProjectSave()
+    if (!ownsPageState) return
     window.localStorage.setItem(
       SETTINGS_KEY,
       JSON.stringify({
-        seed: readPositiveInt(seed.input, Date.now()),
-        width: readPositiveInt(width.input, 1200),
-        height: readPositiveInt(height.input, 2400),
-        shapeCount: readBoundedInt(shapeCount.input, 80, 20, 300),
-        spread: spreadToSave,
-        minSize: readBoundedInt(minSize.input, 8, 2, 100),
-        maxSize: readBoundedInt(maxSize.input, 120, 10, 300),
-        minTextureScale: parseFloat(minTextureScale.input.value) || 0.5,
-        maxTextureScale: parseFloat(maxTextureScale.input.value) || 2,
-        randomRotation: randomRotationCheckbox.checked,
+        ...getGenerationSettings(),
         nudgeAmount: readBoundedInt(nudgeRow.input, nudgeDefault, nudgeMin, nudgeMax),
         scaleStep: readBoundedInt(scaleStepRow.input, scaleStepDefault, scaleStepMin, scaleStepMax),
-        stampScale: getStampScale(),
-        stampPattern: stampTextureSelect.value || 'solid',
-        colorPalette: [...colorPalette],
-        background: getBackground(),
+        snapping: getSnapSettings(),
+        rasterExport: getRasterSettings(),
+        stepRepeat: getStepRepeatSettings(),
+        stampImport: getStampImportSettings(),
+        favoriteSeeds: [...favoriteSeeds],
+        galleryCount: readBoundedInt(galleryCount.input, 12, 4, 48),
+        galleryMode: galleryModeSelect.value,
+        projectAutosave,
         statsText,
       })
     )
@@ -1761,13 +3650,15 @@ export function mountArtGridTool(containerElement) {
 
   function renderEntityList(metadata) {
     entitiesList.innerHTML = ''
-    ;(metadata?.shapes ?? []).forEach((shape, index) => {
-      const id = shape.id ?? `shape-${index + 1}`
+    const groupsById = indexGroups(currentGrid?.groups)
+    const renderShapeRow = (shape, depth) => {
+      const id = shape.id
       const layer = shape.layer || 1
       const layerDisplay = typeof layer === 'string' ? layer : `L${layer}`
       const btn = document.createElement('button')
       btn.type = 'button'
       btn.className = 'floor-plan-entity-item'
+      if (depth > 0) btn.style.setProperty('--depth', String(depth))
       if (selectedShapeIds.has(id)) btn.classList.add('is-selected')
       btn.textContent = `${shape.type} [${layerDisplay}] (${Number(shape.x).toFixed(0)}, ${Number(shape.y).toFixed(0)})`
       btn.addEventListener('click', (e) => {
@@ -1783,7 +3674,37 @@ export function mountArtGridTool(containerElement) {
         updateSelection()
       })
       entitiesList.appendChild(btn)
-    })
+    }
+    // Groups list their shapes and nested groups below them; clicking a group selects all of it, double-clicking enters it.
+    const renderGroupRow = (node, depth) => {
+      const { group } = node
+      const ids = getGroupShapeIds(shapes, groupsById, group.id)
+      const btn = document.createElement('button')
+      btn.type = 'button'
+      btn.className = 'floor-plan-entity-item is-group'
+      if (depth > 0) btn.style.setProperty('--depth', String(depth))
+      if (ids.every((id) => selectedShapeIds.has(id))) btn.classList.add('is-selected')
+      btn.textContent = `▾ Group (${ids.length})${group.id === enteredGroupId ? ' · editing' : ''}`
+      btn.addEventListener('click', (e) => {
+        const shift = e.shiftKey || (typeof e.getModifierState === 'function' && e.getModifierState('Shift'))
+        if (shift && ids.every((id) => selectedShapeIds.has(id))) {
+          ids.forEach((id) => selectedShapeIds.delete(id))
+        } else {
+          if (!shift) selectedShapeIds.clear()
+          ids.forEach((id) => selectedShapeIds.add(id))
+        }
+        selectedLayer = null
+        updateSelection()
+      })
+      btn.addEventListener('dblclick', () => enterGroup(group.id))
+      entitiesList.appendChild(btn)
+      renderNodes(node.children, depth + 1)
+    }
+    const renderNodes = (nodes, depth) => {
+      nodes.forEach((node) => (node.shape ? renderShapeRow(node.shape, depth) : renderGroupRow(node, depth)))
+    }
+    const shapes = (metadata?.shapes ?? []).map((shape, index) => (shape.id != null ? shape : { ...shape, id: `shape-${index + 1}` }))
+    renderNodes(buildGroupTree(shapes, currentGrid?.groups), 0)
     if (entitiesList.children.length === 0) {
       const empty = document.createElement('li')
       empty.className = 'floor-plan-entity-empty'
@@ -1797,17 +3718,21 @@ export function mountArtGridTool(containerElement) {
     const metadata = currentGrid ? { shapes: currentGrid.shapes } : { shapes: [] }
     renderLayerList(metadata)
     renderEntityList(metadata)
+    const ids = [...selectedShapeIds]
+    const key = JSON.stringify(ids)
+    if (key !== lastEmittedSelection) {
+      lastEmittedSelection = key
+      events.emit('selection', { ids })
+    }
   }
 
   function bindCanvasInteractions() {
     if (!currentGrid) return
     currentGrid.shapes = Array.isArray(currentGrid.shapes) ? currentGrid.shapes : []
+    currentGrid.groups = Array.isArray(currentGrid.groups) ? currentGrid.groups : []
+    pruneGroups(currentGrid)
+    if (enteredGroupId != null && !currentGrid.groups.some((group) => group.id === enteredGroupId)) enteredGroupId = null
     if (!currentGrid.background) currentGrid.background = getBackground()
-    currentGrid.shapes.forEach((shape, index) => {
-      if (!shape.layer || shape.layer < 1) {
-        shape.layer = (index % 5) + 1
-      }
-    })
     updateSelection()
 
     const clearHoverOutline = () => {
@@ -1833,6 +3758,8 @@ export function mountArtGridTool(containerElement) {
         y: (deltaPixelsY / rect.height) * vt.height,
       }
     }
+    /** SNAP_THRESHOLD_PX in scene units at the current zoom. */
+    const getSnapThreshold = () => toViewBoxDelta(SNAP_THRESHOLD_PX, 0)?.x ?? 0
     const base = getBaseViewBox()
     const minViewBoxWidth = Math.max(1, (base?.width ?? 400) * 0.2)
     const minViewBoxHeight = Math.max(1, (base?.height ?? 400) * 0.2)
@@ -1868,6 +3795,7 @@ export function mountArtGridTool(containerElement) {
     mainCanvas.onwheel = null
     mainCanvas.onpointerover = null
     mainCanvas.onpointerout = null
+    mainCanvas.ondblclick = null
 
     let hoverRafId = null
     let lastHoverCoords = null
@@ -1920,6 +3848,28 @@ export function mountArtGridTool(containerElement) {
         return
       }
       const gizmo = hitTestGizmos(point.x, point.y)
+      if (gizmo && gizmo.group) {
+        const bounds = getSelectionBounds()
+        const centerX = (bounds.minX + bounds.maxX) / 2
+        const centerY = (bounds.minY + bounds.maxY) / 2
+        const starts = getTransformTargets().map((shape) => ({ shape, x: shape.x, y: shape.y, size: shape.size, rotation: shape.rotation ?? 0 }))
+        const frames = getGroupFrameStarts()
+        stateBeforeDrag = getCurrentState()
+        if (gizmo.kind === 'rotate') {
+          const startAngle = Math.atan2(point.y - centerY, point.x - centerX) * (180 / Math.PI)
+          dragState = { kind: 'group-rotate', centerX, centerY, starts, frames, startAngle }
+        } else {
+          const startDistance = Math.max(1e-6, Math.hypot(point.x - centerX, point.y - centerY))
+          // Stop shrinking once the smallest shape reaches the 4px minimum, so the group keeps its proportions.
+          const minFactor = 4 / Math.max(4, Math.min(...starts.map((start) => start.size)))
+          const startBoxSize = Math.max(bounds.maxX - bounds.minX, bounds.maxY - bounds.minY)
+          const snap = getSnapContext(starts.map((start) => start.shape))
+          dragState = { kind: 'group-scale', centerX, centerY, starts, frames, startDistance, minFactor, startBoxSize, snap }
+        }
+        mainCanvas.setPointerCapture(event.pointerId)
+        event.preventDefault()
+        return
+      }
       if (gizmo && gizmo.kind === 'rotate') {
         const shape = currentGrid.shapes.find((s) => s.id === gizmo.id)
         if (!shape) return
@@ -1935,18 +3885,22 @@ export function mountArtGridTool(containerElement) {
         if (!shape) return
         const startDistance = Math.hypot(point.x - shape.x, point.y - shape.y)
         stateBeforeDrag = getCurrentState()
-        dragState = { kind: 'scale', id: gizmo.id, centerX: shape.x, centerY: shape.y, startSize: shape.size, startDistance }
+        const snap = getSnapContext([shape])
+        dragState = { kind: 'scale', id: gizmo.id, centerX: shape.x, centerY: shape.y, startSize: shape.size, startDistance, snap }
         mainCanvas.setPointerCapture(event.pointerId)
         event.preventDefault()
         return
       }
       const hitShape = hitTestShapes(point.x, point.y)
+      const shift = event.shiftKey || (typeof event.getModifierState === 'function' && event.getModifierState('Shift'))
       if (hitShape) {
         const id = hitShape.id
-        const shift = event.shiftKey || (typeof event.getModifierState === 'function' && event.getModifierState('Shift'))
+        // A click outside the group being edited leaves it.
+        if (enteredGroupId != null && !getGroupChain(indexGroups(currentGrid.groups), hitShape.group).includes(enteredGroupId)) enteredGroupId = null
+        const unit = getSelectionUnit(hitShape)
         if (shift) {
-          if (selectedShapeIds.has(id)) selectedShapeIds.delete(id)
-          else selectedShapeIds.add(id)
+          if (selectedShapeIds.has(id)) unit.forEach((unitId) => selectedShapeIds.delete(unitId))
+          else unit.forEach((unitId) => selectedShapeIds.add(unitId))
           selectedLayer = null
           updateSelection()
           event.preventDefault()
@@ -1954,18 +3908,29 @@ export function mountArtGridTool(containerElement) {
         }
         if (!selectedShapeIds.has(id)) {
           selectedShapeIds.clear()
-          selectedShapeIds.add(id)
+          unit.forEach((unitId) => selectedShapeIds.add(unitId))
           selectedLayer = null
           updateSelection()
         }
         stateBeforeDrag = getCurrentState()
-        dragState = { kind: 'shape', id, startX: hitShape.x, startY: hitShape.y, offsetX: point.x - hitShape.x, offsetY: point.y - hitShape.y }
+        const starts = getTransformTargets(id).map((shape) => ({ shape, x: shape.x, y: shape.y }))
+        const moving = starts.map((start) => start.shape)
+        const frames = getGroupFrameStarts()
+        dragState = { kind: 'shape', startPointX: point.x, startPointY: point.y, starts, frames, startBox: getShapesBounds(moving), snap: getSnapContext(moving) }
         mainCanvas.setPointerCapture(event.pointerId)
         event.preventDefault()
         return
       }
-      selectedShapeIds.clear()
+      // Marquee mode, or Shift in selection mode, selects by dragging a box; Shift adds to the selection.
+      if (!shift) selectedShapeIds.clear()
       selectedLayer = null
+      if ((marqueeMode || shift) && event.button === 0) {
+        dragState = { kind: 'marquee', startX: point.x, startY: point.y, x: point.x, y: point.y, baseIds: new Set(selectedShapeIds) }
+        updateSelection()
+        mainCanvas.setPointerCapture(event.pointerId)
+        event.preventDefault()
+        return
+      }
       updateSelection()
       const current = getCurrentViewTransform()
       dragState = { kind: 'pan', startClientX: event.clientX, startClientY: event.clientY, startViewBox: { ...current } }
@@ -2005,6 +3970,7 @@ export function mountArtGridTool(containerElement) {
         if (newRotation < 0) newRotation += 360
         if (!event.shiftKey) newRotation = Math.round(newRotation / 45) * 45
         shape.rotation = newRotation % 360
+        syncSymmetryCopies(currentGrid.shapes, shape)
         redraw()
         return
       }
@@ -2012,15 +3978,84 @@ export function mountArtGridTool(containerElement) {
         const shape = currentGrid.shapes.find((s) => s.id === dragState.id)
         if (!shape) return
         const currentDistance = Math.hypot(point.x - dragState.centerX, point.y - dragState.centerY)
-        shape.size = Math.max(4, dragState.startSize * (currentDistance / dragState.startDistance))
+        let size = dragState.startSize * (currentDistance / dragState.startDistance)
+        const snap = dragState.snap
+        if (snap?.sizes && !event.altKey) size = snapSize(size, snap.sizes, { threshold: getSnapThreshold(), gridSize: snap.gridSize })
+        shape.size = Math.max(4, size)
+        syncSymmetryCopies(currentGrid.shapes, shape)
+        redraw()
+        return
+      }
+      if (dragState.kind === 'group-rotate' && point) {
+        const { centerX, centerY } = dragState
+        let delta = Math.atan2(point.y - centerY, point.x - centerX) * (180 / Math.PI) - dragState.startAngle
+        if (!event.shiftKey) delta = Math.round(delta / 45) * 45
+        const cos = Math.cos((delta * Math.PI) / 180)
+        const sin = Math.sin((delta * Math.PI) / 180)
+        dragState.starts.forEach((start) => {
+          const dx = start.x - centerX
+          const dy = start.y - centerY
+          start.shape.x = centerX + dx * cos - dy * sin
+          start.shape.y = centerY + dx * sin + dy * cos
+          start.shape.rotation = (((start.rotation + delta) % 360) + 360) % 360
+          syncSymmetryCopies(currentGrid.shapes, start.shape)
+        })
+        moveGroupFrames(dragState.frames, { centerX, centerY, rotation: delta })
+        redraw()
+        return
+      }
+      if (dragState.kind === 'group-scale' && point) {
+        const { centerX, centerY } = dragState
+        let factor = Math.hypot(point.x - centerX, point.y - centerY) / dragState.startDistance
+        // The selection's box snaps to whole grid cells; matching other shapes' sizes only makes sense for one shape.
+        const snap = dragState.snap
+        if (snap?.sizes && snap.gridSize > 0 && !event.altKey) {
+          factor = snapSize(dragState.startBoxSize * factor, [], { threshold: getSnapThreshold(), gridSize: snap.gridSize }) / dragState.startBoxSize
+        }
+        factor = Math.max(dragState.minFactor, factor)
+        dragState.starts.forEach((start) => {
+          start.shape.x = centerX + (start.x - centerX) * factor
+          start.shape.y = centerY + (start.y - centerY) * factor
+          start.shape.size = start.size * factor
+          syncSymmetryCopies(currentGrid.shapes, start.shape)
+        })
+        moveGroupFrames(dragState.frames, { centerX, centerY, scale: factor })
         redraw()
         return
       }
+      if (dragState.kind === 'marquee' && point) {
+        dragState.x = point.x
+        dragState.y = point.y
+        const box = getMarqueeBox(dragState)
+        selectedShapeIds.clear()
+        dragState.baseIds.forEach((id) => selectedShapeIds.add(id))
+        currentGrid.shapes.forEach((shape) => {
+          const shapeBox = getShapeBox(shape)
+          if (shapeBox.maxX >= box.minX && shapeBox.minX <= box.maxX && shapeBox.maxY >= box.minY && shapeBox.minY <= box.maxY) {
+            getSelectionUnit(shape).forEach((id) => selectedShapeIds.add(id))
+          }
+        })
+        drawOverlayCanvas()
+        return
+      }
       if (dragState.kind === 'shape' && point) {
-        const shape = currentGrid.shapes.find((s) => s.id === dragState.id)
-        if (!shape) return
-        shape.x = point.x - dragState.offsetX
-        shape.y = point.y - dragState.offsetY
+        let dx = point.x - dragState.startPointX
+        let dy = point.y - dragState.startPointY
+        snapGuides = []
+        if (dragState.snap && !event.altKey) {
+          const { startBox } = dragState
+          const movedBox = { minX: startBox.minX + dx, minY: startBox.minY + dy, maxX: startBox.maxX + dx, maxY: startBox.maxY + dy }
+          const snapped = snapBox(movedBox, dragState.snap.targets, { threshold: getSnapThreshold(), gridSize: dragState.snap.gridSize })
+          dx += snapped.dx
+          dy += snapped.dy
+          snapGuides = snapped.guides
+        }
+        dragState.starts.forEach((start) => {
+          start.shape.x = start.x + dx
+          start.shape.y = start.y + dy
+          syncSymmetryCopies(currentGrid.shapes, start.shape)
+        })
+        moveGroupFrames(dragState.frames, { dx, dy })
         redraw()
       }
     }
@@ -2030,15 +4065,31 @@ export function mountArtGridTool(containerElement) {
       if (!dragState) return
       mainCanvas.releasePointerCapture(event.pointerId)
       previewContent.classList.remove('is-panning')
-      if (stateBeforeDrag != null && (dragState.kind === 'shape' || dragState.kind === 'rotate' || dragState.kind === 'scale')) {
+      if (stateBeforeDrag != null && ['shape', 'rotate', 'scale', 'group-rotate', 'group-scale'].includes(dragState.kind)) {
         pushUndoState(stateBeforeDrag)
         stateBeforeDrag = null
       }
+      const wasMarquee = dragState.kind === 'marquee'
       dragState = null
+      snapGuides = []
       updateSelection()
+      if (wasMarquee) status.textContent = selectedShapeIds.size ? `Selected ${selectedShapeIds.size} shape${selectedShapeIds.size === 1 ? '' : 's'}.` : 'Nothing selected.'
     }
     mainCanvas.onpointerup = endDrag
     mainCanvas.onpointercancel = endDrag
+    // Double-clicking a group edits its children; double-clicking empty canvas goes back up a level.
+    mainCanvas.ondblclick = (event) => {
+      if (stampMode) return
+      const point = toSceneCoords(event.clientX, event.clientY)
+      if (!point) return
+      const hitShape = hitTestShapes(point.x, point.y)
+      if (!hitShape) {
+        exitGroup()
+        return
+      }
+      const groupId = getSelectableGroup(indexGroups(currentGrid.groups), hitShape, enteredGroupId)
+      if (groupId) enterGroup(groupId, hitShape)
+    }
     mainCanvas.onwheel = (e) => {
       if (dragState) return
       e.preventDefault()
@@ -2059,9 +4110,11 @@ export function mountArtGridTool(containerElement) {
     undoStack.push(toPush)
     if (undoStack.length > MAX_UNDO) undoStack.shift()
     redoStack.length = 0
+    scheduleChangeEvent()
   }
 
   function applyState(state) {
+    scheduleChangeEvent()
     currentGrid = state.grid ? structuredClone(state.grid) : null
     viewState = state.viewState ? { ...state.viewState } : null
     if (currentGrid) {
@@ -2077,54 +4130,67 @@ export function mountArtGridTool(containerElement) {
     updateSelection()
   }
 
-  /** @param {boolean} visible - Show or hide overlay. @param {string} [message] - Optional message; when hiding, text resets to default. */
-  function setLoadingOverlay(visible, message) {
-    loadingOverlay.classList.toggle('is-visible', visible)
+  /** @returns {boolean} false when there is nothing to undo */
+  function undo() {
+    if (!undoStack.length) return false
+    redoStack.push(getCurrentState())
+    applyState(undoStack.pop())
+    status.textContent = 'Undo.'
+    return true
+  }
+
+  /** @returns {boolean} false when there is nothing to redo */
+  function redo() {
+    if (!redoStack.length) return false
+    const current = getCurrentState()
+    if (current.grid) {
+      undoStack.push(current)
+      if (undoStack.length > MAX_UNDO) undoStack.shift()
+    }
+    applyState(redoStack.pop())
+    status.textContent = 'Redo.'
+    return true
+  }
+
+  /** @param {boolean} visible - Show or hide overlay. @param {string} [message] - Optional message; when hiding, text resets to default. */
+  function setLoadingOverlay(visible, message) {
+    loadingOverlay.classList.toggle('is-visible', visible)
     loadingOverlay.setAttribute('aria-hidden', String(!visible))
     if (message !== undefined) loadingOverlayTextEl.textContent = message
     else if (!visible) loadingOverlayTextEl.textContent = defaultLoadingOverlayText
   }
 
-  function generate() {
-    if (isGenerating) return
+  /**
+   * @param {object | null} [edits] - hand edits from a share link, applied to the generated shapes
+   * @param {{ rejectOnError?: boolean }} [options] - reject instead of only reporting failures in the status line
+   * @returns {Promise<object | null>} the new grid; null when a generation was already running or it failed
+   */
+  function generate(edits = null, { rejectOnError = false } = {}) {
+    if (isGenerating) return rejectOnError ? Promise.reject(new Error('A grid is already being generated')) : Promise.resolve(null)
     isGenerating = true
     setLoadingOverlay(true, defaultLoadingOverlayText)
     setGeneratingState(true)
     status.textContent = 'Generating dope throne grid...'
-    setTimeout(async () => {
+    return new Promise((resolve, reject) => setTimeout(async () => {
+      let result = null
+      let failure = null
       try {
-        const entriesOverride = selectedStampIndices.size > 1
-          ? [...selectedStampIndices].sort((a, b) => a - b).map((i) => loadedStamps[i])
-          : null
-        const stampPool = getStampPool(entriesOverride)
+        if (destroyed) return
+        const stampPool = getSelectedStampPool()
         if (!stampPool.length) {
-          showToast('No stamps loaded. Add images to the /stamps/ folder.')
+          failure = new Error('No stamps loaded. Add images to the /stamps/ folder.')
+          showToast(failure.message)
           return
         }
         pushUndoState()
         const sourceW = readPositiveInt(width.input, 1200)
         const sourceH = readPositiveInt(height.input, 2400)
-        const { w: editorW, h: editorH } = getEditorSize(sourceW, sourceH)
-        const spreadRaw = parseFloat(spreadRow.input.value)
-        const spread = Number.isFinite(spreadRaw) ? Math.max(spreadMin, Math.min(spreadMax, spreadRaw)) : spreadDefault
-        const scaleToEditor = Math.min(editorW / sourceW, editorH / sourceH)
         const existingShapes = currentGrid?.shapes?.length > 0
         const appendNewLayer = existingShapes && selectedShapeIds.size > 0
-        const genWidth = appendNewLayer ? currentGrid.meta.width : editorW
-        const genHeight = appendNewLayer ? currentGrid.meta.height : editorH
-        const options = {
-          seed: readPositiveInt(seed.input, Date.now()),
-          width: genWidth,
-          height: genHeight,
-          shapeCount: readBoundedInt(shapeCount.input, 80, 20, 300),
-          spread,
-          minSize: Math.max(2, Math.round(readBoundedInt(minSize.input, 8, 2, 100) * scaleToEditor)),
-          maxSize: Math.max(4, Math.round(readBoundedInt(maxSize.input, 120, 10, 300) * scaleToEditor)),
-          minTextureScale: parseFloat(minTextureScale.input.value) || 0.5,
-          maxTextureScale: parseFloat(maxTextureScale.input.value) || 2,
-          randomRotation: randomRotationCheckbox.checked,
-          colors: getColorsForGeneration(),
-          stamps: stampPool,
+        const options = getGenerationOptions(readPositiveInt(seed.input, Date.now()), stampPool)
+        if (appendNewLayer) {
+          options.width = currentGrid.meta.width
+          options.height = currentGrid.meta.height
         }
         seed.input.value = String(options.seed)
         let grid
@@ -2145,6 +4211,7 @@ export function mountArtGridTool(containerElement) {
             },
             shapes: [...currentGrid.shapes, ...newShapes],
             background: getBackground(),
+            groups: currentGrid.groups ?? [],
           }
         } else {
           const useStampSubset = selectedStampIndices.size > 1
@@ -2158,8 +4225,11 @@ export function mountArtGridTool(containerElement) {
           if (existingStampShapes.length > 0) {
             grid.shapes.push(...existingStampShapes)
             grid.meta.shapeCount = grid.shapes.length
+            // Their groups come along; bindCanvasInteractions prunes the ones left without shapes.
+            grid.groups = currentGrid.groups ?? []
           }
           grid.background = getBackground()
+          if (edits) applyLinkedEdits(grid, edits)
         }
         setGrid(grid)
         const base = getBaseViewBox()
@@ -2175,16 +4245,1118 @@ export function mountArtGridTool(containerElement) {
         bindCanvasInteractions()
         updateSelection()
         status.textContent = 'Art grid generated.'
+        result = grid
+        events.emit('generate', { seed: options.seed, shapeCount: grid.meta.shapeCount })
       } catch (error) {
-        status.textContent = `Could not generate dope throne grid: ${error instanceof Error ? error.message : 'Unknown error'}`
+        failure = error instanceof Error ? error : new Error('Unknown error')
+        status.textContent = `Could not generate dope throne grid: ${failure.message}`
       } finally {
         setLoadingOverlay(false)
         isGenerating = false
         setGeneratingState(false)
+        if (failure && rejectOnError) reject(failure)
+        else resolve(result)
+        if (failure && !rejectOnError) events.emit('error', { action: 'generate', error: failure })
+      }
+    }, 0))
+  }
+
+  function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob)
+    const link = document.createElement('a')
+    link.href = url
+    link.download = filename
+    document.body.appendChild(link)
+    link.click()
+    link.remove()
+    setTimeout(() => URL.revokeObjectURL(url), 0)
+  }
+
+  /** File name for exports: seed plus output size, e.g. dope-throne-grid-12345-1200x2400.svg */
+  function getExportFileName(extension, outputW, outputH) {
+    const exportSeed = currentGrid?.meta?.seed ?? readPositiveInt(seed.input, Date.now())
+    return `dope-throne-grid-${exportSeed}-${outputW}x${outputH}.${extension}`
+  }
+
+  /**
+   * Re-trace manifest stamps in an export copy of the grid from the asset resolution the target calls for:
+   * the sharpest for SVG (pixelScale null), otherwise one that covers each stamp's drawn size in output pixels.
+   * Uses the current outline and binarization settings; shapes keep their size and placement.
+   */
+  async function applyExportStampResolution(exportGrid, pixelScale = null) {
+    if (!stampManifest) return
+    const stampsById = new Map(stampManifest.stamps.map((stamp) => [stamp.id, stamp]))
+    const tracing = getStampTracing()
+    const pathsByKey = new Map()
+    for (const shape of exportGrid.shapes) {
+      const stamp = shape.type === 'stamp' ? stampsById.get(shape.stampId) : null
+      // Colour layers are traced from the editor bitmap's regions, which would not line up with a re-traced outline.
+      if (!stamp || !shape.stampResolution || shape.stampLayers) continue
+      const referenceSize = Math.max(shape.stampWidth, shape.stampHeight) / getStampResolutionScale(shape.stampResolution)
+      const target = pixelScale == null ? { type: 'vector' } : { type: 'raster', drawnSize: shape.size * pixelScale, referenceSize }
+      const resolution = chooseStampResolution(stamp, target)
+      if (resolution === shape.stampResolution) continue
+      const key = `${stamp.id}@${resolution}${shape.stampInverted ? ':inverted' : ''}`
+      if (!pathsByKey.has(key)) {
+        const source = await loadManifestStampImage(stamp, resolution)
+        const entry = source && cropStampSource(source, getStampIdBinarization(stamp.id))
+        const bitmap = entry && readCanvasBitmap(entry.canvas)
+        const paths = bitmap && createStampPaths(bitmap, shape.stampInverted === true, scaleTracingForResolution(tracing, resolution), entry.binarization)
+        pathsByKey.set(key, paths || null)
+      }
+      const paths = pathsByKey.get(key)
+      if (!paths) continue
+      shape.stampPath = paths.stampPath
+      shape.stampWidth = paths.stampWidth
+      shape.stampHeight = paths.stampHeight
+      shape.stampPathResolution = paths.stampPathResolution
+      shape.stampResolution = resolution
+    }
+  }
+
+  /** The current grid as SVG markup at the source size from the Width/Height inputs, using full-resolution stamp paths. */
+  async function renderSvgExport() {
+    const sourceW = readPositiveInt(width.input, 1200)
+    const sourceH = readPositiveInt(height.input, 2400)
+    const exportGrid = scaleArtGrid(currentGrid, sourceW, sourceH)
+    await applyExportStampResolution(exportGrid)
+    return renderArtGridSvg(exportGrid, { fullResolutionStamps: true })
+  }
+
+  let isExporting = false
+  /** Download the current grid as an SVG file. */
+  function exportSvg() {
+    if (isExporting) return
+    if (!currentGrid) {
+      showToast('Generate a grid before exporting')
+      return
+    }
+    isExporting = true
+    exportSvgBtn.disabled = true
+    setLoadingOverlay(true, 'Exporting SVG…')
+    status.textContent = 'Exporting SVG...'
+    setTimeout(async () => {
+      try {
+        const svg = await renderSvgExport()
+        const filename = getExportFileName('svg', readPositiveInt(width.input, 1200), readPositiveInt(height.input, 2400))
+        downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), filename)
+        status.textContent = `Exported ${filename}.`
+      } catch (error) {
+        status.textContent = `Could not export SVG: ${error instanceof Error ? error.message : 'Unknown error'}`
+        events.emit('error', { action: 'export', error })
+      } finally {
+        setLoadingOverlay(false)
+        isExporting = false
+        exportSvgBtn.disabled = false
       }
     }, 0)
   }
 
+  exportSvgBtn.addEventListener('click', () => exportSvg())
+
+  /** Render one region of the export grid (output pixels) into its own canvas. */
+  function renderRasterRegion(exportGrid, region, scale, renderOptions) {
+    const canvas = document.createElement('canvas')
+    canvas.width = region.w
+    canvas.height = region.h
+    const ctx = canvas.getContext('2d')
+    if (!ctx) throw new Error('Could not get canvas context')
+    const viewTransform = { minX: region.x / scale, minY: region.y / scale, width: region.w / scale, height: region.h / scale }
+    renderArtGridCanvas(exportGrid, ctx, viewTransform, region.w, region.h, renderOptions)
+    return canvas
+  }
+
+  /**
+   * What a raster export renders from: an export copy of the grid at source size, with stamps re-traced for the
+   * output scale, the output size and the tiles it is rendered in.
+   */
+  async function prepareRasterExport(settings) {
+    const format = RASTER_FORMATS[settings.format]
+    const sourceW = readPositiveInt(width.input, 1200)
+    const sourceH = readPositiveInt(height.input, 2400)
+    const outputW = Math.max(1, Math.round(sourceW * settings.scale))
+    const outputH = Math.max(1, Math.round(sourceH * settings.scale))
+    const exportGrid = scaleArtGrid(currentGrid, sourceW, sourceH)
+    const pixelScale = outputW / sourceW
+    await applyExportStampResolution(exportGrid, pixelScale)
+    return {
+      format,
+      outputW,
+      outputH,
+      exportGrid,
+      pixelScale,
+      renderOptions: { fullResolutionStamps: true, transparentBackground: settings.transparent && format.supportsAlpha },
+      quality: format.lossy ? settings.quality : undefined,
+      tiles: planRasterTiles(outputW, outputH, RASTER_TILE_MAX_DIM),
+    }
+  }
+
+  /**
+   * Render a prepared export into a single image, tile by tile.
+   * @param {(message: string) => Promise<void>} [onProgress] - awaited before each tile and before encoding
+   * @returns {Promise<Blob>}
+   */
+  async function renderRasterImage(job, onProgress) {
+    const output = document.createElement('canvas')
+    output.width = job.outputW
+    output.height = job.outputH
+    try {
+      const outputCtx = output.getContext('2d')
+      if (!outputCtx) throw new Error('The image is too large for this browser; try a smaller scale')
+      for (let i = 0; i < job.tiles.length; i++) {
+        if (onProgress && job.tiles.length > 1) await onProgress(`Rendering tile ${i + 1} of ${job.tiles.length}…`)
+        const tileCanvas = renderRasterRegion(job.exportGrid, job.tiles[i], job.pixelScale, job.renderOptions)
+        outputCtx.drawImage(tileCanvas, job.tiles[i].x, job.tiles[i].y)
+        tileCanvas.width = 0
+        tileCanvas.height = 0
+      }
+      if (onProgress) await onProgress(`Encoding ${job.format.label}…`)
+      return await canvasToBlob(output, job.format.mime, job.quality)
+    } finally {
+      output.width = 0
+      output.height = 0
+    }
+  }
+
+  /**
+   * Export the current grid as PNG/JPEG/WebP at source size × scale. Large outputs render tile by tile;
+   * outputs beyond one canvas are downloaded as separate tile files.
+   */
+  async function exportRaster(settings) {
+    if (isExporting) return
+    if (!currentGrid) {
+      showToast('Generate a grid before exporting')
+      return
+    }
+    const format = RASTER_FORMATS[settings.format]
+    isExporting = true
+    exportSvgBtn.disabled = true
+    exportImageBtn.disabled = true
+    rasterConfirmBtn.disabled = true
+    setLoadingOverlay(true, `Exporting ${format.label}…`)
+    status.textContent = `Exporting ${format.label}...`
+    const showProgress = async (message) => {
+      setLoadingOverlay(true, message)
+      await nextTick()
+    }
+    try {
+      await nextTick()
+      const job = await prepareRasterExport(settings)
+      const { outputW, outputH, tiles } = job
+      const baseName = getExportFileName(format.extension, outputW, outputH)
+      if (outputW * outputH > MAX_RASTER_CANVAS_AREA) {
+        for (let i = 0; i < tiles.length; i++) {
+          const tile = tiles[i]
+          await showProgress(`Rendering tile ${i + 1} of ${tiles.length}…`)
+          const tileCanvas = renderRasterRegion(job.exportGrid, tile, job.pixelScale, job.renderOptions)
+          try {
+            const blob = await canvasToBlob(tileCanvas, format.mime, job.quality)
+            downloadBlob(blob, baseName.replace(/\.[a-z]+$/, `-r${tile.row + 1}c${tile.col + 1}.${format.extension}`))
+          } finally {
+            tileCanvas.width = 0
+            tileCanvas.height = 0
+          }
+        }
+        status.textContent = `Exported ${tiles.length} tiles of ${outputW}×${outputH}px.`
+        return
+      }
+      const blob = await renderRasterImage(job, showProgress)
+      downloadBlob(blob, baseName)
+      status.textContent = `Exported ${baseName}.`
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'Unknown error'
+      status.textContent = `Could not export image: ${message}`
+      showToast(`Could not export image: ${message}`)
+      events.emit('error', { action: 'export', error })
+    } finally {
+      setLoadingOverlay(false)
+      isExporting = false
+      exportSvgBtn.disabled = false
+      exportImageBtn.disabled = false
+      rasterConfirmBtn.disabled = false
+    }
+  }
+
+  // Seed gallery: thumbnails of consecutive or random seeds with the current settings
+  const GALLERY_THUMB_WIDTH = 120
+  const GALLERY_SHEET_CELL_WIDTH = 320
+  const GALLERY_SHEET_PADDING = 16
+  const GALLERY_SHEET_LABEL_HEIGHT = 24
+  let favoriteSeeds = Array.isArray(saved?.favoriteSeeds)
+    ? saved.favoriteSeeds.filter((n) => Number.isInteger(n) && n > 0 && n <= MAX_SEED)
+    : []
+  /** Grids rendered for the current gallery session, by seed; reused for pin changes and the contact sheet. */
+  let galleryGrids = new Map()
+  /** Canvases showing each seed (a pinned seed can appear in both sections). */
+  let galleryCellCanvases = new Map()
+  let galleryResultSeeds = []
+  let galleryRenderToken = 0
+  let isRenderingGallery = false
+
+  const galleryDialog = createToolDialog(domId('ag-gallery-title'), 'Seed gallery')
+  galleryDialog.root.classList.add('ag-gallery-dialog')
+  const galleryOptions = document.createElement('div')
+  galleryOptions.className = 'ag-gallery-options'
+  const galleryCount = createNumberField('Thumbnails', domId('ag-gallery-count'), saved?.galleryCount ?? 12, 4, 48)
+  const galleryStart = createNumberField('Start seed', domId('ag-gallery-start'), 1, 1, MAX_SEED)
+  const galleryModeRow = document.createElement('label')
+  galleryModeRow.className = 'floor-plan-control'
+  galleryModeRow.setAttribute('for', domId('ag-gallery-mode'))
+  galleryModeRow.textContent = 'Seeds'
+  const galleryModeSelect = document.createElement('select')
+  galleryModeSelect.id = domId('ag-gallery-mode')
+  ;[['consecutive', 'Consecutive'], ['random', 'Random']].forEach(([value, label]) => {
+    const opt = document.createElement('option')
+    opt.value = value
+    opt.textContent = label
+    galleryModeSelect.appendChild(opt)
+  })
+  galleryModeSelect.value = saved?.galleryMode === 'random' ? 'random' : 'consecutive'
+  galleryModeRow.appendChild(galleryModeSelect)
+  const galleryRenderBtn = document.createElement('button')
+  galleryRenderBtn.type = 'button'
+  galleryRenderBtn.className = 'button'
+  galleryRenderBtn.textContent = 'Render'
+  const galleryNextBtn = document.createElement('button')
+  galleryNextBtn.type = 'button'
+  galleryNextBtn.className = 'button'
+  galleryNextBtn.textContent = 'Next page'
+  galleryNextBtn.title = 'Render the next run of seeds'
+  galleryOptions.append(galleryModeRow, galleryStart.row, galleryCount.row, galleryRenderBtn, galleryNextBtn)
+  const galleryStatus = document.createElement('p')
+  galleryStatus.className = 'modal-instructions'
+  galleryStatus.setAttribute('aria-live', 'polite')
+  const galleryPinnedHeading = document.createElement('h3')
+  galleryPinnedHeading.textContent = 'Pinned'
+  const galleryPinnedGrid = document.createElement('div')
+  galleryPinnedGrid.className = 'ag-gallery-grid'
+  const galleryResultsHeading = document.createElement('h3')
+  galleryResultsHeading.textContent = 'Seeds'
+  const galleryResultsGrid = document.createElement('div')
+  galleryResultsGrid.className = 'ag-gallery-grid'
+  const galleryExportBtn = document.createElement('button')
+  galleryExportBtn.type = 'button'
+  galleryExportBtn.className = 'button'
+  galleryExportBtn.textContent = 'Export sheet'
+  galleryExportBtn.title = 'Download the pinned and rendered seeds as one PNG contact sheet'
+  const galleryCloseBtn = document.createElement('button')
+  galleryCloseBtn.type = 'button'
+  galleryCloseBtn.className = 'button'
+  galleryCloseBtn.textContent = 'Close'
+  galleryDialog.body.append(galleryOptions, galleryStatus, galleryPinnedHeading, galleryPinnedGrid, galleryResultsHeading, galleryResultsGrid)
+  galleryDialog.actions.append(galleryExportBtn, galleryCloseBtn)
+
+  /** Draw a whole grid into a canvas cssWidth pixels wide, keeping the grid's aspect ratio. */
+  function drawGridPreview(canvas, grid, cssWidth, pixelRatio = 1) {
+    const cssHeight = Math.max(1, Math.round((cssWidth * grid.meta.height) / grid.meta.width))
+    canvas.width = Math.max(1, Math.round(cssWidth * pixelRatio))
+    canvas.height = Math.max(1, Math.round(cssHeight * pixelRatio))
+    const ctx = canvas.getContext('2d')
+    if (!ctx) return
+    renderArtGridCanvas(grid, ctx, { minX: 0, minY: 0, width: grid.meta.width, height: grid.meta.height }, canvas.width, canvas.height)
+  }
+
+  function drawGalleryCellsForSeed(seedValue) {
+    const grid = galleryGrids.get(seedValue)
+    if (!grid) return
+    const pixelRatio = Math.min(window.devicePixelRatio || 1, 2)
+    ;(galleryCellCanvases.get(seedValue) ?? []).forEach((canvas) => drawGridPreview(canvas, grid, GALLERY_THUMB_WIDTH, pixelRatio))
+  }
+
+  function createGalleryCell(seedValue) {
+    const pinned = favoriteSeeds.includes(seedValue)
+    const cell = document.createElement('div')
+    cell.className = 'ag-gallery-cell'
+    cell.classList.toggle('is-pinned', pinned)
+    const openBtn = document.createElement('button')
+    openBtn.type = 'button'
+    openBtn.className = 'ag-gallery-thumb'
+    openBtn.title = `Open seed ${seedValue} in the editor`
+    openBtn.setAttribute('aria-label', `Open seed ${seedValue} in the editor`)
+    const canvas = document.createElement('canvas')
+    canvas.width = 1
+    canvas.height = 1
+    openBtn.appendChild(canvas)
+    const footer = document.createElement('div')
+    footer.className = 'ag-gallery-cell-footer'
+    const caption = document.createElement('span')
+    caption.textContent = String(seedValue)
+    const pinBtn = document.createElement('button')
+    pinBtn.type = 'button'
+    pinBtn.className = 'ag-gallery-pin'
+    pinBtn.textContent = pinned ? '★' : '☆'
+    pinBtn.title = pinned ? 'Unpin seed' : 'Pin seed'
+    pinBtn.setAttribute('aria-label', `${pinned ? 'Unpin' : 'Pin'} seed ${seedValue}`)
+    pinBtn.setAttribute('aria-pressed', String(pinned))
+    footer.append(caption, pinBtn)
+    cell.append(openBtn, footer)
+    openBtn.addEventListener('click', () => openSeedFromGallery(seedValue))
+    pinBtn.addEventListener('click', () => toggleFavoriteSeed(seedValue))
+    if (!galleryCellCanvases.has(seedValue)) galleryCellCanvases.set(seedValue, [])
+    galleryCellCanvases.get(seedValue).push(canvas)
+    return cell
+  }
+
+  /** Rebuild both sections from the current seeds; thumbnails already rendered are redrawn from cache. */
+  function rebuildGalleryCells() {
+    galleryCellCanvases = new Map()
+    galleryPinnedGrid.replaceChildren(...favoriteSeeds.map(createGalleryCell))
+    galleryResultsGrid.replaceChildren(...galleryResultSeeds.map(createGalleryCell))
+    galleryPinnedHeading.style.display = favoriteSeeds.length ? '' : 'none'
+    galleryPinnedGrid.style.display = favoriteSeeds.length ? '' : 'none'
+    galleryCellCanvases.forEach((_, seedValue) => drawGalleryCellsForSeed(seedValue))
+  }
+
+  function toggleFavoriteSeed(seedValue) {
+    favoriteSeeds = favoriteSeeds.includes(seedValue)
+      ? favoriteSeeds.filter((n) => n !== seedValue)
+      : [...favoriteSeeds, seedValue]
+    rebuildGalleryCells()
+    persistSettings(stats?.textContent ?? '')
+  }
+
+  function setGalleryRendering(rendering) {
+    isRenderingGallery = rendering
+    galleryRenderBtn.disabled = rendering
+    galleryNextBtn.disabled = rendering
+    galleryExportBtn.disabled = rendering
+  }
+
+  /** Render the pinned seeds plus a new run of seeds, one thumbnail per tick so the dialog stays responsive. */
+  async function renderGallery() {
+    const stampPool = getSelectedStampPool()
+    if (!stampPool.length) {
+      galleryStatus.textContent = 'No stamps loaded yet. Wait for stamps to load, then render again.'
+      return
+    }
+    const count = readBoundedInt(galleryCount.input, 12, 4, 48)
+    const start = readBoundedInt(galleryStart.input, 1, 1, MAX_SEED)
+    galleryCount.input.value = String(count)
+    galleryStart.input.value = String(start)
+    galleryResultSeeds = galleryModeSelect.value === 'random'
+      ? Array.from({ length: count }, () => randomSeed())
+      : Array.from({ length: count }, (_, i) => ((start - 1 + i) % MAX_SEED) + 1)
+    galleryGrids = new Map()
+    rebuildGalleryCells()
+    const token = ++galleryRenderToken
+    const pending = [...new Set([...favoriteSeeds, ...galleryResultSeeds])]
+    const gridBackground = getBackground()
+    setGalleryRendering(true)
+    try {
+      for (let i = 0; i < pending.length; i++) {
+        galleryStatus.textContent = `Rendering ${i + 1} of ${pending.length}…`
+        await nextTick()
+        if (token !== galleryRenderToken || !galleryDialog.isOpen()) return
+        const grid = generateArtGrid(getGenerationOptions(pending[i], stampPool))
+        grid.background = gridBackground
+        galleryGrids.set(pending[i], grid)
+        drawGalleryCellsForSeed(pending[i])
+      }
+      galleryStatus.textContent = `Rendered ${pending.length} seeds. Click a thumbnail to open it in the editor, or ☆ to pin it.`
+    } catch (error) {
+      galleryStatus.textContent = `Could not render gallery: ${error instanceof Error ? error.message : 'Unknown error'}`
+    } finally {
+      if (token === galleryRenderToken) setGalleryRendering(false)
+    }
+  }
+
+  function openSeedFromGallery(seedValue) {
+    galleryDialog.setOpen(false)
+    seed.input.value = String(seedValue)
+    selectedShapeIds.clear()
+    selectedLayer = null
+    generate()
+  }
+
+  /** Download pinned and rendered seeds as one labelled PNG for client review. */
+  async function exportContactSheet() {
+    const sheetSeeds = [...new Set([...favoriteSeeds, ...galleryResultSeeds])].filter((n) => galleryGrids.has(n))
+    if (!sheetSeeds.length) {
+      galleryStatus.textContent = 'Render the gallery before exporting a sheet.'
+      return
+    }
+    setGalleryRendering(true)
+    galleryStatus.textContent = 'Exporting sheet…'
+    const sheet = document.createElement('canvas')
+    try {
+      await nextTick()
+      const firstGrid = galleryGrids.get(sheetSeeds[0])
+      const cellW = GALLERY_SHEET_CELL_WIDTH
+      const cellH = Math.round((cellW * firstGrid.meta.height) / firstGrid.meta.width)
+      const cols = Math.min(4, sheetSeeds.length)
+      const rows = Math.ceil(sheetSeeds.length / cols)
+      const pad = GALLERY_SHEET_PADDING
+      sheet.width = pad + cols * (cellW + pad)
+      sheet.height = pad + rows * (cellH + GALLERY_SHEET_LABEL_HEIGHT + pad)
+      const ctx = sheet.getContext('2d')
+      if (!ctx) throw new Error('Could not get canvas context')
+      ctx.fillStyle = '#111111'
+      ctx.fillRect(0, 0, sheet.width, sheet.height)
+      ctx.font = '14px monospace'
+      ctx.textBaseline = 'middle'
+      const cellCanvas = document.createElement('canvas')
+      sheetSeeds.forEach((seedValue, i) => {
+        const x = pad + (i % cols) * (cellW + pad)
+        const y = pad + Math.floor(i / cols) * (cellH + GALLERY_SHEET_LABEL_HEIGHT + pad)
+        drawGridPreview(cellCanvas, galleryGrids.get(seedValue), cellW)
+        ctx.drawImage(cellCanvas, x, y, cellW, cellH)
+        ctx.fillStyle = '#f2f2f2'
+        ctx.fillText(`Seed ${seedValue}${favoriteSeeds.includes(seedValue) ? ' ★' : ''}`, x, y + cellH + GALLERY_SHEET_LABEL_HEIGHT / 2)
+      })
+      const blob = await canvasToBlob(sheet, 'image/png')
+      const filename = `dope-throne-grid-sheet-${sheetSeeds[0]}-${sheetSeeds.length}.png`
+      downloadBlob(blob, filename)
+      galleryStatus.textContent = `Exported ${filename}.`
+    } catch (error) {
+      galleryStatus.textContent = `Could not export sheet: ${error instanceof Error ? error.message : 'Unknown error'}`
+    } finally {
+      sheet.width = 0
+      sheet.height = 0
+      setGalleryRendering(false)
+    }
+  }
+
+  function openGallery() {
+    galleryStart.input.value = String(readPositiveInt(seed.input, 1))
+    galleryDialog.setOpen(true)
+    renderGallery()
+  }
+
+  galleryRenderBtn.addEventListener('click', () => renderGallery())
+  galleryNextBtn.addEventListener('click', () => {
+    const count = readBoundedInt(galleryCount.input, 12, 4, 48)
+    const start = readBoundedInt(galleryStart.input, 1, 1, MAX_SEED)
+    galleryStart.input.value = String(((start - 1 + count) % MAX_SEED) + 1)
+    renderGallery()
+  })
+  galleryExportBtn.addEventListener('click', () => {
+    if (!isRenderingGallery) exportContactSheet()
+  })
+  galleryCloseBtn.addEventListener('click', () => galleryDialog.setOpen(false))
+
+  // Projects: the composition, view, source size, palette, background and imported stamps, saved to IndexedDB.
+  // Generation settings stay global in localStorage (persistSettings).
+  const PROJECT_SAVE_DELAY_MS = 1000
+  const PROJECT_THUMB_WIDTH = 160
+  const projectStorageAvailable = ownsPageState && isProjectStorageAvailable()
+  const projectStorageUnavailableMessage = ownsPageState
+    ? 'This browser has no IndexedDB, so projects cannot be saved.'
+    : 'Another editor on this page saves projects; this one cannot.'
+  /** JSON of the document last written to the current project; unchanged documents are not written again. */
+  let lastSavedProjectJson = ''
+  /** The recovery record holds changes to the current project that the project itself does not have yet. */
+  let projectHasRecovery = false
+  let projectSaveQueue = Promise.resolve()
+
+  const projectsDialog = createToolDialog(domId('ag-projects-title'), 'Projects', () => renderProjectList())
+  projectsDialog.root.classList.add('ag-gallery-dialog', 'ag-projects-dialog')
+  const projectOptions = document.createElement('div')
+  projectOptions.className = 'ag-gallery-options'
+  const projectNameRow = document.createElement('label')
+  projectNameRow.className = 'floor-plan-control'
+  projectNameRow.setAttribute('for', domId('ag-project-name'))
+  projectNameRow.textContent = 'Current project'
+  const projectNameInput = document.createElement('input')
+  projectNameInput.type = 'text'
+  projectNameInput.id = domId('ag-project-name')
+  projectNameInput.placeholder = 'Untitled'
+  projectNameRow.appendChild(projectNameInput)
+  const projectAutosaveRow = createCheckboxField('Autosave', domId('ag-project-autosave'), projectAutosave)
+  projectAutosaveRow.row.title = 'Save every change to the project; when off, changes are kept for crash recovery until you press Save'
+  const projectSaveBtn = document.createElement('button')
+  projectSaveBtn.type = 'button'
+  projectSaveBtn.className = 'button'
+  projectSaveBtn.textContent = 'Save'
+  projectSaveBtn.title = 'Save the current project now (Ctrl/⌘+S)'
+  const projectNewBtn = document.createElement('button')
+  projectNewBtn.type = 'button'
+  projectNewBtn.className = 'button'
+  projectNewBtn.textContent = 'New project'
+  projectNewBtn.title = 'Start a new project with a freshly generated grid, keeping the palette and background'
+  projectOptions.append(projectNameRow, projectAutosaveRow.row, projectSaveBtn, projectNewBtn)
+  const projectsStatus = document.createElement('p')
+  projectsStatus.className = 'modal-instructions'
+  projectsStatus.setAttribute('aria-live', 'polite')
+  const projectsGrid = document.createElement('div')
+  projectsGrid.className = 'ag-gallery-grid'
+  const projectsCloseBtn = document.createElement('button')
+  projectsCloseBtn.type = 'button'
+  projectsCloseBtn.className = 'button'
+  projectsCloseBtn.textContent = 'Close'
+  projectsDialog.body.append(projectOptions, projectsStatus, projectsGrid)
+  projectsDialog.actions.append(projectsCloseBtn)
+
+  const toolDialogs = [rasterDialog, galleryDialog, stampImportDialog, projectsDialog, stepRepeatDialog]
+
+  const createProjectName = () => `Untitled ${new Date().toLocaleString()}`
+
+  /** What a project restores: the document a saved file holds, plus the imported stamps. */
+  function getProjectDocument() {
+    return { ...createSourceDocument(), customStamps: customStampRecords }
+  }
+
+  /** Replace the editor state with a parsed project document; imported stamps it uses are added to the library. */
+  async function applyProjectDocument(parsed) {
+    undoStack.length = 0
+    redoStack.length = 0
+    applyArtGridDocument(parsed)
+    const knownStampIds = new Set(customStampRecords.map((record) => record.id))
+    const missingStamps = parsed.customStamps.filter((record) => !knownStampIds.has(record.id))
+    if (missingStamps.length) await addCustomStamps(missingStamps)
+  }
+
+  function renderProjectThumbnail(grid) {
+    const canvas = document.createElement('canvas')
+    drawGridPreview(canvas, grid, PROJECT_THUMB_WIDTH)
+    const url = canvas.toDataURL('image/png')
+    canvas.width = 0
+    canvas.height = 0
+    return url
+  }
+
+  /** Run storage writes one after another so a slow save never lands after a newer one. */
+  function queueProjectTask(task) {
+    projectSaveQueue = projectSaveQueue.then(task).catch((error) => {
+      status.textContent = `Could not save project: ${error instanceof Error ? error.message : 'Unknown error'}`
+      showToast(`Could not save project: ${error instanceof Error ? error.message : 'Unknown error'}`)
+      events.emit('error', { action: 'project', error })
+    })
+    return projectSaveQueue
+  }
+
+  /**
+   * Write the current state: to the project (autosave on, or `toProject`), otherwise only to the recovery record.
+   * A new composition becomes a project on its first write.
+   * @returns {Promise<void>}
+   */
+  function writeProject(toProject = projectAutosave) {
+    clearTimeout(projectSaveTimer)
+    projectSaveTimer = 0
+    if (!projectStorageAvailable || !projectsReady || !currentGrid) return projectSaveQueue
+    if (!currentProject) {
+      currentProject = { id: createProjectId(), name: projectNameInput.value.trim() || createProjectName(), createdAt: Date.now() }
+      projectNameInput.value = currentProject.name
+      lastSavedProjectJson = ''
+      projectHasRecovery = false
+    }
+    const project = { ...currentProject }
+    const doc = getProjectDocument()
+    const json = JSON.stringify(doc)
+    if (json === lastSavedProjectJson) {
+      if (!projectHasRecovery) return projectSaveQueue
+      projectHasRecovery = false
+      return queueProjectTask(() => clearProjectRecovery())
+    }
+    if (!toProject) {
+      projectHasRecovery = true
+      return queueProjectTask(() => saveProjectRecovery({ projectId: project.id, name: project.name, createdAt: project.createdAt, savedAt: Date.now(), document: doc }))
+    }
+    const thumbnail = renderProjectThumbnail(currentGrid)
+    const clearRecovery = projectHasRecovery
+    lastSavedProjectJson = json
+    projectHasRecovery = false
+    return queueProjectTask(async () => {
+      await saveProject({ ...project, updatedAt: Date.now(), thumbnail, document: doc })
+      window.localStorage.setItem(CURRENT_PROJECT_KEY, project.id)
+      if (clearRecovery) await clearProjectRecovery()
+    })
+  }
+
+  /** Save shortly after the last change; called from redraw and persistSettings. */
+  function scheduleProjectSave() {
+    if (!projectsReady || !projectStorageAvailable || destroyed) return
+    clearTimeout(projectSaveTimer)
+    projectSaveTimer = setTimeout(() => writeProject(), PROJECT_SAVE_DELAY_MS)
+  }
+
+  /** Make a stored project (or its recovered changes) the open one. */
+  async function openProjectRecord(project, recovered = null) {
+    // Documents of any format version are upgraded; one that does not validate is left untouched in storage.
+    const parsed = parseArtGridDocument(recovered?.document ?? project.document)
+    projectsReady = false
+    clearTimeout(projectSaveTimer)
+    currentProject = { id: project.id, name: recovered?.name ?? project.name, createdAt: project.createdAt ?? Date.now() }
+    projectNameInput.value = currentProject.name
+    try {
+      await applyProjectDocument(parsed)
+    } finally {
+      lastSavedProjectJson = project.document ? JSON.stringify(project.document) : ''
+      projectHasRecovery = recovered != null
+      window.localStorage.setItem(CURRENT_PROJECT_KEY, project.id)
+      projectsReady = true
+    }
+    status.textContent = recovered ? `Recovered unsaved changes to “${currentProject.name}”.` : `Opened project “${currentProject.name}”.`
+    if (recovered) scheduleProjectSave()
+  }
+
+  /**
+   * After the stamps load: open a share link from the address bar, or reopen the last project (offering any changes a
+   * crash left unsaved), or generate a new grid.
+   */
+  async function openStartupProject() {
+    const shareToken = ownsPageState ? readShareToken(window.location.hash) : null
+    if (shareToken) {
+      try {
+        await openShareLink(shareToken)
+        return
+      } catch (error) {
+        reportShareLinkError(error)
+      }
+    }
+    if (projectStorageAvailable) {
+      try {
+        const recovery = await loadProjectRecovery()
+        if (recovery) {
+          const recoveredProject = await loadProject(recovery.projectId)
+          if (!recoveredProject || recovery.savedAt > recoveredProject.updatedAt) {
+            const when = new Date(recovery.savedAt).toLocaleString()
+            if (window.confirm(`Recover unsaved changes to “${recovery.name ?? recoveredProject?.name ?? 'Untitled'}” from ${when}? Cancel discards them.`)) {
+              await openProjectRecord(recoveredProject ?? { id: recovery.projectId, name: recovery.name, createdAt: recovery.createdAt, document: null }, recovery)
+              return
+            }
+          }
+          await clearProjectRecovery()
+        }
+        const lastId = window.localStorage.getItem(CURRENT_PROJECT_KEY)
+        const project = lastId ? await loadProject(lastId) : null
+        if (project) {
+          await openProjectRecord(project)
+          return
+        }
+      } catch (error) {
+        showToast(`Could not open saved projects: ${error instanceof Error ? error.message : 'Unknown error'}`)
+      }
+    }
+    projectsReady = true
+    if (!currentGrid && loadedStamps.length) await generate()
+  }
+
+  function createProjectCell(summary) {
+    const isCurrent = summary.id === currentProject?.id
+    const cell = document.createElement('div')
+    cell.className = 'ag-gallery-cell ag-project-cell'
+    cell.classList.toggle('is-pinned', isCurrent)
+    const openBtn = document.createElement('button')
+    openBtn.type = 'button'
+    openBtn.className = 'ag-gallery-thumb'
+    openBtn.title = isCurrent ? 'This project is open' : `Open ${summary.name}`
+    openBtn.setAttribute('aria-label', `Open project ${summary.name}`)
+    if (summary.thumbnail) {
+      const img = document.createElement('img')
+      img.src = summary.thumbnail
+      img.alt = ''
+      openBtn.appendChild(img)
+    }
+    const name = document.createElement('strong')
+    name.className = 'ag-project-name'
+    name.textContent = summary.name
+    name.title = summary.name
+    const updated = document.createElement('span')
+    updated.className = 'ag-project-updated'
+    updated.textContent = new Date(summary.updatedAt).toLocaleString()
+    const actions = document.createElement('div')
+    actions.className = 'ag-gallery-cell-footer'
+    const actionButtons = [['Rename', renameProjectFromList], ['Duplicate', duplicateProjectFromList], ['Delete', deleteProjectFromList]].map(([label, action]) => {
+      const btn = document.createElement('button')
+      btn.type = 'button'
+      btn.className = 'ag-gallery-pin'
+      btn.textContent = label
+      btn.setAttribute('aria-label', `${label} project ${summary.name}`)
+      btn.addEventListener('click', () => action(summary))
+      return btn
+    })
+    actions.append(...actionButtons)
+    cell.append(openBtn, name, updated, actions)
+    openBtn.addEventListener('click', () => openProjectFromList(summary))
+    return cell
+  }
+
+  async function renderProjectList() {
+    projectNameInput.value = currentProject?.name ?? ''
+    if (!projectStorageAvailable) {
+      projectsStatus.textContent = projectStorageUnavailableMessage
+      return
+    }
+    try {
+      // Show the open project with its latest changes.
+      await writeProject()
+      const summaries = await listProjects()
+      projectsGrid.replaceChildren(...summaries.map(createProjectCell))
+      projectsStatus.textContent = summaries.length
+        ? `${summaries.length} project${summaries.length === 1 ? '' : 's'}${projectHasRecovery ? ' · the open project has unsaved changes' : ''}.`
+        : 'No saved projects yet. The current grid is saved as a project on its first change, or press Save.'
+    } catch (error) {
+      projectsStatus.textContent = `Could not list projects: ${error instanceof Error ? error.message : 'Unknown error'}`
+    }
+  }
+
+  async function openProjectFromList(summary) {
+    if (summary.id === currentProject?.id) {
+      projectsDialog.setOpen(false)
+      return
+    }
+    try {
+      await writeProject()
+      const project = await loadProject(summary.id)
+      if (!project) throw new Error('Project not found')
+      projectsDialog.setOpen(false)
+      await openProjectRecord(project)
+    } catch (error) {
+      projectsStatus.textContent = `Could not open project: ${error instanceof Error ? error.message : 'Unknown error'}`
+    }
+  }
+
+  async function renameProjectFromList(summary) {
+    const name = window.prompt('Rename project', summary.name)?.trim()
+    if (!name || name === summary.name) return
+    try {
+      await renameProject(summary.id, name)
+      if (summary.id === currentProject?.id) currentProject.name = name
+      await renderProjectList()
+    } catch (error) {
+      projectsStatus.textContent = `Could not rename project: ${error instanceof Error ? error.message : 'Unknown error'}`
+    }
+  }
+
+  async function duplicateProjectFromList(summary) {
+    try {
+      if (summary.id === currentProject?.id) await writeProject(true)
+      await duplicateProject(summary.id, `${summary.name} copy`)
+      await renderProjectList()
+    } catch (error) {
+      projectsStatus.textContent = `Could not duplicate project: ${error instanceof Error ? error.message : 'Unknown error'}`
+    }
+  }
+
+  /** Deleting the open project keeps its grid on screen; it is saved as a new project on the next change. */
+  async function deleteProjectFromList(summary) {
+    if (!window.confirm(`Delete “${summary.name}”? This cannot be undone.`)) return
+    try {
+      await deleteProject(summary.id)
+      if (summary.id === currentProject?.id) {
+        currentProject = null
+        lastSavedProjectJson = ''
+        projectHasRecovery = false
+        window.localStorage.removeItem(CURRENT_PROJECT_KEY)
+      }
+      await renderProjectList()
+    } catch (error) {
+      projectsStatus.textContent = `Could not delete project: ${error instanceof Error ? error.message : 'Unknown error'}`
+    }
+  }
+
+  async function saveProjectNow() {
+    if (!projectStorageAvailable) {
+      showToast(projectStorageUnavailableMessage)
+      return
+    }
+    if (!currentGrid) {
+      showToast('Generate a grid before saving')
+      return
+    }
+    await writeProject(true)
+    status.textContent = `Saved project “${currentProject?.name ?? ''}”.`
+    if (projectsDialog.isOpen()) await renderProjectList()
+  }
+
+  async function startNewProject() {
+    await writeProject()
+    currentProject = null
+    lastSavedProjectJson = ''
+    projectHasRecovery = false
+    projectNameInput.value = ''
+    window.localStorage.removeItem(CURRENT_PROJECT_KEY)
+    undoStack.length = 0
+    redoStack.length = 0
+    projectsDialog.setOpen(false)
+    viewState = null
+    seed.input.value = String(randomSeed())
+    generate()
+  }
+
+  projectsBtn.addEventListener('click', () => projectsDialog.setOpen(true))
+  projectsCloseBtn.addEventListener('click', () => projectsDialog.setOpen(false))
+  projectSaveBtn.addEventListener('click', () => saveProjectNow())
+  projectNewBtn.addEventListener('click', () => startNewProject())
+  projectAutosaveRow.input.addEventListener('change', () => {
+    projectAutosave = projectAutosaveRow.input.checked
+    persistSettings(stats?.textContent ?? '')
+  })
+  projectNameInput.addEventListener('change', async () => {
+    const name = projectNameInput.value.trim()
+    if (!name || !currentProject) return
+    currentProject.name = name
+    try {
+      if (lastSavedProjectJson) await renameProject(currentProject.id, name)
+      await renderProjectList()
+    } catch (error) {
+      projectsStatus.textContent = `Could not rename project: ${error instanceof Error ? error.message : 'Unknown error'}`
+    }
+  })
+  // Best effort: write pending changes when the tab goes away.
+  const flushProjectSave = () => {
+    if (projectSaveTimer) writeProject()
+  }
+  window.addEventListener('pagehide', flushProjectSave, { signal: lifecycle.signal })
+
+  exportImageBtn.addEventListener('click', () => {
+    if (!currentGrid) {
+      showToast('Generate a grid before exporting')
+      return
+    }
+    rasterDialog.setOpen(true)
+  })
+  rasterConfirmBtn.addEventListener('click', () => {
+    const settings = getRasterSettings()
+    rasterDialog.setOpen(false)
+    persistSettings(stats?.textContent ?? '')
+    exportRaster(settings)
+  })
+
+  /**
+   * The composition as a current-version document at the source size from the Width/Height inputs,
+   * with the palette and the view.
+   */
+  function createSourceDocument() {
+    const sourceW = readPositiveInt(width.input, 1200)
+    const sourceH = readPositiveInt(height.input, 2400)
+    const scaleX = sourceW / currentGrid.meta.width
+    const scaleY = sourceH / currentGrid.meta.height
+    const sourceGrid = scaleArtGrid({ ...currentGrid, background: currentGrid.background ?? getBackground() }, sourceW, sourceH)
+    return {
+      ...createArtGridDocument(sourceGrid),
+      palette: { colors: [...colorPalette], rules: paletteRules.map((rules) => ({ ...rules })) },
+      ...(viewState && {
+        view: { minX: viewState.minX * scaleX, minY: viewState.minY * scaleY, width: viewState.width * scaleX, height: viewState.height * scaleY },
+      }),
+    }
+  }
+
+  /**
+   * Replace the composition with a document read by parseArtGridDocument; it is in source units so it is scaled
+   * back to editor size. The palette and view are taken over when the document has them. Undo history is the caller's.
+   */
+  function applyArtGridDocument(parsed) {
+    // Canvas sizes run 100–4000px: a larger or smaller document is scaled by one factor, so it keeps its aspect
+    // ratio. Only a side still out of range after that (a very thin document) is clamped on its own.
+    const { width: docW, height: docH } = parsed.grid.meta
+    const shrink = Math.min(1, 4000 / Math.max(docW, docH))
+    const factor = shrink < 1 ? shrink : Math.max(1, 100 / Math.min(docW, docH))
+    const sourceW = clamp(Math.round(docW * factor), 100, 4000)
+    const sourceH = clamp(Math.round(docH * factor), 100, 4000)
+    const { w: editorW, h: editorH } = getEditorSize(sourceW, sourceH)
+    const grid = scaleArtGrid(parsed.grid, editorW, editorH)
+    width.input.value = String(sourceW)
+    height.input.value = String(sourceH)
+    if (grid.meta.seed > 0) seed.input.value = String(grid.meta.seed)
+    if (parsed.palette) {
+      colorPalette = [...parsed.palette.colors]
+      paletteRules.splice(0, paletteRules.length, ...colorPalette.map((_, i) => ({ ...DEFAULT_PALETTE_RULES, ...parsed.palette.rules[i] })))
+      renderPaletteList()
+    }
+    background = { ...background, ...grid.background }
+    grid.background = getBackground()
+    syncBackgroundControls()
+    const view = parsed.view
+    const scaleX = editorW / parsed.grid.meta.width
+    const scaleY = editorH / parsed.grid.meta.height
+    viewState = view ? { minX: view.minX * scaleX, minY: view.minY * scaleY, width: view.width * scaleX, height: view.height * scaleY } : null
+    selectedShapeIds.clear()
+    selectedLayer = null
+    setGrid(grid)
+    bindCanvasInteractions()
+    updateSelection()
+    const statsText = `Shapes: ${grid.meta.shapeCount} · Source size: ${sourceW}×${sourceH}px`
+    stats.textContent = statsText
+    persistSettings(statsText)
+  }
+
+  let isSavingDocument = false
+  function saveDocumentFile() {
+    if (isSavingDocument) return
+    if (!currentGrid) {
+      showToast('Generate a grid before saving')
+      return
+    }
+    isSavingDocument = true
+    try {
+      const doc = createSourceDocument()
+      const filename = getExportFileName(ART_GRID_FILE_EXTENSION.slice(1), doc.meta.width, doc.meta.height)
+      downloadBlob(new Blob([stringifyArtGridDocument(doc)], { type: ART_GRID_FILE_TYPE }), filename)
+      status.textContent = `Saved ${filename}.`
+    } catch (error) {
+      status.textContent = `Could not save file: ${error instanceof Error ? error.message : 'Unknown error'}`
+      events.emit('error', { action: 'save', error })
+    } finally {
+      isSavingDocument = false
+    }
+  }
+
+  let isOpeningFile = false
+  /** Open an .artgrid.json document of any version, or the document embedded in an exported SVG. */
+  async function openDocumentFile(file) {
+    if (isOpeningFile) return
+    isOpeningFile = true
+    openFileBtn.disabled = true
+    setLoadingOverlay(true, 'Opening file…')
+    status.textContent = 'Opening file...'
+    try {
+      const text = await file.text()
+      const isSvg = file.type === 'image/svg+xml' || /\.svg$/i.test(file.name)
+      const parsed = isSvg ? parseArtGridSvg(text) : parseArtGridDocument(text)
+      pushUndoState()
+      applyArtGridDocument(parsed)
+      status.textContent = `Opened ${file.name}${parsed.migratedFrom != null ? ` (upgraded from format version ${parsed.migratedFrom})` : ''}.`
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'Unknown error'
+      status.textContent = `Could not open ${file.name}: ${message}`
+      showToast(`Could not open ${file.name}: ${message}`)
+      events.emit('error', { action: 'open', error })
+    } finally {
+      setLoadingOverlay(false)
+      isOpeningFile = false
+      openFileBtn.disabled = false
+    }
+  }
+
+  saveDocumentBtn.addEventListener('click', () => saveDocumentFile())
+  openFileBtn.addEventListener('click', () => openFileInput.click())
+  openFileInput.addEventListener('change', () => {
+    const file = openFileInput.files?.[0]
+    openFileInput.value = ''
+    if (file) openDocumentFile(file)
+  })
+
+  /** Stamps a share link generates from: the multi-selection or the whole library, without imported stamps. */
+  function getLinkStampEntries() {
+    const entries = selectedStampIndices.size > 1
+      ? [...selectedStampIndices].sort((a, b) => a - b).map((i) => loadedStamps[i])
+      : loadedStamps
+    return entries.filter((entry) => entry.stampId)
+  }
+
+  /** Apply a link's hand edits to a freshly generated grid; edits that do not validate are dropped with a warning. */
+  function applyLinkedEdits(grid, edits) {
+    const shapes = applyArtGridShapesDiff(grid.shapes, edits)
+    const groups = edits.groups ?? []
+    try {
+      parseArtGridDocument(createArtGridDocument({ ...grid, shapes, groups }))
+    } catch (error) {
+      showToast(`The link's hand edits were left out: ${error instanceof Error ? error.message : 'Unknown error'}`)
+      return
+    }
+    grid.shapes = shapes
+    grid.groups = groups
+    grid.meta.shapeCount = shapes.length
+  }
+
+  let isCopyingLink = false
+  /**
+   * Copy a link to the current grid. Generate reproduces it from the settings; edits made since are added as a diff
+   * against what the link regenerates, unless that makes the link too long.
+   */
+  async function copyShareLink() {
+    if (isCopyingLink) return
+    if (!loadedStamps.length) {
+      showToast('Wait for the stamps to load before copying a link')
+      return
+    }
+    isCopyingLink = true
+    copyLinkBtn.disabled = true
+    setLoadingOverlay(true, 'Creating link…')
+    try {
+      await new Promise((resolve) => setTimeout(resolve, 0))
+      const settings = getGenerationSettings()
+      const linkEntries = getLinkStampEntries()
+      const allBuiltIn = linkEntries.length === loadedStamps.filter((entry) => entry.stampId).length
+      const skippedImported = (selectedStampIndices.size > 1 ? [...selectedStampIndices].map((i) => loadedStamps[i]) : loadedStamps).some((entry) => !entry.stampId)
+      const state = { settings, ...(!allBuiltIn && { stamps: linkEntries.map((entry) => entry.stampId) }) }
+      let edits = null
+      if (currentGrid) {
+        const options = getGenerationOptions(settings.seed, getStampPool(linkEntries))
+        if (options.width === currentGrid.meta.width && options.height === currentGrid.meta.height) {
+          edits = diffArtGridShapes(generateArtGrid(options).shapes, currentGrid.shapes)
+          // Grouping marks the shapes, so grouped grids always have edits for the groups to ride along with.
+          if (edits && currentGrid.groups?.length) edits.groups = currentGrid.groups
+        }
+      }
+      let url = createShareUrl(window.location.href, await encodeShareToken(edits ? { ...state, edits } : state))
+      let note = edits ? ' with hand edits' : ''
+      if (url.length > MAX_SHARE_URL_LENGTH) {
+        url = createShareUrl(window.location.href, await encodeShareToken(state))
+        note = '; hand edits were too large to include, save a file to share them'
+      }
+      if (skippedImported) note += '; imported stamps cannot be shared and were left out'
+      try {
+        await navigator.clipboard.writeText(url)
+        status.textContent = `Link copied${note}.`
+      } catch {
+        window.prompt('Copy this link', url)
+        status.textContent = `Link created${note}.`
+      }
+      if (note) showToast(`Link copied${note}`)
+    } catch (error) {
+      status.textContent = `Could not create link: ${error instanceof Error ? error.message : 'Unknown error'}`
+      events.emit('error', { action: 'link', error })
+    } finally {
+      setLoadingOverlay(false)
+      isCopyingLink = false
+      copyLinkBtn.disabled = false
+    }
+  }
+
+  /** Select the link's stamps (all built-in ones when it lists none); @returns {number} how many listed stamps are missing */
+  function selectLinkedStamps(stampIds) {
+    const indexById = new Map(loadedStamps.map((entry, i) => [entry.stampId, i]).filter(([id]) => id))
+    const indices = Array.isArray(stampIds)
+      ? stampIds.map((id) => indexById.get(id)).filter((i) => i != null)
+      : loadedStamps.length === indexById.size ? [] : [...indexById.values()]
+    selectedStampIndices = new Set(indices)
+    stampShape = indices.length ? loadedStamps[Math.min(...indices)] : null
+    updateStampThumbOutlines()
+    updateSelectedStampsStrip()
+    syncStampBinarizationControls()
+    renderStampRegionList()
+    return Array.isArray(stampIds) ? stampIds.length - indices.length : 0
+  }
+
+  /** Restore the controls from a share link and generate its grid as a new project; the hash is cleared once read. */
+  async function openShareLink(token) {
+    window.history.replaceState(null, '', window.location.pathname + window.location.search)
+    const state = await decodeShareToken(token)
+    if (projectsReady) await writeProject()
+    applyGenerationSettings(state.settings)
+    const missing = selectLinkedStamps(state.stamps)
+    currentProject = null
+    lastSavedProjectJson = ''
+    projectHasRecovery = false
+    projectNameInput.value = ''
+    window.localStorage.removeItem(CURRENT_PROJECT_KEY)
+    undoStack.length = 0
+    redoStack.length = 0
+    selectedShapeIds.clear()
+    selectedLayer = null
+    setGrid(null)
+    projectsReady = true
+    persistSettings(stats?.textContent ?? '')
+    await generate(state.edits ?? null)
+    if (missing) showToast(`${missing} stamp${missing === 1 ? '' : 's'} from the link ${missing === 1 ? 'is' : 'are'} not in this library; the grid may differ`)
+  }
+
+  function reportShareLinkError(error) {
+    showToast(`Could not open link: ${error instanceof Error ? error.message : 'Unknown error'}`)
+    events.emit('error', { action: 'link', error })
+  }
+
+  copyLinkBtn.addEventListener('click', () => copyShareLink())
+  // A link pasted into the address bar of an open tab; the first one is read once the stamps have loaded.
+  const openHashShareLink = () => {
+    const token = readShareToken(window.location.hash)
+    if (!token || !projectsReady) return
+    openShareLink(token).catch(reportShareLinkError)
+  }
+  if (ownsPageState) window.addEventListener('hashchange', openHashShareLink, { signal: lifecycle.signal })
+
   deleteEntityBtn.addEventListener('click', () => {
     if (!currentGrid) return
     currentGrid.shapes = Array.isArray(currentGrid.shapes) ? currentGrid.shapes : []
@@ -2193,6 +5365,7 @@ export function mountArtGridTool(containerElement) {
       selectedShapeIds.forEach(id => {
         currentGrid.shapes = currentGrid.shapes.filter((entry) => entry.id !== id)
       })
+      pruneGroups(currentGrid)
       selectedShapeIds.clear()
       selectedLayer = null
       currentGrid.meta.shapeCount = currentGrid.shapes.length
@@ -2205,34 +5378,328 @@ export function mountArtGridTool(containerElement) {
     status.textContent = 'Select a shape first.'
   })
 
-  window.addEventListener('keydown', (event) => {
+  /**
+   * The level grouping works at: the group being edited when every shape is inside it, else the top level, which
+   * also leaves the group.
+   */
+  function getGroupingLevel(shapes, groupsById) {
+    if (enteredGroupId != null && shapes.every((shape) => getGroupChain(groupsById, shape.group).includes(enteredGroupId))) return enteredGroupId
+    enteredGroupId = null
+    return null
+  }
+
+  /**
+   * Put the selected shapes and groups into a new group, a child of the group being edited if any. Its transform
+   * starts at the center of the selection, unrotated and unscaled.
+   */
+  function groupSelection() {
+    if (!currentGrid) return
+    const selected = getSelectedShapes()
+    if (selected.length < 2) {
+      status.textContent = 'Select at least 2 shapes to group.'
+      return
+    }
+    const groupsById = indexGroups(currentGrid.groups)
+    const level = getGroupingLevel(selected, groupsById)
+    const bounds = getShapesBounds(selected)
+    pushUndoState()
+    const group = {
+      id: createGroupId(),
+      ...(level != null && { parent: level }),
+      transform: { x: (bounds.minX + bounds.maxX) / 2, y: (bounds.minY + bounds.maxY) / 2, rotation: 0, scale: 1 },
+    }
+    // A shape in a group at this level moves in with that whole group; other shapes move in on their own.
+    selected.forEach((shape) => {
+      const unitId = getSelectableGroup(groupsById, shape, level)
+      if (unitId) groupsById.get(unitId).parent = group.id
+      else shape.group = group.id
+    })
+    currentGrid.groups.push(group)
+    selectedShapeIds.clear()
+    getGroupShapeIds(currentGrid.shapes, indexGroups(currentGrid.groups), group.id).forEach((id) => selectedShapeIds.add(id))
+    selectedLayer = null
+    commitShapeEdit()
+    status.textContent = `Grouped ${countShapes(selectedShapeIds.size)}.`
+  }
+
+  /** Dissolve the selected groups at the level being edited; their shapes and groups move up to the parent. */
+  function ungroupSelection() {
+    if (!currentGrid) return
+    const selected = getSelectedShapes()
+    const groupsById = indexGroups(currentGrid.groups)
+    const level = getGroupingLevel(selected, groupsById)
+    const dissolved = new Set(selected.map((shape) => getSelectableGroup(groupsById, shape, level)).filter(Boolean))
+    if (!dissolved.size) {
+      status.textContent = 'Select a group first.'
+      return
+    }
+    pushUndoState()
+    const moveUp = (entry, key) => {
+      if (!dissolved.has(entry[key])) return
+      const parent = groupsById.get(entry[key]).parent
+      if (parent != null) entry[key] = parent
+      else delete entry[key]
+    }
+    currentGrid.groups.forEach((group) => moveUp(group, 'parent'))
+    currentGrid.shapes.forEach((shape) => moveUp(shape, 'group'))
+    currentGrid.groups = currentGrid.groups.filter((group) => !dissolved.has(group.id))
+    commitShapeEdit()
+    status.textContent = `Ungrouped ${dissolved.size} group${dissolved.size === 1 ? '' : 's'}.`
+  }
+
+  groupBtn.addEventListener('click', () => groupSelection())
+  ungroupBtn.addEventListener('click', () => ungroupSelection())
+
+  /**
+   * One align/distribute/arrange step on the selection, undoable as a whole.
+   * @param {(shapes: object[], box: object, selected: object[]) => void} apply - moves `shapes` (one per symmetry group,
+   *   see getTransformTargets) within `box`, the selection's bounds or the canvas
+   */
+  function arrangeSelection(message, apply, minShapes = 1) {
+    if (!currentGrid) return
+    const selected = [...selectedShapeIds].map((id) => currentGrid.shapes.find((s) => s.id === id)).filter(Boolean)
+    if (selected.length < minShapes) {
+      status.textContent = minShapes > 1 ? `Select at least ${minShapes} shapes.` : 'Select a shape first.'
+      return
+    }
+    const box = alignToSelect.value === 'canvas' || selected.length < 2 ? getCanvasBox() : getShapesBounds(selected)
+    pushUndoState()
+    const order = [...selectedShapeIds]
+    const targets = getTransformTargets().sort((a, b) => order.indexOf(a.id) - order.indexOf(b.id))
+    apply(targets, box, selected)
+    targets.forEach((shape) => syncSymmetryCopies(currentGrid.shapes, shape))
+    redraw()
+    updateSelection()
+    status.textContent = message
+  }
+
+  alignButtons.forEach((button) => {
+    const edge = button.dataset.edge
+    button.addEventListener('click', () => arrangeSelection(`Aligned ${edge}.`, (shapes, box) => alignShapes(shapes, edge, box)))
+  })
+  const distribute = (axis) => {
+    const toCanvas = alignToSelect.value === 'canvas'
+    arrangeSelection(`Distributed ${axis}ly.`, (shapes, box) => distributeShapes(shapes, axis, toCanvas ? box : undefined), toCanvas ? 2 : 3)
+  }
+  distributeHBtn.addEventListener('click', () => distribute('horizontal'))
+  distributeVBtn.addEventListener('click', () => distribute('vertical'))
+  matchSizeBtn.addEventListener('click', () => {
+    arrangeSelection('Matched size.', (shapes, box, selected) => matchSize(shapes, selected[0].size), 2)
+  })
+  matchRotationBtn.addEventListener('click', () => {
+    arrangeSelection('Matched rotation.', (shapes, box, selected) => matchRotation(shapes, selected[0].rotation ?? 0), 2)
+  })
+  arrangeGridBtn.addEventListener('click', () => {
+    const columns = readBoundedInt(gridColumns.input, 0, 0, 64)
+    const gap = readBoundedInt(arrangeGap.input, 8, 0, 500) * getEditorScale()
+    arrangeSelection('Arranged in a grid.', (shapes, box) => arrangeInGrid(shapes, box, { columns, gap }), 2)
+  })
+  arrangeCircleBtn.addEventListener('click', () => {
+    arrangeSelection('Arranged in a circle.', (shapes, box) => arrangeInCircle(shapes, box), 2)
+  })
+
+  /**
+   * Add copies of `shapes` on top of their layers with fresh ids, keeping layer and styling. A copy leaves its
+   * symmetry group: it is a shape of its own, not one more mirror of the original. Groups are copied along with
+   * their shapes; a copy of a shape whose group is not copied joins that group.
+   * @param {(copy: object, source: object) => void} [place] - moves or transforms each copy, and each copied group's
+   *   frame as if it were a shape at the frame's origin, sized by its scale
+   * @param {object[]} [groups] - the groups to copy; by default the current grid's groups `shapes` make up whole
+   * @returns {object[]} the copies
+   */
+  function addShapeCopies(shapes, place, groups = getWholeGroups(shapes)) {
+    const existing = indexGroups(currentGrid.groups)
+    const copiedIds = new Map(groups.map((group) => [group.id, createGroupId()]))
+    const regroup = (entry, key) => {
+      const id = copiedIds.get(entry[key]) ?? (existing.has(entry[key]) ? entry[key] : null)
+      if (id != null) entry[key] = id
+      else delete entry[key]
+    }
+    groups.forEach((group) => {
+      const { x, y, rotation, scale } = group.transform
+      const frame = { x, y, rotation, size: scale }
+      if (place) place(frame, { ...frame })
+      const copy = { id: copiedIds.get(group.id), parent: group.parent, transform: { x: frame.x, y: frame.y, rotation: frame.rotation, scale: frame.size } }
+      regroup(copy, 'parent')
+      currentGrid.groups.push(copy)
+    })
+    return shapes.map((shape) => {
+      const copy = structuredClone(shape)
+      delete copy.symmetryGroup
+      delete copy.symmetryTransform
+      copy.id = createShapeId()
+      regroup(copy, 'group')
+      if (place) place(copy, shape)
+      currentGrid.shapes.push(copy)
+      return copy
+    })
+  }
+
+  /** Select freshly added copies and redraw; the caller has pushed the undo state. */
+  function selectShapeCopies(copies, message) {
+    selectedShapeIds.clear()
+    copies.forEach((copy) => selectedShapeIds.add(copy.id))
+    selectedLayer = null
+    commitShapeEdit()
+    status.textContent = message
+  }
+
+  const getSelectedShapes = () => currentGrid.shapes.filter((shape) => selectedShapeIds.has(shape.id))
+  const countShapes = (n) => `${n} shape${n === 1 ? '' : 's'}`
+
+  /** Put the selection on the clipboard as an .artgrid.json document in source pixels, so any tab or project can paste it. */
+  async function copySelection() {
+    const selected = getSelectedShapes()
+    // Only groups copied whole come along; the rest of the selection is copied ungrouped.
+    const groups = getWholeGroups(selected)
+    const groupIds = new Set(groups.map((group) => group.id))
+    const copied = {
+      meta: currentGrid.meta,
+      shapes: selected.map(({ group, ...shape }) => (groupIds.has(group) ? { ...shape, group } : shape)),
+      groups: groups.map(({ parent, ...group }) => (groupIds.has(parent) ? { ...group, parent } : group)),
+    }
+    const sourceGrid = scaleArtGrid(copied, readPositiveInt(width.input, 1200), readPositiveInt(height.input, 2400))
+    const text = stringifyArtGridDocument(createArtGridDocument(sourceGrid))
+    shapeClipboard = text
+    try {
+      await navigator.clipboard.writeText(text)
+      status.textContent = `Copied ${countShapes(selected.length)}.`
+    } catch {
+      status.textContent = `Copied ${countShapes(selected.length)} for this page only; the browser blocked the system clipboard.`
+    }
+  }
+
+  let lastPasteText = null
+  let pasteRepeat = 0
+  /**
+   * Paste shapes copied from any editor. They keep their source-pixel positions; pasting over the shapes they were
+   * copied from (or pasting again) offsets them by COPY_OFFSET_PX each time.
+   */
+  async function pasteShapes() {
+    let text = null
+    try {
+      text = await navigator.clipboard.readText()
+    } catch {
+      text = shapeClipboard
+    }
+    if (!currentGrid || destroyed) return
+    if (!text) {
+      status.textContent = 'Nothing to paste; copy shapes first.'
+      return
+    }
+    let parsed
+    try {
+      parsed = parseArtGridDocument(text)
+    } catch (error) {
+      status.textContent = `The clipboard has no shapes: ${error instanceof Error ? error.message : 'Unknown error'}`
+      return
+    }
+    if (!parsed.grid.shapes.length) {
+      status.textContent = 'The clipboard has no shapes.'
+      return
+    }
+    const overOriginals = parsed.grid.shapes.some((shape) => currentGrid.shapes.some((s) => s.id === shape.id))
+    pasteRepeat = text === lastPasteText ? pasteRepeat + 1 : overOriginals ? 1 : 0
+    lastPasteText = text
+    const sourceSize = { width: readPositiveInt(width.input, 1200), height: readPositiveInt(height.input, 2400) }
+    const { shapes, groups } = scaleArtGrid({ meta: sourceSize, shapes: parsed.grid.shapes, groups: parsed.grid.groups }, currentGrid.meta.width, currentGrid.meta.height)
+    const offset = COPY_OFFSET_PX * pasteRepeat * getEditorScale()
+    pushUndoState()
+    const copies = addShapeCopies(shapes, (copy) => {
+      copy.x += offset
+      copy.y += offset
+    }, groups)
+    selectShapeCopies(copies, `Pasted ${countShapes(copies.length)}.`)
+  }
+
+  function duplicateSelection() {
+    const offset = COPY_OFFSET_PX * getEditorScale()
+    pushUndoState()
+    const copies = addShapeCopies(getSelectedShapes(), (copy) => {
+      copy.x += offset
+      copy.y += offset
+    })
+    selectShapeCopies(copies, `Duplicated ${countShapes(copies.length)}.`)
+  }
+
+  function openStepRepeat() {
+    if (!currentGrid || selectedShapeIds.size === 0) {
+      status.textContent = 'Select a shape first.'
+      return
+    }
+    stepRepeatDialog.setOpen(true)
+  }
+  stepRepeatBtn.addEventListener('click', openStepRepeat)
+
+  stepRepeatConfirmBtn.addEventListener('click', () => {
+    stepRepeatDialog.setOpen(false)
+    const selected = currentGrid ? getSelectedShapes() : []
+    if (!selected.length) return
+    const { count, offsetX, offsetY, rotation, scale } = getStepRepeatSettings()
+    const editorScale = getEditorScale()
+    pushUndoState()
+    const copies = []
+    for (let step = 1; step <= count; step++) {
+      copies.push(...addShapeCopies(selected, (copy, source) => {
+        copy.x = source.x + offsetX * editorScale * step
+        copy.y = source.y + offsetY * editorScale * step
+        copy.rotation = ((((source.rotation ?? 0) + rotation * step) % 360) + 360) % 360
+        copy.size = source.size * (scale / 100) ** step
+      }))
+    }
+    // The originals stay selected along with their copies, so the whole run can be moved or repeated again.
+    selected.forEach((shape) => copies.unshift(shape))
+    selectShapeCopies(copies, `Repeated ${countShapes(selected.length)} ${count} time${count === 1 ? '' : 's'}.`)
+    persistSettings(stats?.textContent ?? '')
+  })
+
+  const handleKeydown = (event) => {
     if (previewContainer.classList.contains('hidden')) return
+    if (toolDialogs.some((dialog) => dialog.isOpen())) return
     const target = event.target
     const inInput = target && (target.closest('input') || target.closest('textarea') || target.closest('select'))
     const mod = event.metaKey || event.ctrlKey
     if (mod && event.key === 'z') {
       if (inInput) return
       event.preventDefault()
-      if (event.shiftKey) {
-        if (redoStack.length > 0) {
-          const current = getCurrentState()
-          if (current.grid) {
-            undoStack.push(current)
-            if (undoStack.length > MAX_UNDO) undoStack.shift()
-          }
-          applyState(redoStack.pop())
-          status.textContent = 'Redo.'
-        }
-      } else {
-        if (undoStack.length > 0) {
-          redoStack.push(getCurrentState())
-          applyState(undoStack.pop())
-          status.textContent = 'Undo.'
-        }
-      }
+      if (event.shiftKey) redo()
+      else undo()
+      return
+    }
+    if (mod && (event.key === 's' || event.key === 'S')) {
+      event.preventDefault()
+      saveProjectNow()
       return
     }
-    if ((event.key === 'Delete' || event.key === 'Backspace') && selectedShapeIds.size > 0) {
+    if (mod && (event.key === 'c' || event.key === 'C') && !event.shiftKey) {
+      // Without a selected shape the browser copies as usual, e.g. text in the panels.
+      if (inInput || !currentGrid || selectedShapeIds.size === 0) return
+      event.preventDefault()
+      copySelection()
+      return
+    }
+    if (mod && (event.key === 'v' || event.key === 'V') && !event.shiftKey) {
+      if (inInput) return
+      event.preventDefault()
+      pasteShapes()
+      return
+    }
+    if (mod && (event.key === 'd' || event.key === 'D')) {
+      if (inInput) return
+      event.preventDefault()
+      if (event.shiftKey) openStepRepeat()
+      else if (currentGrid && selectedShapeIds.size > 0) duplicateSelection()
+      else status.textContent = 'Select a shape first.'
+      return
+    }
+    if (mod && (event.key === 'g' || event.key === 'G')) {
+      if (inInput) return
+      event.preventDefault()
+      if (event.shiftKey) ungroupSelection()
+      else groupSelection()
+      return
+    }
+    if ((event.key === 'Delete' || event.key === 'Backspace') && selectedShapeIds.size > 0 && !inInput) {
       deleteEntityBtn.click()
       event.preventDefault()
       return
@@ -2251,11 +5718,12 @@ export function mountArtGridTool(containerElement) {
         else if (event.key === 'ArrowDown') dy = nudge
         if (dx !== 0 || dy !== 0) {
           pushUndoState()
-          selectedShapeIds.forEach((id) => {
-            const shape = currentGrid.shapes.find((s) => s.id === id)
-            if (shape && typeof shape.x === 'number' && typeof shape.y === 'number') {
+          moveGroupFrames(getGroupFrameStarts(), { dx, dy })
+          getTransformTargets().forEach((shape) => {
+            if (typeof shape.x === 'number' && typeof shape.y === 'number') {
               shape.x += dx
               shape.y += dy
+              syncSymmetryCopies(currentGrid.shapes, shape)
             }
           })
           redraw()
@@ -2270,12 +5738,17 @@ export function mountArtGridTool(containerElement) {
       if (inInput) return
       if (currentGrid && selectedShapeIds.size > 0) {
         pushUndoState()
-        selectedShapeIds.forEach((id) => {
-          const shape = currentGrid.shapes.find((s) => s.id === id)
-          if (shape && typeof shape.rotation === 'number') {
-            shape.rotation = (shape.rotation + 45) % 360
-          }
-        })
+        const frames = getGroupFrameStarts()
+        if (frames.length > 0) {
+          transformSelectionAsUnit(frames, { rotation: 45 })
+        } else {
+          getTransformTargets().forEach((shape) => {
+            if (typeof shape.rotation === 'number') {
+              shape.rotation = (shape.rotation + 45) % 360
+              syncSymmetryCopies(currentGrid.shapes, shape)
+            }
+          })
+        }
         redraw()
         status.textContent = 'Rotated 45°.'
       }
@@ -2287,12 +5760,17 @@ export function mountArtGridTool(containerElement) {
       if (currentGrid && selectedShapeIds.size > 0) {
         const step = readBoundedInt(scaleStepRow.input, scaleStepDefault, scaleStepMin, scaleStepMax)
         pushUndoState()
-        selectedShapeIds.forEach((id) => {
-          const shape = currentGrid.shapes.find((s) => s.id === id)
-          if (shape && typeof shape.size === 'number') {
-            shape.size = Math.min(500, shape.size + step)
-          }
-        })
+        const frames = getGroupFrameStarts()
+        if (frames.length > 0) {
+          transformSelectionAsUnit(frames, { scale: getUnitScaleStep(step) })
+        } else {
+          getTransformTargets().forEach((shape) => {
+            if (typeof shape.size === 'number') {
+              shape.size = Math.min(500, shape.size + step)
+              syncSymmetryCopies(currentGrid.shapes, shape)
+            }
+          })
+        }
         redraw()
         status.textContent = `Scaled up ${step}px.`
       }
@@ -2304,12 +5782,17 @@ export function mountArtGridTool(containerElement) {
       if (currentGrid && selectedShapeIds.size > 0) {
         const step = readBoundedInt(scaleStepRow.input, scaleStepDefault, scaleStepMin, scaleStepMax)
         pushUndoState()
-        selectedShapeIds.forEach((id) => {
-          const shape = currentGrid.shapes.find((s) => s.id === id)
-          if (shape && typeof shape.size === 'number') {
-            shape.size = Math.max(2, shape.size - step)
-          }
-        })
+        const frames = getGroupFrameStarts()
+        if (frames.length > 0) {
+          transformSelectionAsUnit(frames, { scale: getUnitScaleStep(-step) })
+        } else {
+          getTransformTargets().forEach((shape) => {
+            if (typeof shape.size === 'number') {
+              shape.size = Math.max(2, shape.size - step)
+              syncSymmetryCopies(currentGrid.shapes, shape)
+            }
+          })
+        }
         redraw()
         status.textContent = `Scaled down ${step}px.`
       }
@@ -2391,11 +5874,21 @@ export function mountArtGridTool(containerElement) {
       return
     }
     if (inInput) return
+    if (event.key === 'Escape' && exitGroup()) {
+      event.preventDefault()
+      return
+    }
     if (event.key === 'v' || event.key === 'V') {
+      if (marqueeMode) setMarqueeMode(false)
       if (setStampMode) setStampMode(false)
       event.preventDefault()
       return
     }
+    if (event.key === 'r' || event.key === 'R') {
+      setMarqueeMode(!marqueeMode)
+      event.preventDefault()
+      return
+    }
     if (event.key === 'b' || event.key === 'B') {
       if (setStampMode) setStampMode(true)
       event.preventDefault()
@@ -2412,7 +5905,24 @@ export function mountArtGridTool(containerElement) {
       event.preventDefault()
       return
     }
-  })
+    if (!mod && (event.key === 'g' || event.key === 'G')) {
+      openGallery()
+      event.preventDefault()
+      return
+    }
+    if (!mod && (event.key === 'e' || event.key === 'E')) {
+      exportSvg()
+      event.preventDefault()
+      return
+    }
+    if (!mod && (event.key === 'p' || event.key === 'P')) {
+      projectsDialog.setOpen(true)
+      event.preventDefault()
+      return
+    }
+  }
+  // Scoped to the editor's own elements: shortcuts fire while one of them has focus, not anywhere on the page.
+  ;[preview, controls, shapesPanelFull, arrangePanelFull, layersPanelFull, modeToolbar].forEach((element) => element.addEventListener('keydown', handleKeydown))
 
   randomizeBtn.addEventListener('click', () => {
     if (selectedLayer !== null) {
@@ -2420,37 +5930,15 @@ export function mountArtGridTool(containerElement) {
       setLoadingOverlay(true, defaultLoadingOverlayText)
       setTimeout(() => {
         try {
-          const entriesOverride = selectedStampIndices.size > 1
-            ? [...selectedStampIndices].sort((a, b) => a - b).map((i) => loadedStamps[i])
-            : null
-          const stampPool = getStampPool(entriesOverride)
+          const stampPool = getSelectedStampPool()
           if (!stampPool.length) {
             showToast('No stamps loaded. Add images to the /stamps/ folder.')
             return
           }
           pushUndoState()
-          const sourceW = readPositiveInt(width.input, 1200)
-          const sourceH = readPositiveInt(height.input, 2400)
-          const { w: canvasWidth, h: canvasHeight } = getEditorSize(sourceW, sourceH)
-          const scaleToEditor = Math.min(canvasWidth / sourceW, canvasHeight / sourceH)
           const layerShapes = currentGrid.shapes.filter(s => s.layer === selectedLayer)
           const otherShapes = currentGrid.shapes.filter(s => s.layer !== selectedLayer)
-          const layerSpreadRaw = parseFloat(spreadRow.input.value)
-          const layerSpread = Number.isFinite(layerSpreadRaw) ? Math.max(spreadMin, Math.min(spreadMax, layerSpreadRaw)) : spreadDefault
-          const layerOptions = {
-            seed: randomSeed(),
-            width: canvasWidth,
-            height: canvasHeight,
-            shapeCount: layerShapes.length,
-            spread: layerSpread,
-            minSize: Math.max(2, Math.round(readBoundedInt(minSize.input, 8, 2, 100) * scaleToEditor)),
-            maxSize: Math.max(4, Math.round(readBoundedInt(maxSize.input, 120, 10, 300) * scaleToEditor)),
-            minTextureScale: parseFloat(minTextureScale.input.value) || 0.5,
-            maxTextureScale: parseFloat(maxTextureScale.input.value) || 2,
-            randomRotation: randomRotationCheckbox.checked,
-            colors: getColorsForGeneration(),
-            stamps: stampPool,
-          }
+          const layerOptions = { ...getGenerationOptions(randomSeed(), stampPool), shapeCount: layerShapes.length }
           const layerGrid = generateArtGrid(layerOptions)
           const newLayerShapes = layerGrid.shapes.map((s) => ({ ...s, layer: selectedLayer }))
           currentGrid.shapes = [...otherShapes, ...newLayerShapes]
@@ -2472,11 +5960,221 @@ export function mountArtGridTool(containerElement) {
     }
   })
 
+  galleryBtn.addEventListener('click', () => openGallery())
+
   generateNewBtn.addEventListener('click', () => {
     seed.input.value = String(randomSeed())
     generate()
   })
 
-  // Load stamps from /stamps/ folder (last so setLoadingOverlay exists; first generate runs when load settles)
-  loadStampsFromFolder()
+  // Load stamps listed in /stamps/manifest.json (last so setLoadingOverlay exists; first generate runs when load settles)
+  const ready = loadStampLibrary().catch((error) => {
+    status.textContent = `Could not load stamps: ${error instanceof Error ? error.message : 'Unknown error'}`
+    events.emit('error', { action: 'load', error })
+  })
+
+  // Controller: grids and shapes cross it in source pixels and are validated like opened documents.
+  const assertMounted = () => {
+    if (destroyed) throw new Error('This art grid tool has been destroyed')
+  }
+  const assertGrid = () => {
+    assertMounted()
+    if (!currentGrid) throw new Error('There is no grid yet; generate or set one first')
+  }
+  const getSourceSize = () => ({ width: readPositiveInt(width.input, 1200), height: readPositiveInt(height.input, 2400) })
+  /** A { meta, shapes, background } grid as a current-version document, so parseArtGridDocument validates it. */
+  const toDocument = (grid) => ({ format: ART_GRID_DOCUMENT_FORMAT, version: ART_GRID_DOCUMENT_VERSION, ...grid })
+
+  function getSourceGrid() {
+    return currentGrid ? parseArtGridDocument(createSourceDocument()).grid : null
+  }
+
+  /** Validate a shape given in source pixels, fill in its defaults and convert it to editor units; its group must exist. */
+  function shapeFromSource(shape) {
+    const { width: sourceW, height: sourceH } = getSourceSize()
+    const { groups } = scaleArtGrid({ meta: currentGrid.meta, shapes: [], groups: currentGrid.groups }, sourceW, sourceH)
+    const { grid } = parseArtGridDocument(toDocument({ meta: { width: sourceW, height: sourceH }, shapes: [shape], groups }))
+    return scaleArtGrid(grid, currentGrid.meta.width, currentGrid.meta.height).shapes[0]
+  }
+
+  function shapeToSource(shape) {
+    const { width: sourceW, height: sourceH } = getSourceSize()
+    return scaleArtGrid({ meta: currentGrid.meta, shapes: [shape] }, sourceW, sourceH).shapes[0]
+  }
+
+  function findShapeIndex(id) {
+    const index = currentGrid.shapes.findIndex((shape) => shape.id === id)
+    if (index === -1) throw new Error(`There is no shape with id "${id}"`)
+    return index
+  }
+
+  function createShapeId() {
+    let id = `shape-${Date.now()}-${Math.floor(Math.random() * 1000)}`
+    while (currentGrid.shapes.some((shape) => shape.id === id)) id = `shape-${Date.now()}-${Math.floor(Math.random() * 1000)}`
+    return id
+  }
+
+  /** Re-render after a controller edit of the current grid. */
+  function commitShapeEdit() {
+    currentGrid.meta.shapeCount = currentGrid.shapes.length
+    redraw()
+    updateSelection()
+  }
+
+  return {
+    /** Resolves once the stamps have loaded and the startup grid (project, link or a new one) is open. */
+    ready,
+    getGrid() {
+      assertMounted()
+      return getSourceGrid()
+    },
+    /** Replace the composition with a grid or a document of any version, as Open file does; undoable. */
+    setGrid(grid) {
+      assertMounted()
+      const isBareGrid = grid != null && typeof grid === 'object' && grid.format === undefined && grid.meta != null
+      const parsed = parseArtGridDocument(isBareGrid ? toDocument(grid) : grid)
+      pushUndoState()
+      applyArtGridDocument(parsed)
+    },
+    /**
+     * Generate a new grid. Options take the getGenerationSettings keys (the same as share links); the others keep
+     * their current value, and the seed is random unless given, like the Generate button.
+     */
+    async generate(options = {}) {
+      assertMounted()
+      if (isGenerating) throw new Error('A grid is already being generated')
+      applyGenerationSettings({ ...options, seed: options.seed ?? randomSeed() })
+      // Generating with shapes selected adds a layer; the API always generates the whole grid.
+      selectedShapeIds.clear()
+      selectedLayer = null
+      await generate(null, { rejectOnError: true })
+      return getSourceGrid()
+    },
+    getSelection() {
+      assertMounted()
+      return [...selectedShapeIds]
+    },
+    /** Select shapes by id; unknown ids are ignored. @returns {string[]} the selected ids */
+    select(ids) {
+      assertMounted()
+      const wanted = new Set(typeof ids === 'string' ? [ids] : ids ?? [])
+      selectedShapeIds.clear()
+      currentGrid?.shapes.forEach((shape) => {
+        if (wanted.has(shape.id)) selectedShapeIds.add(shape.id)
+      })
+      selectedLayer = null
+      updateSelection()
+      return [...selectedShapeIds]
+    },
+    /** Add a shape on top; it gets an id when it has none. @returns {string} the shape's id */
+    addShape(shape) {
+      assertGrid()
+      if (shape == null || typeof shape !== 'object') throw new Error('A shape must be an object')
+      if (shape.id != null && currentGrid.shapes.some((entry) => entry.id === shape.id)) throw new Error(`A shape with id "${shape.id}" already exists`)
+      const added = shapeFromSource({ ...shape, id: shape.id ?? createShapeId() })
+      pushUndoState()
+      currentGrid.shapes.push(added)
+      commitShapeEdit()
+      return added.id
+    },
+    /** Change fields of a shape; its symmetry copies follow like they do for canvas edits. */
+    updateShape(id, changes) {
+      assertGrid()
+      const index = findShapeIndex(id)
+      const updated = shapeFromSource({ ...shapeToSource(currentGrid.shapes[index]), ...changes, id })
+      pushUndoState()
+      currentGrid.shapes[index] = updated
+      syncSymmetryCopies(currentGrid.shapes, updated)
+      commitShapeEdit()
+    },
+    removeShape(id) {
+      assertGrid()
+      const index = findShapeIndex(id)
+      pushUndoState()
+      currentGrid.shapes.splice(index, 1)
+      pruneGroups(currentGrid)
+      selectedShapeIds.delete(id)
+      commitShapeEdit()
+    },
+    undo() {
+      assertMounted()
+      return undo()
+    },
+    redo() {
+      assertMounted()
+      return redo()
+    },
+    /** @returns {Promise<string>} the SVG that Export SVG downloads */
+    async exportSvg() {
+      assertGrid()
+      return renderSvgExport()
+    },
+    /** @returns {Promise<Blob>} the image that Export image downloads; outputs too large for one canvas are rejected */
+    async exportImage(options = {}) {
+      assertGrid()
+      const format = options.format ?? 'png'
+      if (!RASTER_FORMATS[format]) throw new Error(`Unknown image format "${format}"; expected one of ${Object.keys(RASTER_FORMATS).join(', ')}`)
+      const job = await prepareRasterExport({
+        format,
+        scale: clamp(Number(options.scale) || 1, 0.25, 8),
+        quality: clamp(Number(options.quality) || 0.92, 0.5, 1),
+        transparent: options.transparent === true,
+      })
+      if (job.outputW * job.outputH > MAX_RASTER_CANVAS_AREA) {
+        throw new Error(`${job.outputW}×${job.outputH}px is too large for one image; use a smaller scale`)
+      }
+      return renderRasterImage(job)
+    },
+    /** @returns {object} the document Save file downloads */
+    exportDocument() {
+      assertGrid()
+      return createSourceDocument()
+    },
+    /**
+     * Events: 'change' after edits, undo/redo and new grids ({ shapeCount }); 'selection' ({ ids }); 'generate'
+     * ({ seed, shapeCount }); 'error' when an action started in the editor fails ({ action, error }).
+     * Controller methods throw or reject instead of emitting 'error'.
+     * @returns {() => void} unsubscribe
+     */
+    on(event, handler) {
+      assertMounted()
+      return events.on(event, handler)
+    },
+    off(event, handler) {
+      events.off(event, handler)
+    },
+    /**
+     * Remove the editor. Pending project changes are saved, then every listener, observer, timer, element and canvas
+     * it created is released, and the page-wide state passes to the next editor mounted.
+     */
+    destroy() {
+      if (destroyed) return
+      destroyed = true
+      flushProjectSave()
+      lifecycle.abort()
+      resizeObserver?.disconnect()
+      clearTimeout(changeEventTimer)
+      cancelAnimationFrame(stampImportPreviewFrame)
+      cancelAnimationFrame(stampBinarizationPreviewFrame)
+      const releaseCanvas = (canvas) => {
+        canvas.width = 0
+        canvas.height = 0
+      }
+      const elements = [preview, controls, shapesPanelFull, arrangePanelFull, layersPanelFull, statusStatsWrap, modeToolbar, ...toolDialogs.map((dialog) => dialog.root), ...openToasts]
+      elements.forEach((element) => {
+        element.querySelectorAll('canvas').forEach(releaseCanvas)
+        element.remove()
+      })
+      loadedStamps.forEach((entry) => entry.canvas && releaseCanvas(entry.canvas))
+      loadedStamps = []
+      manifestStampCache.clear()
+      galleryGrids.clear()
+      undoStack.length = 0
+      redoStack.length = 0
+      currentGrid = null
+      events.clear()
+      if (pageStateOwner === previewContainer) pageStateOwner = null
+      delete previewContainer.dataset.mounted
+    },
+  }
 }
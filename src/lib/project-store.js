@@ -0,0 +1,155 @@
+/**
+ * Project storage in IndexedDB. `projects` holds each project's full document; `summaries` holds its name,
+ * timestamps and thumbnail, so the project list loads without reading every grid. A single `recovery` record keeps
+ * unsaved changes while autosave is off, so they survive a crash or a closed tab.
+ */
+
+const DB_NAME = 'artGrid';
+const DB_VERSION = 1;
+const PROJECTS_STORE = 'projects';
+const SUMMARIES_STORE = 'summaries';
+const RECOVERY_STORE = 'recovery';
+const RECOVERY_KEY = 'current';
+
+/**
+ * @typedef {{ id: string, name: string, createdAt: number, updatedAt: number, thumbnail: string }} ProjectSummary
+ * @typedef {ProjectSummary & { document: object }} Project
+ * @typedef {{ projectId: string, savedAt: number, document: object }} ProjectRecovery
+ */
+
+let databasePromise = null;
+
+export function isProjectStorageAvailable() {
+  return typeof indexedDB !== 'undefined';
+}
+
+export function createProjectId() {
+  return `project-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function requestResult(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error ?? new Error('Project storage transaction was aborted'));
+  });
+}
+
+function openDatabase() {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(PROJECTS_STORE)) db.createObjectStore(PROJECTS_STORE, { keyPath: 'id' });
+        if (!db.objectStoreNames.contains(SUMMARIES_STORE)) db.createObjectStore(SUMMARIES_STORE, { keyPath: 'id' });
+        if (!db.objectStoreNames.contains(RECOVERY_STORE)) db.createObjectStore(RECOVERY_STORE);
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error('Project storage is blocked by another open tab'));
+    });
+    // Let a later call retry, e.g. after the user closes the blocking tab.
+    databasePromise.catch(() => {
+      databasePromise = null;
+    });
+  }
+  return databasePromise;
+}
+
+async function withStores(names, mode, run) {
+  const db = await openDatabase();
+  const transaction = db.transaction(names, mode);
+  const done = transactionDone(transaction);
+  const stores = names.map((name) => transaction.objectStore(name));
+  let result;
+  try {
+    result = await run(...stores);
+  } catch (error) {
+    done.catch(() => {});
+    transaction.abort();
+    throw error;
+  }
+  await done;
+  return result;
+}
+
+const toSummary = ({ id, name, createdAt, updatedAt, thumbnail }) => ({ id, name, createdAt, updatedAt, thumbnail: thumbnail ?? '' });
+
+/** @returns {Promise<ProjectSummary[]>} most recently updated first */
+export async function listProjects() {
+  const summaries = await withStores([SUMMARIES_STORE], 'readonly', (store) => requestResult(store.getAll()));
+  return summaries.sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+/** @returns {Promise<Project | null>} */
+export async function loadProject(id) {
+  return withStores([PROJECTS_STORE, SUMMARIES_STORE], 'readonly', async (projects, summaries) => {
+    const [record, summary] = await Promise.all([requestResult(projects.get(id)), requestResult(summaries.get(id))]);
+    return record ? { ...record, thumbnail: summary?.thumbnail ?? '' } : null;
+  });
+}
+
+/** Write a project and its summary together. @param {Project} project */
+export async function saveProject(project) {
+  const { thumbnail, ...record } = project;
+  await withStores([PROJECTS_STORE, SUMMARIES_STORE], 'readwrite', (projects, summaries) => {
+    projects.put(record);
+    summaries.put(toSummary(project));
+  });
+}
+
+export async function renameProject(id, name) {
+  await withStores([PROJECTS_STORE, SUMMARIES_STORE], 'readwrite', async (projects, summaries) => {
+    const [record, summary] = await Promise.all([requestResult(projects.get(id)), requestResult(summaries.get(id))]);
+    if (!record || !summary) throw new Error('Project not found');
+    projects.put({ ...record, name });
+    summaries.put({ ...summary, name });
+  });
+}
+
+/** @returns {Promise<ProjectSummary>} the copy */
+export async function duplicateProject(id, name) {
+  const project = await loadProject(id);
+  if (!project) throw new Error('Project not found');
+  const now = Date.now();
+  const copy = { ...project, id: createProjectId(), name, createdAt: now, updatedAt: now };
+  await saveProject(copy);
+  return toSummary(copy);
+}
+
+/** Delete a project, and its unsaved changes if the recovery record belongs to it. */
+export async function deleteProject(id) {
+  await withStores([PROJECTS_STORE, SUMMARIES_STORE, RECOVERY_STORE], 'readwrite', async (projects, summaries, recovery) => {
+    projects.delete(id);
+    summaries.delete(id);
+    const pending = await requestResult(recovery.get(RECOVERY_KEY));
+    if (pending?.projectId === id) recovery.delete(RECOVERY_KEY);
+  });
+}
+
+/** @param {ProjectRecovery} snapshot */
+export async function saveProjectRecovery(snapshot) {
+  await withStores([RECOVERY_STORE], 'readwrite', (store) => {
+    store.put(snapshot, RECOVERY_KEY);
+  });
+}
+
+/** @returns {Promise<ProjectRecovery | null>} */
+export async function loadProjectRecovery() {
+  const snapshot = await withStores([RECOVERY_STORE], 'readonly', (store) => requestResult(store.get(RECOVERY_KEY)));
+  return snapshot ?? null;
+}
+
+export async function clearProjectRecovery() {
+  await withStores([RECOVERY_STORE], 'readwrite', (store) => {
+    store.delete(RECOVERY_KEY);
+  });
+}
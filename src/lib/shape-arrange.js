@@ -0,0 +1,115 @@
+/**
+ * Align, distribute, match and arrange shapes. Every function moves the shapes it is given in place and works on
+ * the same axis-aligned box the editor outlines a shape with (center ± size / 2), so rotation does not move a
+ * shape off the line it was aligned to.
+ */
+
+/** @typedef {{ minX: number, minY: number, maxX: number, maxY: number }} Box */
+
+export const ALIGN_EDGES = ['left', 'center', 'right', 'top', 'middle', 'bottom'];
+
+/** @returns {Box} */
+export function getShapeBox(shape) {
+  const half = shape.size / 2;
+  return { minX: shape.x - half, minY: shape.y - half, maxX: shape.x + half, maxY: shape.y + half };
+}
+
+/** @returns {Box | null} the box around all the shapes, null for none */
+export function getShapesBounds(shapes) {
+  let bounds = null;
+  for (const shape of shapes) {
+    const box = getShapeBox(shape);
+    bounds = bounds
+      ? {
+          minX: Math.min(bounds.minX, box.minX),
+          minY: Math.min(bounds.minY, box.minY),
+          maxX: Math.max(bounds.maxX, box.maxX),
+          maxY: Math.max(bounds.maxY, box.maxY),
+        }
+      : box;
+  }
+  return bounds;
+}
+
+/**
+ * @param {string} edge - one of ALIGN_EDGES; left/center/right move shapes horizontally, top/middle/bottom vertically
+ * @param {Box} box - what to align to: the selection's bounds or the canvas
+ */
+export function alignShapes(shapes, edge, box) {
+  for (const shape of shapes) {
+    const half = shape.size / 2;
+    if (edge === 'left') shape.x = box.minX + half;
+    else if (edge === 'center') shape.x = (box.minX + box.maxX) / 2;
+    else if (edge === 'right') shape.x = box.maxX - half;
+    else if (edge === 'top') shape.y = box.minY + half;
+    else if (edge === 'middle') shape.y = (box.minY + box.maxY) / 2;
+    else if (edge === 'bottom') shape.y = box.maxY - half;
+  }
+}
+
+/**
+ * Equal gaps between neighbouring shapes along an axis. The outermost shapes stay put when distributing within the
+ * selection; within a box (the canvas) they move to its edges.
+ * @param {'horizontal' | 'vertical'} axis
+ * @param {Box} [box]
+ */
+export function distributeShapes(shapes, axis, box) {
+  if (shapes.length < 2) return;
+  const pos = axis === 'horizontal' ? 'x' : 'y';
+  const sorted = [...shapes].sort((a, b) => a[pos] - b[pos]);
+  const first = sorted[0];
+  const last = sorted[sorted.length - 1];
+  const start = box ? (pos === 'x' ? box.minX : box.minY) : first[pos] - first.size / 2;
+  const end = box ? (pos === 'x' ? box.maxX : box.maxY) : last[pos] + last.size / 2;
+  const totalSize = sorted.reduce((sum, shape) => sum + shape.size, 0);
+  const gap = (end - start - totalSize) / (sorted.length - 1);
+  let cursor = start;
+  for (const shape of sorted) {
+    shape[pos] = cursor + shape.size / 2;
+    cursor += shape.size + gap;
+  }
+}
+
+export function matchSize(shapes, size) {
+  for (const shape of shapes) shape.size = size;
+}
+
+export function matchRotation(shapes, rotation) {
+  for (const shape of shapes) shape.rotation = rotation;
+}
+
+/**
+ * Rows of equal cells, sized to the largest shape plus `gap`, centered on the box; shapes keep their order.
+ * @param {{ columns?: number, gap?: number }} [options] - columns defaults to a square-ish grid
+ */
+export function arrangeInGrid(shapes, box, { columns, gap = 0 } = {}) {
+  if (!shapes.length) return;
+  const cols = Math.max(1, Math.min(shapes.length, Math.round(columns) || Math.ceil(Math.sqrt(shapes.length))));
+  const rows = Math.ceil(shapes.length / cols);
+  const cell = Math.max(...shapes.map((shape) => shape.size)) + gap;
+  const originX = (box.minX + box.maxX) / 2 - (cols * cell) / 2 + cell / 2;
+  const originY = (box.minY + box.maxY) / 2 - (rows * cell) / 2 + cell / 2;
+  shapes.forEach((shape, i) => {
+    shape.x = originX + (i % cols) * cell;
+    shape.y = originY + Math.floor(i / cols) * cell;
+  });
+}
+
+/**
+ * Evenly around a circle centered on the box, clockwise from the top. The circle fits inside the box unless that
+ * would make neighbours overlap, in which case it grows just enough for them to touch.
+ */
+export function arrangeInCircle(shapes, box) {
+  if (!shapes.length) return;
+  const centerX = (box.minX + box.maxX) / 2;
+  const centerY = (box.minY + box.maxY) / 2;
+  const largest = Math.max(...shapes.map((shape) => shape.size));
+  const fitted = Math.min(box.maxX - box.minX, box.maxY - box.minY) / 2 - largest / 2;
+  const touching = shapes.length > 1 ? largest / (2 * Math.sin(Math.PI / shapes.length)) : 0;
+  const radius = Math.max(fitted, touching);
+  shapes.forEach((shape, i) => {
+    const angle = -Math.PI / 2 + (i / shapes.length) * Math.PI * 2;
+    shape.x = centerX + Math.cos(angle) * radius;
+    shape.y = centerY + Math.sin(angle) * radius;
+  });
+}
@@ -0,0 +1,132 @@
+/**
+ * Shape groups. Shapes stay one flat, layered list in canvas coordinates; a group is a record
+ * `{ id, parent?, transform: { x, y, rotation, scale } }` that its shapes point to with `group` (their innermost
+ * group), and nested groups with `parent`. The transform is the group's frame in canvas coordinates. Moving,
+ * rotating or scaling a group as a unit carries the frame along, and SVG export writes it as the group's `<g>`
+ * transform with the children placed relative to it.
+ */
+
+/**
+ * @typedef {{ x: number, y: number, rotation: number, scale: number }} GroupTransform
+ * @typedef {{ id: string, parent?: string, transform: GroupTransform }} ShapeGroup
+ * @typedef {{ shape: object } | { group: ShapeGroup, children: GroupTreeNode[] }} GroupTreeNode
+ */
+
+export function createGroupId() {
+  return `group-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/** @returns {Map<string, ShapeGroup>} */
+export function indexGroups(groups) {
+  return new Map((groups ?? []).map((group) => [group.id, group]));
+}
+
+/** Ids from the outermost group down to `groupId`; missing parents and cycles end the chain. */
+export function getGroupChain(groupsById, groupId) {
+  const chain = [];
+  for (let id = groupId; id != null && groupsById.has(id) && !chain.includes(id); id = groupsById.get(id).parent) {
+    chain.unshift(id);
+  }
+  return chain;
+}
+
+/** Ids of the shapes in a group, those in nested groups included. */
+export function getGroupShapeIds(shapes, groupsById, groupId) {
+  return shapes.filter((shape) => getGroupChain(groupsById, shape.group).includes(groupId)).map((shape) => shape.id);
+}
+
+/**
+ * The group a click on `shape` selects: its outermost group inside `withinId`, the group being edited (null for
+ * the top level). Null when no group below `withinId` holds the shape, so the shape is selected on its own.
+ */
+export function getSelectableGroup(groupsById, shape, withinId = null) {
+  const chain = getGroupChain(groupsById, shape.group);
+  return chain[withinId == null ? 0 : chain.indexOf(withinId) + 1] ?? null;
+}
+
+/**
+ * The shapes as a tree of groups, keeping their order: a group sits where its first shape is. With `runs`, a group
+ * only holds shapes that follow each other in `shapes`; members split by other shapes become one node per run,
+ * so drawing the tree in order draws the shapes in order.
+ * @returns {GroupTreeNode[]}
+ */
+export function buildGroupTree(shapes, groups, { runs = false } = {}) {
+  const groupsById = indexGroups(groups);
+  const roots = [];
+  const nodes = new Map();
+  let open = [];
+  for (const shape of shapes) {
+    const chain = getGroupChain(groupsById, shape.group);
+    let siblings = roots;
+    chain.forEach((id, depth) => {
+      if (runs ? open[depth]?.group.id !== id : !nodes.has(id)) {
+        const node = { group: groupsById.get(id), children: [] };
+        nodes.set(id, node);
+        siblings.push(node);
+        open = [...open.slice(0, depth), node];
+      }
+      siblings = nodes.get(id).children;
+    });
+    open = open.slice(0, chain.length);
+    siblings.push({ shape });
+  }
+  return roots;
+}
+
+/**
+ * Drop references to groups that no longer exist and the groups no shape is in any more, after shapes were deleted
+ * or replaced. Updates the grid in place.
+ */
+export function pruneGroups(grid) {
+  const groupsById = indexGroups(grid.groups);
+  for (const group of groupsById.values()) {
+    if (group.parent != null && !groupsById.has(group.parent)) delete group.parent;
+  }
+  const used = new Set();
+  for (const shape of grid.shapes) {
+    if (shape.group != null && !groupsById.has(shape.group)) delete shape.group;
+    getGroupChain(groupsById, shape.group).forEach((id) => used.add(id));
+  }
+  grid.groups = [...groupsById.values()].filter((group) => used.has(group.id));
+  return grid;
+}
+
+/** A shape's position, rotation and size in the frame of a group transform. */
+export function toLocalPose(shape, frame) {
+  const angle = (-frame.rotation * Math.PI) / 180;
+  const dx = shape.x - frame.x;
+  const dy = shape.y - frame.y;
+  return {
+    x: (dx * Math.cos(angle) - dy * Math.sin(angle)) / frame.scale,
+    y: (dx * Math.sin(angle) + dy * Math.cos(angle)) / frame.scale,
+    rotation: (shape.rotation ?? 0) - frame.rotation,
+    size: shape.size / frame.scale,
+  };
+}
+
+/** A nested group's transform relative to its parent group's. */
+export function toLocalTransform(frame, parentFrame) {
+  const { x, y, rotation } = toLocalPose({ x: frame.x, y: frame.y, rotation: frame.rotation, size: 1 }, parentFrame);
+  return { x, y, rotation, scale: frame.scale / parentFrame.scale };
+}
+
+/** SVG transform attribute of a group transform. */
+export function formatGroupTransform(frame) {
+  return `translate(${frame.x}, ${frame.y}) rotate(${frame.rotation}) scale(${frame.scale})`;
+}
+
+/**
+ * A group transform after its shapes were rotated by `rotation` degrees and scaled by `scale` around
+ * (centerX, centerY), then moved by (dx, dy).
+ */
+export function transformGroupFrame(frame, { centerX = 0, centerY = 0, rotation = 0, scale = 1, dx = 0, dy = 0 }) {
+  const angle = (rotation * Math.PI) / 180;
+  const ox = frame.x - centerX;
+  const oy = frame.y - centerY;
+  return {
+    x: centerX + (ox * Math.cos(angle) - oy * Math.sin(angle)) * scale + dx,
+    y: centerY + (ox * Math.sin(angle) + oy * Math.cos(angle)) * scale + dy,
+    rotation: (((frame.rotation + rotation) % 360) + 360) % 360,
+    scale: frame.scale * scale,
+  };
+}
@@ -0,0 +1,93 @@
+/**
+ * Snapping for shapes dragged in the editor. A moving box snaps its left edge, center or right edge (top, middle,
+ * bottom vertically) to the closest target within a threshold: grid lines, the canvas edges and center, and the
+ * edges and centers of other shapes. Every length is in the units of the boxes passed in.
+ */
+
+import { getShapeBox } from './shape-arrange.js';
+
+/**
+ * @typedef {import('./shape-arrange.js').Box} Box
+ * @typedef {{ value: number, box: Box }} SnapTarget - a line to snap to; `box` is what its guide reaches to
+ * @typedef {{ x: SnapTarget[], y: SnapTarget[] }} SnapTargets
+ * @typedef {{ axis: 'x' | 'y', value: number, from: number, to: number }} SnapGuide - a vertical (x) or horizontal (y)
+ *   line at `value`, drawn from `from` to `to` along the other axis
+ */
+
+const EPSILON = 1e-6;
+
+/**
+ * @param {object[]} shapes - shapes that stay put while dragging
+ * @param {Box | null} canvas - the canvas box, to snap to its edges and center; null to leave it out
+ * @returns {SnapTargets}
+ */
+export function collectSnapTargets(shapes, canvas) {
+  const targets = { x: [], y: [] };
+  const addBox = (box) => {
+    targets.x.push(...[box.minX, (box.minX + box.maxX) / 2, box.maxX].map((value) => ({ value, box })));
+    targets.y.push(...[box.minY, (box.minY + box.maxY) / 2, box.maxY].map((value) => ({ value, box })));
+  };
+  if (canvas) addBox(canvas);
+  shapes.forEach((shape) => addBox(getShapeBox(shape)));
+  return targets;
+}
+
+function snapAxis(min, max, targets, threshold, gridSize) {
+  const anchors = [min, (min + max) / 2, max];
+  let best = null;
+  for (const anchor of anchors) {
+    for (const target of targets) {
+      const delta = target.value - anchor;
+      if (Math.abs(delta) <= threshold && (best == null || Math.abs(delta) < Math.abs(best))) best = delta;
+    }
+    if (gridSize > 0) {
+      const delta = Math.round(anchor / gridSize) * gridSize - anchor;
+      if (Math.abs(delta) <= threshold && (best == null || Math.abs(delta) < Math.abs(best))) best = delta;
+    }
+  }
+  return best ?? 0;
+}
+
+/**
+ * Where a dragged box snaps to, with the guides that show what it lines up with. Grid lines get no guide; the grid
+ * is drawn.
+ * @param {Box} box - the moving box at the pointer's position
+ * @param {{ threshold: number, gridSize?: number }} options - gridSize 0 leaves the grid out
+ * @returns {{ dx: number, dy: number, guides: SnapGuide[] }} the offset to add to the move
+ */
+export function snapBox(box, targets, { threshold, gridSize = 0 }) {
+  const dx = snapAxis(box.minX, box.maxX, targets.x, threshold, gridSize);
+  const dy = snapAxis(box.minY, box.maxY, targets.y, threshold, gridSize);
+  const snapped = { minX: box.minX + dx, minY: box.minY + dy, maxX: box.maxX + dx, maxY: box.maxY + dy };
+  const guides = [];
+  const addGuides = (axis, anchors, axisTargets) => {
+    const [lo, hi] = axis === 'x' ? ['minY', 'maxY'] : ['minX', 'maxX'];
+    const seen = new Set();
+    for (const target of axisTargets) {
+      if (!anchors.some((anchor) => Math.abs(target.value - anchor) <= EPSILON)) continue;
+      const from = Math.min(snapped[lo], target.box[lo]);
+      const to = Math.max(snapped[hi], target.box[hi]);
+      const key = `${target.value}:${from}:${to}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      guides.push({ axis, value: target.value, from, to });
+    }
+  };
+  addGuides('x', [snapped.minX, (snapped.minX + snapped.maxX) / 2, snapped.maxX], targets.x);
+  addGuides('y', [snapped.minY, (snapped.minY + snapped.maxY) / 2, snapped.maxY], targets.y);
+  return { dx, dy, guides };
+}
+
+/**
+ * A size from the scale gizmo snapped to the closest of `sizes` (other shapes') or a whole number of grid cells.
+ * @returns {number} the snapped size, or `size` when nothing is within the threshold
+ */
+export function snapSize(size, sizes, { threshold, gridSize = 0 }) {
+  const candidates = [...sizes];
+  if (gridSize > 0) candidates.push(Math.max(1, Math.round(size / gridSize)) * gridSize);
+  let best = size;
+  for (const candidate of candidates) {
+    if (Math.abs(candidate - size) <= threshold && (best === size || Math.abs(candidate - size) < Math.abs(best - size))) best = candidate;
+  }
+  return best;
+}
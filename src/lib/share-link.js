@@ -0,0 +1,131 @@
+/**
+ * Share links: the generation settings, palette, background and stamp subset packed into the URL hash
+ * (`#share=<token>`), so opening the link regenerates the same grid. Hand edits made after generating can ride
+ * along as a diff against the regenerated shapes. Tokens are deflated JSON in base64url; browsers without
+ * CompressionStream write (and every browser reads) an uncompressed variant.
+ */
+
+export const SHARE_LINK_VERSION = 1;
+const SHARE_HASH_PARAM = 'share';
+const COMPRESSED_PREFIX = 'z';
+const PLAIN_PREFIX = 'j';
+
+function toBase64Url(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
+
+async function pipeBytes(bytes, transform) {
+  const stream = new Blob([bytes]).stream().pipeThrough(transform);
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * @param {object} state - plain JSON data: { settings, palette, background, stamps?, edits? }
+ * @returns {Promise<string>} URL-safe token
+ */
+export async function encodeShareToken(state) {
+  const bytes = new TextEncoder().encode(JSON.stringify({ v: SHARE_LINK_VERSION, ...state }));
+  if (typeof CompressionStream === 'undefined') return PLAIN_PREFIX + toBase64Url(bytes);
+  return COMPRESSED_PREFIX + toBase64Url(await pipeBytes(bytes, new CompressionStream('deflate-raw')));
+}
+
+/**
+ * @returns {Promise<object>} the state passed to encodeShareToken
+ * @throws {Error} when the token is cut off, damaged or from a newer version
+ */
+export async function decodeShareToken(token) {
+  let state;
+  try {
+    const bytes = fromBase64Url(token.slice(1));
+    if (token[0] === COMPRESSED_PREFIX) {
+      if (typeof DecompressionStream === 'undefined') throw new Error('unsupported');
+      state = JSON.parse(new TextDecoder().decode(await pipeBytes(bytes, new DecompressionStream('deflate-raw'))));
+    } else if (token[0] === PLAIN_PREFIX) {
+      state = JSON.parse(new TextDecoder().decode(bytes));
+    }
+  } catch (error) {
+    if (error.message === 'unsupported') throw new Error('This browser cannot read compressed share links');
+    throw new Error('This share link is damaged or incomplete');
+  }
+  if (!state || typeof state !== 'object' || !Number.isInteger(state.v)) throw new Error('This share link is damaged or incomplete');
+  if (state.v > SHARE_LINK_VERSION) throw new Error('This share link was made by a newer version of the tool');
+  if (!state.settings || typeof state.settings !== 'object') throw new Error('This share link has no settings');
+  return state;
+}
+
+/** The share token in a location hash, or null. */
+export function readShareToken(hash) {
+  return new URLSearchParams(String(hash).replace(/^#/, '')).get(SHARE_HASH_PARAM);
+}
+
+export function createShareUrl(href, token) {
+  const url = new URL(href);
+  url.hash = `${SHARE_HASH_PARAM}=${token}`;
+  return url.href;
+}
+
+const sameValue = (a, b) => a === b || JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Hand edits as the difference between the shapes a link regenerates and the edited ones, matched by id.
+ * @returns {{ removed?: string[], changed?: { id: string, set?: object, unset?: string[] }[], added?: object[], order?: string[] } | null}
+ *   null when nothing was edited; `order` only when the edits reordered shapes
+ */
+export function diffArtGridShapes(baseShapes, editedShapes) {
+  const baseById = new Map(baseShapes.map((shape) => [shape.id, shape]));
+  const editedIds = new Set(editedShapes.map((shape) => shape.id));
+  const removed = baseShapes.filter((shape) => !editedIds.has(shape.id)).map((shape) => shape.id);
+  const changed = [];
+  const added = [];
+  for (const shape of editedShapes) {
+    const base = baseById.get(shape.id);
+    if (!base) {
+      added.push(shape);
+      continue;
+    }
+    const set = Object.fromEntries(Object.entries(shape).filter(([key, value]) => !sameValue(base[key], value)));
+    const unset = Object.keys(base).filter((key) => !(key in shape));
+    if (Object.keys(set).length || unset.length) {
+      changed.push({ id: shape.id, ...(Object.keys(set).length && { set }), ...(unset.length && { unset }) });
+    }
+  }
+  const editedOrder = editedShapes.map((shape) => shape.id);
+  const naturalOrder = [...baseShapes.map((shape) => shape.id).filter((id) => editedIds.has(id)), ...added.map((shape) => shape.id)];
+  const reordered = !sameValue(editedOrder, naturalOrder);
+  if (!removed.length && !changed.length && !added.length && !reordered) return null;
+  return {
+    ...(removed.length && { removed }),
+    ...(changed.length && { changed }),
+    ...(added.length && { added }),
+    ...(reordered && { order: editedOrder }),
+  };
+}
+
+/** Apply a diff from diffArtGridShapes to freshly generated shapes; edits to shapes that no longer exist are skipped. */
+export function applyArtGridShapesDiff(baseShapes, diff) {
+  const removed = new Set(diff.removed ?? []);
+  const changes = new Map((diff.changed ?? []).map((change) => [change.id, change]));
+  const shapes = baseShapes
+    .filter((shape) => !removed.has(shape.id))
+    .map((shape) => {
+      const change = changes.get(shape.id);
+      if (!change) return shape;
+      const next = { ...shape, ...change.set };
+      (change.unset ?? []).forEach((key) => delete next[key]);
+      return next;
+    });
+  shapes.push(...(diff.added ?? []));
+  if (!Array.isArray(diff.order)) return shapes;
+  const position = new Map(diff.order.map((id, i) => [id, i]));
+  return shapes
+    .map((shape, i) => ({ shape, i }))
+    .sort((a, b) => (position.get(a.shape.id) ?? a.i) - (position.get(b.shape.id) ?? b.i))
+    .map(({ shape }) => shape);
+}
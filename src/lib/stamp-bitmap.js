@@ -0,0 +1,436 @@
+/**
+ * Stamp bitmap processing shared by the browser tool and the batch CLI.
+ * Everything works on ImageData-like objects ({ data, width, height }) so it runs without a DOM.
+ */
+import { traceMaskContours, contoursToSvgPath } from './trace-outline.js';
+
+// Resolution for source stamp paths: higher = smoother lines, larger SVG metadata. Editor uses a smaller path.
+export const STAMP_PATH_RESOLUTION_SOURCE = 4;
+// Max dimension for stamp path while editing; reduces path commands for faster render.
+export const EDITOR_STAMP_PATH_MAX = 64;
+
+export const STAMP_BINARIZATION_MODES = ['average', 'luma', 'alpha'];
+/** Earlier name of the 'average' mode, still read from saved settings. */
+const LEGACY_MODES = { luminance: 'average' };
+
+/**
+ * How stamp pixels split into shape, inverted shape (what Invert traces) and dropped pixels.
+ * - mode 'average': pixels more transparent than alphaCutoff are dropped. With gridFilter, pixels darker than
+ *   blackMax are shape, lighter than whiteMin inverted shape, and the grey grid band in between is dropped;
+ *   without it, pixels darker than threshold are shape and all other opaque pixels inverted shape. Brightness is
+ *   the plain average of red, green and blue.
+ * - mode 'luma': as 'average', but brightness is Rec. 601 luma, which weighs green over red over blue the way the
+ *   eye does; coloured artwork splits closer to how it looks.
+ * - mode 'alpha': pixels at least as opaque as threshold are shape, the rest inverted shape; colour is ignored.
+ * - otsu: pick threshold per bitmap from its histogram (Otsu's method); not used with the grid filter.
+ * @typedef {{
+ *   mode: 'average' | 'luma' | 'alpha',
+ *   threshold: number,
+ *   otsu: boolean,
+ *   gridFilter: boolean,
+ *   blackMax: number,
+ *   whiteMin: number,
+ *   alphaCutoff: number
+ * }} StampBinarization
+ */
+/** Pure black artwork on a grey grid, as the built-in stamps are drawn. */
+export const DEFAULT_STAMP_BINARIZATION = {
+  mode: 'average',
+  threshold: 128,
+  otsu: false,
+  gridFilter: true,
+  blackMax: 50,
+  whiteMin: 205,
+  alphaCutoff: 10,
+};
+
+const clampByte = (value, fallback) => {
+  const n = Number(value);
+  return Number.isFinite(n) ? Math.max(0, Math.min(255, Math.round(n))) : fallback;
+};
+
+/** Fill in defaults and clamp levels to 0–255; accepts partial or saved settings. */
+export function normalizeStampBinarization(value) {
+  const base = DEFAULT_STAMP_BINARIZATION;
+  const raw = value && typeof value === 'object' ? value : {};
+  return {
+    mode: STAMP_BINARIZATION_MODES.includes(raw.mode) ? raw.mode : LEGACY_MODES[raw.mode] ?? base.mode,
+    threshold: clampByte(raw.threshold, base.threshold),
+    otsu: raw.otsu === true,
+    gridFilter: raw.gridFilter != null ? raw.gridFilter === true : base.gridFilter,
+    blackMax: clampByte(raw.blackMax, base.blackMax),
+    whiteMin: clampByte(raw.whiteMin, base.whiteMin),
+    alphaCutoff: clampByte(raw.alphaCutoff, base.alphaCutoff),
+  };
+}
+
+const brightness = (data, i, mode) => mode === 'luma'
+  ? 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]
+  : (data[i] + data[i + 1] + data[i + 2]) / 3;
+
+/**
+ * Otsu's threshold for a 256-bin histogram: the level that best separates it into two classes.
+ * @returns {number | null} values below the result form the lower class; null when there is nothing to split
+ */
+export function computeOtsuThreshold(histogram) {
+  let total = 0;
+  let sum = 0;
+  for (let level = 0; level < 256; level++) {
+    total += histogram[level];
+    sum += level * histogram[level];
+  }
+  let lowerCount = 0;
+  let lowerSum = 0;
+  let best = -1;
+  let bestLevel = null;
+  for (let level = 0; level < 255; level++) {
+    lowerCount += histogram[level];
+    if (lowerCount === 0) continue;
+    const upperCount = total - lowerCount;
+    if (upperCount === 0) break;
+    lowerSum += level * histogram[level];
+    const meanDiff = lowerSum / lowerCount - (sum - lowerSum) / upperCount;
+    const variance = lowerCount * upperCount * meanDiff * meanDiff;
+    if (variance > best) {
+      best = variance;
+      bestLevel = level + 1;
+    }
+  }
+  return bestLevel;
+}
+
+/**
+ * Settings with Otsu resolved to a fixed threshold for this bitmap, so derived bitmaps (crops, editor-size
+ * downscales) classify exactly like the original.
+ * @param {StampBinarization} [binarization]
+ * @returns {StampBinarization}
+ */
+export function resolveStampBinarization(bitmap, binarization = DEFAULT_STAMP_BINARIZATION) {
+  const b = normalizeStampBinarization(binarization);
+  const usesThreshold = b.mode === 'alpha' || !b.gridFilter;
+  if (!b.otsu || !usesThreshold) return { ...b, otsu: false };
+  const { data } = bitmap;
+  const histogram = new Uint32Array(256);
+  for (let i = 0; i < data.length; i += 4) {
+    if (b.mode === 'alpha') histogram[data[i + 3]]++;
+    else if (data[i + 3] >= b.alphaCutoff) histogram[Math.min(255, Math.floor(brightness(data, i, b.mode)))]++;
+  }
+  return { ...b, otsu: false, threshold: computeOtsuThreshold(histogram) ?? b.threshold };
+}
+
+/**
+ * Per-pixel classes: 1 = shape, -1 = inverted shape, 0 = dropped.
+ * @param {StampBinarization} [binarization]
+ * @returns {Int8Array}
+ */
+export function classifyStampPixels(bitmap, binarization = DEFAULT_STAMP_BINARIZATION) {
+  const b = resolveStampBinarization(bitmap, binarization);
+  const { data } = bitmap;
+  const classes = new Int8Array(bitmap.width * bitmap.height);
+  for (let p = 0; p < classes.length; p++) {
+    const i = p * 4;
+    if (b.mode === 'alpha') {
+      classes[p] = data[i + 3] >= b.threshold ? 1 : -1;
+      continue;
+    }
+    if (data[i + 3] < b.alphaCutoff) continue;
+    const level = brightness(data, i, b.mode);
+    if (b.gridFilter) classes[p] = level < b.blackMax ? 1 : level > b.whiteMin ? -1 : 0;
+    else classes[p] = level < b.threshold ? 1 : -1;
+  }
+  return classes;
+}
+
+/**
+ * Bounding box of the shape pixels in a bitmap.
+ * @param {{ data: Uint8ClampedArray|Uint8Array, width: number, height: number }} bitmap
+ * @param {boolean} [invert]
+ * @param {StampBinarization} [binarization]
+ * @returns {{ x: number, y: number, width: number, height: number } | null} null when the bitmap has no shape pixels
+ */
+export function findStampBounds(bitmap, invert = false, binarization = DEFAULT_STAMP_BINARIZATION) {
+  const { width, height } = bitmap;
+  const classes = classifyStampPixels(bitmap, binarization);
+  const target = invert ? -1 : 1;
+  let minX = width;
+  let minY = height;
+  let maxX = -1;
+  let maxY = -1;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (classes[y * width + x] !== target) continue;
+      if (x < minX) minX = x;
+      if (y < minY) minY = y;
+      if (x > maxX) maxX = x;
+      if (y > maxY) maxY = y;
+    }
+  }
+  if (maxX < 0) return null;
+  return { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 };
+}
+
+/**
+ * Reduce an arbitrary image to what the default binarization reads back the same way: shape pixels pure black,
+ * inverted-shape pixels pure white (or transparent when lightIsBackground), everything else transparent.
+ * Lets imported stamps be stored already binarized with their own settings.
+ * @param {StampBinarization} binarization
+ * @param {boolean} [lightIsBackground] - drop inverted-shape pixels, e.g. the white background of a JPEG
+ */
+export function binarizeStampBitmap(bitmap, binarization, lightIsBackground = false) {
+  const classes = classifyStampPixels(bitmap, binarization);
+  const data = new Uint8ClampedArray(bitmap.width * bitmap.height * 4);
+  for (let p = 0; p < classes.length; p++) {
+    if (classes[p] === 1) data[p * 4 + 3] = 255;
+    else if (classes[p] === -1 && !lightIsBackground) data.fill(255, p * 4, p * 4 + 4);
+  }
+  return { data, width: bitmap.width, height: bitmap.height };
+}
+
+/**
+ * Like binarizeStampBitmap, but kept pixels keep their colour (made opaque) instead of turning black or white.
+ * Read it back with COLOR_STAMP_BINARIZATION: every opaque pixel is shape.
+ * @param {StampBinarization} binarization
+ * @param {boolean} [lightIsBackground] - drop inverted-shape pixels instead of keeping them
+ */
+export function maskStampBitmap(bitmap, binarization, lightIsBackground = false) {
+  const classes = classifyStampPixels(bitmap, binarization);
+  const data = new Uint8ClampedArray(bitmap.width * bitmap.height * 4);
+  for (let p = 0; p < classes.length; p++) {
+    if (classes[p] === 1 || (classes[p] === -1 && !lightIsBackground)) {
+      data.set(bitmap.data.subarray(p * 4, p * 4 + 3), p * 4);
+      data[p * 4 + 3] = 255;
+    }
+  }
+  return { data, width: bitmap.width, height: bitmap.height };
+}
+
+/** Binarization for bitmaps made by maskStampBitmap. */
+export const COLOR_STAMP_BINARIZATION = { ...DEFAULT_STAMP_BINARIZATION, mode: 'alpha', threshold: 128 };
+
+/** Copy a rectangular region out of a bitmap. */
+export function cropBitmap(bitmap, bounds) {
+  const data = new Uint8ClampedArray(bounds.width * bounds.height * 4);
+  for (let y = 0; y < bounds.height; y++) {
+    const from = ((bounds.y + y) * bitmap.width + bounds.x) * 4;
+    data.set(bitmap.data.subarray(from, from + bounds.width * 4), y * bounds.width * 4);
+  }
+  return { data, width: bounds.width, height: bounds.height };
+}
+
+/** Nearest-neighbour resize, matching a canvas drawImage with image smoothing disabled. */
+export function scaleBitmapNearest(bitmap, width, height) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    const sy = Math.min(bitmap.height - 1, Math.floor(((y + 0.5) * bitmap.height) / height));
+    for (let x = 0; x < width; x++) {
+      const sx = Math.min(bitmap.width - 1, Math.floor(((x + 0.5) * bitmap.width) / width));
+      const from = (sy * bitmap.width + sx) * 4;
+      data.set(bitmap.data.subarray(from, from + 4), (y * width + x) * 4);
+    }
+  }
+  return { data, width, height };
+}
+
+/**
+ * How stamp outlines are traced, in source pixels: tolerance is the max deviation when simplifying
+ * (0 keeps every pixel step), smoothing the corner rounding radius (0 keeps sharp corners).
+ * @typedef {{ tolerance?: number, smoothing?: number }} StampTracing
+ */
+export const DEFAULT_STAMP_TRACING = { tolerance: 0, smoothing: 0 };
+
+/** Most colour regions a stamp is split into; one region means a single-colour silhouette. */
+export const MAX_STAMP_COLOR_REGIONS = 8;
+// Refinement passes after the median cut; each moves pixels to their nearest region colour.
+const COLOR_REFINE_PASSES = 3;
+
+const toHex = (r, g, b) => `#${[r, g, b].map((v) => Math.round(v).toString(16).padStart(2, '0')).join('')}`;
+
+/**
+ * Split the shape pixels of a stamp into at most `regionCount` colour regions: median cut on their colours,
+ * refined a few times like k-means. Regions are sorted largest first, which is the order palette slots follow.
+ * @param {StampBinarization} [binarization]
+ * @returns {{ colors: string[], labels: Int16Array }} labels: region index per pixel, -1 outside the shape
+ */
+export function quantizeStampColors(bitmap, invert, regionCount, binarization = DEFAULT_STAMP_BINARIZATION) {
+  const { data } = bitmap;
+  const mask = createShapeMask(bitmap, invert, binarization);
+  const pixels = [];
+  for (let p = 0; p < mask.length; p++) if (mask[p]) pixels.push(p);
+  const channel = (p, c) => data[p * 4 + c];
+
+  let boxes = pixels.length ? [pixels] : [];
+  while (boxes.length < regionCount) {
+    // Split the box with the widest channel range at its median.
+    let best = null;
+    for (const box of boxes) {
+      if (box.length < 2) continue;
+      for (let c = 0; c < 3; c++) {
+        let min = 255;
+        let max = 0;
+        for (const p of box) {
+          const v = channel(p, c);
+          if (v < min) min = v;
+          if (v > max) max = v;
+        }
+        if (max > min && (!best || max - min > best.range)) best = { box, c, range: max - min };
+      }
+    }
+    if (!best) break;
+    const sorted = [...best.box].sort((a, b) => channel(a, best.c) - channel(b, best.c));
+    const half = sorted.length >> 1;
+    boxes = boxes.filter((box) => box !== best.box).concat([sorted.slice(0, half), sorted.slice(half)]);
+  }
+
+  const mean = (box) => [0, 1, 2].map((c) => box.reduce((sum, p) => sum + channel(p, c), 0) / box.length);
+  let centers = boxes.map(mean);
+  const labels = new Int16Array(mask.length).fill(-1);
+  for (let pass = 0; pass < COLOR_REFINE_PASSES && centers.length > 1; pass++) {
+    const members = centers.map(() => []);
+    for (const p of pixels) {
+      let nearest = 0;
+      let nearestDistance = Infinity;
+      centers.forEach((center, i) => {
+        const distance = (channel(p, 0) - center[0]) ** 2 + (channel(p, 1) - center[1]) ** 2 + (channel(p, 2) - center[2]) ** 2;
+        if (distance < nearestDistance) {
+          nearestDistance = distance;
+          nearest = i;
+        }
+      });
+      members[nearest].push(p);
+    }
+    boxes = members.filter((box) => box.length > 0);
+    centers = boxes.map(mean);
+  }
+
+  const order = boxes.map((box, i) => i).sort((a, b) => boxes[b].length - boxes[a].length);
+  order.forEach((boxIndex, region) => {
+    for (const p of boxes[boxIndex]) labels[p] = region;
+  });
+  return { colors: order.map((i) => toHex(...centers[i])), labels };
+}
+
+function createShapeMask(bitmap, invert, binarization) {
+  const classes = classifyStampPixels(bitmap, binarization);
+  const target = invert ? -1 : 1;
+  const mask = new Uint8Array(classes.length);
+  for (let i = 0; i < mask.length; i++) {
+    if (classes[i] === target) mask[i] = 1;
+  }
+  return mask;
+}
+
+/**
+ * Traced outline of the shape pixels (holes included), in units of 1 / pathResolution.
+ * @param {StampTracing} [tracing]
+ * @param {StampBinarization} [binarization]
+ * @returns {string} empty when there are no shape pixels
+ */
+export function bitmapToSvgPath(bitmap, invert, pathResolution = 1, tracing = DEFAULT_STAMP_TRACING, binarization = DEFAULT_STAMP_BINARIZATION) {
+  const contours = traceMaskContours(createShapeMask(bitmap, invert, binarization), bitmap.width, bitmap.height);
+  return contoursToSvgPath(contours, { ...tracing, scale: 1 / pathResolution });
+}
+
+function traceLabel(labels, label, width, height, pathResolution, tracing) {
+  const mask = new Uint8Array(labels.length);
+  for (let i = 0; i < labels.length; i++) {
+    if (labels[i] === label) mask[i] = 1;
+  }
+  return contoursToSvgPath(traceMaskContours(mask, width, height), { ...tracing, scale: 1 / pathResolution });
+}
+
+function scaleLabelsNearest(labels, width, height, toWidth, toHeight) {
+  const scaled = new Int16Array(toWidth * toHeight);
+  for (let y = 0; y < toHeight; y++) {
+    const sy = Math.min(height - 1, Math.floor(((y + 0.5) * height) / toHeight));
+    for (let x = 0; x < toWidth; x++) {
+      scaled[y * toWidth + x] = labels[sy * width + Math.min(width - 1, Math.floor(((x + 0.5) * width) / toWidth))];
+    }
+  }
+  return scaled;
+}
+
+/**
+ * Downscaled copy of a stamp bitmap for the editor path, or the bitmap itself when it is already small enough.
+ * @returns {{ bitmap: object, tracingScale: number }}
+ */
+function getEditorStampBitmap(bitmap) {
+  const scaleEditor = Math.min(1, EDITOR_STAMP_PATH_MAX / Math.max(bitmap.width, bitmap.height));
+  const editorW = Math.max(1, Math.round(bitmap.width * scaleEditor));
+  const editorH = Math.max(1, Math.round(bitmap.height * scaleEditor));
+  const editorBitmap = editorW * editorH < bitmap.width * bitmap.height ? scaleBitmapNearest(bitmap, editorW, editorH) : bitmap;
+  return { bitmap: editorBitmap, tracingScale: editorBitmap.width / bitmap.width };
+}
+
+const scaleTracing = (tracing, scale) => ({
+  tolerance: (tracing.tolerance ?? 0) * scale,
+  smoothing: (tracing.smoothing ?? 0) * scale,
+});
+
+/**
+ * Colour layers for a multi-colour stamp, drawn in order over each other. The first layer is filled with the
+ * stamp's own outline (it has no path of its own), so simplified region edges never open gaps; the other
+ * layers are the remaining regions, traced at the source and editor resolutions like createStampPaths.
+ * @typedef {{ color: string, stampPath?: string, stampPathEditor?: string, paletteSlot?: number }} StampColorLayer
+ * @returns {StampColorLayer[] | null} null when the shape has fewer than two colour regions
+ */
+function createStampColorLayers(bitmap, invert, tracing, binarization, regionCount) {
+  const { colors, labels } = quantizeStampColors(bitmap, invert, regionCount, binarization);
+  if (colors.length < 2) return null;
+  const editor = getEditorStampBitmap(bitmap);
+  const editorLabels = editor.bitmap === bitmap ? labels : scaleLabelsNearest(labels, bitmap.width, bitmap.height, editor.bitmap.width, editor.bitmap.height);
+  const editorTracing = scaleTracing(tracing, editor.tracingScale);
+  return colors.map((color, region) => {
+    if (region === 0) return { color };
+    const stampPathEditor = traceLabel(editorLabels, region, editor.bitmap.width, editor.bitmap.height, 1, editorTracing);
+    return {
+      color,
+      stampPath: traceLabel(labels, region, bitmap.width, bitmap.height, STAMP_PATH_RESOLUTION_SOURCE, tracing),
+      // Tiny regions can vanish at editor size; the editor then skips them.
+      stampPathEditor,
+    };
+  });
+}
+
+/**
+ * Full-resolution and editor paths for one stamp bitmap, in the shape fields the engine expects.
+ * The editor path is traced from the downscaled bitmap with the tracing distances scaled to match
+ * and the same (Otsu-resolved) threshold. With colorRegions above 1, stamps whose shape has several colours
+ * also get `stampLayers` (see createStampColorLayers) carrying their original colours.
+ * @param {StampTracing} [tracing]
+ * @param {StampBinarization} [binarization]
+ * @param {number} [colorRegions]
+ * @returns {{ stampPath: string, stampWidth: number, stampHeight: number, stampPathResolution: number, stampPathEditor?: string, stampWidthEditor?: number, stampHeightEditor?: number, stampLayers?: StampColorLayer[] } | null}
+ */
+export function createStampPaths(bitmap, invert, tracing = DEFAULT_STAMP_TRACING, binarization = DEFAULT_STAMP_BINARIZATION, colorRegions = 1) {
+  const resolved = resolveStampBinarization(bitmap, binarization);
+  const stampPath = bitmapToSvgPath(bitmap, invert, STAMP_PATH_RESOLUTION_SOURCE, tracing, resolved);
+  if (!stampPath) return null;
+  const { bitmap: editorBitmap, tracingScale } = getEditorStampBitmap(bitmap);
+  const stampPathEditor = bitmapToSvgPath(editorBitmap, invert, 1, scaleTracing(tracing, tracingScale), resolved);
+  const stampLayers = colorRegions > 1 ? createStampColorLayers(bitmap, invert, tracing, resolved, Math.min(colorRegions, MAX_STAMP_COLOR_REGIONS)) : null;
+  return {
+    stampPath,
+    stampWidth: bitmap.width,
+    stampHeight: bitmap.height,
+    stampPathResolution: STAMP_PATH_RESOLUTION_SOURCE,
+    // Downscaling can erase thin stamps entirely; the renderer then falls back to the source path.
+    ...(stampPathEditor && {
+      stampPathEditor,
+      stampWidthEditor: editorBitmap.width,
+      stampHeightEditor: editorBitmap.height,
+    }),
+    ...(stampLayers && { stampLayers }),
+  };
+}
+
+/** Stamp pool for generateArtGrid: every bitmap contributes its normal and inverted silhouette. */
+export function buildStampPool(bitmaps, tracing = DEFAULT_STAMP_TRACING, binarization = DEFAULT_STAMP_BINARIZATION, colorRegions = 1) {
+  const pool = [];
+  for (const bitmap of bitmaps) {
+    const normal = createStampPaths(bitmap, false, tracing, binarization, colorRegions);
+    const inverted = createStampPaths(bitmap, true, tracing, binarization, colorRegions);
+    if (normal) pool.push(normal);
+    if (inverted) pool.push(inverted);
+  }
+  return pool;
+}
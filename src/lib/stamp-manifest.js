@@ -0,0 +1,95 @@
+/**
+ * Stamp manifest: the JSON index of the stamp assets in public/stamps (names, tags, categories and the
+ * resolutions each stamp comes in). Shared by the browser tool and the batch script.
+ */
+
+export const STAMP_MANIFEST_FILE = 'manifest.json';
+/** Asset resolutions, lowest first. */
+export const STAMP_RESOLUTIONS = ['2x', '4x'];
+/** Resolution that stamp placement sizes and tracing distances are measured at. */
+export const REFERENCE_STAMP_RESOLUTION = '2x';
+export const UNCATEGORIZED_STAMPS = 'Uncategorized';
+
+/**
+ * @typedef {{
+ *   id: string,
+ *   name: string,
+ *   category: string,
+ *   tags: string[],
+ *   files: Record<string, string>,
+ *   preferredResolution: string
+ * }} StampManifestEntry
+ */
+
+/** Pixel size of a resolution relative to the reference one, e.g. 2 for '4x'. */
+export function getStampResolutionScale(resolution) {
+  return parseFloat(resolution) / parseFloat(REFERENCE_STAMP_RESOLUTION);
+}
+
+const nonEmptyString = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null);
+
+/**
+ * Validate a parsed manifest and fill in defaults. Entries without a known resolution file, and repeated ids, are dropped.
+ * @returns {{ categories: string[], stamps: StampManifestEntry[] }} stamps grouped by category (in `categories` order),
+ *   keeping manifest order within a category
+ * @throws {Error} when the manifest has no stamps array
+ */
+export function normalizeStampManifest(raw) {
+  if (!raw || typeof raw !== 'object' || !Array.isArray(raw.stamps)) {
+    throw new Error('Stamp manifest must be an object with a "stamps" array');
+  }
+  const seen = new Set();
+  const stamps = [];
+  for (const item of raw.stamps) {
+    const id = nonEmptyString(item?.id);
+    if (!id || seen.has(id)) continue;
+    const files = {};
+    for (const resolution of STAMP_RESOLUTIONS) {
+      const file = nonEmptyString(item.files?.[resolution]);
+      if (file) files[resolution] = file;
+    }
+    const available = Object.keys(files);
+    if (!available.length) continue;
+    seen.add(id);
+    stamps.push({
+      id,
+      name: nonEmptyString(item.name) ?? id,
+      category: nonEmptyString(item.category) ?? UNCATEGORIZED_STAMPS,
+      tags: Array.isArray(item.tags) ? item.tags.map(nonEmptyString).filter(Boolean) : [],
+      files,
+      preferredResolution: files[item.preferredResolution] ? item.preferredResolution : available[0],
+    });
+  }
+  const categories = Array.isArray(raw.categories) ? raw.categories.map(nonEmptyString).filter(Boolean) : [];
+  for (const stamp of stamps) {
+    if (!categories.includes(stamp.category)) categories.push(stamp.category);
+  }
+  const usedCategories = categories.filter((category, i) => categories.indexOf(category) === i && stamps.some((stamp) => stamp.category === category));
+  stamps.sort((a, b) => usedCategories.indexOf(a.category) - usedCategories.indexOf(b.category));
+  return { categories: usedCategories, stamps };
+}
+
+/**
+ * Which file of a stamp to load for a render target: the preferred resolution while editing, the sharpest one for
+ * vector exports, and for raster exports the smallest one whose bitmap is at least as large as the stamp is drawn.
+ * Exports never go below the preferred resolution, which marks stamps whose detail is lost at lower ones.
+ * @param {StampManifestEntry} stamp
+ * @param {{ type: 'editor' } | { type: 'vector' } | { type: 'raster', drawnSize: number, referenceSize: number }} target -
+ *   drawnSize: longest side of the largest copy in output pixels; referenceSize: longest side of the stamp bitmap
+ *   at REFERENCE_STAMP_RESOLUTION
+ * @returns {string} a key of stamp.files
+ */
+export function chooseStampResolution(stamp, target) {
+  if (target.type === 'editor') return stamp.preferredResolution;
+  const preferredIndex = STAMP_RESOLUTIONS.indexOf(stamp.preferredResolution);
+  const candidates = STAMP_RESOLUTIONS.filter((resolution, i) => i >= preferredIndex && stamp.files[resolution]);
+  const sharpest = candidates[candidates.length - 1];
+  if (target.type === 'vector') return sharpest;
+  return candidates.find((resolution) => target.referenceSize * getStampResolutionScale(resolution) >= target.drawnSize) ?? sharpest;
+}
+
+/** Tracing distances are given at the reference resolution; scale them for a bitmap at another one. */
+export function scaleTracingForResolution(tracing, resolution) {
+  const scale = getStampResolutionScale(resolution);
+  return { tolerance: (tracing.tolerance ?? 0) * scale, smoothing: (tracing.smoothing ?? 0) * scale };
+}
@@ -0,0 +1,363 @@
+/**
+ * Native SVG stamp import: flattens the filled shapes of an SVG file into one absolute path with element
+ * transforms applied, so stamps keep their vector outlines instead of being rasterized.
+ */
+
+// Imported stamps are normalized so their longer side spans this many units, similar to the built-in PNG stamps.
+export const SVG_STAMP_SIZE = 256;
+
+const SKIPPED_ELEMENTS = new Set(['defs', 'clipPath', 'mask', 'pattern', 'symbol', 'marker', 'metadata', 'title', 'desc', 'style', 'script', 'text']);
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+const CURVE_SAMPLES = 16;
+
+function multiply(m, n) {
+  return [
+    m[0] * n[0] + m[2] * n[1],
+    m[1] * n[0] + m[3] * n[1],
+    m[0] * n[2] + m[2] * n[3],
+    m[1] * n[2] + m[3] * n[3],
+    m[0] * n[4] + m[2] * n[5] + m[4],
+    m[1] * n[4] + m[3] * n[5] + m[5],
+  ];
+}
+
+function applyMatrix(m, [x, y]) {
+  return [m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]];
+}
+
+/** Matrix for an SVG transform attribute (matrix, translate, scale, rotate, skewX, skewY). */
+export function parseTransform(value) {
+  let matrix = IDENTITY;
+  const pattern = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+  for (const [, name, rawArgs] of String(value ?? '').matchAll(pattern)) {
+    const args = rawArgs.split(/[\s,]+/).filter(Boolean).map(Number);
+    let next = IDENTITY;
+    if (name === 'matrix' && args.length === 6) next = args;
+    if (name === 'translate') next = [1, 0, 0, 1, args[0] || 0, args[1] || 0];
+    if (name === 'scale') next = [args[0] ?? 1, 0, 0, args[1] ?? args[0] ?? 1, 0, 0];
+    if (name === 'rotate') {
+      const rad = ((args[0] || 0) * Math.PI) / 180;
+      const cos = Math.cos(rad);
+      const sin = Math.sin(rad);
+      const [cx = 0, cy = 0] = args.slice(1);
+      next = multiply(multiply([1, 0, 0, 1, cx, cy], [cos, sin, -sin, cos, 0, 0]), [1, 0, 0, 1, -cx, -cy]);
+    }
+    if (name === 'skewX') next = [1, 0, Math.tan(((args[0] || 0) * Math.PI) / 180), 1, 0, 0];
+    if (name === 'skewY') next = [1, Math.tan(((args[0] || 0) * Math.PI) / 180), 0, 1, 0, 0];
+    matrix = multiply(matrix, next);
+  }
+  return matrix;
+}
+
+/** Reads numbers and arc flags out of path data one at a time. */
+function createPathScanner(d) {
+  let pos = 0;
+  const skipSeparators = () => {
+    while (pos < d.length && /[\s,]/.test(d[pos])) pos++;
+  };
+  return {
+    peekCommand() {
+      skipSeparators();
+      return pos < d.length && /[a-zA-Z]/.test(d[pos]) ? d[pos] : null;
+    },
+    readCommand() {
+      skipSeparators();
+      return d[pos++];
+    },
+    hasNumber() {
+      skipSeparators();
+      return pos < d.length && /[-+.\d]/.test(d[pos]);
+    },
+    readNumber() {
+      skipSeparators();
+      const match = /^[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/.exec(d.slice(pos, pos + 64));
+      if (!match) throw new Error(`Invalid path data near "${d.slice(pos, pos + 12)}"`);
+      pos += match[0].length;
+      return Number(match[0]);
+    },
+    readFlag() {
+      skipSeparators();
+      const flag = d[pos++];
+      if (flag !== '0' && flag !== '1') throw new Error('Invalid arc flag in path data');
+      return flag === '1';
+    },
+  };
+}
+
+/** Cubic segments approximating an SVG elliptical arc (endpoint parameterization, spec appendix F.6). */
+function arcToCubics(x1, y1, rx, ry, xAxisRotation, largeArc, sweep, x2, y2) {
+  if (x1 === x2 && y1 === y2) return [];
+  if (rx === 0 || ry === 0) return [[[x1, y1], [x2, y2], [x2, y2]]];
+  const phi = (xAxisRotation * Math.PI) / 180;
+  const cosPhi = Math.cos(phi);
+  const sinPhi = Math.sin(phi);
+  const dx = (x1 - x2) / 2;
+  const dy = (y1 - y2) / 2;
+  const x1p = cosPhi * dx + sinPhi * dy;
+  const y1p = -sinPhi * dx + cosPhi * dy;
+  rx = Math.abs(rx);
+  ry = Math.abs(ry);
+  const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+  if (lambda > 1) {
+    rx *= Math.sqrt(lambda);
+    ry *= Math.sqrt(lambda);
+  }
+  const numerator = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+  const denominator = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+  const factor = (largeArc === sweep ? -1 : 1) * Math.sqrt(Math.max(0, numerator / denominator));
+  const cxp = (factor * rx * y1p) / ry;
+  const cyp = (-factor * ry * x1p) / rx;
+  const cx = cosPhi * cxp - sinPhi * cyp + (x1 + x2) / 2;
+  const cy = sinPhi * cxp + cosPhi * cyp + (y1 + y2) / 2;
+  const angle = (ux, uy, vx, vy) => {
+    const sign = ux * vy - uy * vx < 0 ? -1 : 1;
+    const dot = (ux * vx + uy * vy) / (Math.hypot(ux, uy) * Math.hypot(vx, vy));
+    return sign * Math.acos(Math.max(-1, Math.min(1, dot)));
+  };
+  const theta1 = angle(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry);
+  let delta = angle((x1p - cxp) / rx, (y1p - cyp) / ry, (-x1p - cxp) / rx, (-y1p - cyp) / ry);
+  if (!sweep && delta > 0) delta -= Math.PI * 2;
+  if (sweep && delta < 0) delta += Math.PI * 2;
+  const segments = Math.ceil(Math.abs(delta) / (Math.PI / 2));
+  const step = delta / segments;
+  const k = (4 / 3) * Math.tan(step / 4);
+  const point = (t) => [
+    cx + rx * Math.cos(t) * cosPhi - ry * Math.sin(t) * sinPhi,
+    cy + rx * Math.cos(t) * sinPhi + ry * Math.sin(t) * cosPhi,
+  ];
+  const derivative = (t) => [
+    -rx * Math.sin(t) * cosPhi - ry * Math.cos(t) * sinPhi,
+    -rx * Math.sin(t) * sinPhi + ry * Math.cos(t) * cosPhi,
+  ];
+  const cubics = [];
+  for (let i = 0; i < segments; i++) {
+    const t1 = theta1 + i * step;
+    const t2 = t1 + step;
+    const p1 = point(t1);
+    const p2 = point(t2);
+    const d1 = derivative(t1);
+    const d2 = derivative(t2);
+    cubics.push([[p1[0] + k * d1[0], p1[1] + k * d1[1]], [p2[0] - k * d2[0], p2[1] - k * d2[1]], p2]);
+  }
+  return cubics;
+}
+
+/**
+ * Parse path data into absolute segments using only M, L, C, Q and Z.
+ * @returns {{ command: string, points: number[][] }[]}
+ */
+export function parsePathData(d) {
+  const scanner = createPathScanner(String(d ?? ''));
+  const segments = [];
+  let current = [0, 0];
+  let subpathStart = [0, 0];
+  let lastControl = null;
+  let lastCommand = '';
+  let command = scanner.peekCommand();
+  while (command) {
+    scanner.readCommand();
+    const relative = command === command.toLowerCase();
+    const upper = command.toUpperCase();
+    const read = () => {
+      const x = scanner.readNumber();
+      const y = scanner.readNumber();
+      return relative ? [current[0] + x, current[1] + y] : [x, y];
+    };
+    if (upper === 'Z') {
+      segments.push({ command: 'Z', points: [] });
+      current = subpathStart;
+      lastControl = null;
+      lastCommand = 'Z';
+      command = scanner.peekCommand();
+      continue;
+    }
+    let first = true;
+    do {
+      if (upper === 'M') {
+        const point = read();
+        segments.push({ command: first ? 'M' : 'L', points: [point] });
+        if (first) subpathStart = point;
+        current = point;
+        lastControl = null;
+      } else if (upper === 'L') {
+        current = read();
+        segments.push({ command: 'L', points: [current] });
+        lastControl = null;
+      } else if (upper === 'H' || upper === 'V') {
+        const value = scanner.readNumber();
+        current = upper === 'H'
+          ? [relative ? current[0] + value : value, current[1]]
+          : [current[0], relative ? current[1] + value : value];
+        segments.push({ command: 'L', points: [current] });
+        lastControl = null;
+      } else if (upper === 'C' || upper === 'S') {
+        const reflected = lastControl && /[CS]/.test(lastCommand)
+          ? [2 * current[0] - lastControl[0], 2 * current[1] - lastControl[1]]
+          : current;
+        const c1 = upper === 'C' ? read() : reflected;
+        const c2 = read();
+        const end = read();
+        segments.push({ command: 'C', points: [c1, c2, end] });
+        lastControl = c2;
+        current = end;
+      } else if (upper === 'Q' || upper === 'T') {
+        const control = upper === 'Q'
+          ? read()
+          : lastControl && /[QT]/.test(lastCommand) ? [2 * current[0] - lastControl[0], 2 * current[1] - lastControl[1]] : current;
+        const end = read();
+        segments.push({ command: 'Q', points: [control, end] });
+        lastControl = control;
+        current = end;
+      } else if (upper === 'A') {
+        const rx = scanner.readNumber();
+        const ry = scanner.readNumber();
+        const rotation = scanner.readNumber();
+        const largeArc = scanner.readFlag();
+        const sweep = scanner.readFlag();
+        const end = read();
+        arcToCubics(current[0], current[1], rx, ry, rotation, largeArc, sweep, end[0], end[1])
+          .forEach((points) => segments.push({ command: 'C', points }));
+        current = end;
+        lastControl = null;
+      } else {
+        throw new Error(`Unsupported path command "${command}"`);
+      }
+      lastCommand = upper;
+      first = false;
+    } while (scanner.hasNumber());
+    command = scanner.peekCommand();
+  }
+  return segments;
+}
+
+function number(element, name) {
+  const value = parseFloat(element.getAttribute(name));
+  return Number.isFinite(value) ? value : 0;
+}
+
+/** Path data for a basic shape element, or null when it has no fillable area. */
+function elementToPathData(element) {
+  switch (element.localName) {
+    case 'path':
+      return element.getAttribute('d');
+    case 'rect': {
+      const x = number(element, 'x');
+      const y = number(element, 'y');
+      const w = number(element, 'width');
+      const h = number(element, 'height');
+      return w > 0 && h > 0 ? `M${x},${y}h${w}v${h}h${-w}z` : null;
+    }
+    case 'circle':
+    case 'ellipse': {
+      const cx = number(element, 'cx');
+      const cy = number(element, 'cy');
+      const rx = element.localName === 'circle' ? number(element, 'r') : number(element, 'rx');
+      const ry = element.localName === 'circle' ? rx : number(element, 'ry');
+      if (!(rx > 0 && ry > 0)) return null;
+      return `M${cx - rx},${cy}A${rx},${ry} 0 1 0 ${cx + rx},${cy}A${rx},${ry} 0 1 0 ${cx - rx},${cy}z`;
+    }
+    case 'polygon':
+    case 'polyline': {
+      const values = (element.getAttribute('points') ?? '').split(/[\s,]+/).filter(Boolean).map(Number);
+      if (values.length < 6) return null;
+      const pairs = [];
+      for (let i = 0; i + 1 < values.length; i += 2) pairs.push(`${values[i]},${values[i + 1]}`);
+      return `M${pairs.join('L')}z`;
+    }
+    default:
+      return null;
+  }
+}
+
+/** Effective fill of an element, following style and presentation attributes up the tree. */
+function resolvesToNoFill(element) {
+  for (let node = element; node && node.nodeType === 1; node = node.parentNode) {
+    const styleFill = /(?:^|;)\s*fill\s*:\s*([^;]+)/.exec(node.getAttribute('style') ?? '')?.[1]?.trim();
+    const fill = styleFill ?? node.getAttribute('fill');
+    if (fill) return fill === 'none' || fill === 'transparent';
+  }
+  return false;
+}
+
+function isHidden(element) {
+  const style = element.getAttribute('style') ?? '';
+  return element.getAttribute('display') === 'none' || element.getAttribute('visibility') === 'hidden' || /display\s*:\s*none/.test(style);
+}
+
+function collectFilledSegments(element, matrix, out) {
+  if (SKIPPED_ELEMENTS.has(element.localName) || isHidden(element)) return;
+  const local = element.hasAttribute('transform') ? multiply(matrix, parseTransform(element.getAttribute('transform'))) : matrix;
+  const pathData = elementToPathData(element);
+  if (pathData && !resolvesToNoFill(element)) {
+    parsePathData(pathData).forEach((segment) => out.push({ command: segment.command, points: segment.points.map((p) => applyMatrix(local, p)) }));
+  }
+  for (const child of element.children) collectFilledSegments(child, local, out);
+}
+
+function segmentBounds(segments) {
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  const include = ([x, y]) => {
+    minX = Math.min(minX, x);
+    minY = Math.min(minY, y);
+    maxX = Math.max(maxX, x);
+    maxY = Math.max(maxY, y);
+  };
+  let current = [0, 0];
+  let start = [0, 0];
+  for (const { command, points } of segments) {
+    if (command === 'Z') {
+      current = start;
+      continue;
+    }
+    const end = points[points.length - 1];
+    if (command === 'M') start = end;
+    // Sample curves instead of using control points, which can lie far outside the drawn outline.
+    if (command === 'C' || command === 'Q') {
+      for (let i = 1; i <= CURVE_SAMPLES; i++) {
+        const t = i / CURVE_SAMPLES;
+        const u = 1 - t;
+        const [a, b, c] = command === 'C' ? points : [points[0], points[1]];
+        include(command === 'C'
+          ? [u * u * u * current[0] + 3 * u * u * t * a[0] + 3 * u * t * t * b[0] + t * t * t * c[0], u * u * u * current[1] + 3 * u * u * t * a[1] + 3 * u * t * t * b[1] + t * t * t * c[1]]
+          : [u * u * current[0] + 2 * u * t * a[0] + t * t * b[0], u * u * current[1] + 2 * u * t * a[1] + t * t * b[1]]);
+      }
+    } else {
+      include(end);
+    }
+    current = end;
+  }
+  return Number.isFinite(minX) ? { minX, minY, width: maxX - minX, height: maxY - minY } : null;
+}
+
+function formatNumber(n) {
+  return String(Math.round(n * 1000) / 1000);
+}
+
+/**
+ * Turn an SVG document into stamp fields. Only filled shapes count; stroke-only outlines, text and images are ignored.
+ * @param {string} svgText
+ * @returns {{ stampPath: string, stampWidth: number, stampHeight: number, stampPathResolution: number }}
+ */
+export function importSvgStamp(svgText) {
+  const doc = new DOMParser().parseFromString(String(svgText), 'image/svg+xml');
+  const root = doc.documentElement;
+  if (!root || root.localName !== 'svg' || doc.querySelector('parsererror')) throw new Error('Not a valid SVG file');
+  const segments = [];
+  collectFilledSegments(root, IDENTITY, segments);
+  const bounds = segmentBounds(segments);
+  if (!bounds || !(bounds.width > 0 || bounds.height > 0)) throw new Error('The SVG has no filled shapes to use as a stamp');
+  const scale = SVG_STAMP_SIZE / Math.max(bounds.width, bounds.height);
+  const point = ([x, y]) => `${formatNumber((x - bounds.minX) * scale)},${formatNumber((y - bounds.minY) * scale)}`;
+  const stampPath = segments
+    .map(({ command, points }) => (command === 'Z' ? 'Z' : `${command}${points.map(point).join(' ')}`))
+    .join('');
+  return {
+    stampPath,
+    stampWidth: Math.max(1, bounds.width * scale),
+    stampHeight: Math.max(1, bounds.height * scale),
+    stampPathResolution: 1,
+  };
+}
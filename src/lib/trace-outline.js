@@ -0,0 +1,162 @@
+/**
+ * Outline tracing for binary masks: follows pixel edges into closed polygons, then optionally simplifies and rounds them.
+ * Outer contours run clockwise and holes counter-clockwise (y down), so the result fills correctly with the nonzero rule.
+ */
+
+// Edge directions in y-down coordinates; turning right means (dir + 1) % 4.
+const DIRECTIONS = [
+  { x: 1, y: 0 },
+  { x: 0, y: 1 },
+  { x: -1, y: 0 },
+  { x: 0, y: -1 },
+];
+
+/**
+ * Closed contours along the boundary between set and unset mask pixels, one vertex per corner.
+ * @param {Uint8Array} mask - 1 for shape pixels, row-major
+ * @param {number} width
+ * @param {number} height
+ * @returns {{ x: number, y: number }[][]}
+ */
+export function traceMaskContours(mask, width, height) {
+  const stride = width + 1;
+  // Up to two outgoing edges per lattice vertex (two only where pixels touch diagonally).
+  const outgoing = new Map();
+  const addEdge = (x, y, dir) => {
+    const key = y * stride + x;
+    const list = outgoing.get(key);
+    if (list) list.push(dir);
+    else outgoing.set(key, [dir]);
+  };
+  const isSet = (x, y) => x >= 0 && y >= 0 && x < width && y < height && mask[y * width + x] === 1;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (!isSet(x, y)) continue;
+      if (!isSet(x, y - 1)) addEdge(x, y, 0);
+      if (!isSet(x + 1, y)) addEdge(x + 1, y, 1);
+      if (!isSet(x, y + 1)) addEdge(x + 1, y + 1, 2);
+      if (!isSet(x - 1, y)) addEdge(x, y + 1, 3);
+    }
+  }
+
+  const contours = [];
+  for (const [startKey, startList] of outgoing) {
+    while (startList.length > 0) {
+      let x = startKey % stride;
+      let y = Math.floor(startKey / stride);
+      let dir = startList.pop();
+      const firstDir = dir;
+      const points = [];
+      let previousDir = -1;
+      for (;;) {
+        if (dir !== previousDir) points.push({ x, y });
+        previousDir = dir;
+        x += DIRECTIONS[dir].x;
+        y += DIRECTIONS[dir].y;
+        // Every vertex has as many edges in as out, so the walk can only run out of edges back at its start.
+        const list = outgoing.get(y * stride + x);
+        if (!list || list.length === 0) break;
+        // At a diagonal touch, prefer turning right so the diagonal pixels stay separate outlines.
+        const preferred = [(dir + 1) % 4, dir, (dir + 3) % 4].find((candidate) => list.includes(candidate)) ?? list[0];
+        list.splice(list.indexOf(preferred), 1);
+        dir = preferred;
+      }
+      // The start vertex is not a corner when the walk arrives back in the direction it set out.
+      if (previousDir === firstDir) points.shift();
+      if (points.length >= 3) contours.push(points);
+    }
+  }
+  return contours;
+}
+
+function distanceToSegment(p, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSq = dx * dx + dy * dy;
+  if (lengthSq === 0) return Math.hypot(p.x - a.x, p.y - a.y);
+  const t = Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq));
+  return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+}
+
+function simplifyOpen(points, tolerance) {
+  if (points.length <= 2) return points;
+  let farthest = 0;
+  let farthestIndex = 0;
+  const first = points[0];
+  const last = points[points.length - 1];
+  for (let i = 1; i < points.length - 1; i++) {
+    const distance = distanceToSegment(points[i], first, last);
+    if (distance > farthest) {
+      farthest = distance;
+      farthestIndex = i;
+    }
+  }
+  if (farthest <= tolerance) return [first, last];
+  const left = simplifyOpen(points.slice(0, farthestIndex + 1), tolerance);
+  const right = simplifyOpen(points.slice(farthestIndex), tolerance);
+  return [...left.slice(0, -1), ...right];
+}
+
+/** Ramer–Douglas–Peucker on a closed polygon, split at the vertex farthest from the first one. */
+function simplifyClosed(points, tolerance) {
+  if (tolerance <= 0 || points.length <= 4) return points;
+  let splitIndex = 0;
+  let farthest = -1;
+  for (let i = 1; i < points.length; i++) {
+    const distance = Math.hypot(points[i].x - points[0].x, points[i].y - points[0].y);
+    if (distance > farthest) {
+      farthest = distance;
+      splitIndex = i;
+    }
+  }
+  const firstHalf = simplifyOpen(points.slice(0, splitIndex + 1), tolerance);
+  const secondHalf = simplifyOpen([...points.slice(splitIndex), points[0]], tolerance);
+  const simplified = [...firstHalf.slice(0, -1), ...secondHalf.slice(0, -1)];
+  return simplified.length >= 3 ? simplified : points;
+}
+
+function formatNumber(n) {
+  return String(Math.round(n * 1000) / 1000);
+}
+
+/** Point `distance` along the segment from `from` towards `to`, capped at half its length. */
+function towards(from, to, distance) {
+  const length = Math.hypot(to.x - from.x, to.y - from.y);
+  if (length === 0) return from;
+  const t = Math.min(0.5, distance / length);
+  return { x: from.x + (to.x - from.x) * t, y: from.y + (to.y - from.y) * t };
+}
+
+/**
+ * SVG path data for traced contours.
+ * @param {{ x: number, y: number }[][]} contours - in pixel units
+ * @param {{ tolerance?: number, smoothing?: number, scale?: number }} [options] - tolerance: max deviation in pixels
+ *   when simplifying (0 keeps every pixel step); smoothing: corner rounding radius in pixels (0 = sharp corners);
+ *   scale: multiplier applied to the output coordinates
+ * @returns {string}
+ */
+export function contoursToSvgPath(contours, options = {}) {
+  const tolerance = Math.max(0, Number(options.tolerance) || 0);
+  const smoothing = Math.max(0, Number(options.smoothing) || 0);
+  const scale = options.scale ?? 1;
+  const point = (p) => `${formatNumber(p.x * scale)},${formatNumber(p.y * scale)}`;
+  let path = '';
+  for (const contour of contours) {
+    const points = simplifyClosed(contour, tolerance);
+    if (smoothing <= 0) {
+      path += `M${points.map(point).join('L')}Z`;
+      continue;
+    }
+    // Rounded corners: a straight run between edge points near each vertex, a quadratic curve around the vertex.
+    const n = points.length;
+    const entry = (i) => towards(points[i], points[(i - 1 + n) % n], smoothing);
+    const exit = (i) => towards(points[i], points[(i + 1) % n], smoothing);
+    path += `M${point(exit(0))}`;
+    for (let i = 1; i <= n; i++) {
+      const vertex = points[i % n];
+      path += `L${point(entry(i % n))}Q${point(vertex)} ${point(exit(i % n))}`;
+    }
+    path += 'Z';
+  }
+  return path;
+}
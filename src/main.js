@@ -7,13 +7,15 @@ const previewRoot = document.getElementById('floor-plan-tool-root')
 const controlsRoot = document.getElementById('floor-plan-controls-root')
 const entitiesRoot = document.getElementById('floor-plan-entities-root')
 
-if (previewRoot && controlsRoot && entitiesRoot) {
-  mountArtGridTool({
-    previewContainer: previewRoot,
-    controlsContainer: controlsRoot,
-    entitiesContainer: entitiesRoot,
-  })
-}
+const tool = previewRoot
+  ? mountArtGridTool({
+      previewContainer: previewRoot,
+      controlsContainer: controlsRoot,
+      entitiesContainer: entitiesRoot,
+    })
+  : null
+/** Page listeners, removed together with the editor when the module is replaced. */
+const pageListeners = new AbortController()
 
 const controlsArea = document.getElementById('controls-area')
 const controlsAreaToggle = document.getElementById('controls-area-toggle')
@@ -21,14 +23,14 @@ if (controlsArea && controlsAreaToggle) {
   controlsAreaToggle.addEventListener('click', () => {
     controlsArea.classList.toggle('collapsed')
     controlsAreaToggle.setAttribute('aria-expanded', String(!controlsArea.classList.contains('collapsed')))
-  })
+  }, { signal: pageListeners.signal })
 
   document.addEventListener('click', (e) => {
     if (!controlsArea.classList.contains('collapsed') && !controlsArea.contains(e.target)) {
       controlsArea.classList.add('collapsed')
       controlsAreaToggle.setAttribute('aria-expanded', 'false')
     }
-  })
+  }, { signal: pageListeners.signal })
 }
 
 // Open controls by default on load
@@ -38,3 +40,12 @@ if (controlsArea && !controlsArea.classList.contains('collapsed')) {
     controlsAreaToggle.setAttribute('aria-expanded', 'true')
   }
 }
+
+// Hot reloads run this module again; tear the old editor down first instead of reloading the page.
+if (import.meta.hot) {
+  import.meta.hot.accept()
+  import.meta.hot.dispose(() => {
+    pageListeners.abort()
+    tool?.destroy()
+  })
+}
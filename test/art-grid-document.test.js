@@ -0,0 +1,167 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createArtGridDocument, renderArtGridSvg, ART_GRID_DOCUMENT_VERSION } from '../src/lib/art-grid-engine.js';
+import { parseArtGridDocument, parseArtGridSvg, stringifyArtGridDocument } from '../src/lib/art-grid-document.js';
+
+const circle = { id: 'shape-1', type: 'circle', x: 600, y: 400, size: 120, color: '#ff0000', pattern: 'solid', rotation: 0, layer: 1 };
+
+function currentDocument(overrides = {}) {
+  return {
+    format: 'artgrid',
+    version: ART_GRID_DOCUMENT_VERSION,
+    meta: { width: 1200, height: 2400, seed: 42 },
+    background: { color: '#000000', textureType: 'solid' },
+    shapes: [{ ...circle }],
+    ...overrides,
+  };
+}
+
+test('a version 0 SVG metadata document migrates to the current version', () => {
+  const parsed = parseArtGridDocument({ seed: 7, width: 600, height: 800, shapes: [{ type: 'rect', x: 10, y: 20, size: 30, color: '#00ff00' }] });
+  assert.equal(parsed.migratedFrom, 0);
+  assert.deepEqual(parsed.grid.meta, { width: 600, height: 800, seed: 7, shapeCount: 1 });
+  assert.deepEqual(parsed.grid.shapes[0], { type: 'rect', x: 10, y: 20, size: 30, color: '#00ff00', id: 'shape-1', pattern: 'solid', rotation: 0, layer: 1, textureScale: 1 });
+  assert.deepEqual(parsed.grid.groups, []);
+});
+
+test('a version 1 project document is scaled from editor units to the source size', () => {
+  const parsed = parseArtGridDocument({
+    grid: { meta: { width: 32, height: 64 }, shapes: [{ id: 'a', type: 'circle', x: 16, y: 32, size: 8, color: '#fff' }] },
+    viewState: { minX: 0, minY: 0, width: 32, height: 64 },
+    source: { width: 1200, height: 2400, seed: 5 },
+    palette: { colors: ['#fff'], rules: [] },
+  });
+  assert.equal(parsed.migratedFrom, 1);
+  assert.deepEqual(parsed.grid.meta, { width: 1200, height: 2400, seed: 5, shapeCount: 1 });
+  assert.equal(parsed.grid.shapes[0].x, 600);
+  assert.equal(parsed.grid.shapes[0].y, 1200);
+  assert.equal(parsed.grid.shapes[0].size, 300);
+  assert.deepEqual(parsed.view, { minX: 0, minY: 0, width: 1200, height: 2400 });
+  assert.deepEqual(parsed.palette, { colors: ['#fff'], rules: [] });
+});
+
+test('a version 2 document upgrades without groups', () => {
+  const parsed = parseArtGridDocument(currentDocument({ version: 2 }));
+  assert.equal(parsed.migratedFrom, 2);
+  assert.deepEqual(parsed.grid.groups, []);
+  assert.equal(parsed.grid.shapes[0].x, 600);
+});
+
+test('a current document is read as is', () => {
+  const groups = [{ id: 'g1', transform: { x: 600, y: 400, rotation: 0, scale: 1 } }];
+  const parsed = parseArtGridDocument(currentDocument({ shapes: [{ ...circle, group: 'g1' }], groups }));
+  assert.equal(parsed.migratedFrom, null);
+  assert.deepEqual(parsed.grid.groups, groups);
+  assert.equal(parsed.grid.shapes[0].group, 'g1');
+});
+
+test('repeated shape ids get a numbered suffix', () => {
+  const parsed = parseArtGridDocument(currentDocument({ shapes: [{ ...circle }, { ...circle }, { ...circle }] }));
+  assert.deepEqual(parsed.grid.shapes.map((shape) => shape.id), ['shape-1', 'shape-1-2', 'shape-1-3']);
+});
+
+test('a shape without an id whose fallback id is taken gets a suffix on the fallback', () => {
+  const withoutId = { ...circle };
+  delete withoutId.id;
+  const parsed = parseArtGridDocument(currentDocument({ shapes: [{ ...circle, id: 'shape-2' }, withoutId] }));
+  assert.deepEqual(parsed.grid.shapes.map((shape) => shape.id), ['shape-2', 'shape-2-2']);
+});
+
+test('a document from a newer version is refused', () => {
+  assert.throws(() => parseArtGridDocument(currentDocument({ version: ART_GRID_DOCUMENT_VERSION + 1 })), /newer version of the tool/);
+});
+
+test('text that is not JSON is refused', () => {
+  assert.throws(() => parseArtGridDocument('{ nope'), /not valid JSON/);
+});
+
+const invalidDocuments = [
+  ['a non-object document', () => [], /expected a JSON object/],
+  ['a document without format or shapes', () => ({ meta: {} }), /neither a format field nor a shape list/],
+  ['an invalid format', (doc) => ({ ...doc, format: 'other' }), /"format" must be "artgrid"/],
+  ['an invalid version', (doc) => ({ ...doc, version: 1.5 }), /"version" must be a whole number/],
+  ['an invalid meta', (doc) => ({ ...doc, meta: null }), /Document: "meta" must be an object/],
+  ['an invalid meta width', (doc) => ({ ...doc, meta: { ...doc.meta, width: 0 } }), /Meta: "width" must be a positive number, got 0/],
+  ['an invalid meta height', (doc) => ({ ...doc, meta: { ...doc.meta, height: 'tall' } }), /Meta: "height" must be a positive number/],
+  ['an invalid meta seed', (doc) => ({ ...doc, meta: { ...doc.meta, seed: 'x' } }), /Meta: "seed" must be a number/],
+  ['an invalid background', (doc) => ({ ...doc, background: 'black' }), /"background" must be an object/],
+  ['an invalid background color', (doc) => ({ ...doc, background: { color: 3 } }), /Background: "color" must be a color string/],
+  ['an invalid background textureType', (doc) => ({ ...doc, background: { textureType: 'wood' } }), /Background: "textureType" must be one of/],
+  ['an invalid background textureScale', (doc) => ({ ...doc, background: { textureScale: -1 } }), /Background: "textureScale" must be a positive number/],
+  ['an invalid background pattern', (doc) => ({ ...doc, background: { textureType: 'pattern', pattern: 'nope' } }), /Background: "pattern" must be one of/],
+  ['an invalid background stampWidth', (doc) => ({ ...doc, background: { textureType: 'stamp', stampPath: 'M0 0', stampWidth: 0, stampHeight: 1 } }), /Background: "stampWidth" must be a positive number/],
+  ['an invalid shapes', (doc) => ({ ...doc, shapes: {} }), /Document: "shapes" must be an array/],
+  ['a shape that is not an object', (doc) => ({ ...doc, shapes: [5] }), /Shape 1 is not an object/],
+  ['an invalid shape id', (doc) => ({ ...doc, shapes: [{ ...circle, id: '' }] }), /"id" must be a non-empty string/],
+  ['an invalid shape type', (doc) => ({ ...doc, shapes: [{ ...circle, type: 'blob' }] }), /Shape 1 \(shape-1\): "type" must be one of/],
+  ['an invalid shape x', (doc) => ({ ...doc, shapes: [{ ...circle, x: null }] }), /"x" must be a number/],
+  ['an invalid shape size', (doc) => ({ ...doc, shapes: [{ ...circle, size: -2 }] }), /"size" must be a positive number, got -2/],
+  ['an invalid shape color', (doc) => ({ ...doc, shapes: [{ ...circle, color: '' }] }), /"color" must be a color string/],
+  ['an invalid shape pattern', (doc) => ({ ...doc, shapes: [{ ...circle, pattern: 'plaid' }] }), /"pattern" must be one of/],
+  ['an invalid shape rotation', (doc) => ({ ...doc, shapes: [{ ...circle, rotation: '90' }] }), /"rotation" must be a number of degrees/],
+  ['an invalid shape layer', (doc) => ({ ...doc, shapes: [{ ...circle, layer: '' }] }), /"layer" must be a number or a layer name/],
+  ['an invalid shape textureScale', (doc) => ({ ...doc, shapes: [{ ...circle, textureScale: 0 }] }), /"textureScale" must be a positive number/],
+  ['an invalid shape primitive parameter', (doc) => ({ ...doc, shapes: [{ ...circle, sides: 'six' }] }), /"sides" must be a number/],
+  ['an invalid shape symmetryGroup', (doc) => ({ ...doc, shapes: [{ ...circle, symmetryGroup: 4 }] }), /"symmetryGroup" must be a string/],
+  ['an invalid shape symmetryTransform', (doc) => ({ ...doc, shapes: [{ ...circle, symmetryGroup: 's', symmetryTransform: {} }] }), /"symmetryTransform" must be an object/],
+  ['an invalid stamp stampPath', (doc) => ({ ...doc, shapes: [{ ...circle, type: 'stamp', stampWidth: 1, stampHeight: 1 }] }), /"stampPath" must be SVG path data/],
+  ['an invalid stamp stampHeight', (doc) => ({ ...doc, shapes: [{ ...circle, type: 'stamp', stampPath: 'M0 0', stampWidth: 1 }] }), /"stampHeight" must be a positive number/],
+  ['an invalid stamp stampPathEditor', (doc) => ({ ...doc, shapes: [{ ...circle, type: 'stamp', stampPath: 'M0 0', stampWidth: 1, stampHeight: 1, stampPathEditor: 1 }] }), /"stampPathEditor" must be SVG path data/],
+  ['an invalid stamp stampLayers', (doc) => ({ ...doc, shapes: [{ ...circle, type: 'stamp', stampPath: 'M0 0', stampWidth: 1, stampHeight: 1, stampLayers: {} }] }), /"stampLayers" must be an array/],
+  ['an invalid stamp color layer color', (doc) => ({ ...doc, shapes: [{ ...circle, type: 'stamp', stampPath: 'M0 0', stampWidth: 1, stampHeight: 1, stampLayers: [{ color: 1 }] }] }), /stamp color layer 1: "color" must be a color string/],
+  ['an invalid groups', (doc) => ({ ...doc, groups: 5 }), /Document: "groups" must be an array, got 5/],
+  ['an invalid group id', (doc) => ({ ...doc, groups: [{ id: '', transform: { x: 0, y: 0, rotation: 0, scale: 1 } }] }), /Group 1: "id" must be a non-empty string/],
+  ['a repeated group id', (doc) => ({ ...doc, groups: [{ id: 'g', transform: { x: 0, y: 0, rotation: 0, scale: 1 } }, { id: 'g', transform: { x: 0, y: 0, rotation: 0, scale: 1 } }] }), /used by an earlier group/],
+  ['an invalid group transform', (doc) => ({ ...doc, groups: [{ id: 'g', transform: { x: 0, y: 0, rotation: 0, scale: 0 } }] }), /Group 1 \(g\): "transform" must be an object with x, y, rotation and a positive scale/],
+  ['an invalid group parent', (doc) => ({ ...doc, groups: [{ id: 'g', parent: 'missing', transform: { x: 0, y: 0, rotation: 0, scale: 1 } }] }), /"parent" must be the id of a group in the document/],
+  ['a group parent cycle', (doc) => ({ ...doc, groups: [{ id: 'a', parent: 'b', transform: { x: 0, y: 0, rotation: 0, scale: 1 } }, { id: 'b', parent: 'a', transform: { x: 0, y: 0, rotation: 0, scale: 1 } }] }), /makes the group its own ancestor/],
+  ['an invalid shape group', (doc) => ({ ...doc, shapes: [{ ...circle, group: 'missing' }] }), /Shape 1 \(shape-1\): "group" must be the id of a group in the document/],
+  ['an invalid palette', (doc) => ({ ...doc, palette: [] }), /Document: "palette" must be an object/],
+  ['an invalid palette colors', (doc) => ({ ...doc, palette: { colors: ['#fff', 2] } }), /Palette: "colors\[1\]" must be a color string/],
+  ['an invalid palette rules', (doc) => ({ ...doc, palette: { colors: [], rules: [1] } }), /Palette: "rules" must be an array of objects/],
+  ['an invalid view', (doc) => ({ ...doc, view: { minX: 0, minY: 0, width: 0, height: 1 } }), /Document: "view" must be an object with minX, minY and a positive width and height/],
+  ['an invalid customStamps', (doc) => ({ ...doc, customStamps: [{}] }), /"customStamps" must be an array of stamp records with ids/],
+  ['an invalid version 0 width', () => ({ shapes: [], height: 10 }), /Metadata: "width" must be a positive number/],
+  ['an invalid version 1 grid meta', () => ({ grid: { meta: { width: 0, height: 1 }, shapes: [] } }), /Grid: "meta" must be an object with a positive width and height/],
+];
+
+for (const [problem, makeDocument, message] of invalidDocuments) {
+  test(`${problem} is refused with a message naming it`, () => {
+    assert.throws(() => parseArtGridDocument(makeDocument(currentDocument())), message);
+  });
+}
+
+test('a document survives export to SVG and back', () => {
+  const grid = {
+    meta: { width: 1200, height: 2400, seed: 42 },
+    background: { color: '#112233', textureType: 'solid' },
+    shapes: [{ ...circle, group: 'g1' }, { ...circle, id: 'shape-2', type: 'rect', x: 100, rotation: 30, layer: 2 }],
+    groups: [{ id: 'g1', transform: { x: 600, y: 400, rotation: 15, scale: 2 } }],
+  };
+  const svg = renderArtGridSvg(grid);
+  const fromSvg = parseArtGridSvg(svg);
+  const fromFile = parseArtGridDocument(stringifyArtGridDocument(createArtGridDocument(grid)));
+  assert.equal(fromSvg.migratedFrom, null);
+  assert.deepEqual(fromSvg.grid, fromFile.grid);
+  assert.deepEqual(fromSvg.grid.shapes.map((shape) => [shape.id, shape.x, shape.y, shape.rotation, shape.group]), [
+    ['shape-1', 600, 400, 0, 'g1'],
+    ['shape-2', 100, 400, 30, undefined],
+  ]);
+  assert.deepEqual(fromSvg.grid.groups, grid.groups);
+  assert.match(svg, /<g class="art-group" data-group-id="g1" transform="translate\(600, 400\) rotate\(15\) scale\(2\)">/);
+});
+
+test('an SVG without art grid metadata is refused', () => {
+  assert.throws(() => parseArtGridSvg('<svg xmlns="http://www.w3.org/2000/svg"></svg>'), /no art grid metadata/);
+});
+
+test('corrupted SVG metadata is refused', () => {
+  assert.throws(() => parseArtGridSvg('<svg><metadata id="occult-floorplan-meta">%%%</metadata></svg>'), /metadata in this SVG is corrupted/);
+});
+
+test('the oldest SVG exports take their size from the svg element', () => {
+  const metadata = btoa(encodeURIComponent(JSON.stringify({ seed: 1, shapes: [] })));
+  const parsed = parseArtGridSvg(`<svg xmlns="http://www.w3.org/2000/svg" width="300" height="500"><metadata id="occult-floorplan-meta">${metadata}</metadata></svg>`);
+  assert.equal(parsed.migratedFrom, 0);
+  assert.deepEqual(parsed.grid.meta, { width: 300, height: 500, seed: 1, shapeCount: 0 });
+});
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateArtGrid, renderArtGridSvg } from '../src/lib/art-grid-engine.js';
+
+const accent = '#ff0000';
+const countAccent = (grid) => grid.shapes.filter((shape) => shape.color === accent).length;
+const generateWithAccent = (maxUses, symmetry) => generateArtGrid({
+  width: 400,
+  height: 400,
+  seed: 7,
+  shapeCount: 60,
+  symmetry,
+  colors: [{ color: accent, weight: 50, maxUses }, '#ffffff'],
+});
+
+test('an accent color stops at its maxUses cap', () => {
+  assert.equal(countAccent(generateWithAccent(3, 'none')), 3);
+});
+
+test('symmetry copies count towards maxUses, so a copy group never goes over the cap', () => {
+  assert.equal(countAccent(generateWithAccent(6, 'quad')), 4);
+  assert.equal(countAccent(generateWithAccent(8, 'quad')), 8);
+});
+
+test('a cap smaller than one copy group leaves the accent out', () => {
+  assert.equal(countAccent(generateWithAccent(2, 'quad')), 0);
+});
+
+test('exported SVG keeps the draw order of a group split across layers', () => {
+  const shape = (id, layer, group) => ({ id, layer, group, type: 'square', x: 50, y: 50, size: 10, rotation: 0, color: '#ffffff', pattern: 'solid' });
+  const svg = renderArtGridSvg({
+    meta: { width: 100, height: 100, seed: 1 },
+    shapes: [shape('c', 5, 'g'), shape('b', 3), shape('a', 1, 'g')],
+    groups: [{ id: 'g', transform: { x: 50, y: 50, rotation: 0, scale: 1 } }],
+  });
+  assert.deepEqual([...svg.matchAll(/class="art-shape" data-id="(\w+)"/g)].map((match) => match[1]), ['a', 'b', 'c']);
+  assert.equal(svg.match(/data-group-id="g"/g).length, 2);
+});
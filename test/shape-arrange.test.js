@@ -0,0 +1,126 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getShapeBox,
+  getShapesBounds,
+  alignShapes,
+  distributeShapes,
+  matchSize,
+  matchRotation,
+  arrangeInGrid,
+  arrangeInCircle,
+} from '../src/lib/shape-arrange.js';
+
+const shape = (x, y, size = 10, rotation = 0) => ({ x, y, size, rotation });
+const positions = (shapes) => shapes.map(({ x, y }) => [x, y]);
+const closeTo = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+
+test('a shape box is its center plus or minus half its size, whatever its rotation', () => {
+  assert.deepEqual(getShapeBox(shape(10, 20, 8, 45)), { minX: 6, minY: 16, maxX: 14, maxY: 24 });
+});
+
+test('no shapes have no bounds', () => {
+  assert.equal(getShapesBounds([]), null);
+});
+
+test('the bounds of one shape are its box', () => {
+  assert.deepEqual(getShapesBounds([shape(0, 0)]), { minX: -5, minY: -5, maxX: 5, maxY: 5 });
+});
+
+test('the bounds span every shape', () => {
+  assert.deepEqual(getShapesBounds([shape(0, 0), shape(100, 50, 20)]), { minX: -5, minY: -5, maxX: 110, maxY: 60 });
+});
+
+test('aligning moves each shape edge or center onto the box', () => {
+  const box = { minX: 0, minY: 0, maxX: 100, maxY: 200 };
+  const cases = [
+    ['left', [5, 50]],
+    ['center', [50, 50]],
+    ['right', [95, 50]],
+    ['top', [50, 5]],
+    ['middle', [50, 100]],
+    ['bottom', [50, 195]],
+  ];
+  for (const [edge, expected] of cases) {
+    const shapes = [shape(50, 50)];
+    alignShapes(shapes, edge, box);
+    assert.deepEqual(positions(shapes), [expected], edge);
+  }
+});
+
+test('aligning no shapes does nothing', () => {
+  assert.doesNotThrow(() => alignShapes([], 'left', { minX: 0, minY: 0, maxX: 1, maxY: 1 }));
+});
+
+test('distributing within the selection keeps the outer shapes and evens the gaps', () => {
+  const shapes = [shape(0, 0), shape(20, 0, 20), shape(100, 0)];
+  distributeShapes(shapes, 'horizontal');
+  assert.deepEqual(positions(shapes), [[0, 0], [50, 0], [100, 0]]);
+});
+
+test('distributing within a box moves the outer shapes to its edges', () => {
+  const shapes = [shape(0, 40), shape(0, 10)];
+  distributeShapes(shapes, 'vertical', { minX: 0, minY: 0, maxX: 0, maxY: 100 });
+  assert.deepEqual(positions(shapes), [[0, 95], [0, 5]]);
+});
+
+test('distributing fewer than two shapes leaves them alone', () => {
+  const shapes = [shape(3, 4)];
+  distributeShapes(shapes, 'horizontal');
+  distributeShapes([], 'horizontal');
+  assert.deepEqual(positions(shapes), [[3, 4]]);
+});
+
+test('matching size and rotation sets them on every shape', () => {
+  const shapes = [shape(0, 0, 10, 0), shape(0, 0, 30, 90)];
+  matchSize(shapes, 12);
+  matchRotation(shapes, 45);
+  assert.deepEqual(shapes.map(({ size, rotation }) => [size, rotation]), [[12, 45], [12, 45]]);
+});
+
+test('arranging in a grid fills rows of cells sized to the largest shape plus the gap, centered on the box', () => {
+  const shapes = [shape(0, 0), shape(0, 0), shape(0, 0, 20)];
+  arrangeInGrid(shapes, { minX: 0, minY: 0, maxX: 100, maxY: 100 }, { columns: 2, gap: 10 });
+  assert.deepEqual(positions(shapes), [[35, 35], [65, 35], [35, 65]]);
+});
+
+test('arranging in a grid without columns makes it square-ish', () => {
+  const shapes = Array.from({ length: 5 }, () => shape(0, 0));
+  arrangeInGrid(shapes, { minX: 0, minY: 0, maxX: 30, maxY: 20 });
+  assert.deepEqual(positions(shapes), [[0, 0], [10, 0], [20, 0], [0, 10], [10, 10]].map(([x, y]) => [x + 5, y + 5]));
+});
+
+test('arranging one shape in a grid centers it', () => {
+  const shapes = [shape(0, 0)];
+  arrangeInGrid(shapes, { minX: 0, minY: 0, maxX: 50, maxY: 80 });
+  assert.deepEqual(positions(shapes), [[25, 40]]);
+});
+
+test('arranging no shapes in a grid or circle does nothing', () => {
+  const box = { minX: 0, minY: 0, maxX: 1, maxY: 1 };
+  assert.doesNotThrow(() => arrangeInGrid([], box));
+  assert.doesNotThrow(() => arrangeInCircle([], box));
+});
+
+test('arranging in a circle goes clockwise from the top and fits the box', () => {
+  const shapes = [shape(0, 0), shape(0, 0), shape(0, 0), shape(0, 0)];
+  arrangeInCircle(shapes, { minX: 0, minY: 0, maxX: 100, maxY: 100 });
+  const expected = [[50, 5], [95, 50], [50, 95], [5, 50]];
+  shapes.forEach((s, i) => {
+    closeTo(s.x, expected[i][0]);
+    closeTo(s.y, expected[i][1]);
+  });
+});
+
+test('a circle too small for its shapes grows until neighbours touch', () => {
+  const shapes = [shape(0, 0), shape(0, 0)];
+  arrangeInCircle(shapes, { minX: 0, minY: 0, maxX: 10, maxY: 10 });
+  closeTo(Math.hypot(shapes[0].x - shapes[1].x, shapes[0].y - shapes[1].y), 10);
+});
+
+test('one shape in a circle sits at the top of the fitted circle', () => {
+  const shapes = [shape(0, 0)];
+  arrangeInCircle(shapes, { minX: 0, minY: 0, maxX: 100, maxY: 100 });
+  closeTo(shapes[0].x, 50);
+  closeTo(shapes[0].y, 5);
+});
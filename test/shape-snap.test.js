@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { collectSnapTargets, snapBox, snapSize } from '../src/lib/shape-snap.js';
+
+const canvas = { minX: 0, minY: 0, maxX: 200, maxY: 100 };
+const box = (minX, minY, size = 10) => ({ minX, minY, maxX: minX + size, maxY: minY + size });
+
+test('no shapes and no canvas give no targets', () => {
+  assert.deepEqual(collectSnapTargets([], null), { x: [], y: [] });
+});
+
+test('the canvas and each shape give their edges and center on both axes', () => {
+  const targets = collectSnapTargets([{ x: 50, y: 50, size: 20 }], canvas);
+  assert.deepEqual(targets.x.map((t) => t.value), [0, 100, 200, 40, 50, 60]);
+  assert.deepEqual(targets.y.map((t) => t.value), [0, 50, 100, 40, 50, 60]);
+});
+
+test('a box with nothing to snap to stays where it is', () => {
+  assert.deepEqual(snapBox(box(33, 33), { x: [], y: [] }, { threshold: 5 }), { dx: 0, dy: 0, guides: [] });
+});
+
+test('a box snaps its nearest anchor to a target within the threshold, with a guide', () => {
+  const targets = collectSnapTargets([], canvas);
+  const result = snapBox(box(97, 30), targets, { threshold: 4 });
+  assert.equal(result.dx, -2);
+  assert.equal(result.dy, 0);
+  assert.deepEqual(result.guides, [{ axis: 'x', value: 100, from: 0, to: 100 }]);
+});
+
+test('a box beyond the threshold does not snap', () => {
+  const targets = collectSnapTargets([], canvas);
+  assert.equal(snapBox(box(90, 30), targets, { threshold: 4 }).dx, 0);
+});
+
+test('the closest of several targets wins', () => {
+  const targets = { x: [{ value: 13, box: box(13, 0) }, { value: 11, box: box(11, 0) }], y: [] };
+  assert.equal(snapBox(box(10, 50), targets, { threshold: 5 }).dx, 1);
+});
+
+test('grid lines snap without guides', () => {
+  const result = snapBox(box(48, 23), { x: [], y: [] }, { threshold: 3, gridSize: 25 });
+  assert.equal(result.dx, 2);
+  assert.equal(result.dy, 2);
+  assert.deepEqual(result.guides, []);
+});
+
+test('a size snaps to a close size of another shape', () => {
+  assert.equal(snapSize(38, [40, 60], { threshold: 3 }), 40);
+});
+
+test('a size snaps to whole grid cells', () => {
+  assert.equal(snapSize(48, [], { threshold: 3, gridSize: 25 }), 50);
+});
+
+test('a size with nothing close keeps its value', () => {
+  assert.equal(snapSize(30, [], { threshold: 3 }), 30);
+  assert.equal(snapSize(30, [50], { threshold: 3, gridSize: 25 }), 30);
+});
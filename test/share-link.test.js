@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  SHARE_LINK_VERSION,
+  encodeShareToken,
+  decodeShareToken,
+  readShareToken,
+  createShareUrl,
+  diffArtGridShapes,
+  applyArtGridShapesDiff,
+} from '../src/lib/share-link.js';
+
+const state = { settings: { seed: 42, layout: 'grid', colors: ['#ff0000', '#00ff00'] }, stamps: ['star'] };
+const plainToken = (value) => `j${Buffer.from(JSON.stringify(value)).toString('base64url')}`;
+
+test('a state survives encoding and decoding', async () => {
+  const token = await encodeShareToken(state);
+  assert.match(token, /^[zj][A-Za-z0-9_-]+$/);
+  assert.deepEqual(await decodeShareToken(token), { v: SHARE_LINK_VERSION, ...state });
+});
+
+test('an uncompressed token decodes', async () => {
+  assert.deepEqual(await decodeShareToken(plainToken({ v: 1, ...state })), { v: 1, ...state });
+});
+
+test('a token survives the trip through a URL hash', async () => {
+  const token = await encodeShareToken(state);
+  const url = createShareUrl('https://example.com/art/?x=1#old', token);
+  assert.equal(new URL(url).search, '?x=1');
+  assert.equal(readShareToken(new URL(url).hash), token);
+});
+
+test('a hash without a share token reads as none', () => {
+  assert.equal(readShareToken(''), null);
+  assert.equal(readShareToken('#other=1'), null);
+  assert.equal(readShareToken('#%%%'), null);
+});
+
+test('a truncated token is refused', async () => {
+  const token = await encodeShareToken(state);
+  await assert.rejects(decodeShareToken(token.slice(0, 12)), /damaged or incomplete/);
+});
+
+test('a token with an unknown prefix is refused', async () => {
+  await assert.rejects(decodeShareToken('qabc'), /damaged or incomplete/);
+});
+
+test('a token that is not JSON is refused', async () => {
+  await assert.rejects(decodeShareToken(`j${Buffer.from('not json').toString('base64url')}`), /damaged or incomplete/);
+});
+
+test('a token from a newer version is refused', async () => {
+  await assert.rejects(decodeShareToken(plainToken({ v: SHARE_LINK_VERSION + 1, ...state })), /newer version/);
+});
+
+test('a token without settings is refused', async () => {
+  await assert.rejects(decodeShareToken(plainToken({ v: 1 })), /has no settings/);
+});
+
+const base = [
+  { id: 'a', x: 1, y: 1, size: 10 },
+  { id: 'b', x: 2, y: 2, size: 10, rotation: 45 },
+  { id: 'c', x: 3, y: 3, size: 10 },
+];
+
+test('unedited shapes have no diff', () => {
+  assert.equal(diffArtGridShapes(base, structuredClone(base)), null);
+  assert.equal(diffArtGridShapes([], []), null);
+});
+
+test('the diff records removed, changed, unset and added shapes', () => {
+  const edited = [{ id: 'a', x: 5, y: 1, size: 10 }, { id: 'b', x: 2, y: 2, size: 10 }, { id: 'd', x: 9, y: 9, size: 4 }];
+  assert.deepEqual(diffArtGridShapes(base, edited), {
+    removed: ['c'],
+    changed: [{ id: 'a', set: { x: 5 } }, { id: 'b', unset: ['rotation'] }],
+    added: [{ id: 'd', x: 9, y: 9, size: 4 }],
+  });
+});
+
+test('the diff records a new order only when shapes were reordered', () => {
+  const edited = [base[2], base[0], base[1]];
+  assert.deepEqual(diffArtGridShapes(base, edited), { order: ['c', 'a', 'b'] });
+});
+
+test('applying a diff reproduces the edited shapes', () => {
+  const edited = [{ id: 'd', x: 9, y: 9, size: 4 }, { id: 'b', x: 2, y: 7, size: 10 }, { id: 'a', x: 1, y: 1, size: 20, group: 'g' }];
+  assert.deepEqual(applyArtGridShapesDiff(base, diffArtGridShapes(base, edited)), edited);
+});
+
+test('a diff skips edits to shapes that are no longer generated', () => {
+  const diff = { removed: ['gone'], changed: [{ id: 'gone', set: { x: 1 } }] };
+  assert.deepEqual(applyArtGridShapesDiff(base, diff), base);
+});
+
+test('removing every shape leaves none', () => {
+  assert.deepEqual(applyArtGridShapesDiff(base, diffArtGridShapes(base, [])), []);
+});
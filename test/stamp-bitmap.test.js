@@ -0,0 +1,13 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_STAMP_BINARIZATION, normalizeStampBinarization } from '../src/lib/stamp-bitmap.js';
+
+test('binarization defaults to the average brightness mode', () => {
+  assert.equal(normalizeStampBinarization(undefined).mode, 'average');
+  assert.equal(normalizeStampBinarization({ mode: 'sepia' }).mode, DEFAULT_STAMP_BINARIZATION.mode);
+});
+
+test('saved settings with the old luminance mode read as average', () => {
+  assert.equal(normalizeStampBinarization({ mode: 'luminance' }).mode, 'average');
+  assert.equal(normalizeStampBinarization({ mode: 'luma' }).mode, 'luma');
+});
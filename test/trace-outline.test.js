@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { traceMaskContours, contoursToSvgPath } from '../src/lib/trace-outline.js';
+
+/** A mask from rows of '#' (set) and '.' (unset). */
+function parseMask(rows) {
+  return { mask: Uint8Array.from(rows.join('').split(''), (c) => (c === '#' ? 1 : 0)), width: rows[0].length, height: rows.length };
+}
+
+function trace(rows) {
+  const { mask, width, height } = parseMask(rows);
+  return traceMaskContours(mask, width, height);
+}
+
+/** Twice the signed area; positive for clockwise contours in y-down coordinates. */
+function signedArea(points) {
+  return points.reduce((sum, p, i) => {
+    const q = points[(i + 1) % points.length];
+    return sum + p.x * q.y - q.x * p.y;
+  }, 0);
+}
+
+test('an empty mask has no contours', () => {
+  assert.deepEqual(trace(['...', '...']), []);
+});
+
+test('a single pixel is one clockwise square', () => {
+  const contours = trace(['#']);
+  assert.equal(contours.length, 1);
+  assert.equal(contours[0].length, 4);
+  assert.equal(signedArea(contours[0]), 2);
+});
+
+test('a solid rectangle has one vertex per corner only', () => {
+  const contours = trace(['###', '###']);
+  assert.equal(contours.length, 1);
+  assert.deepEqual([...contours[0]].sort((a, b) => a.y - b.y || a.x - b.x), [
+    { x: 0, y: 0 },
+    { x: 3, y: 0 },
+    { x: 0, y: 2 },
+    { x: 3, y: 2 },
+  ]);
+});
+
+test('a hole is a separate counter-clockwise contour', () => {
+  const contours = trace(['###', '#.#', '###']);
+  assert.equal(contours.length, 2);
+  const areas = contours.map(signedArea).sort((a, b) => a - b);
+  assert.deepEqual(areas, [-2, 18]);
+});
+
+test('pixels touching only at a corner stay separate outlines', () => {
+  const contours = trace(['#.', '.#']);
+  assert.equal(contours.length, 2);
+  contours.forEach((contour) => {
+    assert.equal(contour.length, 4);
+    assert.equal(signedArea(contour), 2);
+  });
+});
+
+test('holes touching at a corner join into one pinched hole, keeping the shape pixels between them apart', () => {
+  const contours = trace(['####', '#.##', '##.#', '####']);
+  const areas = contours.map(signedArea).sort((a, b) => a - b);
+  assert.deepEqual(areas, [-4, 32]);
+  const pinch = contours.find((contour) => signedArea(contour) < 0);
+  assert.equal(pinch.filter((p) => p.x === 2 && p.y === 2).length, 2);
+});
+
+test('contours become closed SVG subpaths', () => {
+  assert.equal(contoursToSvgPath([[{ x: 0, y: 0 }, { x: 2, y: 0 }, { x: 2, y: 1 }, { x: 0, y: 1 }]]), 'M0,0L2,0L2,1L0,1Z');
+});
+
+test('no contours give an empty path', () => {
+  assert.equal(contoursToSvgPath([]), '');
+});
+
+test('the scale multiplies the output coordinates and rounds them to three decimals', () => {
+  assert.equal(contoursToSvgPath([[{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 1, y: 1 }]], { scale: 1 / 3 }), 'M0,0L0.333,0L0.333,0.333Z');
+});
+
+test('simplifying drops vertices within the tolerance', () => {
+  const staircase = [{ x: 0, y: 0 }, { x: 4, y: 0 }, { x: 4, y: 1 }, { x: 5, y: 1 }, { x: 5, y: 4 }, { x: 0, y: 4 }];
+  assert.equal(contoursToSvgPath([staircase]), 'M0,0L4,0L4,1L5,1L5,4L0,4Z');
+  assert.equal(contoursToSvgPath([staircase], { tolerance: 1 }), 'M0,0L4,0L5,4L0,4Z');
+});
+
+test('smoothing rounds each corner with a quadratic curve', () => {
+  const square = [{ x: 0, y: 0 }, { x: 4, y: 0 }, { x: 4, y: 4 }, { x: 0, y: 4 }];
+  const path = contoursToSvgPath([square], { smoothing: 1 });
+  assert.equal(path, 'M1,0L3,0Q4,0 4,1L4,3Q4,4 3,4L1,4Q0,4 0,3L0,1Q0,0 1,0Z');
+});